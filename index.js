@@ -1,12 +1,36 @@
-require('dotenv').config();
+// --json output must stay parseable, so dotenv's startup line is left out then
+require('dotenv').config({ quiet: process.argv.includes('--json') });
 const PDFParser = require('./lib/pdfParser');
+const LocalClassifier = require('./lib/localClassifier');
+const DocumentClassifier = require('./lib/classifier');
+const { TaxonomyRegistry } = require('./lib/taxonomy');
+const ClassificationEvaluator = require('./lib/evaluator');
+const FileOrganizer = require('./lib/fileOrganizer');
+const SequenceRegistry = require('./lib/sequenceRegistry');
+const DuplicateDetector = require('./lib/duplicateDetector');
+const ReviewQueue = require('./lib/reviewQueue');
+const JobStore = require('./lib/jobStore');
+const FolderWatcher = require('./lib/folderWatcher');
+const NamingTemplate = require('./lib/namingTemplate');
+const WatermarkProcessor = require('./lib/watermarkProcessor');
+
+// Exit codes: 0 success, 1 a file or the run failed, 2 invalid arguments
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+// Commands that print their result as JSON with --json (for tables, --json saves the tables as a JSON file)
+const JSON_COMMANDS = ['classify', 'organize', 'preview', 'watermark', 'watch'];
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 
 // Command line interface for PDF parsing
 class PDFParserCLI {
   constructor() {
     this.parser = new PDFParser();
+    this.watermarkProcessor = new WatermarkProcessor();
+    // Created on first use by the commands that classify or organize
+    this.services = null;
+    this.json = false;
   }
 
   async run() {
@@ -19,6 +43,13 @@ class PDFParserCLI {
 
     const command = args[0];
 
+    // Scripts read the result from stdout; the libraries' progress logs go to stderr
+    if (JSON_COMMANDS.includes(command) && args.includes('--json')) {
+      this.json = true;
+      console.log = console.error;
+      console.info = console.error;
+    }
+
     switch (command) {
       case 'parse':
         await this.parseCommand(args.slice(1));
@@ -26,6 +57,30 @@ class PDFParserCLI {
       case 'batch':
         await this.batchCommand(args.slice(1));
         break;
+      case 'tables':
+        await this.tablesCommand(args.slice(1));
+        break;
+      case 'train':
+        await this.trainCommand(args.slice(1));
+        break;
+      case 'evaluate':
+        await this.evaluateCommand(args.slice(1));
+        break;
+      case 'classify':
+        await this.classifyCommand(args.slice(1));
+        break;
+      case 'organize':
+        await this.organizeCommand(args.slice(1));
+        break;
+      case 'preview':
+        await this.previewCommand(args.slice(1));
+        break;
+      case 'watermark':
+        await this.watermarkCommand(args.slice(1));
+        break;
+      case 'watch':
+        await this.watchCommand(args.slice(1));
+        break;
       case 'help':
         this.showHelp();
         break;
@@ -159,6 +214,699 @@ class PDFParserCLI {
     }
   }
 
+  async tablesCommand(args) {
+    if (args.length === 0) {
+      console.log('❌ Please provide a PDF file path');
+      return;
+    }
+
+    const filePath = args[0];
+    if (!fs.existsSync(filePath)) {
+      console.log('❌ File not found:', filePath);
+      return;
+    }
+
+    const outIndex = args.indexOf('--out');
+    const outputDir = outIndex !== -1 && args[outIndex + 1] ? args[outIndex + 1] : path.dirname(filePath);
+    const baseName = path.basename(filePath, path.extname(filePath));
+
+    console.log(`\n📊 Extracting tables: ${filePath}`);
+    const result = await this.parser.extractTables(fs.readFileSync(filePath));
+
+    if (!result.success) {
+      console.error('❌ Error extracting tables:');
+      console.error(`   ${result.error}`);
+      return;
+    }
+
+    if (result.tables.length === 0) {
+      console.log('ℹ️  No tables found');
+      return;
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    result.tables.forEach((table, index) => {
+      const outputPath = path.join(outputDir, `${baseName}_table_${index + 1}.csv`);
+      fs.writeFileSync(outputPath, this.parser.tableExtractor.toCsv(table.rows), 'utf8');
+      console.log(`💾 Page ${table.pageNumber}, ${table.type} table (${table.rows.length}x${table.columns}): ${outputPath}`);
+    });
+
+    if (args.includes('--json')) {
+      const jsonPath = path.join(outputDir, `${baseName}_tables.json`);
+      fs.writeFileSync(jsonPath, JSON.stringify(result.tables, null, 2), 'utf8');
+      console.log(`💾 JSON saved to: ${jsonPath}`);
+    }
+  }
+
+  async trainCommand(args) {
+    if (args.length < 2) {
+      console.log('❌ Please provide a labels CSV and the directory with the labelled PDFs');
+      return;
+    }
+
+    const [labelsPath, pdfDir] = args;
+    if (!fs.existsSync(labelsPath)) {
+      console.log('❌ Labels file not found:', labelsPath);
+      return;
+    }
+    if (!fs.existsSync(pdfDir)) {
+      console.log('❌ Directory not found:', pdfDir);
+      return;
+    }
+
+    const outIndex = args.indexOf('--out');
+    const ocrIndex = args.indexOf('--ocr');
+    const taxonomyIndex = args.indexOf('--taxonomy');
+
+    let taxonomy;
+    if (taxonomyIndex !== -1) {
+      try {
+        taxonomy = new TaxonomyRegistry().get(args[taxonomyIndex + 1]);
+      } catch (error) {
+        console.log('❌', error.message);
+        return;
+      }
+    }
+
+    const localClassifier = new LocalClassifier({
+      modelPath: outIndex !== -1 ? args[outIndex + 1] : undefined,
+      taxonomy
+    });
+
+    console.log(`\n🧠 Training local classifier (${localClassifier.taxonomy} taxonomy) from ${labelsPath}`);
+    const result = await localClassifier.trainFromLabels(labelsPath, pdfDir, {
+      pdfParser: this.parser,
+      ocrMethod: ocrIndex !== -1 ? args[ocrIndex + 1] : undefined
+    });
+
+    if (!result.success) {
+      console.error('❌ Training failed:');
+      console.error(`   ${result.error}`);
+      return;
+    }
+
+    console.log(`\n✅ Trained on ${result.documents} document(s)`);
+    Object.entries(result.documentCounts).forEach(([category, count]) => {
+      console.log(`   ${category}: ${count}`);
+    });
+    if (result.skipped.length > 0) {
+      console.log(`\n⚠️  Skipped ${result.skipped.length} file(s):`);
+      result.skipped.forEach(item => console.log(`   ${item.filename}: ${item.reason}`));
+    }
+    console.log(`\n💾 Model: ${result.modelPath}`);
+  }
+
+  async evaluateCommand(args) {
+    const option = name => {
+      const index = args.indexOf(name);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    const labelsPath = option('--labels') || path.join('data', 'labels.csv');
+    const pdfDir = option('--dir');
+    if (!pdfDir) {
+      console.log('❌ Please provide the directory with the labelled PDFs (--dir <dir>)');
+      return;
+    }
+    if (!fs.existsSync(labelsPath)) {
+      console.log('❌ Labels file not found:', labelsPath);
+      return;
+    }
+    if (!fs.existsSync(pdfDir)) {
+      console.log('❌ Directory not found:', pdfDir);
+      return;
+    }
+
+    const outputDir = option('--out') || 'evaluation';
+    const classifierOptions = {
+      provider: option('--provider'),
+      taxonomy: option('--taxonomy'),
+      model: option('--model')
+    };
+
+    let evaluator;
+    try {
+      evaluator = new ClassificationEvaluator({
+        classifier: new DocumentClassifier({ provider: classifierOptions.provider, taxonomy: classifierOptions.taxonomy })
+      });
+    } catch (error) {
+      console.log('❌', error.message);
+      return;
+    }
+
+    console.log(`\n🧪 Evaluating classifier (${evaluator.classifier.provider}) against ${labelsPath}`);
+    const result = await evaluator.evaluate(labelsPath, pdfDir, classifierOptions);
+
+    if (!result.success) {
+      console.error('❌ Evaluation failed:');
+      console.error(`   ${result.error}`);
+      return;
+    }
+
+    const report = result.report;
+    console.log(`\n📊 Accuracy: ${(report.accuracy * 100).toFixed(1)}% (${report.correct}/${report.total}), macro F1: ${(report.macro.f1 * 100).toFixed(1)}%`);
+    Object.entries(report.perCategory)
+      .filter(([, score]) => score.support > 0 || score.predicted > 0)
+      .forEach(([category, score]) => {
+        console.log(`   ${category.padEnd(8)} P ${(score.precision * 100).toFixed(0).padStart(3)}%  R ${(score.recall * 100).toFixed(0).padStart(3)}%  F1 ${(score.f1 * 100).toFixed(0).padStart(3)}%  (${score.support})`);
+      });
+    if (report.misclassified.length > 0) {
+      console.log(`\n⚠️  Misclassified ${report.misclassified.length} file(s):`);
+      report.misclassified.forEach(item => console.log(`   ${item.filename}: ${item.expected} -> ${item.predicted}`));
+    }
+    if (report.skipped.length > 0) {
+      console.log(`\n⚠️  Skipped ${report.skipped.length} file(s):`);
+      report.skipped.forEach(item => console.log(`   ${item.filename}: ${item.reason}`));
+    }
+
+    const paths = await evaluator.writeReports(report, outputDir);
+    console.log(`\n💾 JSON report: ${paths.jsonPath}`);
+    console.log(`💾 HTML report: ${paths.htmlPath}`);
+  }
+
+  async classifyCommand(args) {
+    const target = args[0];
+    let files;
+    let classifierOptions;
+    try {
+      files = this.listPdfs(target);
+      classifierOptions = this.getClassifierOptions(args);
+    } catch (error) {
+      return this.fail(error.message, EXIT_USAGE);
+    }
+
+    const results = await this.classifyFiles(files, classifierOptions);
+    const statistics = this.getServices().classifier.getClassificationStats(results);
+    const failed = results.filter(result => !result.success);
+
+    this.report({ success: failed.length === 0, results, statistics }, () => {
+      console.log(`\n🏷️  Classified ${results.length} file(s):`);
+      results.forEach(result => console.log(`   ${this.describeResult(result)}`));
+      console.log(`\n✅ Successful: ${statistics.successful}`);
+      console.log(`❌ Failed: ${statistics.failed}`);
+    });
+    if (failed.length > 0) process.exitCode = EXIT_FAILURE;
+  }
+
+  async organizeCommand(args) {
+    const sourceDir = args[0];
+    const outputDir = this.getOption(args, '--out');
+    let files;
+    let classifierOptions;
+    let output;
+    try {
+      if (!outputDir) {
+        throw new Error('Please provide the output directory (--out <dir>)');
+      }
+      files = this.listPdfs(sourceDir, { directory: true });
+      classifierOptions = this.getClassifierOptions(args);
+      output = this.getOutputOptions(args);
+    } catch (error) {
+      return this.fail(error.message, EXIT_USAGE);
+    }
+
+    const { fileOrganizer, reviewQueue, jobStore } = this.getServices();
+    const documents = files.map(file => ({ filename: path.basename(file), pdfBuffer: fs.readFileSync(file) }));
+    const job = await jobStore.create({ type: 'organize', options: classifierOptions, documents });
+    let results;
+    try {
+      results = await this.getResults(args, files, classifierOptions, job);
+    } catch (error) {
+      if (job) await jobStore.setStatus(job, 'failed', error.message);
+      return this.fail(error.message, EXIT_USAGE);
+    }
+    if (job) await jobStore.setResults(job, results);
+
+    // Uncertain results wait in the review queue, as they do for uploads
+    const fileMapping = Object.fromEntries(files.map(file => [path.basename(file), file]));
+    const { accepted, held } = await reviewQueue.holdForReview(results, fileMapping, {
+      taxonomy: classifierOptions.taxonomy,
+      outputDir: args.includes('--zip') ? undefined : outputDir,
+      source: 'cli',
+      jobId: job ? job.id : undefined
+    });
+
+    const organizeOptions = { taxonomy: classifierOptions.taxonomy, jobId: job ? job.id : undefined, ...output };
+    let organization;
+    let zip = null;
+    if (args.includes('--zip')) {
+      // Packaged like a download from the web interface, written into the output directory
+      const tempDir = path.join(__dirname, 'temp', 'organize', `cli_${Date.now()}`);
+      try {
+        organization = await fileOrganizer.organizeFilesForDownload(accepted, fileMapping, tempDir, organizeOptions);
+        if (organization.success) {
+          fs.mkdirSync(outputDir, { recursive: true });
+          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+          zip = await fileOrganizer.createZipArchive(organization.tempDir, path.join(outputDir, `organized_documents_${timestamp}.zip`));
+          delete organization.tempDir;
+        }
+      } catch (error) {
+        organization = { success: false, error: error.message || error.error };
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    } else {
+      organization = await fileOrganizer.organizeFilesWithNumbering(accepted, path.resolve(sourceDir), outputDir, {}, organizeOptions);
+    }
+
+    if (!organization.success) {
+      if (job) await jobStore.setStatus(job, 'failed', organization.error);
+      return this.fail(organization.error);
+    }
+    if (job) {
+      await jobStore.addRun(job, {
+        source: 'cli',
+        target: zip ? { outputDir, filename: path.basename(zip.zipPath) } : { outputDir },
+        output,
+        organization,
+        held
+      });
+    }
+
+    const failed = organization.failed.length > 0;
+    this.report({
+      success: !failed,
+      ...(job ? { jobId: job.id } : {}),
+      classification: { results },
+      organization,
+      review: { held: held.map(item => ({ id: item.id, filename: item.filename, reason: item.reason })) },
+      ...(zip ? { zip: { path: zip.zipPath, size: zip.size } } : {})
+    }, () => {
+      console.log(`\n📁 Organized ${organization.organized.length} of ${results.length} file(s) into ${zip ? zip.zipPath : path.resolve(outputDir)}`);
+      organization.organized.forEach(file => {
+        console.log(`   ${file.originalName} -> ${file.targetFolder}/${file.newName}${file.replaced ? ' (replaced earlier copy)' : ''}`);
+      });
+      organization.skipped.forEach(file => console.log(`   ⏭️  ${file.filename}: ${file.reason === 'replaced' ? `replaced by ${file.replacedBy}` : 'duplicate, skipped'}`));
+      held.forEach(item => console.log(`   🕵️  ${item.filename}: held for review (${item.reason})`));
+      organization.failed.forEach(file => console.log(`   ❌ ${file.filename}: ${file.error}`));
+      if (organization.manifest && organization.manifest.success) {
+        console.log(`\n🧾 Manifest: ${organization.manifest.filename}`);
+      }
+    });
+    if (failed) process.exitCode = EXIT_FAILURE;
+  }
+
+  async previewCommand(args) {
+    const sourceDir = args[0];
+    let files;
+    let classifierOptions;
+    let output;
+    try {
+      files = this.listPdfs(sourceDir, { directory: true });
+      classifierOptions = this.getClassifierOptions(args);
+      output = this.getOutputOptions(args);
+    } catch (error) {
+      return this.fail(error.message, EXIT_USAGE);
+    }
+
+    let results;
+    try {
+      results = await this.getResults(args, files, classifierOptions);
+    } catch (error) {
+      return this.fail(error.message, EXIT_USAGE);
+    }
+
+    // Nothing is written and no document number is reserved
+    const outputDir = this.getOption(args, '--out') || './organized_documents';
+    const preview = this.getServices().fileOrganizer.previewNames(results, {
+      taxonomy: classifierOptions.taxonomy,
+      outputDir,
+      ...output
+    });
+    if (!preview.success) {
+      return this.fail(preview.error, EXIT_USAGE);
+    }
+
+    this.report({ success: preview.failed.length === 0, classification: { results }, preview }, () => {
+      console.log(`\n👁️  Preview for ${path.resolve(outputDir)} (${preview.templates.folder}/${preview.templates.filename}):`);
+      preview.files.forEach(file => {
+        console.log(`   ${file.filename} -> ${file.path}${file.action === 'replace' ? ' (replaces earlier copy)' : ''}${file.duplicate ? ` [${file.duplicate.type} duplicate]` : ''}`);
+      });
+      preview.skipped.forEach(file => console.log(`   ⏭️  ${file.filename}: ${file.reason === 'replaced' ? `replaced by ${file.replacedBy}` : 'duplicate, left out'}`));
+      preview.failed.forEach(file => console.log(`   ❌ ${file.filename}: ${file.error}`));
+    });
+    if (preview.failed.length > 0) process.exitCode = EXIT_FAILURE;
+  }
+
+  async watermarkCommand(args) {
+    const target = args[0];
+    const outputDir = this.getOption(args, '--out');
+    const options = {
+      preset: this.getOption(args, '--preset'),
+      customText: this.getOption(args, '--text'),
+      opacity: this.getOption(args, '--opacity'),
+      fontSize: this.getOption(args, '--font-size'),
+      color: this.getOption(args, '--color'),
+      rotation: this.getOption(args, '--rotation'),
+      positionX: this.getOption(args, '--x'),
+      positionY: this.getOption(args, '--y'),
+      imageScale: this.getOption(args, '--scale'),
+      layout: this.getOption(args, '--layout'),
+      align: this.getOption(args, '--align'),
+      spacing: this.getOption(args, '--spacing'),
+      font: this.getOption(args, '--font'),
+      pages: this.getOption(args, '--pages'),
+      firstPagePreset: this.getOption(args, '--first-page-preset')
+    };
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+    // Shells pass "\n" literally; treat it as a line break so --text can span several lines
+    if (options.customText) {
+      options.customText = options.customText.replace(/\\n/g, '\n');
+    }
+    const imagePath = this.getOption(args, '--image');
+
+    let files;
+    try {
+      files = this.listPdfs(target);
+      if (imagePath) {
+        if (!fs.existsSync(imagePath)) {
+          throw new Error(`Image not found: ${imagePath}`);
+        }
+        options.image = fs.readFileSync(imagePath);
+      }
+      // --font takes a font name or a .ttf/.otf file
+      if (options.font && /\.(ttf|otf)$/i.test(options.font)) {
+        if (!fs.existsSync(options.font)) {
+          throw new Error(`Font not found: ${options.font}`);
+        }
+        options.fontFile = fs.readFileSync(options.font);
+        delete options.font;
+      }
+      const validation = this.watermarkProcessor.validateOptions(options);
+      if (!validation.isValid) {
+        throw new Error(`Invalid watermark options: ${validation.errors.join('; ')}`);
+      }
+    } catch (error) {
+      return this.fail(error.message, EXIT_USAGE);
+    }
+
+    const watermarked = [];
+    const errors = [];
+    for (const file of files) {
+      const result = await this.watermarkProcessor.addWatermark(fs.readFileSync(file), {
+        ...options,
+        variables: { filename: path.basename(file), user: this.getUser(args) }
+      });
+      if (!result.success) {
+        errors.push({ filename: path.basename(file), error: result.error });
+        continue;
+      }
+      const dir = outputDir || path.dirname(file);
+      const outputPath = path.join(dir, `${path.basename(file).replace(/\.pdf$/i, '')}_watermarked.pdf`);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(outputPath, result.buffer);
+      watermarked.push({
+        filename: path.basename(file),
+        output: outputPath,
+        originalSize: result.originalSize,
+        watermarkedSize: result.watermarkedSize,
+        pages: result.pages,
+        stampedPages: result.stampedPages
+      });
+    }
+
+    this.report({ success: errors.length === 0, files: watermarked, errors }, () => {
+      console.log(`\n🔖 Watermarked ${watermarked.length} of ${files.length} file(s):`);
+      watermarked.forEach(file => {
+        const stamped = file.stampedPages.length === file.pages ? 'all pages' : `page(s) ${file.stampedPages.join(', ') || 'none'} of ${file.pages}`;
+        console.log(`   ${file.filename} -> ${file.output} (${stamped})`);
+      });
+      errors.forEach(file => console.log(`   ❌ ${file.filename}: ${file.error}`));
+    });
+    if (errors.length > 0) process.exitCode = EXIT_FAILURE;
+  }
+
+  /**
+   * Value following an option, e.g. "--out <dir>"
+   * @param {Array} args - Command arguments
+   * @param {string} name - Option name
+   * @returns {string|undefined} Value
+   */
+  getOption(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  }
+
+  /**
+   * Classifier, organizer and stores for this process, created on first use
+   * The server and a running watcher build their own instances over the same files: numbers, duplicates and
+   * review items are updated under lock files and every job is its own file, so no process overwrites another's.
+   * @returns {Object} {taxonomies, classifier, duplicates, fileOrganizer, reviewQueue, jobStore}
+   */
+  getServices() {
+    if (!this.services) {
+      const taxonomies = new TaxonomyRegistry();
+      const duplicates = new DuplicateDetector({ pdfParser: this.parser });
+      this.services = {
+        taxonomies,
+        classifier: new DocumentClassifier({ taxonomies }),
+        duplicates,
+        fileOrganizer: new FileOrganizer({
+          taxonomies,
+          sequences: process.env.DOCUMENT_NUMBERING === 'batch' ? null : new SequenceRegistry(),
+          duplicates,
+          watermarkProcessor: this.watermarkProcessor
+        }),
+        reviewQueue: new ReviewQueue({ taxonomies }),
+        jobStore: new JobStore({ taxonomies })
+      };
+    }
+    return this.services;
+  }
+
+  /**
+   * Classifier options from --taxonomy, --provider and --model
+   * @param {Array} args - Command arguments
+   * @returns {Object} {taxonomy, provider, model} (unset ones omitted); throws for an unknown taxonomy
+   */
+  getClassifierOptions(args) {
+    const options = {
+      taxonomy: this.getServices().taxonomies.get(this.getOption(args, '--taxonomy')).id,
+      provider: this.getOption(args, '--provider'),
+      model: this.getOption(args, '--model')
+    };
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+    return options;
+  }
+
+  /**
+   * Output options from --filename-template, --folder-template, --manifest, --duplicates, --watermark and --watermark-text,
+   * validated like the server does
+   * @param {Array} args - Command arguments
+   * @returns {Object} {filenameTemplate, folderTemplate, manifestFormat, duplicateAction, watermarkPreset, watermarkText, user};
+   *                   throws for invalid values
+   */
+  getOutputOptions(args) {
+    const output = {
+      filenameTemplate: this.getOption(args, '--filename-template'),
+      folderTemplate: this.getOption(args, '--folder-template'),
+      manifestFormat: this.getOption(args, '--manifest'),
+      duplicateAction: this.getOption(args, '--duplicates'),
+      watermarkPreset: this.getOption(args, '--watermark'),
+      watermarkText: this.getOption(args, '--watermark-text')
+    };
+    const { fileOrganizer } = this.getServices();
+    if (output.filenameTemplate) new NamingTemplate(output.filenameTemplate, { type: 'filename' });
+    if (output.folderTemplate) new NamingTemplate(output.folderTemplate, { type: 'folder' });
+    if (output.manifestFormat) fileOrganizer.manifestWriter.getFormat(output.manifestFormat);
+    if (output.duplicateAction) fileOrganizer.getDuplicateAction(output.duplicateAction);
+    if (output.watermarkPreset || output.watermarkText) {
+      const validation = this.watermarkProcessor.validateOptions({ preset: output.watermarkPreset, customText: output.watermarkText });
+      if (!validation.isValid) throw new Error(`Invalid watermark options: ${validation.errors.join('; ')}`);
+      output.user = this.getUser(args);
+    }
+    return output;
+  }
+
+  /**
+   * Name for the {user} watermark variable
+   * @param {Array} args - Command arguments
+   * @returns {string} --user, WATERMARK_USER or the login name
+   */
+  getUser(args) {
+    return this.getOption(args, '--user') || process.env.WATERMARK_USER || os.userInfo().username;
+  }
+
+  /**
+   * PDF files named by a command argument
+   * @param {string} target - PDF file or directory
+   * @param {Object} options - {directory} only accept a directory
+   * @returns {Array} File paths; throws when there are none
+   */
+  listPdfs(target, options = {}) {
+    if (!target || target.startsWith('--')) {
+      throw new Error(`Please provide a ${options.directory ? 'directory' : 'PDF file or directory'}`);
+    }
+    if (!fs.existsSync(target)) {
+      throw new Error(`Not found: ${target}`);
+    }
+
+    if (!fs.statSync(target).isDirectory()) {
+      if (options.directory) throw new Error(`Not a directory: ${target}`);
+      return [target];
+    }
+    const files = fs.readdirSync(target)
+      .filter(file => path.extname(file).toLowerCase() === '.pdf')
+      .sort()
+      .map(file => path.join(target, file));
+    if (files.length === 0) {
+      throw new Error(`No PDF files found in ${target}`);
+    }
+    return files;
+  }
+
+  /**
+   * Classify PDF files and flag the ones seen before
+   * @param {Array} files - File paths
+   * @param {Object} classifierOptions - Classifier options
+   * @param {Object} job - Job the results belong to, or null
+   * @returns {Promise<Array>} Classification results, in file order
+   */
+  async classifyFiles(files, classifierOptions, job = null) {
+    const { classifier, duplicates } = this.getServices();
+    const documents = files.map(file => ({ filename: path.basename(file), pdfBuffer: fs.readFileSync(file) }));
+    const results = await classifier.classifyBatchFromBuffers(documents, {
+      ...classifierOptions,
+      concurrency: process.env.BATCH_CONCURRENCY || 2
+    });
+    await duplicates.flag(documents, results, { jobId: job ? job.id : undefined });
+    return results;
+  }
+
+  /**
+   * Classification results for organize and preview: read from --results (the output of "classify --json") or classified now
+   * @param {Array} args - Command arguments
+   * @param {Array} files - File paths
+   * @param {Object} classifierOptions - Classifier options
+   * @param {Object} job - Job the results belong to, or null
+   * @returns {Promise<Array>} Classification results; throws when --results does not cover the files
+   */
+  async getResults(args, files, classifierOptions, job = null) {
+    const resultsPath = this.getOption(args, '--results');
+    if (!resultsPath) {
+      return this.classifyFiles(files, classifierOptions, job);
+    }
+
+    const data = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    const saved = Array.isArray(data) ? data : data.results;
+    if (!Array.isArray(saved)) {
+      throw new Error(`${resultsPath} holds no classification results`);
+    }
+    const results = files.map(file => {
+      const result = saved.find(item => item && item.filename === path.basename(file));
+      if (!result) {
+        throw new Error(`${path.basename(file)} is not in ${resultsPath}`);
+      }
+      return result;
+    });
+
+    // Checked again, so the flags are current and the job's documents are indexed for later runs
+    const documents = files.map(file => ({ filename: path.basename(file), pdfBuffer: fs.readFileSync(file) }));
+    await this.getServices().duplicates.flag(documents, results, { jobId: job ? job.id : undefined });
+    return results;
+  }
+
+  /**
+   * One line describing a classification result
+   * @param {Object} result - Classification result
+   * @returns {string} Line
+   */
+  describeResult(result) {
+    if (!result.success) {
+      return `❌ ${result.filename}: ${result.error}`;
+    }
+    const duplicate = result.duplicate ? ` [${result.duplicate.type} duplicate of ${result.duplicate.matches[0].filename}]` : '';
+    return `✅ ${result.filename} -> ${result.category} (${Math.round(result.confidence * 100)}%) ${result.requester || 'N/A'}${duplicate}`;
+  }
+
+  /**
+   * Print a command's result: as JSON on stdout with --json, otherwise through the printer
+   * @param {Object} data - Result
+   * @param {Function} printer - Prints the human readable form
+   */
+  report(data, printer) {
+    if (this.json) {
+      process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    } else {
+      printer();
+    }
+  }
+
+  /**
+   * Report a failed command and set the exit code
+   * @param {string} message - Error message
+   * @param {number} code - Exit code (EXIT_FAILURE or EXIT_USAGE)
+   */
+  fail(message, code = EXIT_FAILURE) {
+    if (this.json) {
+      process.stdout.write(JSON.stringify({ success: false, error: message }, null, 2) + '\n');
+    } else {
+      console.error('❌', message);
+    }
+    process.exitCode = code;
+  }
+
+  async watchCommand(args) {
+    const dir = args[0];
+    let watcher;
+    try {
+      if (!dir || dir.startsWith('--')) {
+        throw new Error('Please provide the folder to watch');
+      }
+      if (!fs.existsSync(dir)) {
+        throw new Error(`Directory not found: ${dir}`);
+      }
+
+      const interval = this.getOption(args, '--interval');
+      const { classifier, fileOrganizer, duplicates, reviewQueue, jobStore } = this.getServices();
+      watcher = new FolderWatcher({
+        dir,
+        outputDir: this.getOption(args, '--out'),
+        archiveDir: this.getOption(args, '--archive'),
+        errorDir: this.getOption(args, '--errors'),
+        interval: interval !== undefined ? parseFloat(interval) * 1000 : undefined,
+        classifierOptions: this.getClassifierOptions(args),
+        output: this.getOutputOptions(args),
+        classifier,
+        fileOrganizer,
+        duplicates,
+        reviewQueue,
+        jobStore
+      });
+    } catch (error) {
+      return this.fail(error.message, EXIT_USAGE);
+    }
+
+    if (args.includes('--once')) {
+      let totals;
+      try {
+        totals = await watcher.runOnce();
+      } catch (error) {
+        return this.fail(error.message);
+      }
+      this.report({ success: totals.failed === 0, ...totals }, () => {
+        console.log(`\n✅ ${totals.archived} archived, ${totals.held} held for review, ${totals.failed} failed`);
+      });
+      if (totals.failed > 0) process.exitCode = EXIT_FAILURE;
+      return;
+    }
+
+    // Ctrl+C or a service stop lets the current batch finish, so no file is left half processed
+    const stop = signal => {
+      console.log(`\n⏹️  ${signal} received, stopping after the current batch...`);
+      watcher.stop();
+    };
+    process.once('SIGINT', () => stop('SIGINT'));
+    process.once('SIGTERM', () => stop('SIGTERM'));
+
+    console.log(`\n👀 Watching ${path.resolve(dir)} every ${watcher.interval / 1000}s (Ctrl+C to stop)`);
+    try {
+      await watcher.start();
+    } catch (error) {
+      this.fail(error.message);
+    }
+  }
+
   async saveToFile(result, originalPath) {
     const outputPath = originalPath.replace('.pdf', '_extracted.txt');
     
@@ -199,23 +947,86 @@ Usage:
   node index.js <pdf-file>              Parse a single PDF file
   node index.js parse <pdf-file>        Parse a single PDF file
   node index.js batch <directory>       Parse all PDFs in directory
+  node index.js tables <pdf-file>       Extract tables, one CSV file per table
+  node index.js train <labels.csv> <dir> Train the offline classifier from labelled PDFs
+  node index.js evaluate --dir <dir>    Measure classification accuracy against labelled PDFs
+  node index.js classify <file|dir>     Classify PDFs
+  node index.js preview <dir>           Show the names and folders organize would use, without writing files
+  node index.js organize <dir> --out <dir> Classify and organize PDFs into numbered category folders
+  node index.js watermark <file|dir>    Watermark PDFs (<name>_watermarked.pdf)
+  node index.js watch <dir>             Classify and organize PDFs dropped into a folder
   node index.js help                    Show this help
 
 Options:
   --save, -s                           Save extracted text to file
   --full, -f                           Show full extracted text
+  --out <path>                         Output directory (tables, evaluate, organize, preview, watermark, watch), or model file for train
+  --json                               Print the result as JSON (classify, organize, preview, watermark, watch --once);
+                                       save tables as JSON (tables)
+  --ocr <engine>                       OCR scanned PDFs while training (e.g. tesseract)
+  --taxonomy <name>                    Category taxonomy (lib/taxonomies.json)
+  --labels <csv>                       Labels for evaluate (default data/labels.csv)
+  --provider <name>                    Classifier provider (e.g. local, openai, mock)
+  --model <name>                       Model override
+  --zip                                Write the organized folders as a ZIP into --out (organize)
+  --results <json>                     Use the output of "classify --json" instead of classifying again (organize, preview)
+  --filename-template, --folder-template <template>  Output naming (organize, preview, watch)
+  --manifest <csv|json|xlsx>           Manifest format (organize, watch)
+  --duplicates <keep|skip|replace>     What to do with duplicates (organize, preview, watch)
+  --preset <name>                      Watermark preset: confidential, draft, approved, copy, sample, uncontrolled or a saved one
+  --text, --opacity, --font-size, --color, --rotation, --x, --y  Watermark overrides (--x/--y in % of the page)
+  --image <png|jpg|svg>                Stamp an image (e.g. a logo) instead of the text (watermark)
+  --scale <0.01-1>                     Image width as a share of the page width (default 0.25)
+  --layout <single|tile|header|footer> Watermark layout (default single); "\\n" in --text starts a new line
+  --align <left|center|right>          Alignment of the lines and of header/footer bands (default center)
+  --spacing <points>                   Gap between repeated watermarks in the tile layout (default 60)
+  --font <name|file.ttf|file.otf>      Watermark font: Helvetica-Bold, DejaVuSans-Bold (Unicode), a font saved on the server,
+                                       or a font file (default Helvetica-Bold, DejaVuSans-Bold when the text needs it)
+  --watermark <preset>, --watermark-text <text>  Stamp every organized copy (organize, watch); the text may use
+                                       {documentNumber} {requester} {category} {filename} {page} {pageCount} {date} {user}
+  --pages <selection>                  Pages to watermark: 1, 1-3,7, 4-last, first, last, odd, even, "all except first" (default all)
+  --first-page-preset <name>           Preset for the first page; the other selected pages get --preset/--text (watermark)
+  --user <name>                        Value of {user} in watermark texts (default WATERMARK_USER or the login name)
+  --archive <dir>                      Processed originals for watch (default <dir>/archive)
+  --errors <dir>                       Failed originals for watch (default <dir>/error)
+  --interval <seconds>                 Seconds between folder scans for watch (default 5)
+  --once                               Process the files in the folder and exit (watch command)
 
 Examples:
   node index.js document.pdf
   node index.js parse document.pdf --save
   node index.js batch ./pdfs/
+  node index.js tables invoice.pdf --out ./tables
+  node index.js train data/labels.csv ./scans --ocr tesseract
+  node index.js evaluate --labels data/labels.csv --dir ./scans --provider local
+  node index.js classify ./scans --json > results.json
+  node index.js preview ./scans --results results.json
+  node index.js organize ./scans --out ./organized_documents --results results.json
+  node index.js organize ./scans --out ./exports --zip
+  node index.js watermark ./contracts --preset confidential --out ./watermarked
+  node index.js watermark released.pdf --image logo.svg --scale 0.2 --x 95 --y 3 --opacity 0.8
+  node index.js watermark ./contracts --text "COPY {filename} - page {page}/{pageCount}" --out ./copies
+  node index.js watermark draft.pdf --text "DRAFT\\nNot for release" --layout tile --spacing 80 --font-size 24
+  node index.js watermark released.pdf --text "Released {date} by {user}" --layout footer --align right --rotation 0
+  node index.js watermark letter.pdf --text "Salinan untuk Đặng Thị Hương" --font NotoSans-Bold.ttf
+  node index.js watermark ./contracts --preset copy --first-page-preset confidential --pages "all except last"
+  node index.js organize ./scans --out ./exports --watermark copy --watermark-text "COPY {documentNumber} - {requester}"
+  node index.js watch /mnt/scanner --out ./organized_documents
   node index.js document.pdf --full --save
 
+Exit codes:
+  0 success, 1 a file or the run failed, 2 invalid arguments
+
 Features:
   ✅ Extract text from PDF files
   ✅ Display document metadata
   ✅ Show text statistics
   ✅ Batch processing
+  ✅ Table extraction to CSV/JSON
+  ✅ Offline classifier training
+  ✅ Classification accuracy reports
+  ✅ Classification, organizing and watermarking
+  ✅ Watched-folder ingestion
   ✅ Save results to file
   ✅ Error handling
 `);
@@ -225,7 +1036,10 @@ Features:
 // Run CLI if this file is executed directly
 if (require.main === module) {
   const cli = new PDFParserCLI();
-  cli.run().catch(console.error);
+  cli.run().catch(error => {
+    console.error(error);
+    process.exitCode = EXIT_FAILURE;
+  });
 }
 
 module.exports = PDFParserCLI;
\ No newline at end of file
@@ -0,0 +1,64 @@
+class Calendar {
+  /**
+   * Calendar dates in one time zone, shared by sequence periods, naming templates and watermark dates
+   * so a document numbered just after midnight lands in the same day, month and year everywhere.
+   * @param {Object} options - {timeZone} IANA name such as "Asia/Jakarta" (SEQUENCE_TIMEZONE, default the server's local zone)
+   */
+  constructor(options = {}) {
+    const timeZone = options.timeZone || process.env.SEQUENCE_TIMEZONE || undefined;
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+      });
+    } catch (error) {
+      throw new Error(`Invalid time zone "${timeZone}". Use an IANA name such as Asia/Jakarta`);
+    }
+    this.timeZone = this.formatter.resolvedOptions().timeZone;
+  }
+
+  /**
+   * Calendar fields of a moment in this time zone
+   * @param {Date} date - Date
+   * @returns {Object} {year, month, day, hour, minute, second} as zero-padded strings
+   */
+  getParts(date) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+      year: parts.year.padStart(4, '0'),
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      second: parts.second
+    };
+  }
+
+  /**
+   * Format a date
+   * @param {Date} date - Date
+   * @param {string} format - Pattern with YYYY, YY, MM, DD, HH, mm, ss
+   * @returns {string} Formatted date
+   */
+  format(date, format) {
+    const parts = this.getParts(date);
+    const tokens = {
+      YYYY: parts.year,
+      YY: parts.year.slice(-2),
+      MM: parts.month,
+      DD: parts.day,
+      HH: parts.hour,
+      mm: parts.minute,
+      ss: parts.second
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+  }
+}
+
+module.exports = Calendar;
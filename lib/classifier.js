@@ -1,44 +1,246 @@
-const OpenAI = require('openai');
+const { OpenAIProvider, AzureOpenAIProvider, OpenAICompatibleProvider, MockProvider } = require('./llmProviders');
+const FieldExtractor = require('./fieldExtractor');
+const LocalClassifier = require('./localClassifier');
+const { TaxonomyRegistry } = require('./taxonomy');
 
 class DocumentClassifier {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    // Document categories mapping
-    this.categories = {
-      'BA_HALO': 'Kartu Halo',
-      'BA_KKB': 'Berita Kehilangan', 
-      'BASTB': 'Serah Terima Barang',
-      'CHR': 'Checklist Reimbursement HP',
-      'COF': 'COF Scan',
-      'LOF': 'ICT Loan Form',
-      'OOPR': 'Out of Policy Request',
-      'SRF': 'SRF Scan',
-      'DO': 'Skip'
+  constructor(options = {}) {
+    // A registered LLM provider name, or 'local' for the offline model trained with "node index.js train"
+    this.provider = options.provider || process.env.CLASSIFIER_PROVIDER || 'openai';
+    this.localOcrMethod = options.localOcrMethod || process.env.LOCAL_OCR_METHOD;
+
+    // LLM provider registry - clients are created on first use, so no key is needed up front
+    this.llmProviders = {};
+    this.registerProvider(new OpenAIProvider());
+    this.registerProvider(new AzureOpenAIProvider());
+    this.registerProvider(new OpenAICompatibleProvider());
+    this.registerProvider(new MockProvider());
+
+    // Generation settings (model names come from the provider unless overridden per request)
+    this.llmConfig = {
+      temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.1'),
+      maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '100', 10),
+      extractionMaxTokens: parseInt(process.env.LLM_EXTRACTION_MAX_TOKENS || '1000', 10),
+      // JSON-schema constrained responses for providers that support them; the line format otherwise
+      structuredOutput: process.env.LLM_STRUCTURED_OUTPUT !== 'false',
+      structuredMaxTokens: parseInt(process.env.LLM_STRUCTURED_MAX_TOKENS || '600', 10),
+      ...options.llm
     };
     
-    this.categoryDescriptions = {
-      'BA_HALO': 'Kartu Halo (SIM card related documents)',
-      'BA_KKB': 'Berita Kehilangan (Loss/missing item reports)',
-      'BASTB': 'Serah Terima Barang (Goods handover/delivery documents)',
-      'CHR': 'Checklist Reimbursement HP (Phone reimbursement checklists)',
-      'COF': 'COF Scan (Checkout Form documents)',
-      'LOF': 'ICT Loan Form (ICT equipment loan forms)',
-      'OOPR': 'Out of Policy Request (Exception/special requests)',
-      'SRF': 'SRF Scan (Service Request Forms)',
-      'DO': 'Skip (Delivery orders - mark as skip)'
+    // Category taxonomies (lib/taxonomies.json); options.taxonomy on a call overrides the default
+    this.taxonomies = options.taxonomies || new TaxonomyRegistry();
+    this.taxonomy = this.taxonomies.get(options.taxonomy);
+    this.categories = this.taxonomy.getCategoryNames();
+    this.categoryDescriptions = this.taxonomy.getDescriptions();
+
+    // Per-category field extraction (schemas referenced by the taxonomy)
+    this.fieldExtractor = new FieldExtractor({ schemas: this.taxonomy.fieldSchemas });
+    this.fieldExtractors = { [this.taxonomy.id]: this.fieldExtractor };
+    this.extractFields = process.env.EXTRACT_FIELDS !== 'false';
+
+    // Offline models, one per taxonomy
+    this.localClassifier = new LocalClassifier({
+      taxonomy: this.taxonomy,
+      modelPath: options.localModelPath || process.env.LOCAL_MODEL_PATH
+    });
+    this.localClassifiers = { [this.taxonomy.id]: this.localClassifier };
+  }
+
+  /**
+   * Resolve the taxonomy for a call
+   * @param {Object} options - {taxonomy} name (defaults to the classifier's taxonomy)
+   * @returns {Taxonomy} Taxonomy
+   */
+  getTaxonomy(options = {}) {
+    return options.taxonomy ? this.taxonomies.get(options.taxonomy) : this.taxonomy;
+  }
+
+  /**
+   * Get the field extractor for a taxonomy's schemas
+   * @param {Taxonomy} taxonomy - Taxonomy (defaults to the classifier's taxonomy)
+   * @returns {FieldExtractor} Field extractor sharing the classifier's PDF parser
+   */
+  getFieldExtractor(taxonomy = this.taxonomy) {
+    if (!this.fieldExtractors[taxonomy.id]) {
+      this.fieldExtractors[taxonomy.id] = new FieldExtractor({
+        schemas: taxonomy.fieldSchemas,
+        pdfParser: this.fieldExtractor.pdfParser
+      });
+    }
+    return this.fieldExtractors[taxonomy.id];
+  }
+
+  /**
+   * Get the offline classifier for a taxonomy
+   * @param {Taxonomy} taxonomy - Taxonomy (defaults to the classifier's taxonomy)
+   * @returns {LocalClassifier} Local classifier
+   */
+  getLocalClassifier(taxonomy = this.taxonomy) {
+    if (!this.localClassifiers[taxonomy.id]) {
+      this.localClassifiers[taxonomy.id] = new LocalClassifier({ taxonomy });
+    }
+    return this.localClassifiers[taxonomy.id];
+  }
+
+  /**
+   * Build the result returned when a document could not be classified
+   * @param {string} filename - The original filename
+   * @param {Error} error - Cause
+   * @param {Object} options - {taxonomy} selects the fallback category
+   * @returns {Object} Failed classification result in the taxonomy's fallback category
+   *   (with validationErrors and rawResponse when the model answered but the answer was unusable)
+   */
+  buildFallbackResult(filename, error, options = {}) {
+    const taxonomy = this.taxonomies.has(options.taxonomy) ? this.taxonomies.get(options.taxonomy) : this.taxonomy;
+    const fallback = taxonomy.getCategory(taxonomy.fallbackCategory);
+    return {
+      success: false,
+      error: error.message,
+      category: fallback.code,
+      categoryName: fallback.name,
+      requester: 'N/A',
+      confidence: 0.1,
+      filename: filename,
+      taxonomy: taxonomy.id,
+      ...(error.validationErrors ? { validationErrors: error.validationErrors, rawResponse: error.rawResponse } : {})
+    };
+  }
+
+  /**
+   * Register an LLM provider (replaces a provider with the same name)
+   * @param {Object} provider - Provider with name, supportsPdfInput, isAvailable() and generate(request)
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.generate !== 'function') {
+      throw new Error('LLM provider must have a name and a generate(request) method');
+    }
+    this.llmProviders[provider.name] = provider;
+  }
+
+  /**
+   * Get registered LLM provider names
+   * @returns {Array<string>} Provider names
+   */
+  getProviderNames() {
+    return Object.keys(this.llmProviders);
+  }
+
+  /**
+   * Look up an LLM provider by name
+   * @param {string} name - Provider name (defaults to the configured provider)
+   * @returns {Object} Provider
+   */
+  getProvider(name) {
+    const providerName = name || this.provider;
+    const provider = this.llmProviders[providerName];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${providerName}". Available: ${this.getProviderNames().join(', ')}, local`);
+    }
+    return provider;
+  }
+
+  /**
+   * Resolve generation settings for one request
+   * @param {Object} options - Per-request {model, temperature, maxTokens}
+   * @returns {Object} {model, temperature, maxTokens}
+   */
+  getGenerationOptions(options = {}) {
+    const temperature = options.temperature !== undefined && options.temperature !== ''
+      ? parseFloat(options.temperature)
+      : this.llmConfig.temperature;
+    const maxTokens = options.maxTokens ? parseInt(options.maxTokens, 10) : this.llmConfig.maxTokens;
+
+    return {
+      model: options.model || this.llmConfig.model,
+      temperature: Number.isNaN(temperature) ? this.llmConfig.temperature : temperature,
+      maxTokens: Number.isNaN(maxTokens) ? this.llmConfig.maxTokens : maxTokens
     };
   }
 
   /**
-   * Classify a document using direct PDF processing with OpenAI Responses API (Base64)
+   * Check whether classification requests to a provider use a JSON response schema
+   * @param {Object} provider - LLM provider
+   * @param {Object} options - Per-request {model}
+   * @param {boolean} pdfInput - True when the PDF itself is sent (the provider's PDF model answers)
+   * @returns {boolean} True when structured output is enabled and the provider supports it for the model
+   */
+  useStructuredOutput(provider, options = {}, pdfInput = false) {
+    if (!this.llmConfig.structuredOutput || !provider.supportsStructuredOutput) return false;
+    if (!provider.supportsResponseSchema) return true;
+    const model = this.getGenerationOptions(options).model || provider.models[pdfInput ? 'pdf' : 'text'];
+    return provider.supportsResponseSchema(model);
+  }
+
+  /**
+   * Generation settings for a classification request, with the response schema in structured mode
+   * @param {Object} provider - LLM provider
+   * @param {Taxonomy} taxonomy - Taxonomy whose codes form the category enum
+   * @param {Object} options - Per-request {model, temperature, maxTokens}
+   * @param {boolean} structured - Result of useStructuredOutput() for the request
+   * @returns {Object} {model, temperature, maxTokens, responseSchema?}
+   */
+  getClassificationRequestOptions(provider, taxonomy, options = {}, structured = false) {
+    if (!structured) {
+      return this.getGenerationOptions(options);
+    }
+    return {
+      // Reasoning and fields need more room than the three-line format
+      ...this.getGenerationOptions({ ...options, maxTokens: options.maxTokens || this.llmConfig.structuredMaxTokens }),
+      responseSchema: { name: 'document_classification', schema: this.buildClassificationSchema(taxonomy) }
+    };
+  }
+
+  /**
+   * JSON schema for structured classification responses
+   * Strict mode needs every property required, so fields are a list of {name, value, confidence}.
+   * @param {Taxonomy} taxonomy - Taxonomy whose codes form the category enum
+   * @returns {Object} JSON schema
+   */
+  buildClassificationSchema(taxonomy = this.taxonomy) {
+    return {
+      type: 'object',
+      properties: {
+        category: { type: 'string', enum: taxonomy.getCodes(), description: 'Category code' },
+        requester: { type: 'string', description: 'Requester name, or N/A' },
+        confidence: { type: 'number', description: 'Confidence between 0.1 and 1.0' },
+        reasoning: { type: 'string', description: 'Short reason for the chosen category' },
+        fields: {
+          type: 'array',
+          description: 'Fields of the chosen category found in the document',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              value: { type: ['string', 'null'] },
+              confidence: { type: 'number' }
+            },
+            required: ['name', 'value', 'confidence'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['category', 'requester', 'confidence', 'reasoning', 'fields'],
+      additionalProperties: false
+    };
+  }
+
+  /**
+   * System prompt for text classification
+   * @returns {string} System prompt
+   */
+  getSystemPrompt() {
+    return 'You are an expert document classifier for Indonesian business documents. Analyze the provided text and classify it into one of the predefined categories. Respond only with the category code and confidence score in the exact format requested.';
+  }
+
+  /**
+   * Classify a document by sending the PDF (or its text, for text-only providers) to the LLM provider
    * @param {Buffer} pdfBuffer - PDF buffer data
    * @param {string} filename - The original filename (optional)
+   * @param {Object} options - {taxonomy, provider, model, temperature, maxTokens} override the defaults for this call;
+   *   {extractFields: false} skips field extraction
    * @returns {Promise<Object>} Classification result with category and confidence
    */
-  async classifyDocumentFromBuffer(pdfBuffer, filename = '') {
+  async classifyDocumentFromBuffer(pdfBuffer, filename = '', options = {}) {
     try {
       console.log('🔍 [CLASSIFIER] Starting classification process...');
       console.log(`📄 [CLASSIFIER] Filename: ${filename}`);
@@ -49,53 +251,59 @@ class DocumentClassifier {
         throw new Error('No PDF buffer provided for classification');
       }
 
-      console.log('🔄 [CLASSIFIER] Converting PDF buffer to base64...');
-      
-      // Convert PDF buffer to base64 string
-      const base64String = pdfBuffer.toString('base64');
-      console.log(`✅ [CLASSIFIER] Base64 conversion completed. Length: ${base64String.length} characters`);
-      
+      const taxonomy = this.getTaxonomy(options);
+      if ((options.provider || this.provider) === 'local') {
+        return await this.classifyLocally(pdfBuffer, filename, options);
+      }
+
+      const provider = this.getProvider(options.provider);
+      const structured = this.useStructuredOutput(provider, options, provider.supportsPdfInput);
+
       console.log('📝 [CLASSIFIER] Building classification prompt...');
-      const prompt = this.buildClassificationPrompt('', filename);
+      let prompt;
+      let pdf;
+      if (provider.supportsPdfInput) {
+        prompt = this.buildClassificationPrompt('', filename, taxonomy, structured);
+        pdf = { buffer: pdfBuffer, filename };
+      } else {
+        // Text-only providers get the extracted (or OCR'd) text instead of the PDF
+        console.log(`📄 [CLASSIFIER] ${provider.name} has no PDF input, extracting text...`);
+        const extraction = await this.fieldExtractor.pdfParser.extractText(pdfBuffer, { ocrMethod: this.localOcrMethod });
+        if (!extraction.text || extraction.text.trim().length === 0) {
+          throw new Error(`No text to send to ${provider.name} (scanned document without OCR; set LOCAL_OCR_METHOD)`);
+        }
+        prompt = this.buildClassificationPrompt(extraction.text, filename, taxonomy, structured);
+      }
       console.log(`✅ [CLASSIFIER] Prompt built. Length: ${prompt.length} characters`);
-      
-      console.log('🤖 [CLASSIFIER] Sending request to OpenAI Responses API...');
-      console.log(`🎯 [CLASSIFIER] Model: gpt-4.1`);
-      console.log(`📋 [CLASSIFIER] Input type: PDF base64 + text prompt`);
-      
-      // Use Responses API for direct PDF processing with base64
-      const response = await this.openai.responses.create({
-        model: 'gpt-4.1',
-        input: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'input_file',
-                filename: filename,
-                file_data: `data:application/pdf;base64,${base64String}`,
-              },
-              {
-                type: 'input_text',
-                text: prompt,
-              },
-            ],
-          },
-        ],
+
+      console.log(`🤖 [CLASSIFIER] Sending request to ${provider.name}...`);
+      console.log(`📋 [CLASSIFIER] Input type: ${pdf ? 'PDF base64 + text prompt' : 'extracted text prompt'}, response: ${structured ? 'JSON schema' : 'text'}`);
+
+      const response = await provider.generate({
+        prompt,
+        system: pdf ? undefined : this.getSystemPrompt(),
+        pdf,
+        ...this.getClassificationRequestOptions(provider, taxonomy, options, structured)
       });
 
-      console.log('📥 [CLASSIFIER] Received response from OpenAI');
-      console.log(`📄 [CLASSIFIER] Response output_text:`, response.output_text);
-      console.log(`🔧 [CLASSIFIER] Full response object:`, JSON.stringify(response, null, 2));
+      console.log(`📥 [CLASSIFIER] Received response from ${provider.name} (${response.model})`);
+      console.log(`📄 [CLASSIFIER] Response text:`, response.text);
 
       console.log('🔍 [CLASSIFIER] Parsing classification response...');
-      const result = this.parseClassificationResponse(response.output_text);
+      const { modelFields, ...result } = this.parseModelResponse(response.text, taxonomy, structured);
       console.log(`✅ [CLASSIFIER] Parsed result:`, JSON.stringify(result, null, 2));
       
       // Add category name and description
-      result.categoryName = this.categories[result.category] || 'Unknown';
-      result.categoryDescription = this.categoryDescriptions[result.category] || 'Unknown category';
+      this.describeCategory(result, taxonomy);
       result.filename = filename;
+      result.provider = provider.name;
+      result.model = response.model;
+
+      if (this.extractFields && options.extractFields !== false) {
+        console.log(`🧾 [CLASSIFIER] Extracting ${result.category} fields...`);
+        const extraction = await this.extractDocumentFields(pdfBuffer, result.category, filename, { ...options, provider: provider.name, modelFields });
+        this.applyFieldExtraction(result, extraction, taxonomy);
+      }
       
       console.log(`🎉 [CLASSIFIER] Classification completed successfully for ${filename}`);
       console.log(`📊 [CLASSIFIER] Final result: ${result.category} (${result.confidence}) - ${result.categoryName}`);
@@ -111,15 +319,7 @@ class DocumentClassifier {
       console.error('📍 [CLASSIFIER] Error stack:', error.stack);
       console.error('🔧 [CLASSIFIER] Error details:', JSON.stringify(error, null, 2));
       
-      const fallbackResult = {
-        success: false,
-        error: error.message,
-        category: 'OOPR', // Default to Out of Policy Request
-        categoryName: 'Out of Policy Request',
-        requester: 'N/A',
-        confidence: 0.1,
-        filename: filename
-      };
+      const fallbackResult = this.buildFallbackResult(filename, error, options);
       
       console.log('🔄 [CLASSIFIER] Returning fallback result:', JSON.stringify(fallbackResult, null, 2));
       return fallbackResult;
@@ -127,12 +327,13 @@ class DocumentClassifier {
   }
 
   /**
-   * Classify a document using direct PDF processing with OpenAI Responses API (File Path - Updated for Base64)
+   * Classify a PDF file (reads it and delegates to classifyDocumentFromBuffer)
    * @param {string} pdfPath - Path to the PDF file
    * @param {string} filename - The original filename (optional)
+   * @param {Object} options - {taxonomy, provider, model, temperature, maxTokens} override the defaults for this call
    * @returns {Promise<Object>} Classification result with category and confidence
    */
-  async classifyDocumentFromPDF(pdfPath, filename = '') {
+  async classifyDocumentFromPDF(pdfPath, filename = '', options = {}) {
     try {
       if (!pdfPath) {
         throw new Error('No PDF path provided for classification');
@@ -143,19 +344,11 @@ class DocumentClassifier {
       const pdfBuffer = fs.readFileSync(pdfPath);
       
       // Use the new buffer-based method
-      return await this.classifyDocumentFromBuffer(pdfBuffer, filename);
+      return await this.classifyDocumentFromBuffer(pdfBuffer, filename, options);
 
     } catch (error) {
       console.error('Classification error:', error);
-      return {
-        success: false,
-        error: error.message,
-        category: 'OOPR', // Default to Out of Policy Request
-        categoryName: 'Out of Policy Request',
-        requester: 'N/A',
-        confidence: 0.1,
-        filename: filename
-      };
+      return this.buildFallbackResult(filename, error, options);
     }
   }
 
@@ -163,38 +356,42 @@ class DocumentClassifier {
    * Classify a document based on its extracted text (fallback method)
    * @param {string} text - The extracted text from the PDF
    * @param {string} filename - The original filename (optional)
+   * @param {Object} options - {taxonomy, provider, model, temperature, maxTokens} override the defaults for this call
    * @returns {Promise<Object>} Classification result with category and confidence
    */
-  async classifyDocument(text, filename = '') {
+  async classifyDocument(text, filename = '', options = {}) {
     try {
       if (!text || text.trim().length === 0) {
         throw new Error('No text provided for classification');
       }
 
-      const prompt = this.buildClassificationPrompt(text, filename);
+      const taxonomy = this.getTaxonomy(options);
+      const provider = this.getProvider(options.provider);
+      const structured = this.useStructuredOutput(provider, options, false);
+      const prompt = this.buildClassificationPrompt(text, filename, taxonomy, structured);
       
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert document classifier for Indonesian business documents. Analyze the provided text and classify it into one of the predefined categories. Respond only with the category code and confidence score in the exact format requested.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 100
+      const response = await provider.generate({
+        prompt,
+        system: this.getSystemPrompt(),
+        ...this.getClassificationRequestOptions(provider, taxonomy, options, structured)
       });
 
-      const result = this.parseClassificationResponse(response.choices[0].message.content);
+      const { modelFields, ...result } = this.parseModelResponse(response.text, taxonomy, structured);
+      result.provider = provider.name;
+      result.model = response.model;
       
       // Add category name and description
-      result.categoryName = this.categories[result.category] || 'Unknown';
-      result.categoryDescription = this.categoryDescriptions[result.category] || 'Unknown category';
+      this.describeCategory(result, taxonomy);
       result.filename = filename;
+
+      if (this.extractFields && options.extractFields !== false) {
+        const fieldExtractor = this.getFieldExtractor(taxonomy);
+        let extraction = fieldExtractor.extract(result.category, { pages: [{ text }] });
+        if (modelFields && extraction.missingRequired.length > 0) {
+          extraction = fieldExtractor.mergeModelFields(extraction, modelFields);
+        }
+        this.applyFieldExtraction(result, extraction, taxonomy);
+      }
       
       return {
         success: true,
@@ -203,76 +400,73 @@ class DocumentClassifier {
 
     } catch (error) {
       console.error('Classification error:', error);
-      return {
-        success: false,
-        error: error.message,
-        category: 'OOPR', // Default to Out of Policy Request
-        categoryName: 'Out of Policy Request',
-        requester: 'N/A',
-        confidence: 0.1,
-        filename: filename
-      };
+      return this.buildFallbackResult(filename, error, options);
     }
   }
 
   /**
    * Classify multiple documents in batch using direct PDF processing with buffers
    * @param {Array} documents - Array of {pdfBuffer, filename} objects
-   * @returns {Promise<Array>} Array of classification results
+   * @param {Object} options - {taxonomy, provider, model, temperature, maxTokens} override the defaults,
+   *                           {concurrency} documents classified in parallel (default 1),
+   *                           {onProgress} called with {filename, status: 'processing'|'done', result}
+   * @returns {Promise<Array>} Array of classification results, in input order
    */
-  async classifyBatchFromBuffers(documents) {
-    const results = [];
-    
-    for (const doc of documents) {
-      try {
-        const result = await this.classifyDocumentFromBuffer(doc.pdfBuffer, doc.filename);
-        results.push(result);
-        
-        // Add small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
-      } catch (error) {
-        console.error(`Error classifying ${doc.filename}:`, error);
-        results.push({
-          success: false,
-          error: error.message,
-          category: 'OOPR',
-          categoryName: 'Out of Policy Request',
-          requester: 'N/A',
-          confidence: 0.1,
-          filename: doc.filename
-        });
+  async classifyBatchFromBuffers(documents, options = {}) {
+    const { concurrency = 1, onProgress, ...classifyOptions } = options;
+    const results = new Array(documents.length);
+    const report = event => {
+      if (onProgress) onProgress(event);
+    };
+    let nextIndex = 0;
+
+    // Each worker takes the next unclassified document until none are left
+    const worker = async () => {
+      while (nextIndex < documents.length) {
+        const index = nextIndex++;
+        const doc = documents[index];
+        report({ filename: doc.filename, status: 'processing' });
+        try {
+          results[index] = await this.classifyDocumentFromBuffer(doc.pdfBuffer, doc.filename, classifyOptions);
+          
+          // Add small delay to avoid rate limiting (not needed offline or with the mock provider)
+          if (!['local', 'mock'].includes(classifyOptions.provider || this.provider)) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+          }
+        } catch (error) {
+          console.error(`Error classifying ${doc.filename}:`, error);
+          results[index] = this.buildFallbackResult(doc.filename, error, classifyOptions);
+        }
+        report({ filename: doc.filename, status: 'done', result: results[index] });
       }
-    }
-    
+    };
+
+    const workers = Math.max(1, Math.min(parseInt(concurrency) || 1, documents.length));
+    await Promise.all(Array.from({ length: workers }, worker));
     return results;
   }
 
   /**
    * Classify multiple documents in batch using direct PDF processing
    * @param {Array} documents - Array of {pdfPath, filename} objects
+   * @param {Object} options - {taxonomy, provider, model, temperature, maxTokens} override the defaults
    * @returns {Promise<Array>} Array of classification results
    */
-  async classifyBatchFromPDF(documents) {
+  async classifyBatchFromPDF(documents, options = {}) {
     const results = [];
     
     for (const doc of documents) {
       try {
-        const result = await this.classifyDocumentFromPDF(doc.pdfPath, doc.filename);
+        const result = await this.classifyDocumentFromPDF(doc.pdfPath, doc.filename, options);
         results.push(result);
         
-        // Add small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
+        // Add small delay to avoid rate limiting (not needed offline or with the mock provider)
+        if (!['local', 'mock'].includes(options.provider || this.provider)) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
       } catch (error) {
         console.error(`Error classifying ${doc.filename}:`, error);
-        results.push({
-          success: false,
-          error: error.message,
-          category: 'OOPR',
-          categoryName: 'Out of Policy Request',
-          requester: 'N/A',
-          confidence: 0.1,
-          filename: doc.filename
-        });
+        results.push(this.buildFallbackResult(doc.filename, error, options));
       }
     }
     
@@ -282,79 +476,223 @@ class DocumentClassifier {
   /**
    * Classify multiple documents in batch (fallback method using extracted text)
    * @param {Array} documents - Array of {text, filename} objects
+   * @param {Object} options - {taxonomy, provider, model, temperature, maxTokens} override the defaults
    * @returns {Promise<Array>} Array of classification results
    */
-  async classifyBatch(documents) {
+  async classifyBatch(documents, options = {}) {
     const results = [];
     
     for (const doc of documents) {
       try {
-        const result = await this.classifyDocument(doc.text, doc.filename);
+        const result = await this.classifyDocument(doc.text, doc.filename, options);
         results.push(result);
         
         // Add small delay to avoid rate limiting
         await new Promise(resolve => setTimeout(resolve, 100));
       } catch (error) {
         console.error(`Error classifying ${doc.filename}:`, error);
-        results.push({
-          success: false,
-          error: error.message,
-          category: 'OOPR',
-          categoryName: 'Out of Policy Request',
-          requester: 'N/A',
-          confidence: 0.1,
-          filename: doc.filename
-        });
+        results.push(this.buildFallbackResult(doc.filename, error, options));
       }
     }
     
     return results;
   }
 
+  /**
+   * Classify a document offline with the local TF-IDF model
+   * @param {Buffer} pdfBuffer - PDF buffer data
+   * @param {string} filename - The original filename (optional)
+   * @param {Object} options - {taxonomy} selects the taxonomy's model
+   * @returns {Promise<Object>} Classification result with category, confidence and per-category scores
+   */
+  async classifyLocally(pdfBuffer, filename = '', options = {}) {
+    console.log(`🏠 [CLASSIFIER] Classifying ${filename} with the local model...`);
+
+    const taxonomy = this.getTaxonomy(options);
+    const extraction = await this.fieldExtractor.pdfParser.extractText(pdfBuffer, { ocrMethod: this.localOcrMethod });
+    const prediction = this.getLocalClassifier(taxonomy).predict(extraction.text);
+    if (!prediction.category) {
+      throw new Error('No text to classify locally (scanned document without OCR; set LOCAL_OCR_METHOD)');
+    }
+
+    const result = {
+      category: taxonomy.getCategory(prediction.category) ? prediction.category : taxonomy.fallbackCategory,
+      requester: 'N/A',
+      confidence: prediction.confidence,
+      scores: prediction.scores,
+      provider: 'local'
+    };
+    this.describeCategory(result, taxonomy);
+    result.filename = filename;
+
+    if (this.extractFields && options.extractFields !== false) {
+      const fields = await this.extractDocumentFields(pdfBuffer, result.category, filename, { taxonomy: taxonomy.id, allowModel: false });
+      this.applyFieldExtraction(result, fields, taxonomy);
+    }
+
+    console.log(`📊 [CLASSIFIER] Local result: ${result.category} (${result.confidence}) - ${result.categoryName}`);
+    return {
+      success: true,
+      ...result
+    };
+  }
+
+  /**
+   * Extract the category's schema fields from the PDF
+   * Labels are read from the text layer; scanned documents without one are sent to the model.
+   * @param {Buffer} pdfBuffer - PDF buffer data
+   * @param {string} category - Category code
+   * @param {string} filename - The original filename (optional)
+   * @param {Object} options - {allowModel: false} keeps extraction offline; {provider, model} pick the model; {taxonomy} the schemas;
+   *   {modelFields} are fields already returned with a structured classification
+   * @returns {Promise<Object|null>} Extraction result or null when extraction failed
+   */
+  async extractDocumentFields(pdfBuffer, category, filename = '', options = {}) {
+    try {
+      const fieldExtractor = this.getFieldExtractor(this.getTaxonomy(options));
+      let extraction = await fieldExtractor.extractFromBuffer(pdfBuffer, category);
+      if (options.modelFields && extraction.missingRequired.length > 0) {
+        extraction = fieldExtractor.mergeModelFields(extraction, options.modelFields);
+      }
+      // Only providers that read the PDF itself can help when there is no text layer
+      const provider = options.allowModel !== false ? this.llmProviders[options.provider || this.provider] : null;
+      const allowModel = provider && provider.supportsPdfInput && provider.isAvailable();
+
+      // A structured classification already answered for the fields, so don't ask again
+      if (extraction.missingRequired.length > 0 && !extraction.textAvailable && allowModel && !options.modelFields) {
+        console.log(`🤖 [CLASSIFIER] No text layer, asking ${provider.name} for ${category} fields...`);
+        const modelFields = await this.extractFieldsWithModel(pdfBuffer, category, filename, options);
+        extraction = fieldExtractor.mergeModelFields(extraction, modelFields);
+      }
+
+      console.log(`✅ [CLASSIFIER] Extracted ${Object.keys(extraction.fields).length} field(s), missing required: ${extraction.missingRequired.join(', ') || 'none'}`);
+      return extraction;
+
+    } catch (error) {
+      console.warn(`⚠️ [CLASSIFIER] Field extraction failed for ${filename}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Ask the model for the category's fields as JSON (used for scanned documents)
+   * @param {Buffer} pdfBuffer - PDF buffer data
+   * @param {string} category - Category code
+   * @param {string} filename - The original filename (optional)
+   * @param {Object} options - {taxonomy, provider, model, temperature} override the defaults
+   * @returns {Promise<Object>} {name: {value, confidence}}
+   */
+  async extractFieldsWithModel(pdfBuffer, category, filename = '', options = {}) {
+    const prompt = this.getFieldExtractor(this.getTaxonomy(options)).buildExtractionPrompt(category);
+    if (!prompt) return {};
+
+    const response = await this.getProvider(options.provider).generate({
+      prompt,
+      pdf: { buffer: pdfBuffer, filename },
+      ...this.getGenerationOptions({ ...options, maxTokens: options.extractionMaxTokens || this.llmConfig.extractionMaxTokens })
+    });
+
+    return this.parseFieldResponse(response.text);
+  }
+
+  /**
+   * Parse the JSON field response from the model
+   * @param {string} response - Raw response text (may be wrapped in a code fence)
+   * @returns {Object} {name: {value, confidence}} or an empty object
+   */
+  parseFieldResponse(response) {
+    if (!response) return {};
+
+    const start = response.indexOf('{');
+    const end = response.lastIndexOf('}');
+    if (start === -1 || end <= start) return {};
+
+    try {
+      const parsed = JSON.parse(response.slice(start, end + 1));
+      return parsed.fields && typeof parsed.fields === 'object' ? parsed.fields : {};
+    } catch (error) {
+      console.warn('⚠️ [PARSER] Could not parse field response as JSON:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Attach extracted fields to a classification result
+   * The requester falls back to the schema's requester field when the model found none.
+   * @param {Object} result - Classification result (modified in place)
+   * @param {Object|null} extraction - Extraction result
+   * @param {Taxonomy} taxonomy - Taxonomy whose schemas were used (defaults to the classifier's taxonomy)
+   */
+  applyFieldExtraction(result, extraction, taxonomy = this.taxonomy) {
+    if (!extraction) return;
+
+    result.fields = extraction.fields;
+    result.missingFields = extraction.missingRequired;
+    result.fieldConfidence = extraction.confidence;
+
+    const requester = this.getFieldExtractor(taxonomy).getRequester(extraction);
+    if (requester && (!result.requester || result.requester === 'N/A')) {
+      result.requester = requester;
+    }
+  }
+
+  /**
+   * Add the category name, description and taxonomy to a result
+   * @param {Object} result - Classification result with a category valid in the taxonomy (modified in place)
+   * @param {Taxonomy} taxonomy - Taxonomy
+   */
+  describeCategory(result, taxonomy) {
+    const category = taxonomy.getCategory(result.category);
+    result.categoryName = category ? category.name : 'Unknown';
+    result.categoryDescription = category ? category.description : 'Unknown category';
+    result.taxonomy = taxonomy.id;
+  }
+
   /**
    * Build the classification prompt
    * @param {string} text - Document text (optional for PDF-direct processing)
    * @param {string} filename - Filename
+   * @param {Taxonomy} taxonomy - Taxonomy listing the categories (defaults to the classifier's taxonomy)
+   * @param {boolean} structured - Ask for the JSON response (and the category's fields) instead of the line format
    * @returns {string} Formatted prompt
    */
-  buildClassificationPrompt(text = '', filename) {
+  buildClassificationPrompt(text = '', filename, taxonomy = this.taxonomy, structured = false) {
+    const categoryList = taxonomy.categories.map((category, index) =>
+      `${index + 1}. ${category.code} - ${category.description}` +
+      (category.promptHints ? `\n   Petunjuk: ${category.promptHints}` : '')
+    ).join('\n');
+    const requesterHints = taxonomy.requesterHints.map(hint => `"${hint}"`).join(', ');
+    const [firstExample, secondExample = firstExample] = taxonomy.getCodes().filter(code => code !== taxonomy.fallbackCategory);
+
     const basePrompt = `Klasifikasikan dokumen bisnis Indonesia ini ke dalam salah satu kategori berikut dan ekstrak nama pemohon/requester jika tersedia:
 
 KATEGORI YANG TERSEDIA:
-1. BA_HALO - Kartu Halo (SIM card related documents)
-2. BA_KKB - Berita Kehilangan (Loss/missing item reports)
-3. BASTB - Serah Terima Barang (Goods handover/delivery documents)
-4. CHR - Checklist Reimbursement HP (Phone reimbursement checklists)
-5. COF - COF Scan (Checkout Form documents)
-6. LOF - ICT Loan Form (ICT equipment loan forms)
-7. OOPR - Out of Policy Request (Exception/special requests)
-8. SRF - SRF Scan (Service Request Forms)
-9. DO - Skip (Delivery orders - mark as skip)
+${categoryList}
 
 NAMA FILE: ${filename}
 
 INSTRUKSI:
 - Analisis konten dokumen dengan teliti (baik teks maupun visual)
 - Pilih kategori yang paling sesuai berdasarkan isi dokumen
-- Ekstrak nama pemohon/requester dari dokumen (cari field seperti "Nama", "Pemohon", "Requester", "Diajukan oleh", "Nama Karyawan", dll.)
+- Ekstrak nama pemohon/requester dari dokumen (cari field seperti ${requesterHints}, dll.)
 - Berikan tingkat kepercayaan (0.1-1.0)
-- Jika tidak yakin atau tidak cocok dengan kategori manapun, pilih OOPR
+- Jika tidak yakin atau tidak cocok dengan kategori manapun, pilih ${taxonomy.fallbackCategory}
 - Jika nama pemohon tidak ditemukan, tulis "N/A"
 
-RESPONS DALAM FORMAT:
+${structured ? this.buildStructuredResponseInstructions(taxonomy, firstExample || taxonomy.fallbackCategory) : `RESPONS DALAM FORMAT:
 KATEGORI: [KODE_KATEGORI]
 REQUESTER: [NAMA_PEMOHON atau N/A]
 CONFIDENCE: [0.1-1.0]
 
 Contoh:
-KATEGORI: COF
+KATEGORI: ${firstExample || taxonomy.fallbackCategory}
 REQUESTER: John Doe
 CONFIDENCE: 0.85
 
 Atau jika nama tidak ditemukan:
-KATEGORI: SRF
+KATEGORI: ${secondExample || taxonomy.fallbackCategory}
 REQUESTER: N/A
-CONFIDENCE: 0.92`;
+CONFIDENCE: 0.92`}`;
 
     // If text is provided (fallback method), include it in the prompt
     if (text && text.trim().length > 0) {
@@ -368,11 +706,144 @@ ${text.substring(0, 2000)}${text.length > 2000 ? '...' : ''}`;
   }
 
   /**
-   * Parse the classification response from OpenAI
-   * @param {string} response - Raw response from OpenAI
-   * @returns {Object} Parsed result
+   * Response section of the prompt for structured (JSON) classification
+   * @param {Taxonomy} taxonomy - Taxonomy (its field schemas are listed per category)
+   * @param {string} example - Category code used in the example
+   * @returns {string} Prompt section
+   */
+  buildStructuredResponseInstructions(taxonomy, example) {
+    const fieldList = taxonomy.categories
+      .filter(category => taxonomy.fieldSchemas[category.code])
+      .map(category => `- ${category.code}: ${taxonomy.fieldSchemas[category.code].fields.map(field => field.name).join(', ')}`)
+      .join('\n');
+    const exampleResponse = {
+      category: example,
+      requester: 'John Doe',
+      confidence: 0.85,
+      reasoning: 'Judul dan isi dokumen sesuai kategori',
+      fields: [{ name: 'requester', value: 'John Doe', confidence: 0.9 }]
+    };
+
+    return `RESPONS DALAM FORMAT JSON:
+- "category": kode kategori
+- "requester": nama pemohon atau "N/A"
+- "confidence": tingkat kepercayaan (0.1-1.0)
+- "reasoning": alasan singkat pemilihan kategori
+- "fields": field kategori terpilih yang ditemukan, masing-masing {"name", "value", "confidence"}; value null jika tidak terbaca
+${fieldList ? `
+FIELD PER KATEGORI:
+${fieldList}
+` : ''}
+Contoh:
+${JSON.stringify(exampleResponse)}`;
+  }
+
+  /**
+   * Parse a model response, preferring the structured (JSON) answer
+   * The line parser is the fallback for models that ignore the schema. When neither yields a
+   * category from the taxonomy the response is rejected instead of being filed under the fallback category.
+   * @param {string} response - Raw response text
+   * @param {Taxonomy} taxonomy - Taxonomy the category must belong to
+   * @param {boolean} structured - The response was requested with a JSON schema
+   * @returns {Object} {category, requester, confidence, parser, reasoning?, modelFields?}
+   * @throws {Error} With validationErrors and rawResponse when the response is unusable
    */
-  parseClassificationResponse(response) {
+  parseModelResponse(response, taxonomy = this.taxonomy, structured = false) {
+    const errors = [];
+
+    if (structured) {
+      const parsed = this.parseStructuredResponse(response, taxonomy);
+      if (parsed.errors.length === 0) {
+        return parsed.result;
+      }
+      console.warn(`⚠️ [PARSER] Structured response failed validation (${parsed.errors.join('; ')}), trying the line format`);
+      errors.push(...parsed.errors);
+    }
+
+    const result = this.parseClassificationResponse(response, taxonomy);
+    if (!result.validationError) {
+      return result;
+    }
+    errors.push(result.validationError);
+
+    const error = new Error(`Model response failed validation: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    error.rawResponse = response;
+    throw error;
+  }
+
+  /**
+   * Parse and validate a JSON classification response
+   * @param {string} response - Raw response text (may be wrapped in a code fence)
+   * @param {Taxonomy} taxonomy - Taxonomy the category must belong to
+   * @returns {Object} {result, errors} - errors is empty when the response is valid
+   */
+  parseStructuredResponse(response, taxonomy = this.taxonomy) {
+    const start = response ? response.indexOf('{') : -1;
+    const end = response ? response.lastIndexOf('}') : -1;
+    if (start === -1 || end <= start) {
+      return { result: null, errors: ['Response is not JSON'] };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(response.slice(start, end + 1));
+    } catch (error) {
+      return { result: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const errors = [];
+    const category = typeof parsed.category === 'string' ? parsed.category.trim().toUpperCase() : null;
+    if (!category) {
+      errors.push('Missing "category"');
+    } else if (!taxonomy.getCategory(category)) {
+      errors.push(`Category "${parsed.category}" is not in taxonomy ${taxonomy.id}`);
+    }
+    if (typeof parsed.confidence !== 'number' || Number.isNaN(parsed.confidence) || parsed.confidence < 0 || parsed.confidence > 1) {
+      errors.push(`Confidence ${JSON.stringify(parsed.confidence)} is not a number between 0 and 1`);
+    }
+    if (parsed.requester !== undefined && parsed.requester !== null && typeof parsed.requester !== 'string') {
+      errors.push('"requester" is not a string');
+    }
+    if (errors.length > 0) {
+      return { result: null, errors };
+    }
+
+    // Fields arrive as [{name, value, confidence}]; mergeModelFields expects {name: {value, confidence}}
+    const modelFields = {};
+    (Array.isArray(parsed.fields) ? parsed.fields : []).forEach(field => {
+      if (field && typeof field.name === 'string') {
+        modelFields[field.name] = { value: field.value, confidence: field.confidence };
+      }
+    });
+
+    const requester = parsed.requester && parsed.requester.trim() && parsed.requester.trim().toLowerCase() !== 'n/a'
+      ? parsed.requester.trim()
+      : 'N/A';
+
+    console.log(`✅ [PARSER] Structured response: ${category} (${parsed.confidence})`);
+    return {
+      result: {
+        category,
+        requester,
+        confidence: Math.max(0.1, parsed.confidence),
+        reasoning: typeof parsed.reasoning === 'string' ? parsed.reasoning : '',
+        parser: 'json',
+        modelFields
+      },
+      errors: []
+    };
+  }
+
+  /**
+   * Parse the line-format classification response from the model (KATEGORI/REQUESTER/CONFIDENCE)
+   * @param {string} response - Raw response text
+   * @param {Taxonomy} taxonomy - Taxonomy the category must belong to (defaults to the classifier's taxonomy)
+   * @returns {Object} Parsed result; validationError is set (and the category is the fallback)
+   *   when no valid category was found
+   */
+  parseClassificationResponse(response, taxonomy = this.taxonomy) {
+    const fallbackCategory = taxonomy.fallbackCategory;
     try {
       console.log('🔍 [PARSER] Starting response parsing...');
       console.log(`📄 [PARSER] Raw response:`, response);
@@ -381,15 +852,16 @@ ${text.substring(0, 2000)}${text.length > 2000 ? '...' : ''}`;
 
       if (!response) {
         console.error('❌ [PARSER] Response is null or undefined');
-        return { category: 'OOPR', requester: 'N/A', confidence: 0.1 };
+        return { category: fallbackCategory, requester: 'N/A', confidence: 0.1, parser: 'text', validationError: 'Empty response' };
       }
 
       const lines = response.trim().split('\n');
       console.log(`📋 [PARSER] Split into ${lines.length} lines:`, lines);
       
-      let category = 'OOPR';
+      let category = null;
       let requester = 'N/A';
       let confidence = 0.1;
+      let validationError;
 
       console.log('🔍 [PARSER] Searching for KATEGORI, REQUESTER, and CONFIDENCE...');
       
@@ -434,11 +906,12 @@ ${text.substring(0, 2000)}${text.length > 2000 ? '...' : ''}`;
 
       // Validate category
       console.log('🔍 [PARSER] Validating category against available categories...');
-      console.log(`📋 [PARSER] Available categories:`, Object.keys(this.categories));
+      console.log(`📋 [PARSER] Available categories:`, taxonomy.getCodes());
       
-      if (!this.categories[category]) {
-        console.log(`❌ [PARSER] Category "${category}" not found in available categories, defaulting to OOPR`);
-        category = 'OOPR';
+      if (!taxonomy.getCategory(category)) {
+        console.log(`❌ [PARSER] Category "${category}" not found in available categories, defaulting to ${fallbackCategory}`);
+        validationError = category ? `Category "${category}" is not in taxonomy ${taxonomy.id}` : 'No KATEGORI line in response';
+        category = fallbackCategory;
         confidence = Math.min(confidence, 0.3);
       } else {
         console.log(`✅ [PARSER] Category "${category}" is valid`);
@@ -456,7 +929,7 @@ ${text.substring(0, 2000)}${text.length > 2000 ? '...' : ''}`;
         console.log(`🔧 [PARSER] Confidence adjusted from ${originalConfidence} to ${confidence}`);
       }
 
-      const finalResult = { category, requester, confidence };
+      const finalResult = { category, requester, confidence, parser: 'text', ...(validationError ? { validationError } : {}) };
       console.log(`🎉 [PARSER] Final parsed result:`, finalResult);
       
       return finalResult;
@@ -467,7 +940,7 @@ ${text.substring(0, 2000)}${text.length > 2000 ? '...' : ''}`;
       console.error('📍 [PARSER] Error stack:', error.stack);
       console.error('🔧 [PARSER] Error details:', JSON.stringify(error, null, 2));
       
-      const fallbackResult = { category: 'OOPR', requester: 'N/A', confidence: 0.1 };
+      const fallbackResult = { category: fallbackCategory, requester: 'N/A', confidence: 0.1, parser: 'text', validationError: error.message };
       console.log('🔄 [PARSER] Returning fallback result:', fallbackResult);
       return fallbackResult;
     }
@@ -475,18 +948,29 @@ ${text.substring(0, 2000)}${text.length > 2000 ? '...' : ''}`;
 
   /**
    * Get all available categories
+   * @param {string} taxonomyName - Taxonomy (defaults to the classifier's taxonomy)
    * @returns {Object} Categories mapping
    */
-  getCategories() {
-    return this.categories;
+  getCategories(taxonomyName) {
+    return this.getTaxonomy({ taxonomy: taxonomyName }).getCategoryNames();
   }
 
   /**
    * Get category descriptions
+   * @param {string} taxonomyName - Taxonomy (defaults to the classifier's taxonomy)
    * @returns {Object} Category descriptions
    */
-  getCategoryDescriptions() {
-    return this.categoryDescriptions;
+  getCategoryDescriptions(taxonomyName) {
+    return this.getTaxonomy({ taxonomy: taxonomyName }).getDescriptions();
+  }
+
+  /**
+   * Get the field schema of every category
+   * @param {string} taxonomyName - Taxonomy (defaults to the classifier's taxonomy)
+   * @returns {Object} Schemas keyed by category code
+   */
+  getFieldSchemas(taxonomyName) {
+    return this.getFieldExtractor(this.getTaxonomy({ taxonomy: taxonomyName })).getSchemas();
   }
 
   /**
@@ -523,18 +1007,23 @@ ${text.substring(0, 2000)}${text.length > 2000 ? '...' : ''}`;
 
       // Confidence distribution
       successfulResults.forEach(result => {
-        if (result.confidence >= 0.8) {
-          stats.confidenceDistribution.high++;
-        } else if (result.confidence >= 0.5) {
-          stats.confidenceDistribution.medium++;
-        } else {
-          stats.confidenceDistribution.low++;
-        }
+        stats.confidenceDistribution[this.getConfidenceBucket(result.confidence)]++;
       });
     }
 
     return stats;
   }
+
+  /**
+   * Get the confidence bucket used by getClassificationStats
+   * @param {number} confidence - Confidence (0-1)
+   * @returns {string} 'high' (>= 0.8), 'medium' (0.5 - 0.79) or 'low' (< 0.5)
+   */
+  getConfidenceBucket(confidence) {
+    if (confidence >= 0.8) return 'high';
+    if (confidence >= 0.5) return 'medium';
+    return 'low';
+  }
 }
 
 module.exports = DocumentClassifier;
\ No newline at end of file
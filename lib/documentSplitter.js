@@ -0,0 +1,368 @@
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const PDFParser = require('./pdfParser');
+
+class DocumentSplitter {
+  /**
+   * @param {Object} options - {classifier} classifies pages and provides the taxonomy, {pdfParser}, and
+   *                           overrides for the config below
+   */
+  constructor(options = {}) {
+    this.classifier = options.classifier || null;
+    this.pdfParser = options.pdfParser || (this.classifier ? this.classifier.fieldExtractor.pdfParser : new PDFParser());
+
+    this.config = {
+      // Classify every page and split where the category changes (one model call per page)
+      classifyPages: process.env.SPLIT_CLASSIFY_PAGES !== 'false',
+      // A page only starts a new document on a category change above this confidence
+      minPageConfidence: parseFloat(process.env.SPLIT_MIN_PAGE_CONFIDENCE || '0.7'),
+      // 'separator' splits on blank pages and drops them, 'remove' only drops them (duplex backsides), 'keep' does neither
+      blankPages: process.env.SPLIT_BLANK_PAGES || 'separator',
+      // Share of dark pixels below which a scanned page counts as blank
+      maxBlankInk: 0.005,
+      // QR code (or printed text) identifying a separator sheet
+      separatorPattern: new RegExp(process.env.SPLIT_SEPARATOR_PATTERN || '^(DOCUMENT[ _-]?SEPARATOR|SEPARATOR|PATCH[ _-]?T)\\b', 'i'),
+      // Scans are downscaled to this size before the blank and QR checks
+      rasterSize: 1200,
+      ocrMethod: process.env.LOCAL_OCR_METHOD,
+      ...options.config
+    };
+  }
+
+  /**
+   * Split documents that contain several forms; single documents are passed through
+   * @param {Array} documents - Array of {pdfBuffer, filename}
+   * @param {Object} options - Classifier options for page classification ({taxonomy, provider, model, ...})
+   * @returns {Promise<Object>} {documents: [{pdfBuffer, filename, sourceFilename, pages}], reports: [...]}
+   */
+  async splitBatch(documents, options = {}) {
+    const output = [];
+    const reports = [];
+
+    for (const doc of documents) {
+      const result = await this.split(doc.pdfBuffer, doc.filename, options);
+      output.push(...result.documents);
+      reports.push(this.toReport(result));
+    }
+
+    console.log(`✂️ [SPLITTER] ${documents.length} input(s) -> ${output.length} document(s)`);
+    return { documents: output, reports };
+  }
+
+  /**
+   * Detect document boundaries in one PDF and split it with pdf-lib
+   * When splitting fails the input is returned unchanged.
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @param {string} filename - Original filename
+   * @param {Object} options - Classifier options for page classification
+   * @returns {Promise<Object>} {success, filename, pageCount, split, documents, removedPages, pages, error?}
+   */
+  async split(pdfBuffer, filename, options = {}) {
+    try {
+      console.log(`✂️ [SPLITTER] Analyzing ${filename}...`);
+      const pdfDoc = await this.pdfParser.pageImageExtractor.loadDocument(pdfBuffer);
+      const pageCount = pdfDoc.getPageCount();
+
+      if (pageCount < 2) {
+        return this.unsplitResult(pdfBuffer, filename, pageCount);
+      }
+
+      const pages = await this.analyzePages(pdfBuffer, pdfDoc, filename, options);
+      const { segments, removedPages } = this.detectBoundaries(pages);
+
+      if (segments.length === 0) {
+        throw new Error('Every page is blank or a separator sheet');
+      }
+      if (segments.length === 1 && removedPages.length === 0) {
+        return { ...this.unsplitResult(pdfBuffer, filename, pageCount), pages: this.summarizePages(pages) };
+      }
+
+      const documents = [];
+      for (let index = 0; index < segments.length; index++) {
+        const segment = segments[index];
+        documents.push({
+          pdfBuffer: await this.buildDocument(pdfDoc, segment.pages),
+          filename: segments.length === 1 ? filename : this.getPartFilename(filename, index),
+          sourceFilename: filename,
+          pages: segment.pages,
+          reason: segment.reason,
+          pageCategory: segment.category
+        });
+      }
+
+      console.log(`✅ [SPLITTER] ${filename}: ${pageCount} pages -> ${documents.length} document(s), ${removedPages.length} page(s) removed`);
+      return {
+        success: true,
+        filename,
+        pageCount,
+        split: documents.length > 1,
+        documents,
+        removedPages,
+        pages: this.summarizePages(pages)
+      };
+
+    } catch (error) {
+      console.error(`❌ [SPLITTER] Could not split ${filename}:`, error.message);
+      return {
+        ...this.unsplitResult(pdfBuffer, filename, null),
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Result for an input that is kept as one document
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @param {string} filename - Original filename
+   * @param {number|null} pageCount - Number of pages (null when unknown)
+   * @returns {Object} Split result with the input as its only document
+   */
+  unsplitResult(pdfBuffer, filename, pageCount) {
+    const pages = pageCount ? Array.from({ length: pageCount }, (_, index) => index + 1) : [];
+    return {
+      success: true,
+      filename,
+      pageCount,
+      split: false,
+      documents: [{ pdfBuffer, filename, sourceFilename: filename, pages, reason: 'start', pageCategory: null }],
+      removedPages: [],
+      pages: []
+    };
+  }
+
+  /**
+   * Collect the boundary signals of every page
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {string} filename - Original filename
+   * @param {Object} options - Classifier options for page classification
+   * @returns {Promise<Array>} [{pageNumber, text, blank, separator, header, pageMarker, category, confidence}]
+   */
+  async analyzePages(pdfBuffer, pdfDoc, filename, options = {}) {
+    const extraction = await this.pdfParser.extractText(pdfBuffer, { ocrMethod: this.config.ocrMethod });
+    const taxonomy = this.classifier ? this.classifier.getTaxonomy(options) : null;
+    const imageExtractor = this.pdfParser.pageImageExtractor;
+    const pages = [];
+
+    for (const extracted of extraction.pages) {
+      const pageIndex = extracted.pageNumber - 1;
+      const text = (extracted.text || '').trim();
+      const hasImages = imageExtractor.hasImages(pdfDoc, pageIndex);
+      const raster = hasImages ? imageExtractor.extractPageRaster(pdfDoc, pageIndex, this.config.rasterSize) : null;
+
+      const separatorCode = raster ? this.readSeparatorCode(raster) : null;
+      const page = {
+        pageNumber: extracted.pageNumber,
+        text,
+        separator: Boolean(separatorCode) || this.isSeparatorText(text),
+        separatorCode,
+        blank: text.replace(/\s/g, '').length === 0 && (!hasImages || (raster !== null && this.isBlankRaster(raster))),
+        header: taxonomy ? this.findHeader(text, taxonomy) : null,
+        pageMarker: this.findPageMarker(text),
+        category: null,
+        confidence: null
+      };
+
+      if (this.config.classifyPages && this.classifier && !page.blank && !page.separator) {
+        const pagePdf = await imageExtractor.extractPagePdf(pdfDoc, pageIndex);
+        const result = await this.classifier.classifyDocumentFromBuffer(pagePdf, `${filename} (page ${page.pageNumber})`, { ...options, extractFields: false });
+        if (result.success) {
+          page.category = result.category;
+          page.confidence = result.confidence;
+        }
+      }
+
+      console.log(`📄 [SPLITTER] Page ${page.pageNumber}: ${page.separator ? 'separator' : page.blank ? 'blank' : (page.category || '-') + (page.header ? `, header "${page.header.title}"` : '')}`);
+      pages.push(page);
+    }
+
+    return pages;
+  }
+
+  /**
+   * Group pages into documents
+   * A document starts after a separator sheet or blank page, at a "page 1 of N" marker, at a form
+   * header for another category, or where a confident page category differs from the current document's category.
+   * Pages marked "page 2 of N" and later always continue the current document, as do pages repeating its title.
+   * @param {Array} pages - Page analyses from analyzePages()
+   * @returns {Object} {segments: [{pages, reason, category}], removedPages: [{pageNumber, reason}]}
+   */
+  detectBoundaries(pages) {
+    const segments = [];
+    const removedPages = [];
+    let current = null;
+    let currentHeader = null;
+    let pendingReason = null;
+
+    for (const page of pages) {
+      if (page.separator) {
+        removedPages.push({ pageNumber: page.pageNumber, reason: 'separator', code: page.separatorCode || undefined });
+        current = null;
+        currentHeader = null;
+        pendingReason = 'separator';
+        continue;
+      }
+      if (page.blank && this.config.blankPages !== 'keep') {
+        removedPages.push({ pageNumber: page.pageNumber, reason: 'blank' });
+        if (this.config.blankPages === 'separator') {
+          current = null;
+          currentHeader = null;
+          pendingReason = pendingReason || 'blank';
+        }
+        continue;
+      }
+
+      const confident = page.category && page.confidence >= this.config.minPageConfidence;
+      const continuation = page.pageMarker && page.pageMarker.page > 1;
+      let reason = null;
+
+      if (!current) {
+        reason = pendingReason || 'start';
+      } else if (!continuation && page.pageMarker && page.pageMarker.page === 1) {
+        reason = 'page-number';
+      } else if (!continuation && page.header && page.header.category !== (currentHeader || current.category)) {
+        // Many forms print their title on every page; only another form's title starts a document
+        reason = 'header';
+      } else if (!continuation && confident && current.category && page.category !== current.category) {
+        reason = 'category-change';
+      }
+
+      if (reason) {
+        current = { pages: [], reason, category: null };
+        currentHeader = null;
+        segments.push(current);
+        pendingReason = null;
+      }
+      if (!currentHeader && page.header) {
+        currentHeader = page.header.category;
+      }
+      current.pages.push(page.pageNumber);
+      if (!current.category && confident) {
+        current.category = page.category;
+      }
+    }
+
+    return { segments, removedPages };
+  }
+
+  /**
+   * Find a form title in the first lines of a page
+   * Titles are the taxonomy's category names and multi-word keyword phrases.
+   * @param {string} text - Page text
+   * @param {Taxonomy} taxonomy - Taxonomy
+   * @returns {Object|null} {category, title} with the category code and matched title, or null
+   */
+  findHeader(text, taxonomy) {
+    const top = text.split('\n').map(line => line.trim()).filter(Boolean).slice(0, 5).join(' ').toLowerCase();
+    if (!top) return null;
+
+    const keywords = taxonomy.getKeywords();
+    for (const category of taxonomy.categories) {
+      const titles = [category.name].concat(keywords[category.code] || []).filter(title => title.trim().includes(' '));
+      const match = titles.find(title => top.includes(title.toLowerCase()));
+      if (match) return { category: category.code, title: match };
+    }
+    return null;
+  }
+
+  /**
+   * Read a "Page 1 of 3" / "Halaman 1 dari 3" marker
+   * @param {string} text - Page text
+   * @returns {Object|null} {page, of} or null
+   */
+  findPageMarker(text) {
+    const match = text.match(/\b(?:page|halaman|hal\.?)\s*(\d+)\s*(?:of|dari|\/)\s*(\d+)/i);
+    return match ? { page: parseInt(match[1], 10), of: parseInt(match[2], 10) } : null;
+  }
+
+  /**
+   * Check for a printed separator sheet (little text that matches the separator pattern)
+   * @param {string} text - Page text
+   * @returns {boolean} True for a separator sheet
+   */
+  isSeparatorText(text) {
+    return text.length > 0 && text.length < 200 && this.config.separatorPattern.test(text.trim());
+  }
+
+  /**
+   * Decode a QR code on the page and check it against the separator pattern
+   * @param {Object} raster - {data, width, height} RGBA pixels
+   * @returns {string|null} Separator code or null
+   */
+  readSeparatorCode(raster) {
+    const jsQR = require('jsqr');
+    const code = jsQR(raster.data, raster.width, raster.height, { inversionAttempts: 'dontInvert' });
+    return code && this.config.separatorPattern.test(code.data.trim()) ? code.data.trim() : null;
+  }
+
+  /**
+   * Check whether a scanned page is (nearly) blank
+   * @param {Object} raster - {data, width, height} RGBA pixels
+   * @returns {boolean} True when the share of dark pixels is below maxBlankInk
+   */
+  isBlankRaster(raster) {
+    let dark = 0;
+    let sampled = 0;
+    // Every fourth pixel is enough to tell a blank page from one with writing
+    for (let i = 0; i < raster.data.length; i += 16) {
+      const luminance = 0.299 * raster.data[i] + 0.587 * raster.data[i + 1] + 0.114 * raster.data[i + 2];
+      if (luminance < 128) dark++;
+      sampled++;
+    }
+    return sampled > 0 && dark / sampled < this.config.maxBlankInk;
+  }
+
+  /**
+   * Copy pages into a new PDF
+   * @param {PDFDocument} pdfDoc - Loaded source document
+   * @param {Array<number>} pageNumbers - One-based page numbers
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async buildDocument(pdfDoc, pageNumbers) {
+    const output = await PDFDocument.create();
+    const copied = await output.copyPages(pdfDoc, pageNumbers.map(pageNumber => pageNumber - 1));
+    copied.forEach(page => output.addPage(page));
+    return Buffer.from(await output.save());
+  }
+
+  /**
+   * Filename of a split part: scan.pdf -> scan_part01.pdf
+   * @param {string} filename - Original filename
+   * @param {number} index - Zero-based part index
+   * @returns {string} Part filename
+   */
+  getPartFilename(filename, index) {
+    const extension = path.extname(filename) || '.pdf';
+    return `${path.basename(filename, path.extname(filename))}_part${String(index + 1).padStart(2, '0')}${extension}`;
+  }
+
+  /**
+   * Per-page signals for the report (without the page text)
+   * @param {Array} pages - Page analyses
+   * @returns {Array} [{pageNumber, blank, separator, header, pageMarker, category, confidence}]
+   */
+  summarizePages(pages) {
+    return pages.map(({ text, ...page }) => page);
+  }
+
+  /**
+   * Report of how one input was split (without PDF buffers)
+   * @param {Object} result - Result from split()
+   * @returns {Object} {filename, success, error?, pageCount, split, documents: [{filename, pages, reason, pageCategory}], removedPages, pages}
+   */
+  toReport(result) {
+    return {
+      filename: result.filename,
+      success: result.success,
+      ...(result.error ? { error: result.error } : {}),
+      pageCount: result.pageCount,
+      split: result.split,
+      documents: result.documents.map(({ filename, pages, reason, pageCategory }) => ({ filename, pages, reason, pageCategory })),
+      removedPages: result.removedPages,
+      pages: result.pages
+    };
+  }
+}
+
+module.exports = DocumentSplitter;
@@ -0,0 +1,407 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const PDFParser = require('./pdfParser');
+const JsonFileLock = require('./jsonFileLock');
+
+// Below this many words the text says too little to compare documents by
+const MIN_TEXT_WORDS = 20;
+// MinHash signature length; shared shingles are estimated in steps of 1/128
+const MINHASH_SIZE = 128;
+// Re-scans are compared on their first pages only
+const MAX_IMAGE_PAGES = 3;
+// dHash grid: 17 x 16 gray cells give 16 x 16 = 256 left/right gradient bits per page
+const HASH_WIDTH = 16;
+const HASH_HEIGHT = 16;
+// Gray level difference below which neighbouring cells count as equal, so scanner noise on blank paper flips no bits
+const DHASH_MARGIN = 2;
+// Matches listed per duplicate
+const MAX_MATCHES = 5;
+
+class DuplicateDetector {
+  /**
+   * Finds documents that were uploaded before, in this batch or in earlier jobs
+   * Exact duplicates share the SHA-256 of their bytes. Near duplicates (re-scans, re-exports) share most of their normalized
+   * text (MinHash of three-word shingles) or, without a text layer, look the same (256-bit dHash of the first pages).
+   * @param {Object} options - {path} fingerprint index (DUPLICATE_INDEX_PATH, default data/fingerprints.json),
+   *                           {enabled} (DUPLICATE_DETECTION !== 'false'),
+   *                           {textSimilarity} min share of common shingles (DUPLICATE_TEXT_SIMILARITY, default 0.85),
+   *                           {imageDistance} max differing dHash bits per page (DUPLICATE_IMAGE_DISTANCE, default 6),
+   *                           {pdfParser}
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.DUPLICATE_INDEX_PATH || path.join(__dirname, '..', 'data', 'fingerprints.json');
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.DUPLICATE_DETECTION !== 'false';
+    this.minTextSimilarity = parseFloat(options.textSimilarity || process.env.DUPLICATE_TEXT_SIMILARITY) || 0.85;
+    this.imageDistance = this.getDistance(options.imageDistance, process.env.DUPLICATE_IMAGE_DISTANCE, 6);
+    this.pdfParser = options.pdfParser || new PDFParser();
+    this.pageImageExtractor = this.pdfParser.pageImageExtractor;
+    this.fileLock = new JsonFileLock(this.path, { read: () => this.read(), tag: 'DUPLICATES' });
+  }
+
+  /**
+   * Read a bit distance threshold
+   * @param {*} value - Option value
+   * @param {string} envValue - Environment value
+   * @param {number} fallback - Default
+   * @returns {number} Non-negative integer
+   */
+  getDistance(value, envValue, fallback) {
+    const distance = parseInt(value !== undefined ? value : envValue);
+    return distance >= 0 ? distance : fallback;
+  }
+
+  /**
+   * Fingerprint a PDF
+   * Documents that cannot be parsed still get their SHA-256, so exact duplicates are found for them too.
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @returns {Promise<Object>} {sha256, size, pages, words, textSignature, imageHashes}
+   */
+  async fingerprint(pdfBuffer) {
+    const fingerprint = {
+      sha256: crypto.createHash('sha256').update(pdfBuffer).digest('hex'),
+      size: pdfBuffer.length,
+      pages: null,
+      words: 0,
+      textSignature: null,
+      imageHashes: null
+    };
+
+    try {
+      const extraction = await this.pdfParser.extractText(pdfBuffer);
+      const words = this.normalizeText(extraction.text);
+      fingerprint.pages = extraction.data.numpages;
+      fingerprint.words = words.length;
+      fingerprint.textSignature = words.length >= MIN_TEXT_WORDS ? this.minhash(words) : null;
+    } catch (error) {
+      console.warn(`⚠️ [DUPLICATES] No text fingerprint: ${error.message}`);
+    }
+
+    // Scans have no text layer worth comparing; their page images are compared instead
+    if (!fingerprint.textSignature) {
+      try {
+        fingerprint.imageHashes = await this.hashPages(pdfBuffer);
+      } catch (error) {
+        console.warn(`⚠️ [DUPLICATES] No image fingerprint: ${error.message}`);
+      }
+    }
+
+    return fingerprint;
+  }
+
+  /**
+   * Words of a text with case, accents, punctuation and layout removed
+   * @param {string} text - Extracted text
+   * @returns {Array<string>} Words
+   */
+  normalizeText(text) {
+    return (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word);
+  }
+
+  /**
+   * MinHash signature of the three-word shingles of a text
+   * The share of equal positions in two signatures estimates the share of shingles the texts have in common.
+   * @param {Array<string>} words - Normalized words
+   * @returns {string} MINHASH_SIZE 32-bit minimums as hex
+   */
+  minhash(words) {
+    const minimums = new Array(MINHASH_SIZE).fill(0xffffffff);
+    for (let i = 0; i + 3 <= words.length; i++) {
+      const digest = crypto.createHash('md5').update(words.slice(i, i + 3).join(' ')).digest();
+      const a = digest.readUInt32BE(0);
+      const b = digest.readUInt32BE(4) | 1;
+      // One hash function per signature position, derived from two base hashes and mixed so the positions are independent
+      for (let k = 0; k < MINHASH_SIZE; k++) {
+        const value = this.mix32((a + Math.imul(k, b)) >>> 0);
+        if (value < minimums[k]) minimums[k] = value;
+      }
+    }
+    return minimums.map(value => value.toString(16).padStart(8, '0')).join('');
+  }
+
+  /**
+   * 32-bit finalizer of MurmurHash3
+   * @param {number} value - Unsigned 32-bit integer
+   * @returns {number} Mixed unsigned 32-bit integer
+   */
+  mix32(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+
+  /**
+   * Estimated share of common shingles of two MinHash signatures
+   * @param {string} a - Signature
+   * @param {string} b - Signature
+   * @returns {number} 0 to 1
+   */
+  textSimilarity(a, b) {
+    let equal = 0;
+    for (let k = 0; k < MINHASH_SIZE; k++) {
+      if (a.substr(k * 8, 8) === b.substr(k * 8, 8)) equal++;
+    }
+    return equal / MINHASH_SIZE;
+  }
+
+  /**
+   * dHash of the largest image on each of the first pages
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @returns {Promise<Array<string>|null>} One 64 hex digit hash per page, or null when a page has no decodable image
+   */
+  async hashPages(pdfBuffer) {
+    const pdfDoc = await this.pageImageExtractor.loadDocument(pdfBuffer);
+    const hashes = [];
+    for (let index = 0; index < Math.min(pdfDoc.getPageCount(), MAX_IMAGE_PAGES); index++) {
+      const raster = this.pageImageExtractor.extractPageRaster(pdfDoc, index, 256);
+      if (!raster) return null;
+      hashes.push(this.dhash(raster));
+    }
+    return hashes.length > 0 ? hashes : null;
+  }
+
+  /**
+   * Difference hash of an RGBA raster: is each gray cell clearly brighter than its right neighbour
+   * @param {Object} raster - {data, width, height}
+   * @returns {string} 64 hex digits
+   */
+  dhash(raster) {
+    const columns = HASH_WIDTH + 1;
+    const cells = new Array(columns * HASH_HEIGHT).fill(0);
+    const counts = new Array(columns * HASH_HEIGHT).fill(0);
+    for (let y = 0; y < raster.height; y++) {
+      const row = Math.min(HASH_HEIGHT - 1, Math.floor(y * HASH_HEIGHT / raster.height));
+      for (let x = 0; x < raster.width; x++) {
+        const cell = row * columns + Math.min(columns - 1, Math.floor(x * columns / raster.width));
+        const offset = (y * raster.width + x) * 4;
+        cells[cell] += raster.data[offset] * 0.299 + raster.data[offset + 1] * 0.587 + raster.data[offset + 2] * 0.114;
+        counts[cell]++;
+      }
+    }
+
+    let bits = '';
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+      for (let column = 0; column < HASH_WIDTH; column++) {
+        const left = row * columns + column;
+        bits += cells[left] / (counts[left] || 1) - cells[left + 1] / (counts[left + 1] || 1) > DHASH_MARGIN ? '1' : '0';
+      }
+    }
+    return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+  }
+
+  /**
+   * Number of differing bits between two hex hashes of the same length
+   * @param {string} a - Hex hash
+   * @param {string} b - Hex hash
+   * @returns {number} Hamming distance
+   */
+  distance(a, b) {
+    let xor = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (xor > 0n) {
+      count += Number(xor & 1n);
+      xor >>= 1n;
+    }
+    return count;
+  }
+
+  /**
+   * Compare two fingerprints
+   * When both documents have text the text decides, since filled-in copies of one form look alike.
+   * @param {Object} a - Fingerprint
+   * @param {Object} b - Fingerprint
+   * @returns {Object|null} {type: 'exact'|'near', method: 'sha256'|'text'|'image', similarity} or null
+   */
+  compare(a, b) {
+    if (a.sha256 === b.sha256) {
+      return { type: 'exact', method: 'sha256', similarity: 1 };
+    }
+
+    if (a.textSignature && b.textSignature) {
+      const similarity = this.textSimilarity(a.textSignature, b.textSignature);
+      return similarity >= this.minTextSimilarity ? { type: 'near', method: 'text', similarity } : null;
+    }
+
+    if (a.imageHashes && b.imageHashes && a.pages === b.pages && a.imageHashes.length === b.imageHashes.length) {
+      const distance = Math.max(...a.imageHashes.map((hash, index) => this.distance(hash, b.imageHashes[index])));
+      if (distance <= this.imageDistance) {
+        return { type: 'near', method: 'image', similarity: 1 - distance / (HASH_WIDTH * HASH_HEIGHT) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Earlier documents a fingerprint duplicates
+   * @param {Object} fingerprint - Fingerprint of the new document
+   * @param {Array} candidates - Index entries and fingerprints of earlier documents in the batch ({inBatch: true})
+   * @returns {Object|null} {type: 'exact'|'near', matches: [{filename, jobId, category, inBatch, type, method, similarity, placement, recordedAt}]}
+   */
+  findMatches(fingerprint, candidates) {
+    const matches = [];
+    for (const candidate of candidates) {
+      const match = this.compare(fingerprint, candidate);
+      if (!match) continue;
+      matches.push({
+        filename: candidate.filename,
+        jobId: candidate.jobId || null,
+        category: candidate.category || null,
+        inBatch: Boolean(candidate.inBatch),
+        ...match,
+        similarity: Math.round(match.similarity * 1000) / 1000,
+        placement: candidate.placement || null,
+        recordedAt: candidate.recordedAt || null
+      });
+    }
+    if (matches.length === 0) return null;
+
+    // Exact matches first, then the closest; among equals the batch before earlier jobs, then the first recorded copy
+    matches.sort((a, b) => (b.similarity - a.similarity) || (b.inBatch - a.inBatch) || String(a.recordedAt).localeCompare(String(b.recordedAt)));
+    return {
+      type: matches[0].type,
+      matches: matches.slice(0, MAX_MATCHES)
+    };
+  }
+
+  /**
+   * Flag the classification results of a batch whose documents were seen before
+   * Sets result.duplicate; documents of a job are added to the index so later uploads are checked against them.
+   * @param {Array} documents - [{pdfBuffer, filename}]
+   * @param {Array} results - Classification results, in the same order
+   * @param {Object} options - {jobId} job the documents belong to; its own earlier entries are not matched (re-classification)
+   * @returns {Promise<Array>} The results
+   */
+  async flag(documents, results, options = {}) {
+    if (!this.enabled) return results;
+
+    try {
+      const index = this.read();
+      const earlier = index.documents.filter(entry => !options.jobId || entry.jobId !== options.jobId);
+      const batch = [];
+
+      for (let i = 0; i < documents.length; i++) {
+        const doc = documents[i];
+        const result = results[i];
+        const fingerprint = await this.fingerprint(doc.pdfBuffer);
+        const duplicate = this.findMatches(fingerprint, earlier.concat(batch));
+        if (result) {
+          delete result.duplicate;
+          if (duplicate) {
+            result.duplicate = duplicate;
+            console.log(`🪞 [DUPLICATES] ${doc.filename} is a${duplicate.type === 'exact' ? 'n exact' : ' near'} duplicate of ${duplicate.matches[0].filename}`);
+          }
+        }
+        batch.push({
+          ...fingerprint,
+          filename: doc.filename,
+          jobId: options.jobId || null,
+          category: result && result.success ? result.category : null,
+          inBatch: true,
+          recordedAt: new Date().toISOString()
+        });
+      }
+
+      if (options.jobId) {
+        await this.update(state => {
+          batch.forEach(({ inBatch, ...entry }) => {
+            const existing = state.documents.findIndex(item => item.jobId === entry.jobId && item.filename === entry.filename);
+            if (existing === -1) {
+              state.documents.push(entry);
+            } else {
+              state.documents[existing] = { ...entry, placement: state.documents[existing].placement };
+            }
+          });
+        });
+      }
+    } catch (error) {
+      // Duplicate detection is advisory; classification results are returned either way
+      console.error('❌ [DUPLICATES] Could not check for duplicates:', error.message);
+    }
+
+    return results;
+  }
+
+  /**
+   * Record where a job's documents were organized, so a later duplicate can replace them there
+   * ZIP downloads are not recorded; there is nothing left on disk to replace.
+   * @param {string} jobId - Job id
+   * @param {Array} organized - Organized files from the file organizer
+   * @param {string} outputDir - Output directory of the run
+   * @returns {Promise<void>}
+   */
+  async recordPlacements(jobId, organized, outputDir) {
+    if (!this.enabled || !jobId || organized.length === 0) return;
+
+    try {
+      await this.update(state => {
+        organized.forEach(file => {
+          const entry = state.documents.find(item => item.jobId === jobId && item.filename === (file.originalName || file.filename));
+          if (!entry) return;
+          entry.category = file.category;
+          entry.placement = {
+            outputDir: path.resolve(outputDir),
+            path: path.relative(outputDir, file.targetPath).split(path.sep).join('/'),
+            documentNumber: file.documentNumber || null,
+            at: new Date().toISOString()
+          };
+        });
+      });
+    } catch (error) {
+      console.error('❌ [DUPLICATES] Could not record placements:', error.message);
+    }
+  }
+
+  /**
+   * Where a matched document was organized most recently
+   * Matches are stored with the classification results, before their documents are organized, so this reads the index.
+   * @param {Object} match - Match from findMatches()
+   * @returns {Object|null} {outputDir, path, documentNumber, at} or null
+   */
+  getPlacement(match) {
+    const entry = this.read().documents.find(item => item.jobId === match.jobId && item.filename === match.filename);
+    return entry ? entry.placement || null : match.placement || null;
+  }
+
+  /**
+   * Remove the documents of a deleted job from the index
+   * @param {string} jobId - Job id
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async forgetJob(jobId) {
+    if (!fs.existsSync(this.path)) return 0;
+    return this.update(state => {
+      const before = state.documents.length;
+      state.documents = state.documents.filter(entry => entry.jobId !== jobId);
+      return before - state.documents.length;
+    });
+  }
+
+  /**
+   * Read the fingerprint index
+   * @returns {Object} {documents}
+   */
+  read() {
+    if (!fs.existsSync(this.path)) return { documents: [] };
+    return fs.readJsonSync(this.path);
+  }
+
+  /**
+   * Change the index under the lock and write it back atomically
+   * @param {Function} change - (state) => value; the state is saved after it returns
+   * @returns {Promise<*>} Value returned by change
+   */
+  update(change) {
+    return this.fileLock.update(change);
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,297 @@
+const fs = require('fs-extra');
+const path = require('path');
+const DocumentClassifier = require('./classifier');
+
+// Column used in the confusion matrix for documents the classifier failed on
+const FAILED = 'FAILED';
+
+class ClassificationEvaluator {
+  constructor(options = {}) {
+    this.classifier = options.classifier || new DocumentClassifier();
+  }
+
+  /**
+   * Classify every labelled PDF and score the predictions
+   * @param {string} labelsPath - CSV with filename,label columns (same format as training)
+   * @param {string} pdfDir - Directory containing the labelled PDFs
+   * @param {Object} options - Classifier options for every call ({taxonomy, provider, model, temperature, maxTokens})
+   * @returns {Promise<Object>} {success, report} or {success: false, error}
+   */
+  async evaluate(labelsPath, pdfDir, options = {}) {
+    try {
+      const taxonomy = this.classifier.getTaxonomy(options);
+      const labels = this.classifier.getLocalClassifier(taxonomy).readLabels(labelsPath);
+      const records = [];
+      const skipped = [];
+      const startTime = Date.now();
+
+      for (const { filename, label } of labels) {
+        const filePath = path.join(pdfDir, filename);
+        if (!taxonomy.getCategory(label)) {
+          skipped.push({ filename, reason: `Category ${label} is not in taxonomy ${taxonomy.id}` });
+          continue;
+        }
+        if (!fs.existsSync(filePath)) {
+          skipped.push({ filename, reason: 'File not found' });
+          continue;
+        }
+
+        console.log(`🧪 [EVALUATE] ${filename} (expected ${label})`);
+        const result = await this.classifier.classifyDocumentFromPDF(filePath, filename, options);
+        records.push({
+          filename,
+          expected: label,
+          predicted: result.success ? result.category : FAILED,
+          confidence: result.success ? result.confidence : 0,
+          success: result.success,
+          error: result.success ? undefined : result.error,
+          result
+        });
+      }
+
+      if (records.length === 0) {
+        throw new Error('No labelled document could be evaluated');
+      }
+
+      const modelRecord = records.find(record => record.result.model);
+      const report = {
+        labels: labelsPath,
+        directory: pdfDir,
+        taxonomy: taxonomy.id,
+        provider: options.provider || this.classifier.provider,
+        model: options.model || (modelRecord ? modelRecord.result.model : null),
+        evaluatedAt: new Date().toISOString(),
+        processingTime: `${(Date.now() - startTime) / 1000}s`,
+        ...this.computeMetrics(records, taxonomy.getCodes()),
+        skipped
+      };
+
+      return { success: true, report };
+
+    } catch (error) {
+      console.error('❌ [EVALUATE] Evaluation failed:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Compute accuracy, the confusion matrix, per-category scores and calibration
+   * @param {Array} records - Array of {filename, expected, predicted, confidence, success, result}
+   * @param {Array<string>} categories - Category codes in display order
+   * @returns {Object} Metrics
+   */
+  computeMetrics(records, categories) {
+    const labels = categories.concat(records.some(record => !record.success) ? [FAILED] : []);
+
+    // confusionMatrix[expected][predicted] = count
+    const confusionMatrix = {};
+    categories.forEach(expected => {
+      confusionMatrix[expected] = Object.fromEntries(labels.map(predicted => [predicted, 0]));
+    });
+    records.forEach(record => {
+      confusionMatrix[record.expected][record.predicted]++;
+    });
+
+    const perCategory = {};
+    categories.forEach(category => {
+      const truePositives = confusionMatrix[category][category];
+      const support = records.filter(record => record.expected === category).length;
+      const predicted = records.filter(record => record.predicted === category).length;
+      const precision = predicted > 0 ? truePositives / predicted : 0;
+      const recall = support > 0 ? truePositives / support : 0;
+      perCategory[category] = {
+        precision: this.round(precision),
+        recall: this.round(recall),
+        f1: this.round(precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0),
+        support,
+        predicted
+      };
+    });
+
+    // Macro averages only cover categories that appear in the labels
+    const present = categories.filter(category => perCategory[category].support > 0);
+    const average = key => this.round(present.reduce((sum, category) => sum + perCategory[category][key], 0) / (present.length || 1));
+
+    const correct = records.filter(record => record.expected === record.predicted).length;
+
+    return {
+      total: records.length,
+      correct,
+      accuracy: this.round(correct / records.length),
+      macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+      labels,
+      confusionMatrix,
+      perCategory,
+      calibration: this.computeCalibration(records),
+      statistics: this.classifier.getClassificationStats(records.map(record => record.result)),
+      misclassified: records
+        .filter(record => record.expected !== record.predicted)
+        .map(({ filename, expected, predicted, confidence, error }) => ({ filename, expected, predicted, confidence, error }))
+    };
+  }
+
+  /**
+   * Compare confidence with accuracy in the getClassificationStats buckets
+   * A well calibrated classifier has an average confidence close to the accuracy in each bucket.
+   * @param {Array} records - Evaluation records
+   * @returns {Object} {high|medium|low: {count, correct, accuracy, averageConfidence}}
+   */
+  computeCalibration(records) {
+    const buckets = {};
+    ['high', 'medium', 'low'].forEach(bucket => {
+      buckets[bucket] = { count: 0, correct: 0, accuracy: null, averageConfidence: null };
+    });
+
+    const totals = { high: 0, medium: 0, low: 0 };
+    records.filter(record => record.success).forEach(record => {
+      const bucket = this.classifier.getConfidenceBucket(record.confidence);
+      buckets[bucket].count++;
+      totals[bucket] += record.confidence;
+      if (record.expected === record.predicted) {
+        buckets[bucket].correct++;
+      }
+    });
+
+    Object.entries(buckets).forEach(([bucket, data]) => {
+      if (data.count > 0) {
+        data.accuracy = this.round(data.correct / data.count);
+        data.averageConfidence = this.round(totals[bucket] / data.count);
+      }
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Write the report as JSON and HTML
+   * @param {Object} report - Report from evaluate()
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<Object>} {jsonPath, htmlPath}
+   */
+  async writeReports(report, outputDir) {
+    await fs.ensureDir(outputDir);
+    const baseName = `evaluation_${report.evaluatedAt.replace(/[:.]/g, '-')}`;
+    const jsonPath = path.join(outputDir, `${baseName}.json`);
+    const htmlPath = path.join(outputDir, `${baseName}.html`);
+
+    await fs.writeJson(jsonPath, report, { spaces: 2 });
+    await fs.writeFile(htmlPath, this.renderHtml(report), 'utf8');
+
+    return { jsonPath, htmlPath };
+  }
+
+  /**
+   * Render the report as a standalone HTML page
+   * @param {Object} report - Report from evaluate()
+   * @returns {string} HTML
+   */
+  renderHtml(report) {
+    const escape = value => String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const percent = value => (value === null ? '-' : `${Math.round(value * 100)}%`);
+    const categories = Object.keys(report.confusionMatrix);
+
+    const matrixRows = categories.map(expected => {
+      const cells = report.labels.map(predicted => {
+        const count = report.confusionMatrix[expected][predicted];
+        const style = count === 0 ? 'color: #bbb;' : (predicted === expected ? 'background: #d4edda;' : 'background: #f8d7da;');
+        return `<td style="${style}">${count}</td>`;
+      }).join('');
+      return `<tr><th>${escape(expected)}</th>${cells}</tr>`;
+    }).join('\n');
+
+    const categoryRows = categories.map(category => {
+      const score = report.perCategory[category];
+      return `<tr><th>${escape(category)}</th><td>${percent(score.precision)}</td><td>${percent(score.recall)}</td>` +
+        `<td>${percent(score.f1)}</td><td>${score.support}</td></tr>`;
+    }).join('\n');
+
+    const calibrationRows = Object.entries(report.calibration).map(([bucket, data]) =>
+      `<tr><th>${bucket}</th><td>${data.count}</td><td>${percent(data.accuracy)}</td><td>${percent(data.averageConfidence)}</td></tr>`
+    ).join('\n');
+
+    const misclassifiedRows = report.misclassified.map(item =>
+      `<tr><td>${escape(item.filename)}</td><td>${escape(item.expected)}</td><td>${escape(item.predicted)}</td>` +
+      `<td>${percent(item.confidence)}</td><td>${escape(item.error)}</td></tr>`
+    ).join('\n') || '<tr><td colspan="5">None</td></tr>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Classification Evaluation - ${escape(report.evaluatedAt)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 30px; color: #333; }
+  h1 { color: #667eea; }
+  table { border-collapse: collapse; margin: 10px 0 30px; font-size: 14px; }
+  th, td { border: 1px solid #dee2e6; padding: 6px 10px; text-align: center; }
+  thead th { background: #f8f9fa; }
+  .summary span { display: inline-block; margin-right: 30px; }
+</style>
+</head>
+<body>
+<h1>Classification Evaluation</h1>
+<p class="summary">
+  <span><strong>Accuracy:</strong> ${percent(report.accuracy)} (${report.correct}/${report.total})</span>
+  <span><strong>Macro F1:</strong> ${percent(report.macro.f1)}</span>
+  <span><strong>Provider:</strong> ${escape(report.provider)}${report.model ? ` (${escape(report.model)})` : ''}</span>
+  <span><strong>Taxonomy:</strong> ${escape(report.taxonomy)}</span>
+  <span><strong>Evaluated:</strong> ${escape(report.evaluatedAt)}</span>
+</p>
+
+<h2>Confusion Matrix</h2>
+<p>Rows are the labelled category, columns the predicted category.</p>
+<table>
+<thead><tr><th>Expected \\ Predicted</th>${report.labels.map(label => `<th>${escape(label)}</th>`).join('')}</tr></thead>
+<tbody>
+${matrixRows}
+</tbody>
+</table>
+
+<h2>Per Category</h2>
+<table>
+<thead><tr><th>Category</th><th>Precision</th><th>Recall</th><th>F1</th><th>Support</th></tr></thead>
+<tbody>
+${categoryRows}
+</tbody>
+</table>
+
+<h2>Confidence Calibration</h2>
+<table>
+<thead><tr><th>Bucket</th><th>Documents</th><th>Accuracy</th><th>Average Confidence</th></tr></thead>
+<tbody>
+${calibrationRows}
+</tbody>
+</table>
+
+<h2>Misclassified Files</h2>
+<table>
+<thead><tr><th>File</th><th>Expected</th><th>Predicted</th><th>Confidence</th><th>Error</th></tr></thead>
+<tbody>
+${misclassifiedRows}
+</tbody>
+</table>
+${report.skipped.length > 0 ? `
+<h2>Skipped</h2>
+<ul>
+${report.skipped.map(item => `<li>${escape(item.filename)}: ${escape(item.reason)}</li>`).join('\n')}
+</ul>` : ''}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Round a score for the report
+   * @param {number} value - Number
+   * @returns {number} Value rounded to 4 decimals
+   */
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+}
+
+module.exports = ClassificationEvaluator;
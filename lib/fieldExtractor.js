@@ -0,0 +1,449 @@
+const PDFParser = require('./pdfParser');
+const defaultSchemas = require('./fieldSchemas.json');
+
+const MONTHS = {
+  jan: 1, januari: 1, january: 1,
+  feb: 2, februari: 2, february: 2, peb: 2, pebruari: 2,
+  mar: 3, maret: 3, march: 3,
+  apr: 4, april: 4,
+  mei: 5, may: 5,
+  jun: 6, juni: 6, june: 6,
+  jul: 7, juli: 7, july: 7,
+  agu: 8, agt: 8, ags: 8, agustus: 8, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  okt: 10, oktober: 10, oct: 10, october: 10,
+  nov: 11, nopember: 11, november: 11,
+  des: 12, desember: 12, dec: 12, december: 12
+};
+
+class FieldExtractor {
+  constructor(options = {}) {
+    this.schemas = options.schemas || defaultSchemas;
+    this.pdfParser = options.pdfParser || new PDFParser();
+
+    // Base confidence by where a value was found; invalid values are scaled down further
+    this.sourceConfidence = {
+      'layout': 0.9,        // "Label : value" on the same line
+      'layout-below': 0.75, // value on the line under the label
+      'layout-loose': 0.6,  // label without a separator, value validated by type
+      'text': 0.6,          // "Label : value" in plain (e.g. OCR) text
+      'table-ruled': 0.85,
+      'table-whitespace': 0.7
+    };
+    this.invalidPenalty = 0.3;
+  }
+
+  /**
+   * Get the field schema for a category
+   * @param {string} category - Category code
+   * @returns {Object|null} {description, fields}
+   */
+  getSchema(category) {
+    return this.schemas[category] || null;
+  }
+
+  /**
+   * Get all field schemas keyed by category code
+   * @returns {Object} Schemas
+   */
+  getSchemas() {
+    return this.schemas;
+  }
+
+  /**
+   * Parse a PDF and extract the fields of its category
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @param {string} category - Category code
+   * @returns {Promise<Object>} Extraction result (see extract)
+   */
+  async extractFromBuffer(pdfBuffer, category) {
+    const schema = this.getSchema(category);
+    const needsTables = Boolean(schema && schema.fields.some(field => field.type === 'list'));
+    const { pages } = await this.pdfParser.extractPages(pdfBuffer, { positions: true, graphics: needsTables });
+
+    const tables = needsTables
+      ? pages.flatMap(page => this.pdfParser.tableExtractor.extractTables(page.runs || [], page.rules, page.pageNumber))
+      : [];
+
+    return this.extract(category, { pages, tables });
+  }
+
+  /**
+   * Extract typed, validated field values for a category
+   * @param {string} category - Category code
+   * @param {Object} context - {pages: [{runs?, text}], tables: [...]}
+   * @returns {Object} {category, fields: {name: {value, raw, type, confidence, valid, source, error?}}, missingRequired, confidence, textAvailable}
+   */
+  extract(category, context = {}) {
+    const schema = this.getSchema(category);
+    const pages = context.pages || [];
+    const textAvailable = pages.some(page => (page.text || '').trim().length > 0);
+
+    if (!schema) {
+      return { category, fields: {}, missingRequired: [], confidence: 0, textAvailable };
+    }
+
+    const fields = {};
+    for (const field of schema.fields) {
+      const found = field.type === 'list'
+        ? this.findListValue(field, context.tables || [])
+        : this.findFieldValue(field, pages);
+
+      if (found) {
+        fields[field.name] = this.buildFieldResult(field, found.raw, found.source, found.confidence);
+      }
+    }
+
+    return this.summarize(category, schema, fields, textAvailable);
+  }
+
+  /**
+   * Look for a label/value pair on each page, by layout first and plain text second
+   * @param {Object} field - Field schema
+   * @param {Array} pages - Pages with runs and/or text
+   * @returns {Object|null} {raw, source, confidence}
+   */
+  findFieldValue(field, pages) {
+    for (const page of pages) {
+      for (const alias of field.aliases || [field.label]) {
+        if (page.runs && page.runs.length > 0) {
+          const strict = this.pdfParser.layoutAnalyzer.findLabelValue(page.runs, this.labelPattern(alias, true));
+          if (strict && !this.isPlaceholder(strict.value) && !this.looksLikeLabel(strict.value, strict.position)) {
+            const source = strict.position === 'below' ? 'layout-below' : 'layout';
+            return { raw: strict.value, source, confidence: this.sourceConfidence[source] };
+          }
+
+          // Labels printed without ":" only count when the value passes type validation
+          const loose = this.pdfParser.layoutAnalyzer.findLabelValue(page.runs, this.labelPattern(alias, false));
+          if (loose && loose.position === 'right' && !this.isPlaceholder(loose.value) &&
+              this.coerceValue(field, loose.value).valid) {
+            return { raw: loose.value, source: 'layout-loose', confidence: this.sourceConfidence['layout-loose'] };
+          }
+        } else if (page.text) {
+          const match = page.text.match(this.textPattern(alias));
+          if (match && !this.isPlaceholder(match[1])) {
+            return { raw: match[1].trim(), source: 'text', confidence: this.sourceConfidence.text };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a list field (e.g. handed-over items) from the first table whose header matches
+   * @param {Object} field - List field schema with columns
+   * @param {Array} tables - Tables from TableExtractor
+   * @returns {Object|null} {raw, source, confidence} where raw is an array of row objects
+   */
+  findListValue(field, tables) {
+    const columnNames = Object.keys(field.columns || {});
+
+    for (const table of tables) {
+      const header = table.rows[0].map(cell => cell.toLowerCase().trim());
+      const mapping = {};
+
+      columnNames.forEach(name => {
+        const aliases = field.columns[name].aliases.map(alias => alias.toLowerCase());
+        const index = header.findIndex(cell => aliases.includes(cell));
+        if (index !== -1) mapping[name] = index;
+      });
+
+      // The first column of the schema (the item name) must be present
+      if (mapping[columnNames[0]] === undefined) continue;
+
+      const raw = table.rows.slice(1)
+        .map(row => Object.fromEntries(Object.entries(mapping).map(([name, index]) => [name, row[index] || ''])))
+        .filter(item => String(item[columnNames[0]]).trim().length > 0);
+      if (raw.length === 0) continue;
+
+      const source = `table-${table.type}`;
+      return { raw, source, confidence: this.sourceConfidence[source] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Coerce and validate a raw value and attach its confidence
+   * @param {Object} field - Field schema
+   * @param {*} raw - Raw value (string, or row objects for lists)
+   * @param {string} source - Where the value came from
+   * @param {number} confidence - Confidence before validation
+   * @returns {Object} {value, raw, type, confidence, valid, source, error?}
+   */
+  buildFieldResult(field, raw, source, confidence) {
+    const coerced = this.coerceValue(field, raw);
+    const result = {
+      value: coerced.value,
+      raw,
+      type: field.type,
+      confidence: Math.round((coerced.valid ? confidence : confidence * this.invalidPenalty) * 100) / 100,
+      valid: coerced.valid,
+      source
+    };
+    if (coerced.error) result.error = coerced.error;
+    return result;
+  }
+
+  /**
+   * Convert a raw value to the field's type
+   * @param {Object} field - Field schema ({type, pattern?, columns?})
+   * @param {*} raw - Raw value
+   * @returns {Object} {value, valid, error?}
+   */
+  coerceValue(field, raw) {
+    if (field.type === 'list') {
+      if (!Array.isArray(raw)) return { value: null, valid: false, error: 'Expected a list' };
+      const value = raw.map(item => Object.fromEntries(Object.entries(item).map(([name, cell]) => {
+        const column = field.columns[name] || { type: 'string' };
+        return [name, this.coerceValue(column, cell).value];
+      })));
+      return { value, valid: value.length > 0 };
+    }
+
+    const text = String(raw === null || raw === undefined ? '' : raw).replace(/\s+/g, ' ').trim();
+    if (!text) return { value: null, valid: false, error: 'Empty value' };
+
+    switch (field.type) {
+      case 'date': {
+        const value = this.parseDate(text);
+        return value ? { value, valid: true } : { value: null, valid: false, error: `Unrecognized date: ${text}` };
+      }
+      case 'number': {
+        const value = this.parseNumber(text);
+        return value !== null ? { value, valid: true } : { value: null, valid: false, error: `Not a number: ${text}` };
+      }
+      case 'phone': {
+        const value = text.replace(/[^\d+]/g, '').replace(/^\+?62/, '0');
+        const valid = /^0\d{8,13}$/.test(value);
+        return valid ? { value, valid } : { value: null, valid, error: `Invalid phone number: ${text}` };
+      }
+      case 'name': {
+        const value = text.replace(/^[\s:.\-]+|[\s,.;:]+$/g, '');
+        const valid = /^[\p{L}][\p{L} .,'-]{1,79}$/u.test(value);
+        return valid ? { value, valid } : { value, valid, error: `Unlikely person name: ${text}` };
+      }
+      default: {
+        const value = text;
+        if (field.pattern && !new RegExp(field.pattern, 'i').test(value)) {
+          return { value, valid: false, error: `Does not match ${field.pattern}` };
+        }
+        return { value, valid: true };
+      }
+    }
+  }
+
+  /**
+   * Parse Indonesian and ISO date formats to YYYY-MM-DD
+   * @param {string} text - Date text such as "12/03/2025", "12-03-25" or "12 Maret 2025"
+   * @returns {string|null} ISO date or null
+   */
+  parseDate(text) {
+    let day;
+    let month;
+    let year;
+    let match;
+
+    if ((match = text.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+      [year, month, day] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = text.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+      // Indonesian documents write day first
+      [day, month, year] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = text.match(/(\d{1,2})\s*[-\s]\s*([A-Za-z]+)\.?\s*[-\s]\s*(\d{2,4})/))) {
+      day = Number(match[1]);
+      month = MONTHS[match[2].toLowerCase()];
+      year = Number(match[3]);
+    } else {
+      return null;
+    }
+
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, (month || 0) - 1, day));
+    if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Parse amounts written with Indonesian or English separators ("Rp 1.500.000,00", "1,250.50")
+   * @param {string} text - Number text
+   * @returns {number|null} Parsed number or null
+   */
+  parseNumber(text) {
+    let digits = text.replace(/[^\d.,-]/g, '');
+    if (!/\d/.test(digits)) return null;
+
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+      const decimal = lastDot > lastComma ? '.' : ',';
+      const thousands = decimal === '.' ? ',' : '.';
+      digits = digits.split(thousands).join('').replace(decimal, '.');
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const groups = digits.split(separator);
+      // "1.500.000" or "2,500" are thousands; "12,5" is a decimal
+      digits = groups.slice(1).every(group => group.length === 3)
+        ? groups.join('')
+        : groups.slice(0, -1).join('') + '.' + groups[groups.length - 1];
+    }
+
+    const value = Number(digits);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Merge field values returned by a language model into an extraction result
+   * Values are validated like local ones; a local value wins unless it is missing or invalid.
+   * @param {Object} extraction - Result of extract()
+   * @param {Object} llmFields - {name: {value, confidence}} or {name: value}
+   * @returns {Object} Updated extraction result
+   */
+  mergeModelFields(extraction, llmFields = {}) {
+    const schema = this.getSchema(extraction.category);
+    if (!schema) return extraction;
+
+    const fields = { ...extraction.fields };
+    for (const field of schema.fields) {
+      const entry = llmFields[field.name];
+      if (entry === undefined || entry === null) continue;
+
+      const raw = typeof entry === 'object' && !Array.isArray(entry) ? entry.value : entry;
+      if (raw === null || raw === undefined || raw === '' || this.isPlaceholder(String(raw))) continue;
+
+      const reported = typeof entry === 'object' && typeof entry.confidence === 'number' ? entry.confidence : 0.7;
+      const candidate = this.buildFieldResult(field, raw, 'llm', Math.max(0, Math.min(1, reported)));
+      const current = fields[field.name];
+      if (!current || (!current.valid && candidate.valid)) {
+        fields[field.name] = candidate;
+      }
+    }
+
+    return this.summarize(extraction.category, schema, fields, extraction.textAvailable);
+  }
+
+  /**
+   * Build the prompt asking a model for the category's fields as JSON
+   * @param {string} category - Category code
+   * @returns {string|null} Prompt or null when the category has no schema
+   */
+  buildExtractionPrompt(category) {
+    const schema = this.getSchema(category);
+    if (!schema) return null;
+
+    const fieldLines = schema.fields.map(field => {
+      const extra = field.type === 'list' ? ` (array of {${Object.keys(field.columns).join(', ')}})` : '';
+      return `- ${field.name}: ${field.label} [${field.type}${extra}]${field.required ? ' (wajib)' : ''}`;
+    });
+
+    return `Ekstrak field berikut dari dokumen ${schema.description}:
+${fieldLines.join('\n')}
+
+INSTRUKSI:
+- Tulis tanggal dalam format YYYY-MM-DD
+- Gunakan null jika field tidak ditemukan
+- Berikan confidence (0.0-1.0) untuk setiap field
+
+RESPONS HANYA JSON DALAM FORMAT:
+{"fields": {"<nama_field>": {"value": <nilai>, "confidence": <0.0-1.0>}}}`;
+  }
+
+  /**
+   * Value of the field marked with role "requester", if it was extracted and valid
+   * @param {Object} extraction - Extraction result
+   * @returns {string|null} Requester name
+   */
+  getRequester(extraction) {
+    const schema = extraction ? this.getSchema(extraction.category) : null;
+    if (!schema) return null;
+
+    const field = schema.fields.find(candidate => candidate.role === 'requester');
+    const result = field ? extraction.fields[field.name] : null;
+    return result && result.valid ? result.value : null;
+  }
+
+  /**
+   * Flatten an extraction to {name: value}
+   * @param {Object} extraction - Extraction result
+   * @returns {Object} Field values
+   */
+  toValues(extraction) {
+    if (!extraction || !extraction.fields) return {};
+    return Object.fromEntries(Object.entries(extraction.fields).map(([name, field]) => [name, field.value]));
+  }
+
+  /**
+   * Compute required-field coverage and overall confidence
+   * @param {string} category - Category code
+   * @param {Object} schema - Category schema
+   * @param {Object} fields - Field results
+   * @param {boolean} textAvailable - Whether the document had any text
+   * @returns {Object} Extraction result
+   */
+  summarize(category, schema, fields, textAvailable) {
+    const required = schema.fields.filter(field => field.required);
+    const missingRequired = required
+      .filter(field => !fields[field.name] || !fields[field.name].valid)
+      .map(field => field.name);
+
+    // Overall confidence averages the required fields (missing ones count as 0)
+    const scored = required.length > 0 ? required : schema.fields.filter(field => fields[field.name]);
+    const confidence = scored.length > 0
+      ? scored.reduce((sum, field) => sum + (fields[field.name] ? fields[field.name].confidence : 0), 0) / scored.length
+      : 0;
+
+    return {
+      category,
+      fields,
+      missingRequired,
+      confidence: Math.round(confidence * 100) / 100,
+      textAvailable
+    };
+  }
+
+  /**
+   * Regular expression for a label on a layout line
+   * @param {string} alias - Label text
+   * @param {boolean} requireSeparator - Require ":" after the label (or nothing else on the line)
+   * @returns {RegExp} Label pattern
+   */
+  labelPattern(alias, requireSeparator) {
+    const label = this.pdfParser.layoutAnalyzer.escapeRegExp(alias).replace(/\s+/g, '\\s*');
+    const after = requireSeparator ? '(?=\\s*[:：]|\\s*$)' : '(?=\\s|$)';
+    return new RegExp(`(?<![\\p{L}\\p{N}])${label}${after}`, 'iu');
+  }
+
+  /**
+   * Regular expression for "Label : value" in plain text
+   * @param {string} alias - Label text
+   * @returns {RegExp} Pattern whose first group is the value
+   */
+  textPattern(alias) {
+    const label = this.pdfParser.layoutAnalyzer.escapeRegExp(alias).replace(/\s+/g, '\\s*');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${label}\\s*[:：]\\s*([^\\n]+)`, 'iu');
+  }
+
+  /**
+   * Check for blank form placeholders such as "........" or "____"
+   * @param {string} value - Candidate value
+   * @returns {boolean} True when the value carries no information
+   */
+  isPlaceholder(value) {
+    return !value || /^[\s.:_\-…/]*$/.test(value) || /^(n\/?a|-)$/i.test(value.trim());
+  }
+
+  /**
+   * Detect a value that is actually the next label ("NIK : 123" under an empty "Nama :")
+   * @param {string} value - Candidate value
+   * @param {string} position - 'right' or 'below'
+   * @returns {boolean} True when the value looks like another label line
+   */
+  looksLikeLabel(value, position) {
+    return position === 'below' && /^[^:：]{1,30}[:：]/.test(value);
+  }
+}
+
+module.exports = FieldExtractor;
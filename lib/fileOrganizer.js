@@ -1,31 +1,221 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { TaxonomyRegistry } = require('./taxonomy');
+const NamingTemplate = require('./namingTemplate');
+const ManifestWriter = require('./manifestWriter');
+const WatermarkProcessor = require('./watermarkProcessor');
+
+const DUPLICATE_ACTIONS = ['keep', 'skip', 'replace'];
 
 class FileOrganizer {
-  constructor() {
+  constructor(options = {}) {
     this.baseOutputDir = './organized_documents';
     
-    // Folder mapping based on categories
-    this.folderMapping = {
-      'BA_HALO': 'Kartu Halo',
-      'BA_KKB': 'Berita Kehilangan',
-      'BASTB': 'Serah Terima Barang',
-      'CHR': 'Checklist Reimbursement HP',
-      'COF': 'COF Scan',
-      'LOF': 'ICT Loan Form',
-      'OOPR': 'Out of Policy Request',
-      'SRF': 'SRF Scan',
-      'DO': 'Skip'
+    // Folders and filename prefixes come from the category taxonomy (lib/taxonomies.json)
+    this.taxonomies = options.taxonomies || new TaxonomyRegistry();
+    this.folderMapping = this.taxonomies.get().getFolderMapping();
+
+    // Document numbers come from the shared sequence registry when one is given, otherwise each batch counts from its start number
+    this.sequences = options.sequences || null;
+
+    // Every run leaves a manifest (CSV, JSON or XLSX) next to the organized folders
+    this.manifestWriter = options.manifestWriter || new ManifestWriter();
+
+    // Documents flagged as duplicates (result.duplicate) are kept, skipped or written over the earlier copy
+    this.duplicates = options.duplicates || null;
+    this.duplicateAction = this.getDuplicateAction(options.duplicateAction || process.env.DUPLICATE_ACTION || 'keep');
+
+    // Runs with a watermark stamp every organized copy with its document number and requester
+    this.watermarkProcessor = options.watermarkProcessor || null;
+  }
+
+  /**
+   * Validate a duplicate action
+   * @param {string} action - keep, skip or replace (case-insensitive)
+   * @returns {string} Lowercase action
+   */
+  getDuplicateAction(action) {
+    const value = String(action).toLowerCase();
+    if (!DUPLICATE_ACTIONS.includes(value)) {
+      throw new Error(`Invalid duplicate action "${action}". Use ${DUPLICATE_ACTIONS.join(', ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * Decide what happens to a document flagged as a duplicate of an earlier one
+   * replace needs the earlier copy in this run or in the same output directory; without one the document is kept.
+   * @param {Object} result - Classification result, with {duplicate} from the duplicate detector
+   * @param {string|null} outputDir - Output directory of the run (null when only previewing names)
+   * @param {Object} placed - {filename: {folder, filename, documentNumber}} of the files placed earlier in this run
+   * @param {Object} options - {duplicateAction} overrides DUPLICATE_ACTION
+   * @returns {Object} {action: 'keep'|'skip'|'replace'}; replace adds {target: {folder, filename, documentNumber}, replaces}
+   *                   where replaces is the filename of the copy from this run, or null for a copy from an earlier run
+   */
+  planDuplicate(result, outputDir, placed, options = {}) {
+    const action = this.getDuplicateAction(options.duplicateAction || this.duplicateAction);
+    if (!result.duplicate || action === 'keep') return { action: 'keep' };
+    if (action === 'skip') return { action: 'skip' };
+
+    for (const match of result.duplicate.matches || []) {
+      if (match.inBatch && placed[match.filename]) {
+        return { action: 'replace', target: placed[match.filename], replaces: match.filename };
+      }
+      const placement = this.duplicates ? this.duplicates.getPlacement(match) : match.placement;
+      if (!match.inBatch && placement && outputDir && placement.outputDir === path.resolve(outputDir) &&
+          fs.existsSync(path.join(outputDir, placement.path))) {
+        const folder = path.posix.dirname(placement.path);
+        return {
+          action: 'replace',
+          target: { folder: folder === '.' ? '' : folder, filename: path.posix.basename(placement.path), documentNumber: placement.documentNumber },
+          replaces: null
+        };
+      }
+    }
+    return { action: 'keep' };
+  }
+
+  /**
+   * Entry for a document left out of a run because of a duplicate
+   * @param {Object} result - Classification result
+   * @param {string} reason - 'duplicate' (skipped) or 'replaced' (written over by a later copy in the same run)
+   * @param {string} replacedBy - Filename of the later copy
+   * @returns {Object} {filename, category, reason, duplicate, replacedBy}
+   */
+  describeSkipped(result, reason, replacedBy = null) {
+    return {
+      filename: result.originalName || result.filename,
+      category: result.category,
+      reason,
+      duplicate: result.duplicate || null,
+      replacedBy
+    };
+  }
+
+  /**
+   * Path a replacing duplicate is written to
+   * A copy organized earlier in this run is taken out of the organized list, since it is overwritten.
+   * @param {Object} results - Run results ({organized, skipped})
+   * @param {string} outputDir - Output directory
+   * @param {Object} duplicate - Plan from planDuplicate()
+   * @param {Object} result - Classification result of the replacing document
+   * @returns {string} Target file path
+   */
+  takeReplacedPath(results, outputDir, duplicate, result) {
+    if (duplicate.replaces) {
+      const index = results.organized.findIndex(file => (file.originalName || file.filename) === duplicate.replaces);
+      if (index !== -1) {
+        const [replaced] = results.organized.splice(index, 1);
+        results.skipped.push(this.describeSkipped(replaced, 'replaced', result.filename));
+      }
+    }
+    return path.join(outputDir, duplicate.target.folder, duplicate.target.filename);
+  }
+
+  /**
+   * Take the document number for a file
+   * With a sequence registry the number is reserved there and the start number only moves the sequence forward.
+   * @param {string} prefix - Filename prefix of the category
+   * @param {Object} result - Classification result
+   * @param {Object} categoryCounters - Batch counters per category (used without a registry)
+   * @param {Object} options - {numberingConfig} start numbers per category, {jobId}
+   * @returns {Promise<Object>} {number} plus {key, prefix, period} for reserved numbers
+   */
+  async takeNumber(prefix, result, categoryCounters, options = {}) {
+    if (!this.sequences) {
+      return { number: categoryCounters[result.category]++ };
+    }
+
+    return this.sequences.reserve(prefix, {
+      filename: result.filename,
+      category: result.category,
+      requester: this.getFieldValue(result, 'requester'),
+      jobId: options.jobId
+    }, {
+      minimum: (options.numberingConfig || {})[result.category]
+    });
+  }
+
+  /**
+   * Resolve the taxonomy used to organize a set of results
+   * @param {Array} classificationResults - Classification results (their "taxonomy" is used when no override is given)
+   * @param {Object} options - {taxonomy} override
+   * @returns {Taxonomy} Taxonomy
+   */
+  getTaxonomy(classificationResults = [], options = {}) {
+    const tagged = classificationResults.find(result => result && result.taxonomy);
+    return this.taxonomies.get(options.taxonomy || (tagged && tagged.taxonomy));
+  }
+
+  /**
+   * Output name and folder templates for a run
+   * Templates given with the request come first, then the taxonomy's, then FILENAME_TEMPLATE / FOLDER_TEMPLATE.
+   * @param {Taxonomy} taxonomy - Taxonomy the results are filed in
+   * @param {Object} options - {filenameTemplate}, {folderTemplate}
+   * @returns {Object} {filename: NamingTemplate, folder: NamingTemplate}
+   */
+  getTemplates(taxonomy, options = {}) {
+    return {
+      filename: new NamingTemplate(options.filenameTemplate || taxonomy.filenameTemplate, { type: 'filename' }),
+      folder: new NamingTemplate(options.folderTemplate || taxonomy.folderTemplate, { type: 'folder' })
     };
   }
 
+  /**
+   * Render the output name and folder of a classified file
+   * @param {Object} result - Classification result of a known category
+   * @param {Taxonomy} taxonomy - Taxonomy the result is filed in
+   * @param {Object} templates - From getTemplates()
+   * @param {Object} numbering - {prefix, number, date}; files keeping their own name have no number
+   * @returns {Object} {filename} with the original extension, {folder} relative to the output directory, {documentNumber}
+   */
+  renderTarget(result, taxonomy, templates, numbering = {}) {
+    const category = taxonomy.getCategory(result.category);
+    const ext = path.extname(result.filename);
+    const values = {
+      prefix: numbering.prefix,
+      number: numbering.number,
+      requester: this.getFieldValue(result, 'requester') || 'Unknown',
+      category: result.category,
+      categoryName: category.name,
+      folder: category.folder,
+      taxonomy: taxonomy.id,
+      original: path.basename(result.filename, ext),
+      date: numbering.date,
+      fields: this.getFieldValues(result)
+    };
+
+    return {
+      filename: templates.filename.render(values) + ext,
+      folder: templates.folder.render(values),
+      documentNumber: numbering.number !== undefined ? templates.filename.formatNumber(numbering.number) : null
+    };
+  }
+
+  /**
+   * Create the output directory of a run
+   * The flat category folders are created up front only for the default folder template; other layouts are created per file.
+   * @param {string} outputDir - Output directory
+   * @param {Taxonomy} taxonomy - Taxonomy the results are filed in
+   * @param {Object} templates - From getTemplates()
+   * @returns {Promise<Object>} createFolderStructure() result
+   */
+  async prepareOutputDir(outputDir, taxonomy, templates) {
+    if (templates.folder.isDefault()) {
+      return this.createFolderStructure(outputDir, taxonomy.id);
+    }
+    await fs.ensureDir(outputDir);
+    return { success: true, baseDir: outputDir, folders: {} };
+  }
+
   /**
    * Create downloadable ZIP from cached classification results
    * @param {Array} classificationResults - Cached classification results
    * @param {Array} sourceFiles - Array of source file information {filename, base64Data}
+   * @param {Object} options - {taxonomy} overrides the results' taxonomy
    * @returns {Promise<Object>} ZIP creation result with download info
    */
-  async createDownloadableZipFromCached(classificationResults, sourceFiles) {
+  async createDownloadableZipFromCached(classificationResults, sourceFiles, options = {}) {
     try {
       // Validate input parameters
       if (!Array.isArray(classificationResults) || !Array.isArray(sourceFiles)) {
@@ -81,7 +271,8 @@ class FileOrganizer {
       const organizationResult = await this.organizeFilesForDownload(
         classificationResults,
         fileMapping,
-        tempOrgDir
+        tempOrgDir,
+        options
       );
       
       if (!organizationResult.success) {
@@ -96,7 +287,9 @@ class FileOrganizer {
       
       return {
         ...zipResult,
-        summary: organizationResult.summary
+        summary: organizationResult.summary,
+        skipped: organizationResult.skipped,
+        manifest: organizationResult.manifest
       };
       
     } catch (error) {
@@ -108,9 +301,10 @@ class FileOrganizer {
   /**
    * Create folder structure for all categories
    * @param {string} baseDir - Base directory for organization
+   * @param {string} taxonomyName - Taxonomy whose folders are created (defaults to the default taxonomy)
    * @returns {Promise<Object>} Created folders info
    */
-  async createFolderStructure(baseDir = null) {
+  async createFolderStructure(baseDir = null, taxonomyName = null) {
     const outputDir = baseDir || this.baseOutputDir;
     const createdFolders = {};
 
@@ -121,7 +315,7 @@ class FileOrganizer {
       }
 
       // Create category folders
-      for (const [category, folderName] of Object.entries(this.folderMapping)) {
+      for (const [category, folderName] of Object.entries(this.getFolderMapping(taxonomyName))) {
         const folderPath = path.join(outputDir, folderName);
         
         if (!fs.existsSync(folderPath)) {
@@ -162,30 +356,27 @@ class FileOrganizer {
    * @param {Array} classificationResults - Array of classification results
    * @param {string} sourceDir - Source directory containing files
    * @param {string} targetDir - Target directory for organization
-   * @param {Object} numberingConfig - Document numbering configuration
+   * @param {Object} numberingConfig - Start number per category (with a sequence registry: the lowest number to hand out)
+   * @param {Object} options - {taxonomy} overrides the results' taxonomy, {jobId} is recorded with reserved numbers,
+   *                           {filenameTemplate} and {folderTemplate} override the output naming, {manifestFormat} csv, json or xlsx,
+   *                           {duplicateAction} keep, skip or replace for documents flagged as duplicates,
+   *                           {watermarkPreset} and/or {watermarkText} stamp every copy (see writeCopy()), {user} fills {user},
+   *                           {onOrganized} is awaited with each organized entry right after its copy is written
    * @returns {Promise<Object>} Organization results
    */
-  async organizeFilesWithNumbering(classificationResults, sourceDir, targetDir = null, numberingConfig = {}) {
+  async organizeFilesWithNumbering(classificationResults, sourceDir, targetDir = null, numberingConfig = {}, options = {}) {
     const outputDir = targetDir || this.baseOutputDir;
     const results = {
       success: true,
       organized: [],
       failed: [],
+      skipped: [],
       summary: {}
     };
 
     // Category prefixes for file naming
-    const categoryPrefixes = {
-      'BA_HALO': 'ICTBAK',
-      'BA_KKB': 'ICTBKK',
-      'BASTB': 'ICTSTB',
-      'CHR': 'ICTCRH',
-      'COF': 'ICTCOF',
-      'LOF': 'ICTLOA',
-      'OOPR': 'ICTOOP',
-      'SRF': 'ICTSRF',
-      'DO': 'ICTSKP'
-    };
+    const taxonomy = this.getTaxonomy(classificationResults, options);
+    const categoryPrefixes = taxonomy.getPrefixes();
 
     // Initialize counters for each category
     const categoryCounters = {};
@@ -195,96 +386,200 @@ class FileOrganizer {
 
     try {
       // Create folder structure first
-      const folderResult = await this.createFolderStructure(outputDir);
+      const templates = this.getTemplates(taxonomy, options);
+      const folderResult = await this.prepareOutputDir(outputDir, taxonomy, templates);
       if (!folderResult.success) {
         throw new Error('Failed to create folder structure: ' + folderResult.error);
       }
 
-      // Process each classification result
+      const run = {
+        results, outputDir, taxonomy, templates, options, placed: {},
+        duplicateDir: outputDir,
+        numbering: { prefixes: categoryPrefixes, counters: categoryCounters, options: { ...options, numberingConfig } }
+      };
       for (const result of classificationResults) {
-        try {
-          if (!result.success) {
-            results.failed.push({
-              filename: result.filename,
-              error: result.error || 'Classification failed',
-              category: result.category
-            });
-            continue;
-          }
+        await this.placeFile(result, path.join(sourceDir, result.filename), run);
+      }
 
-          const sourceFile = path.join(sourceDir, result.filename);
-          const targetFolder = folderResult.folders[result.category];
-          
-          if (!targetFolder) {
-            results.failed.push({
-              filename: result.filename,
-              error: 'Unknown category: ' + result.category,
-              category: result.category
-            });
-            continue;
-          }
+      // Generate summary
+      results.summary = this.generateSummary(results.organized, results.failed, results.skipped);
+      results.manifest = await this.manifestWriter.write(outputDir, results, {
+        format: options.manifestFormat,
+        sources: this.getSourcePaths(classificationResults, sourceDir),
+        taxonomy: taxonomy.id,
+        jobId: options.jobId
+      });
+      if (this.duplicates) {
+        await this.duplicates.recordPlacements(options.jobId, results.organized, outputDir);
+      }
 
-          // Check if source file exists
-          if (!fs.existsSync(sourceFile)) {
-            results.failed.push({
-              filename: result.filename,
-              error: 'Source file not found',
-              category: result.category
-            });
-            continue;
-          }
+    } catch (error) {
+      console.error('Error in file organization with numbering:', error);
+      results.success = false;
+      results.error = error.message;
+    }
 
-          // Generate custom filename with numbering
-          const prefix = categoryPrefixes[result.category] || 'ICTUNK';
-          const counter = categoryCounters[result.category];
-          const paddedCounter = counter.toString().padStart(3, '0');
-          const requesterName = result.requester && result.requester !== 'N/A' ? result.requester : 'Unknown';
-          const ext = path.extname(result.filename);
-          
-          const newFilename = `${prefix}${paddedCounter} - ${requesterName}${ext}`;
-          
-          // Generate target file path with duplicate handling
-          const targetFile = this.generateTargetPathWithCustomName(targetFolder.path, newFilename);
-          
-          // Copy file to target location
-          fs.copyFileSync(sourceFile, targetFile);
+    return results;
+  }
 
-          // Increment counter for this category
-          categoryCounters[result.category]++;
+  /**
+   * File one classified document: check it, apply the duplicate action, name it and write the copy
+   * Shared by organizeFilesWithNumbering, organizeFiles and organizeFilesForDownload; the outcome is added to
+   * run.results (organized, skipped or failed) and never thrown.
+   * @param {Object} result - Classification result
+   * @param {string} sourceFile - Path of the document's PDF
+   * @param {Object} run - {results, outputDir, taxonomy, templates, placed, options}, {duplicateDir} where earlier copies
+   *                       may be replaced (null for none), {numbering} {prefixes, counters, options} or null to keep file names
+   * @returns {Promise<void>}
+   */
+  async placeFile(result, sourceFile, run) {
+    const { results, outputDir, taxonomy, templates, placed, options, numbering } = run;
+    try {
+      if (!result.success) {
+        results.failed.push({
+          filename: result.filename,
+          error: result.error || 'Classification failed',
+          category: result.category
+        });
+        return;
+      }
 
-          results.organized.push({
-            originalName: result.filename,
-            newName: path.basename(targetFile),
-            category: result.category,
-            categoryName: result.categoryName,
-            confidence: result.confidence,
-            requester: result.requester,
-            sourcePath: sourceFile,
-            targetPath: targetFile,
-            targetFolder: targetFolder.name,
-            documentNumber: paddedCounter
-          });
+      if (!taxonomy.getCategory(result.category)) {
+        results.failed.push({
+          filename: result.filename,
+          error: 'Unknown category: ' + result.category,
+          category: result.category
+        });
+        return;
+      }
 
-        } catch (fileError) {
-          console.error(`Error organizing file ${result.filename}:`, fileError);
-          results.failed.push({
-            filename: result.filename,
-            error: fileError.message,
-            category: result.category
-          });
+      // Check if source file exists
+      if (!sourceFile || !fs.existsSync(sourceFile)) {
+        results.failed.push({
+          filename: result.filename,
+          error: 'Source file not found',
+          category: result.category
+        });
+        return;
+      }
+
+      // Documents seen before are skipped, filed again or written over the earlier copy
+      const duplicate = this.planDuplicate(result, run.duplicateDir, placed, options);
+      if (duplicate.action === 'skip') {
+        results.skipped.push(this.describeSkipped(result, 'duplicate'));
+        return;
+      }
+
+      const prefix = numbering ? (numbering.prefixes[result.category] || taxonomy.unknownPrefix) : null;
+      let target;
+      let targetFile;
+      let reservation = {};
+      if (duplicate.action === 'replace') {
+        // The earlier copy keeps its name and document number
+        target = duplicate.target;
+        targetFile = this.takeReplacedPath(results, outputDir, duplicate, result);
+      } else {
+        if (numbering) {
+          reservation = await this.takeNumber(prefix, result, numbering.counters, numbering.options);
+          target = this.renderTarget(result, taxonomy, templates, { prefix, number: reservation.number, date: options.date });
+        } else {
+          target = this.renderTarget(result, taxonomy, templates, { date: options.date });
         }
+        const targetFolderPath = path.join(outputDir, target.folder);
+        await fs.ensureDir(targetFolderPath);
+
+        // Generate target file path with duplicate handling
+        targetFile = numbering
+          ? this.generateTargetPathWithCustomName(targetFolderPath, target.filename)
+          : this.generateTargetPath(targetFolderPath, result.filename);
       }
 
-      // Generate summary
-      results.summary = this.generateSummary(results.organized, results.failed);
+      // Copy file to target location
+      await this.writeCopy(sourceFile, targetFile, result, {
+        filename: path.basename(targetFile),
+        ...(numbering ? { documentNumber: target.documentNumber ? prefix + target.documentNumber : null } : {})
+      }, options);
+      if (reservation.key) {
+        await this.sequences.complete(reservation, { newName: path.basename(targetFile), folder: target.folder });
+      }
 
-    } catch (error) {
-      console.error('Error in file organization with numbering:', error);
-      results.success = false;
-      results.error = error.message;
+      const organized = {
+        ...(numbering ? { originalName: result.filename, newName: path.basename(targetFile) } : { filename: result.filename }),
+        category: result.category,
+        categoryName: result.categoryName,
+        confidence: result.confidence,
+        ...(numbering ? { requester: result.requester } : {}),
+        fields: this.getFieldValues(result),
+        sourcePath: sourceFile,
+        targetPath: targetFile,
+        targetFolder: target.folder,
+        ...(numbering ? { documentNumber: target.documentNumber } : {}),
+        duplicate: result.duplicate || null,
+        replaced: duplicate.action === 'replace'
+      };
+      results.organized.push(organized);
+      placed[result.filename] = { folder: target.folder, filename: path.basename(targetFile), documentNumber: target.documentNumber };
+      if (options.onOrganized) {
+        await options.onOrganized(organized);
+      }
+
+    } catch (fileError) {
+      console.error(`Error organizing file ${result.filename}:`, fileError);
+      results.failed.push({
+        filename: result.filename,
+        error: fileError.message,
+        category: result.category
+      });
     }
+  }
 
-    return results;
+  /**
+   * Copy a document to its organized location, stamped with the run's watermark when one is set
+   * The copy's own name, document number (e.g. ICTSRF001), category and requester fill the watermark text variables,
+   * so every copy can be traced back to its entry in the manifest.
+   * @param {string} sourceFile - Source path
+   * @param {string} targetFile - Target path
+   * @param {Object} result - Classification result
+   * @param {Object} variables - {filename, documentNumber}
+   * @param {Object} options - {watermarkPreset}, {watermarkText}, {user}, {date}
+   * @returns {Promise<void>}
+   */
+  async writeCopy(sourceFile, targetFile, result, variables, options = {}) {
+    if (!options.watermarkPreset && !options.watermarkText) {
+      fs.copyFileSync(sourceFile, targetFile);
+      return;
+    }
+
+    if (!this.watermarkProcessor) {
+      this.watermarkProcessor = new WatermarkProcessor();
+    }
+    const stamped = await this.watermarkProcessor.addWatermark(await fs.readFile(sourceFile), {
+      preset: options.watermarkPreset,
+      customText: options.watermarkText,
+      variables: {
+        ...variables,
+        category: result.category,
+        requester: this.getFieldValue(result, 'requester'),
+        user: options.user || process.env.WATERMARK_USER,
+        date: options.date
+      }
+    });
+    if (!stamped.success) {
+      throw new Error(stamped.error);
+    }
+    await fs.writeFile(targetFile, stamped.buffer);
+  }
+
+  /**
+   * Map result filenames to their files in a source directory (used to hash documents that were not organized)
+   * @param {Array} classificationResults - Classification results
+   * @param {string} sourceDir - Source directory
+   * @returns {Object} {filename: path}
+   */
+  getSourcePaths(classificationResults, sourceDir) {
+    return Object.fromEntries(classificationResults
+      .filter(result => result && result.filename)
+      .map(result => [result.filename, path.join(sourceDir, result.filename)]));
   }
 
   /**
@@ -314,86 +609,47 @@ class FileOrganizer {
    * @param {Array} classificationResults - Array of classification results
    * @param {string} sourceDir - Source directory containing files
    * @param {string} targetDir - Target directory for organization
+   * @param {Object} options - {taxonomy} overrides the results' taxonomy, {folderTemplate} overrides the folder layout,
+   *                           {manifestFormat} csv, json or xlsx, {duplicateAction} keep, skip or replace,
+   *                           {watermarkPreset} and/or {watermarkText} stamp every copy, {user} fills {user}
    * @returns {Promise<Object>} Organization results
    */
-  async organizeFiles(classificationResults, sourceDir, targetDir = null) {
+  async organizeFiles(classificationResults, sourceDir, targetDir = null, options = {}) {
     const outputDir = targetDir || this.baseOutputDir;
+    const taxonomy = this.getTaxonomy(classificationResults, options);
     const results = {
       success: true,
       organized: [],
       failed: [],
+      skipped: [],
       summary: {}
     };
 
     try {
       // Create folder structure first
-      const folderResult = await this.createFolderStructure(outputDir);
+      const templates = this.getTemplates(taxonomy, options);
+      const folderResult = await this.prepareOutputDir(outputDir, taxonomy, templates);
       if (!folderResult.success) {
         throw new Error('Failed to create folder structure: ' + folderResult.error);
       }
 
-      // Process each classification result
+      // Files keep their own names, so there is no numbering
+      const run = { results, outputDir, taxonomy, templates, options, placed: {}, duplicateDir: outputDir, numbering: null };
       for (const result of classificationResults) {
-        try {
-          if (!result.success) {
-            results.failed.push({
-              filename: result.filename,
-              error: result.error || 'Classification failed',
-              category: result.category
-            });
-            continue;
-          }
-
-          const sourceFile = path.join(sourceDir, result.filename);
-          const targetFolder = folderResult.folders[result.category];
-          
-          if (!targetFolder) {
-            results.failed.push({
-              filename: result.filename,
-              error: 'Unknown category: ' + result.category,
-              category: result.category
-            });
-            continue;
-          }
-
-          // Check if source file exists
-          if (!fs.existsSync(sourceFile)) {
-            results.failed.push({
-              filename: result.filename,
-              error: 'Source file not found',
-              category: result.category
-            });
-            continue;
-          }
-
-          // Generate target file path with duplicate handling
-          const targetFile = this.generateTargetPath(targetFolder.path, result.filename);
-          
-          // Copy file to target location
-          fs.copyFileSync(sourceFile, targetFile);
-
-          results.organized.push({
-            filename: result.filename,
-            category: result.category,
-            categoryName: result.categoryName,
-            confidence: result.confidence,
-            sourcePath: sourceFile,
-            targetPath: targetFile,
-            targetFolder: targetFolder.name
-          });
-
-        } catch (fileError) {
-          console.error(`Error organizing file ${result.filename}:`, fileError);
-          results.failed.push({
-            filename: result.filename,
-            error: fileError.message,
-            category: result.category
-          });
-        }
+        await this.placeFile(result, path.join(sourceDir, result.filename), run);
       }
 
       // Generate summary
-      results.summary = this.generateSummary(results.organized, results.failed);
+      results.summary = this.generateSummary(results.organized, results.failed, results.skipped);
+      results.manifest = await this.manifestWriter.write(outputDir, results, {
+        format: options.manifestFormat,
+        sources: this.getSourcePaths(classificationResults, sourceDir),
+        taxonomy: taxonomy.id,
+        jobId: options.jobId
+      });
+      if (this.duplicates) {
+        await this.duplicates.recordPlacements(options.jobId, results.organized, outputDir);
+      }
 
     } catch (error) {
       console.error('Error in file organization:', error);
@@ -430,13 +686,15 @@ class FileOrganizer {
    * Generate organization summary
    * @param {Array} organized - Successfully organized files
    * @param {Array} failed - Failed files
+   * @param {Array} skipped - Duplicates left out of the run (not counted in total)
    * @returns {Object} Summary statistics
    */
-  generateSummary(organized, failed) {
+  generateSummary(organized, failed, skipped = []) {
     const summary = {
       total: organized.length + failed.length,
       successful: organized.length,
       failed: failed.length,
+      skipped: skipped.length,
       successRate: 0,
       categoryBreakdown: {},
       confidenceStats: {
@@ -564,42 +822,56 @@ class FileOrganizer {
    * Preview organization without actually moving files
    * @param {Array} classificationResults - Classification results
    * @param {string} sourceDir - Source directory
+   * @param {Object} options - {taxonomy} overrides the results' taxonomy, plus the previewNames() options
    * @returns {Object} Preview of organization
    */
-  previewOrganization(classificationResults, sourceDir) {
+  previewOrganization(classificationResults, sourceDir, options = {}) {
+    const taxonomy = this.getTaxonomy(classificationResults, options);
+    const names = this.previewNames(classificationResults, { outputDir: sourceDir, ...options });
+    if (!names.success) {
+      throw new Error(names.error);
+    }
+
     const preview = {
       folderStructure: {},
       fileDistribution: {},
+      templates: names.templates,
+      skipped: names.skipped,
       summary: {
         total: classificationResults.length,
-        successful: 0,
-        failed: 0
+        successful: names.files.length,
+        failed: names.failed.length,
+        skipped: names.skipped.length
       }
     };
 
-    // Initialize folder structure
-    Object.entries(this.folderMapping).forEach(([category, folderName]) => {
-      preview.folderStructure[folderName] = {
-        category: category,
-        files: [],
-        count: 0
-      };
-    });
+    // Initialize folder structure (the default layout creates every category folder)
+    if (this.getTemplates(taxonomy, options).folder.isDefault()) {
+      Object.entries(taxonomy.getFolderMapping()).forEach(([category, folderName]) => {
+        preview.folderStructure[folderName] = {
+          category: category,
+          files: [],
+          count: 0
+        };
+      });
+    }
 
     // Process classification results
-    classificationResults.forEach(result => {
-      if (result.success && this.folderMapping[result.category]) {
-        const folderName = this.folderMapping[result.category];
-        preview.folderStructure[folderName].files.push({
-          filename: result.filename,
-          confidence: result.confidence,
-          category: result.category
-        });
-        preview.folderStructure[folderName].count++;
-        preview.summary.successful++;
-      } else {
-        preview.summary.failed++;
-      }
+    names.files.forEach(file => {
+      const folder = preview.folderStructure[file.folder] || (preview.folderStructure[file.folder] = {
+        category: file.category,
+        files: [],
+        count: 0
+      });
+      folder.files.push({
+        filename: file.filename,
+        newName: file.newName,
+        confidence: file.confidence,
+        category: file.category,
+        duplicate: file.duplicate,
+        action: file.action
+      });
+      folder.count++;
     });
 
     // Generate file distribution
@@ -612,14 +884,126 @@ class FileOrganizer {
     return preview;
   }
 
+  /**
+   * Render output names and folders without writing files or reserving document numbers
+   * Numbers continue from the sequence registry (or the start numbers without one), so they match the next run
+   * unless another run takes numbers in between.
+   * @param {Array} classificationResults - Classification results
+   * @param {Object} options - {taxonomy}, {filenameTemplate}, {folderTemplate}, {numberingConfig} start number per category, {date},
+   *                           {duplicateAction} and {outputDir} to show what happens to duplicates
+   * @returns {Object} {success, taxonomy, templates, files: [{filename, category, confidence, documentNumber, newName, folder, path,
+   *                   duplicate, action}], failed, skipped} or {success: false, error} for an invalid template
+   */
+  previewNames(classificationResults, options = {}) {
+    try {
+      const taxonomy = this.getTaxonomy(classificationResults, options);
+      const templates = this.getTemplates(taxonomy, options);
+      const categoryPrefixes = taxonomy.getPrefixes();
+      const numberingConfig = options.numberingConfig || {};
+      const nextNumbers = {};
+      const taken = new Set();
+      const placed = {};
+      const files = [];
+      const failed = [];
+      const skipped = [];
+
+      for (const result of classificationResults) {
+        if (!result || !result.success || !taxonomy.getCategory(result.category)) {
+          failed.push({
+            filename: result ? result.filename : null,
+            error: result && result.success ? 'Unknown category: ' + result.category : (result && result.error) || 'Classification failed'
+          });
+          continue;
+        }
+
+        const duplicate = this.planDuplicate(result, options.outputDir || null, placed, options);
+        if (duplicate.action === 'skip') {
+          skipped.push(this.describeSkipped(result, 'duplicate'));
+          continue;
+        }
+        if (duplicate.action === 'replace') {
+          // Same bookkeeping as takeReplacedPath(): a copy from this batch gives way to the later one
+          if (duplicate.replaces) {
+            const index = files.findIndex(file => file.filename === duplicate.replaces);
+            const [replaced] = files.splice(index, 1);
+            skipped.push(this.describeSkipped(replaced, 'replaced', result.filename));
+          }
+          const { folder, filename, documentNumber } = duplicate.target;
+          placed[result.filename] = duplicate.target;
+          files.push({
+            filename: result.filename,
+            category: result.category,
+            confidence: result.confidence,
+            documentNumber: documentNumber || null,
+            newName: filename,
+            folder,
+            path: `${folder}/${filename}`,
+            duplicate: result.duplicate,
+            action: 'replace'
+          });
+          continue;
+        }
+
+        const prefix = categoryPrefixes[result.category];
+        if (nextNumbers[prefix] === undefined) {
+          const start = parseInt(numberingConfig[result.category]) || 1;
+          nextNumbers[prefix] = this.sequences ? Math.max(start, this.sequences.peek([prefix], options.date)[prefix]) : start;
+        }
+        const target = this.renderTarget(result, taxonomy, templates, { prefix, number: nextNumbers[prefix]++, date: options.date });
+
+        // Same suffix generateTargetPathWithCustomName() gives names that are already taken
+        const ext = path.extname(target.filename);
+        const baseName = path.basename(target.filename, ext);
+        let newName = target.filename;
+        for (let counter = 1; taken.has(`${target.folder}/${newName}`); counter++) {
+          newName = `${baseName}_dup${counter}${ext}`;
+        }
+        taken.add(`${target.folder}/${newName}`);
+        placed[result.filename] = { folder: target.folder, filename: newName, documentNumber: target.documentNumber };
+
+        files.push({
+          filename: result.filename,
+          category: result.category,
+          confidence: result.confidence,
+          documentNumber: target.documentNumber,
+          newName,
+          folder: target.folder,
+          path: `${target.folder}/${newName}`,
+          duplicate: result.duplicate || null,
+          action: 'keep'
+        });
+      }
+
+      return {
+        success: true,
+        taxonomy: taxonomy.id,
+        templates: { filename: templates.filename.template, folder: templates.folder.template },
+        files,
+        failed,
+        skipped
+      };
+
+    } catch (error) {
+      console.error('Error previewing output names:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Organize files in a temporary directory for ZIP download
    * @param {Array} classificationResults - Array of classification results
    * @param {Object} fileMapping - Mapping of filenames to file paths
    * @param {string} tempDir - Temporary directory for organization
+   * @param {Object} options - {taxonomy} overrides the results' taxonomy, {jobId} is recorded with reserved numbers,
+   *                           {filenameTemplate} and {folderTemplate} override the output naming, {manifestFormat} csv, json or xlsx,
+   *                           {duplicateAction} keep, skip or replace for documents flagged as duplicates,
+   *                           {watermarkPreset} and/or {watermarkText} stamp every copy (see writeCopy()), {user} fills {user}
    * @returns {Promise<Object>} Organization results
    */
-  async organizeFilesForDownload(classificationResults, fileMapping, tempDir = null) {
+  async organizeFilesForDownload(classificationResults, fileMapping, tempDir = null, options = {}) {
     const baseDir = tempDir || `./temp_organize_${Date.now()}`;
     // Create organized files in a separate subdirectory to avoid including temp files in ZIP
     const outputDir = path.join(baseDir, 'organized');
@@ -627,22 +1011,14 @@ class FileOrganizer {
       success: true,
       organized: [],
       failed: [],
+      skipped: [],
       summary: {},
       tempDir: outputDir // Return the organized subdirectory path for ZIP creation
     };
 
     // Category prefixes for file naming
-    const categoryPrefixes = {
-      'BA_HALO': 'ICTBAK',
-      'BA_KKB': 'ICTBKK',
-      'BASTB': 'ICTSTB',
-      'CHR': 'ICTCRH',
-      'COF': 'ICTCOF',
-      'LOF': 'ICTLOA',
-      'OOPR': 'ICTOOP',
-      'SRF': 'ICTSRF',
-      'DO': 'ICTSKP'
-    };
+    const taxonomy = this.getTaxonomy(classificationResults, options);
+    const categoryPrefixes = taxonomy.getPrefixes();
 
     // Initialize counters for each category
     const categoryCounters = {};
@@ -652,88 +1028,30 @@ class FileOrganizer {
 
     try {
       // Create temporary folder structure in the organized subdirectory
-      const folderResult = await this.createFolderStructure(outputDir);
+      const templates = this.getTemplates(taxonomy, options);
+      const folderResult = await this.prepareOutputDir(outputDir, taxonomy, templates);
       if (!folderResult.success) {
         throw new Error('Failed to create folder structure: ' + folderResult.error);
       }
 
-      // Process each classification result
+      // The temporary directory holds no earlier copies, so only documents of this run can be replaced
+      const run = {
+        results, outputDir, taxonomy, templates, options, placed: {},
+        duplicateDir: null,
+        numbering: { prefixes: categoryPrefixes, counters: categoryCounters, options }
+      };
       for (const result of classificationResults) {
-        try {
-          if (!result.success) {
-            results.failed.push({
-              filename: result.filename,
-              error: result.error || 'Classification failed',
-              category: result.category
-            });
-            continue;
-          }
-
-          const sourceFile = fileMapping[result.filename];
-          const targetFolder = folderResult.folders[result.category];
-          
-          if (!targetFolder) {
-            results.failed.push({
-              filename: result.filename,
-              error: 'Unknown category: ' + result.category,
-              category: result.category
-            });
-            continue;
-          }
-
-          // Check if source file exists
-          if (!sourceFile || !fs.existsSync(sourceFile)) {
-            results.failed.push({
-              filename: result.filename,
-              error: 'Source file not found',
-              category: result.category
-            });
-            continue;
-          }
-
-          // Generate custom filename with numbering
-          const prefix = categoryPrefixes[result.category] || 'ICTUNK';
-          const counter = categoryCounters[result.category];
-          const paddedCounter = counter.toString().padStart(3, '0');
-          const requesterName = result.requester && result.requester !== 'N/A' ? result.requester : 'Unknown';
-          const ext = path.extname(result.filename);
-          
-          const newFilename = `${prefix}${paddedCounter} - ${requesterName}${ext}`;
-          
-          // Generate target file path with duplicate handling
-          const targetFile = this.generateTargetPathWithCustomName(targetFolder.path, newFilename);
-          
-          // Copy file to target location
-          fs.copyFileSync(sourceFile, targetFile);
-
-          // Increment counter for this category
-          categoryCounters[result.category]++;
-
-          results.organized.push({
-            originalName: result.filename,
-            newName: path.basename(targetFile),
-            category: result.category,
-            categoryName: result.categoryName,
-            confidence: result.confidence,
-            requester: result.requester,
-            sourcePath: sourceFile,
-            targetPath: targetFile,
-            targetFolder: targetFolder.name,
-            documentNumber: paddedCounter
-          });
-
-        } catch (fileError) {
-          console.error(`Error organizing file ${result.filename}:`, fileError);
-          results.failed.push({
-            filename: result.filename,
-            error: fileError.message,
-            category: result.category
-          });
-        }
+        await this.placeFile(result, fileMapping[result.filename], run);
       }
 
       // Generate summary
-      results.summary = this.generateSummary(results.organized, results.failed);
+      results.summary = this.generateSummary(results.organized, results.failed, results.skipped);
+      results.manifest = await this.manifestWriter.write(outputDir, results, {
+        format: options.manifestFormat,
+        sources: fileMapping,
+        taxonomy: taxonomy.id,
+        jobId: options.jobId
+      });
 
     } catch (error) {
       console.error('Error in file organization for download:', error);
@@ -831,12 +1149,48 @@ class FileOrganizer {
     return results;
   }
 
+  /**
+   * Read a value from a classification result by name
+   * Top-level properties (requester, category, ...) come first, then extracted fields.
+   * Fields may be full extraction entries ({value, confidence, ...}) or plain values edited by the user.
+   * @param {Object} result - Classification result
+   * @param {string} name - Property or field name
+   * @returns {*} Value, or null when missing or "N/A"
+   */
+  getFieldValue(result, name) {
+    let value = null;
+
+    if (name !== 'fields' && result[name] !== undefined) {
+      value = result[name];
+    } else if (result.fields && result.fields[name] !== undefined) {
+      const field = result.fields[name];
+      value = field && typeof field === 'object' && !Array.isArray(field) && 'value' in field ? field.value : field;
+    }
+
+    if (value === null || value === undefined || value === '' || value === 'N/A') {
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Flatten the extracted fields of a classification result to {name: value}
+   * @param {Object} result - Classification result
+   * @returns {Object} Field values
+   */
+  getFieldValues(result) {
+    return Object.fromEntries(
+      Object.keys(result.fields || {}).map(name => [name, this.getFieldValue(result, name)])
+    );
+  }
+
   /**
    * Get folder mapping
+   * @param {string} taxonomyName - Taxonomy (defaults to the default taxonomy)
    * @returns {Object} Folder mapping
    */
-  getFolderMapping() {
-    return this.folderMapping;
+  getFolderMapping(taxonomyName = null) {
+    return taxonomyName ? this.taxonomies.get(taxonomyName).getFolderMapping() : this.folderMapping;
   }
 
   /**
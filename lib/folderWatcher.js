@@ -0,0 +1,514 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// A finished PDF ends with %%EOF within its last bytes; scanners writing over the network may pause mid-file
+const EOF_SEARCH_BYTES = 1024;
+// Empty files and files without %%EOF are still processed once they have not changed for this long (they then fail into the error folder)
+const INCOMPLETE_TIMEOUT_MS = 60000;
+
+class FolderWatcher {
+  /**
+   * Watched-folder ingestion: classifies and organizes the PDFs a scanner drops into a folder
+   * Every file is recorded by its SHA-256 in a state file next to the PDFs, so a restarted watcher never files a document twice.
+   * @param {Object} options - {dir} watched folder, {outputDir} (WATCH_OUTPUT_DIR, default ./organized_documents),
+   *                           {archiveDir} processed originals (WATCH_ARCHIVE_DIR, default <dir>/archive),
+   *                           {errorDir} failed originals (WATCH_ERROR_DIR, default <dir>/error),
+   *                           {interval} ms between scans (WATCH_INTERVAL, default 5000),
+   *                           {settleTime} ms a file must stay unchanged before it is read (WATCH_SETTLE_TIME, default 3000),
+   *                           {classifierOptions} e.g. {taxonomy, provider}, {output} organizer options from the server,
+   *                           {classifier}, {fileOrganizer}, {reviewQueue}, {jobStore}, {duplicates}
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('A folder to watch is required');
+    }
+    this.dir = path.resolve(options.dir);
+    this.outputDir = options.outputDir || process.env.WATCH_OUTPUT_DIR || './organized_documents';
+    this.archiveDir = path.resolve(options.archiveDir || process.env.WATCH_ARCHIVE_DIR || path.join(this.dir, 'archive'));
+    this.errorDir = path.resolve(options.errorDir || process.env.WATCH_ERROR_DIR || path.join(this.dir, 'error'));
+    this.interval = this.getDuration(options.interval, process.env.WATCH_INTERVAL, 5000);
+    this.settleTime = this.getDuration(options.settleTime, process.env.WATCH_SETTLE_TIME, 3000);
+    this.concurrency = Math.max(1, parseInt(options.concurrency || process.env.BATCH_CONCURRENCY || '2'));
+    this.classifierOptions = options.classifierOptions || {};
+    this.output = options.output || {};
+
+    this.classifier = options.classifier;
+    this.fileOrganizer = options.fileOrganizer;
+    this.reviewQueue = options.reviewQueue || null;
+    this.jobStore = options.jobStore || null;
+    this.duplicates = options.duplicates || null;
+    if (!this.classifier || !this.fileOrganizer) {
+      throw new Error('FolderWatcher needs a classifier and a file organizer');
+    }
+
+    // Kept with the watched folder, so the record follows the share rather than the machine the watcher runs on
+    this.statePath = path.join(this.dir, '.watch-state.json');
+    this.lockPath = path.join(this.dir, '.watch.lock');
+    this.logPath = options.logPath || process.env.WATCH_LOG || path.join(this.dir, 'watch.log');
+
+    // {filename: {size, mtimeMs, since}} of files seen but not processed yet
+    this.pending = new Map();
+    this.state = { files: {} };
+    this.running = false;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  /**
+   * Read a duration option
+   * @param {*} value - Option value in ms
+   * @param {string} envValue - Environment value in ms
+   * @param {number} fallback - Default in ms
+   * @returns {number} Non-negative duration
+   */
+  getDuration(value, envValue, fallback) {
+    const duration = parseInt(value !== undefined ? value : envValue);
+    return duration >= 0 ? duration : fallback;
+  }
+
+  /**
+   * Watch the folder until stop() is called
+   * @returns {Promise<void>} Resolves once the watcher has stopped and the scan in progress has finished
+   */
+  async start() {
+    await this.open();
+    this.log('started', null, { outputDir: path.resolve(this.outputDir), archiveDir: this.archiveDir, errorDir: this.errorDir });
+    this.running = true;
+
+    try {
+      while (this.running) {
+        await this.scan();
+        if (!this.running) break;
+        await new Promise(resolve => {
+          this.wake = resolve;
+          this.timer = setTimeout(resolve, this.interval);
+        });
+      }
+    } finally {
+      await this.close();
+      this.log('stopped');
+    }
+  }
+
+  /**
+   * Stop watching after the scan in progress
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+
+  /**
+   * Process the PDFs in the folder now, waiting for files that are still being written, then return
+   * @returns {Promise<Object>} {archived, failed, held} counts
+   */
+  async runOnce() {
+    await this.open();
+    const totals = { archived: 0, failed: 0, held: 0 };
+    try {
+      do {
+        const counts = await this.scan();
+        Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+        if (this.pending.size > 0) {
+          await new Promise(resolve => setTimeout(resolve, Math.min(this.interval, Math.max(this.settleTime, 100))));
+        }
+      } while (this.pending.size > 0);
+    } finally {
+      await this.close();
+    }
+    return totals;
+  }
+
+  /**
+   * Take the folder lock, load the state file and report files a previous run left unfinished
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (!(await fs.pathExists(this.dir))) {
+      throw new Error(`Folder not found: ${this.dir}`);
+    }
+    await this.acquireLock();
+    this.state = this.readState();
+
+    const interrupted = Object.values(this.state.files).filter(entry => ['processing', 'organized'].includes(entry.status));
+    if (interrupted.length > 0) {
+      this.log('resuming', null, { interrupted: interrupted.map(entry => entry.filename) });
+    }
+  }
+
+  /**
+   * Release the folder lock
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await fs.remove(this.lockPath);
+  }
+
+  /**
+   * Make sure only one watcher works on the folder; a lock left by a process that no longer runs is taken over
+   * @returns {Promise<void>}
+   */
+  async acquireLock() {
+    while (true) {
+      try {
+        await fs.writeFile(this.lockPath, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        let owner = null;
+        try {
+          owner = (await fs.readJson(this.lockPath)).pid;
+        } catch (readError) {
+          // An unreadable lock was not written by a running watcher
+        }
+        if (owner && owner !== process.pid && this.isRunning(owner)) {
+          throw new Error(`${this.dir} is already watched by process ${owner}`);
+        }
+        console.warn(`⚠️ [WATCH] Removing stale lock ${this.lockPath}`);
+        await fs.remove(this.lockPath);
+      }
+    }
+  }
+
+  /**
+   * Whether a process is still running
+   * @param {number} pid - Process id
+   * @returns {boolean}
+   */
+  isRunning(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Read the state file
+   * @returns {Object} {files: {sha256: {filename, status, ...}}}
+   */
+  readState() {
+    if (!fs.existsSync(this.statePath)) return { files: {} };
+    try {
+      const state = fs.readJsonSync(this.statePath);
+      return { files: state.files || {} };
+    } catch (error) {
+      throw new Error(`Could not read ${this.statePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the state file (written to a temporary file first, so a crash never leaves it half written)
+   * @returns {Promise<void>}
+   */
+  async saveState() {
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, this.state, { spaces: 2 });
+    await fs.rename(tempPath, this.statePath);
+  }
+
+  /**
+   * Update the state entry of a file and write the state file
+   * @param {string} sha256 - File hash
+   * @param {Object} changes - Fields to set, e.g. {status: 'archived'}
+   * @returns {Promise<void>}
+   */
+  async setFileState(sha256, changes) {
+    this.state.files[sha256] = { ...this.state.files[sha256], ...changes, updatedAt: new Date().toISOString() };
+    await this.saveState();
+  }
+
+  /**
+   * Look for PDFs that finished writing and process them
+   * @returns {Promise<Object>} {archived, failed, held} counts of this scan
+   */
+  async scan() {
+    const ready = [];
+    const present = new Set();
+
+    try {
+      for (const name of await fs.readdir(this.dir)) {
+        if (name.startsWith('.') || path.extname(name).toLowerCase() !== '.pdf') continue;
+        const stat = await fs.stat(path.join(this.dir, name)).catch(() => null);
+        if (!stat || !stat.isFile()) continue;
+
+        present.add(name);
+        if (await this.isReady(name, stat)) {
+          ready.push(name);
+        }
+      }
+    } catch (error) {
+      // A network share that is briefly unavailable is read again on the next scan
+      this.log('scan-failed', null, { error: error.message });
+      return { archived: 0, failed: 0, held: 0 };
+    }
+
+    for (const name of this.pending.keys()) {
+      if (!present.has(name)) this.pending.delete(name);
+    }
+    ready.forEach(name => this.pending.delete(name));
+
+    return ready.length > 0 ? this.processFiles(ready) : { archived: 0, failed: 0, held: 0 };
+  }
+
+  /**
+   * Whether a file has finished writing: unchanged for the settle time and, unless it stays unchanged much longer, ending in %%EOF
+   * @param {string} name - File name
+   * @param {Object} stat - fs.Stats of the file
+   * @returns {Promise<boolean>}
+   */
+  async isReady(name, stat) {
+    const seen = this.pending.get(name);
+    const now = Date.now();
+    if (!seen || seen.size !== stat.size || seen.mtimeMs !== stat.mtimeMs) {
+      if (!seen) this.log('detected', name, { size: stat.size });
+      this.pending.set(name, { size: stat.size, mtimeMs: stat.mtimeMs, since: now });
+      return false;
+    }
+
+    const unchanged = now - seen.since;
+    if (unchanged < this.settleTime) return false;
+    if (unchanged >= INCOMPLETE_TIMEOUT_MS || (stat.size > 0 && await this.hasEndMarker(path.join(this.dir, name), stat.size))) return true;
+
+    if (!seen.incomplete) {
+      seen.incomplete = true;
+      this.log('waiting', name, { reason: 'no %%EOF yet' });
+    }
+    return false;
+  }
+
+  /**
+   * Whether a PDF file ends with the %%EOF marker
+   * @param {string} filePath - File path
+   * @param {number} size - File size
+   * @returns {Promise<boolean>}
+   */
+  async hasEndMarker(filePath, size) {
+    const length = Math.min(size, EOF_SEARCH_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = await fs.open(filePath, 'r');
+    try {
+      await fs.read(fd, buffer, 0, length, size - length);
+    } finally {
+      await fs.close(fd);
+    }
+    return buffer.includes('%%EOF');
+  }
+
+  /**
+   * Classify and organize finished files, then move them to the archive or error folder
+   * @param {Array} names - File names in the watched folder
+   * @returns {Promise<Object>} {archived, failed, held} counts
+   */
+  async processFiles(names) {
+    const counts = { archived: 0, failed: 0, held: 0 };
+    const documents = [];
+
+    for (const name of names) {
+      const pdfBuffer = await fs.readFile(path.join(this.dir, name));
+      const sha256 = crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+      const entry = this.state.files[sha256];
+
+      // Filed before, possibly by a run that stopped before moving the original away
+      if (entry && ['organized', 'archived'].includes(entry.status)) {
+        this.log('already-processed', name, { sha256, newName: entry.newName || null, at: entry.updatedAt });
+        await this.archive(name, sha256, { newName: entry.newName, documentNumber: entry.documentNumber });
+        counts.archived++;
+        continue;
+      }
+
+      await this.setFileState(sha256, { filename: name, size: pdfBuffer.length, status: 'processing', startedAt: new Date().toISOString() });
+      documents.push({ filename: name, pdfBuffer, sha256 });
+    }
+
+    if (documents.length === 0) return counts;
+
+    try {
+      await this.organizeDocuments(documents, counts);
+    } catch (error) {
+      // Originals stay in place; the next scan archives the ones already recorded as organized and retries the rest
+      this.log('batch-failed', null, { files: documents.map(doc => doc.filename), error: error.message });
+    }
+    return counts;
+  }
+
+  /**
+   * Classify, hold for review or organize a batch, and move every original out of the watched folder
+   * @param {Array} documents - [{filename, pdfBuffer, sha256}]
+   * @param {Object} counts - {archived, failed, held} updated in place
+   * @returns {Promise<void>}
+   */
+  async organizeDocuments(documents, counts) {
+    const job = this.jobStore ? await this.jobStore.create({ type: 'watch', options: this.classifierOptions, documents }) : null;
+    const jobId = job ? job.id : undefined;
+    this.log('classifying', null, { files: documents.map(doc => doc.filename), jobId: jobId || null });
+
+    const results = await this.classifier.classifyBatchFromBuffers(documents, {
+      ...this.classifierOptions,
+      concurrency: this.concurrency
+    });
+    results.forEach(result => {
+      this.log('classified', result.filename, result.success
+        ? { category: result.category, requester: result.requester, confidence: result.confidence }
+        : { error: result.error });
+    });
+
+    if (this.duplicates) {
+      await this.duplicates.flag(documents, results, { jobId });
+    }
+    if (job) {
+      await this.jobStore.setResults(job, results);
+    }
+
+    // Failed classifications go to the error folder; uncertain ones wait in the review queue with a copy of the PDF
+    const failed = results.filter(result => !result.success).map(result => ({ filename: result.filename, error: result.error || 'Classification failed' }));
+    let accepted = results.filter(result => result.success);
+    let held = [];
+    if (this.reviewQueue) {
+      const sources = Object.fromEntries(documents.map(doc => [doc.filename, doc.pdfBuffer]));
+      ({ accepted, held } = await this.reviewQueue.holdForReview(accepted, sources, {
+        taxonomy: this.classifierOptions.taxonomy,
+        outputDir: this.outputDir,
+        source: 'watch',
+        jobId
+      }));
+    }
+
+    // Each filed document is recorded right after its copy is written, so a restart before the batch
+    // finishes (or before the originals are moved) does not file it again under a new number
+    const hashes = Object.fromEntries(documents.map(doc => [doc.filename, doc.sha256]));
+    let organization = { success: true, organized: [], failed: [], skipped: [] };
+    if (accepted.length > 0) {
+      organization = await this.fileOrganizer.organizeFilesWithNumbering(accepted, this.dir, this.outputDir, {}, {
+        taxonomy: this.classifierOptions.taxonomy,
+        jobId,
+        ...this.output,
+        onOrganized: async (file) => {
+          this.log('organized', file.originalName, { newName: file.newName, folder: file.targetFolder, documentNumber: file.documentNumber || null });
+          await this.setFileState(hashes[file.originalName], {
+            status: 'organized',
+            newName: file.newName,
+            folder: file.targetFolder,
+            documentNumber: file.documentNumber || null,
+            jobId: jobId || null
+          });
+        }
+      });
+      if (!organization.success) {
+        throw new Error(organization.error);
+      }
+    }
+
+    for (const file of organization.skipped) {
+      this.log('skipped', file.filename, { reason: file.reason });
+      await this.setFileState(hashes[file.filename], { status: 'organized', skipped: file.reason, jobId: jobId || null });
+    }
+
+    if (job) {
+      await this.jobStore.addRun(job, {
+        source: 'watch',
+        target: { outputDir: this.outputDir },
+        output: this.output,
+        organization,
+        held
+      });
+    }
+
+    for (const file of organization.organized) {
+      await this.archive(file.originalName, hashes[file.originalName], { newName: file.newName, documentNumber: file.documentNumber });
+      counts.archived++;
+    }
+    for (const file of organization.skipped) {
+      await this.archive(file.filename, hashes[file.filename], { skipped: file.reason });
+      counts.archived++;
+    }
+    for (const item of held) {
+      this.log('held', item.filename, { reason: item.reason, reviewId: item.id });
+      await this.archive(item.filename, hashes[item.filename], { reviewId: item.id });
+      counts.held++;
+    }
+    for (const file of failed.concat(organization.failed)) {
+      await this.reject(file.filename, hashes[file.filename], file.error);
+      counts.failed++;
+    }
+  }
+
+  /**
+   * Move a processed original to the archive folder
+   * @param {string} name - File name in the watched folder
+   * @param {string} sha256 - File hash
+   * @param {Object} details - Recorded in the state file and the log
+   * @returns {Promise<void>}
+   */
+  async archive(name, sha256, details = {}) {
+    const archivedAs = await this.moveFile(name, this.archiveDir);
+    await this.setFileState(sha256, { ...details, filename: name, status: 'archived', archivedAs });
+    this.log('archived', name, { to: archivedAs });
+  }
+
+  /**
+   * Move a failed original to the error folder, with a text file giving the reason next to it
+   * A file put back into the watched folder is processed again.
+   * @param {string} name - File name in the watched folder
+   * @param {string} sha256 - File hash
+   * @param {string} error - Error message
+   * @returns {Promise<void>}
+   */
+  async reject(name, sha256, error) {
+    const movedTo = await this.moveFile(name, this.errorDir);
+    await fs.writeFile(`${movedTo}.error.txt`, `${name}\n${new Date().toISOString()}\n${error}\n`);
+    await this.setFileState(sha256, { filename: name, status: 'failed', error, movedTo });
+    this.log('failed', name, { error, to: movedTo });
+  }
+
+  /**
+   * Move a file out of the watched folder without overwriting an earlier file of the same name
+   * @param {string} name - File name in the watched folder
+   * @param {string} targetDir - Archive or error folder
+   * @returns {Promise<string>} New path
+   */
+  async moveFile(name, targetDir) {
+    await fs.ensureDir(targetDir);
+    const ext = path.extname(name);
+    const base = path.basename(name, ext);
+    let target = path.join(targetDir, name);
+    for (let counter = 1; await fs.pathExists(target); counter++) {
+      target = path.join(targetDir, `${base}_${counter}${ext}`);
+    }
+    // fs-extra falls back to copy and delete when the folders are on different devices (e.g. a network share)
+    await fs.move(path.join(this.dir, name), target);
+    return target;
+  }
+
+  /**
+   * Log an action to the console and as a JSON line to the watch log
+   * @param {string} action - e.g. 'detected', 'classified', 'organized', 'archived', 'failed'
+   * @param {string|null} filename - File the action concerns
+   * @param {Object} details - Extra fields
+   */
+  log(action, filename = null, details = {}) {
+    const entry = { at: new Date().toISOString(), action, ...(filename ? { filename } : {}), ...details };
+    const text = Object.entries(details)
+      .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+      .join(' ');
+    const message = `👀 [WATCH] ${action}${filename ? ` ${filename}` : ''}${text ? ` (${text})` : ''}`;
+    if (['failed', 'batch-failed', 'scan-failed'].includes(action)) {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+
+    try {
+      fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.warn(`⚠️ [WATCH] Could not write ${this.logPath}:`, error.message);
+    }
+  }
+}
+
+module.exports = FolderWatcher;
@@ -0,0 +1,181 @@
+const EventEmitter = require('events');
+
+class JobRunner extends EventEmitter {
+  /**
+   * Runs batch jobs in the background, one job at a time, and tracks per-file progress
+   * @param {Object} options - {concurrency} files processed in parallel within a job (BATCH_CONCURRENCY, default 2),
+   *                           {keepFinished} finished jobs kept in memory for progress requests (default 100)
+   */
+  constructor(options = {}) {
+    super();
+    this.concurrency = Math.max(1, parseInt(options.concurrency || process.env.BATCH_CONCURRENCY || '2'));
+    this.keepFinished = options.keepFinished || 100;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = null;
+    // One SSE listener per open progress stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} job - {id}, {type}, {filenames} files to report progress for, {run} async function(progress) returning the job result
+   * @returns {Object} Job state
+   */
+  submit(job) {
+    const id = job.id || `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const state = {
+      id,
+      type: job.type,
+      status: 'queued',
+      phase: null,
+      total: 0,
+      completed: 0,
+      failed: 0,
+      items: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.setItems(state, job.filenames || []);
+
+    this.jobs.set(id, { state, run: job.run, waiters: [] });
+    this.queue.push(id);
+    console.log(`📥 [JOBS] Queued ${id} (${job.type}, ${state.total} file(s), position ${this.queue.length})`);
+    this.emitUpdate(state);
+    this.next();
+    return this.getState(id);
+  }
+
+  /**
+   * Start the next queued job when none is running
+   */
+  async next() {
+    if (this.running || this.queue.length === 0) return;
+
+    const id = this.queue.shift();
+    const entry = this.jobs.get(id);
+    this.running = id;
+    entry.state.status = 'running';
+    entry.state.startedAt = new Date().toISOString();
+    this.emitUpdate(entry.state);
+
+    try {
+      entry.state.result = await entry.run(this.createProgress(entry.state));
+      entry.state.status = 'completed';
+      console.log(`✅ [JOBS] ${id} completed (${entry.state.completed} done, ${entry.state.failed} failed)`);
+    } catch (error) {
+      console.error(`❌ [JOBS] ${id} failed:`, error.message);
+      entry.state.status = 'failed';
+      entry.state.error = error.message;
+    }
+
+    entry.state.phase = null;
+    entry.state.finishedAt = new Date().toISOString();
+    this.emitUpdate(entry.state);
+    entry.waiters.forEach(resolve => resolve(this.getState(id)));
+    entry.waiters = [];
+
+    this.running = null;
+    this.evictFinished();
+    this.next();
+  }
+
+  /**
+   * Progress reporter handed to a running job
+   * @param {Object} state - Job state
+   * @returns {Object} {concurrency, setPhase(phase), setItems(filenames), update({filename, status, result, error})}
+   */
+  createProgress(state) {
+    return {
+      concurrency: this.concurrency,
+      setPhase: phase => {
+        state.phase = phase;
+        this.emitUpdate(state);
+      },
+      setItems: filenames => {
+        this.setItems(state, filenames);
+        this.emitUpdate(state);
+      },
+      update: event => {
+        const item = state.items.find(entry => entry.filename === event.filename && entry.status !== 'done' && entry.status !== 'failed');
+        if (!item) return;
+
+        item.status = event.status;
+        if (event.result) {
+          item.category = event.result.category;
+          item.confidence = event.result.confidence;
+          if (!event.result.success) {
+            item.status = 'failed';
+            item.error = event.result.error;
+          }
+        }
+        if (event.error) {
+          item.error = event.error;
+        }
+        state.completed = state.items.filter(entry => entry.status === 'done').length;
+        state.failed = state.items.filter(entry => entry.status === 'failed').length;
+        this.emitUpdate(state);
+      }
+    };
+  }
+
+  /**
+   * Reset the per-file progress list
+   * @param {Object} state - Job state
+   * @param {Array<string>} filenames - Files of the job
+   */
+  setItems(state, filenames) {
+    state.items = filenames.map(filename => ({ filename, status: 'queued' }));
+    state.total = state.items.length;
+    state.completed = 0;
+    state.failed = 0;
+  }
+
+  /**
+   * Current state of a job
+   * @param {string} id - Job id
+   * @returns {Object|null} Copy of the state with its queue position, or null when unknown
+   */
+  getState(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) return null;
+    return {
+      ...entry.state,
+      items: entry.state.items.map(item => ({ ...item })),
+      position: entry.state.status === 'queued' ? this.queue.indexOf(id) + 1 : 0
+    };
+  }
+
+  /**
+   * Wait until a job has finished
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Final state, or null when unknown
+   */
+  wait(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) return Promise.resolve(null);
+    if (entry.state.finishedAt) return Promise.resolve(this.getState(id));
+    return new Promise(resolve => entry.waiters.push(resolve));
+  }
+
+  /**
+   * Notify progress listeners ('update' event with the job state)
+   * @param {Object} state - Job state
+   */
+  emitUpdate(state) {
+    this.emit('update', this.getState(state.id));
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond keepFinished
+   */
+  evictFinished() {
+    const finished = Array.from(this.jobs.values()).filter(entry => entry.state.finishedAt);
+    finished.slice(0, Math.max(0, finished.length - this.keepFinished)).forEach(entry => this.jobs.delete(entry.state.id));
+  }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,349 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { TaxonomyRegistry } = require('./taxonomy');
+
+class JobStore {
+  /**
+   * @param {Object} options - {dir} job directory (JOBS_DIR, default data/jobs), {enabled} (JOB_STORE !== 'false'), {taxonomies}
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.JOBS_DIR || path.join(__dirname, '..', 'data', 'jobs');
+    // JOB_STORE=false keeps nothing on disk; every request then has to carry its own files again
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.JOB_STORE !== 'false';
+    this.taxonomies = options.taxonomies || new TaxonomyRegistry();
+  }
+
+  /**
+   * Directory of a job
+   * @param {string} id - Job id
+   * @returns {string} Directory path
+   */
+  getJobDir(id) {
+    return path.join(this.dir, path.basename(id));
+  }
+
+  /**
+   * Directory holding the job's input PDFs under their original names
+   * @param {Object} job - Job
+   * @returns {string} Directory path
+   */
+  getFilesDir(job) {
+    return path.join(this.getJobDir(job.id), 'files');
+  }
+
+  /**
+   * Record a new run with its input files
+   * @param {Object} data - {type} e.g. 'classify' or 'organize', {options} classifier options, {documents} [{filename, pdfBuffer}]
+   * @returns {Promise<Object|null>} Job, or null when the store is disabled
+   */
+  async create(data) {
+    if (!this.enabled) return null;
+
+    const id = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      type: data.type,
+      status: 'created',
+      createdAt: now,
+      updatedAt: now,
+      options: data.options || {},
+      files: [],
+      results: [],
+      overrides: {},
+      reviewItems: {},
+      runs: []
+    };
+
+    await this.addFiles(job, data.documents || []);
+    console.log(`🗂️ [JOBS] Created ${id} (${data.type}, ${job.files.length} file(s))`);
+    return job;
+  }
+
+  /**
+   * Store input files with a job (a file already stored with the same name and content is kept once)
+   * Stored names get an index prefix, so uploads sharing a name from different folders do not overwrite each other;
+   * filename stays as given for display and result matching.
+   * @param {Object} job - Job
+   * @param {Array} documents - [{filename, pdfBuffer}], e.g. the parts of a split batch
+   * @returns {Promise<Object>} The job
+   */
+  async addFiles(job, documents) {
+    await fs.ensureDir(this.getFilesDir(job));
+    for (const doc of documents) {
+      const sha256 = crypto.createHash('sha256').update(doc.pdfBuffer).digest('hex');
+      // An unsplit batch comes back from the splitter as the file stored at creation
+      if (job.files.some(file => file.filename === doc.filename && file.sha256 === sha256)) continue;
+
+      const storedName = `${String(job.files.length + 1).padStart(3, '0')}_${path.basename(doc.filename)}`;
+      await fs.writeFile(path.join(this.getFilesDir(job), storedName), doc.pdfBuffer);
+      job.files.push({
+        filename: doc.filename,
+        storedName,
+        size: doc.pdfBuffer.length,
+        sha256
+      });
+    }
+    return this.save(job);
+  }
+
+  /**
+   * Update the status of a job
+   * @param {Object} job - Job
+   * @param {string} status - e.g. 'processing' or 'failed'
+   * @param {string} error - Error message for failed jobs
+   * @returns {Promise<Object>} The job
+   */
+  async setStatus(job, status, error = null) {
+    job.status = status;
+    if (error) {
+      job.error = error;
+    }
+    return this.save(job);
+  }
+
+  /**
+   * Write a job file
+   * @param {Object} job - Job
+   * @returns {Promise<Object>} The job
+   */
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+    await fs.ensureDir(this.getJobDir(job.id));
+    await fs.writeJson(path.join(this.getJobDir(job.id), 'job.json'), job, { spaces: 2 });
+    return job;
+  }
+
+  /**
+   * Load a job
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null
+   */
+  get(id) {
+    const jobPath = path.join(this.getJobDir(id), 'job.json');
+    if (!id || !fs.existsSync(jobPath)) return null;
+    try {
+      return fs.readJsonSync(jobPath);
+    } catch (error) {
+      console.warn(`⚠️ [JOBS] Could not read ${jobPath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filter - {type}, {status}, {limit}
+   * @returns {Array} Job summaries
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const jobs = fs.readdirSync(this.dir)
+      .map(id => this.get(id))
+      .filter(job => job)
+      .filter(job => !filter.type || job.type === filter.type)
+      .filter(job => !filter.status || job.status === filter.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const limit = parseInt(filter.limit);
+    return (limit > 0 ? jobs.slice(0, limit) : jobs).map(job => this.summarize(job));
+  }
+
+  /**
+   * Short description of a job for listings
+   * @param {Object} job - Job
+   * @returns {Object} {id, type, status, createdAt, updatedAt, taxonomy, fileCount, categoryBreakdown, overrides, runs, lastRun}
+   */
+  summarize(job) {
+    const categoryBreakdown = {};
+    this.getEffectiveResults(job).filter(result => result.success).forEach(result => {
+      categoryBreakdown[result.category] = (categoryBreakdown[result.category] || 0) + 1;
+    });
+    const lastRun = job.runs[job.runs.length - 1];
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      taxonomy: job.options.taxonomy || null,
+      fileCount: job.files.length,
+      categoryBreakdown,
+      overrides: Object.keys(job.overrides).length,
+      runs: job.runs.length,
+      lastRun: lastRun ? { id: lastRun.id, at: lastRun.at, target: lastRun.target, summary: lastRun.summary } : null
+    };
+  }
+
+  /**
+   * Store the classification results of a job
+   * @param {Object} job - Job
+   * @param {Array} results - Classification results
+   * @returns {Promise<Object>} The job
+   */
+  async setResults(job, results) {
+    job.results = results;
+    job.status = 'classified';
+    // The taxonomy the results were classified with, so a re-run files them the same way
+    const tagged = results.find(result => result && result.taxonomy);
+    if (!job.options.taxonomy && tagged) {
+      job.options.taxonomy = tagged.taxonomy;
+    }
+    return this.save(job);
+  }
+
+  /**
+   * Record the category and requester changes made to a job's results (e.g. in the classification table)
+   * @param {Object} job - Job
+   * @param {Array} results - Results as submitted, matched to the stored ones by filename
+   * @returns {Promise<Object>} {success, overrides} or {success: false, error}
+   */
+  async recordOverrides(job, results) {
+    try {
+      const taxonomy = this.taxonomies.get(job.options.taxonomy);
+      for (const submitted of results || []) {
+        const stored = job.results.find(result => result.filename === submitted.filename);
+        if (!stored) continue;
+
+        const current = this.applyOverride(stored, job.overrides[stored.filename]);
+        const category = submitted.category || current.category;
+        const requester = submitted.requester !== undefined ? submitted.requester : current.requester;
+        if (category === current.category && requester === current.requester) continue;
+
+        if (!taxonomy.getCategory(category)) {
+          throw new Error(`Category ${category} is not in taxonomy ${taxonomy.id}`);
+        }
+        job.overrides[stored.filename] = { category, requester, at: new Date().toISOString() };
+      }
+
+      await this.save(job);
+      return { success: true, overrides: job.overrides };
+
+    } catch (error) {
+      console.error('❌ [JOBS] Could not record overrides:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Apply a stored override to a classification result
+   * @param {Object} result - Classification result
+   * @param {Object} override - {category, requester} or undefined
+   * @returns {Object} Result with the override applied
+   */
+  applyOverride(result, override) {
+    if (!override) return result;
+
+    const { error, validationErrors, rawResponse, ...rest } = result;
+    const category = this.taxonomies.get(result.taxonomy).getCategory(override.category);
+    return {
+      ...rest,
+      success: true,
+      category: override.category,
+      categoryName: category ? category.name : result.categoryName,
+      requester: override.requester,
+      // Fields extracted for another category do not describe the corrected one
+      ...(override.category !== result.category ? { fields: undefined, missingFields: undefined } : {}),
+      // A person chose these values, so they do not go through the review queue again
+      reviewed: true
+    };
+  }
+
+  /**
+   * Classification results with the recorded overrides applied
+   * @param {Object} job - Job
+   * @returns {Array} Results
+   */
+  getEffectiveResults(job) {
+    return job.results.map(result => this.applyOverride(result, job.overrides[result.filename]));
+  }
+
+  /**
+   * Map the job's files to their stored paths
+   * @param {Object} job - Job
+   * @returns {Object} {filename: path}
+   */
+  getFileMapping(job) {
+    return Object.fromEntries(job.files.map(file => [file.filename, path.join(this.getFilesDir(job), file.storedName)]));
+  }
+
+  /**
+   * Record an organization run
+   * @param {Object} job - Job
+   * @param {Object} run - {source, target: {outputDir}|{zipId, filename}, numbering, output, organization, held: [review items], zipPath}
+   * @returns {Promise<Object>} Stored run
+   */
+  async addRun(job, run) {
+    const id = `run_${job.runs.length + 1}`;
+    const organization = run.organization || { organized: [], failed: [] };
+    const entry = {
+      id,
+      at: new Date().toISOString(),
+      source: run.source,
+      target: run.target,
+      numbering: run.numbering || {},
+      output: run.output || {},
+      organized: organization.organized.map(file => ({
+        filename: file.originalName,
+        newName: file.newName,
+        category: file.category,
+        folder: file.targetFolder,
+        documentNumber: file.documentNumber
+      })),
+      failed: organization.failed.map(file => ({ filename: file.filename, error: file.error })),
+      skipped: (organization.skipped || []).map(file => ({ filename: file.filename, reason: file.reason })),
+      held: (run.held || []).map(item => item.filename),
+      summary: organization.summary || null,
+      manifest: organization.manifest && organization.manifest.success ? organization.manifest.filename : null
+    };
+
+    (run.held || []).forEach(item => {
+      job.reviewItems[item.filename] = item.id;
+    });
+
+    // The temporary ZIP is deleted after download; keep a copy with the job
+    if (run.zipPath && await fs.pathExists(run.zipPath)) {
+      entry.zip = `${id}.zip`;
+      await fs.copy(run.zipPath, path.join(this.getJobDir(job.id), entry.zip));
+    }
+
+    job.runs.push(entry);
+    job.status = 'organized';
+    await this.save(job);
+    console.log(`🗂️ [JOBS] ${job.id} ${id}: ${entry.organized.length} organized, ${entry.failed.length} failed, ${entry.held.length} held`);
+    return entry;
+  }
+
+  /**
+   * Path of the ZIP a run produced
+   * @param {Object} job - Job
+   * @param {string} runId - Run id
+   * @returns {string|null} ZIP path or null
+   */
+  getRunZipPath(job, runId) {
+    const run = job.runs.find(entry => entry.id === runId);
+    if (!run || !run.zip) return null;
+    const zipPath = path.join(this.getJobDir(job.id), run.zip);
+    return fs.existsSync(zipPath) ? zipPath : null;
+  }
+
+  /**
+   * Delete a job with its files
+   * @param {string} id - Job id
+   * @returns {Promise<Object>} {success} or {success: false, error}
+   */
+  async remove(id) {
+    if (!this.get(id)) {
+      return { success: false, error: `Job not found: ${id}` };
+    }
+    await fs.remove(this.getJobDir(id));
+    return { success: true };
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// How long a lock file may exist before it is considered left behind by a crashed process
+const STALE_LOCK_MS = 30000;
+// Waiters give up only after a left-behind lock would have been taken over
+const WAIT_MARGIN_MS = 10000;
+
+class JsonFileLock {
+  /**
+   * Read-change-write of a JSON state file shared by several processes (server, CLI, watcher)
+   * Changes run one after another in this process; a lock file naming its owner covers other processes.
+   * @param {string} filePath - JSON state file
+   * @param {Object} options - {read} () => state (re-read under the lock), {tag} log tag, {spaces} JSON indent,
+   *                           {staleTime} ms after which a lock counts as left behind (default 30s)
+   */
+  constructor(filePath, options = {}) {
+    this.path = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.read = options.read || (() => fs.readJsonSync(this.path));
+    this.tag = options.tag || 'LOCK';
+    this.spaces = options.spaces;
+    this.staleTime = options.staleTime || STALE_LOCK_MS;
+    this.waitTime = this.staleTime + WAIT_MARGIN_MS;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Change the state under the lock and write it back atomically
+   * @param {Function} change - (state) => value; the state is saved after it returns
+   * @returns {Promise<*>} Value returned by change
+   */
+  update(change) {
+    const run = this.queue.then(async () => {
+      const owner = await this.acquire();
+      try {
+        // Re-read inside the lock so changes from other processes are not lost
+        const state = this.read();
+        const value = change(state);
+        const tempPath = `${this.path}.${process.pid}.tmp`;
+        await fs.writeJson(tempPath, state, this.spaces ? { spaces: this.spaces } : {});
+        await fs.rename(tempPath, this.path);
+        return value;
+      } finally {
+        await this.release(owner);
+      }
+    });
+    // A failed change must not block the ones queued after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Create the lock file, waiting while another process holds it
+   * @returns {Promise<string>} Owner record written to the lock file, passed to release()
+   */
+  async acquire() {
+    await fs.ensureDir(path.dirname(this.path));
+    const owner = JSON.stringify({ host: os.hostname(), pid: process.pid, id: crypto.randomBytes(6).toString('hex') });
+    const deadline = Date.now() + this.waitTime;
+
+    while (true) {
+      try {
+        await fs.writeFile(this.lockPath, owner, { flag: 'wx' });
+        return owner;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const holder = await this.readHolder();
+        if (holder && this.isStale(holder)) {
+          await this.breakLock(holder);
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ${this.lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+  }
+
+  /**
+   * Remove the lock file if it is still ours
+   * @param {string} owner - Owner record from acquire()
+   * @returns {Promise<void>}
+   */
+  async release(owner) {
+    const holder = await this.readHolder();
+    if (holder && holder.content === owner) {
+      await fs.remove(this.lockPath);
+    }
+  }
+
+  /**
+   * Read the current lock file
+   * @returns {Promise<Object|null>} {content, owner, mtimeMs} or null when there is no lock
+   */
+  async readHolder() {
+    try {
+      const [content, stat] = await Promise.all([fs.readFile(this.lockPath, 'utf8'), fs.stat(this.lockPath)]);
+      let owner = null;
+      try {
+        owner = JSON.parse(content);
+      } catch (error) {
+        // Just created and not written yet, or a lock file from an older version
+      }
+      return { content, owner, mtimeMs: stat.mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a lock was left behind: its process on this host has exited, or it is older than staleTime
+   * @param {Object} holder - From readHolder()
+   * @returns {boolean} True when the lock can be taken over
+   */
+  isStale(holder) {
+    if (Date.now() - holder.mtimeMs > this.staleTime) return true;
+    if (!holder.owner || holder.owner.host !== os.hostname()) return false;
+    try {
+      process.kill(holder.owner.pid, 0);
+      return false;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * Take a stale lock away without removing one another waiter created in the meantime
+   * The lock is moved aside first; if it turns out to be a newer one than the stale lock we saw, it is put back.
+   * @param {Object} holder - Stale holder from readHolder()
+   * @returns {Promise<void>}
+   */
+  async breakLock(holder) {
+    const claimed = `${this.lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+      await fs.rename(this.lockPath, claimed);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const content = await fs.readFile(claimed, 'utf8').catch(() => null);
+    if (content !== holder.content) {
+      await fs.link(claimed, this.lockPath).catch(() => {});
+    } else {
+      console.warn(`⚠️ [${this.tag}] Removed stale lock ${this.lockPath}`);
+    }
+    await fs.remove(claimed);
+  }
+}
+
+module.exports = JsonFileLock;
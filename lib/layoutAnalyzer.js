@@ -0,0 +1,380 @@
+class LayoutAnalyzer {
+  constructor(options = {}) {
+    this.options = {
+      minColumnGap: 15,          // points of empty space needed between two columns
+      minColumnWidthRatio: 0.25, // each column must be at least this share of the block width
+      alignedColumnWidthRatio: 0.4, // stricter share when most rows line up (label/value pairs)
+      minColumnLines: 2,         // each column must hold at least this many lines
+      blockGapFactor: 1.0,       // vertical gap (x median line height) that separates blocks
+      ...options
+    };
+  }
+
+  /**
+   * Convert pdf.js text content into positioned text runs
+   * Coordinates use a top-left origin in PDF points, after page rotation is applied.
+   * @param {Object} textContent - Result of pageData.getTextContent()
+   * @param {Object} viewport - Result of pageData.getViewport(1)
+   * @param {number} pageNumber - One-based page number
+   * @returns {Array} [{pageNumber, text, x, y, width, height, fontName, fontFamily, fontSize}]
+   */
+  buildRuns(textContent, viewport, pageNumber) {
+    const styles = textContent.styles || {};
+
+    return textContent.items
+      .filter(item => item.str && item.str.trim().length > 0)
+      .map(item => {
+        const tx = this.multiplyTransform(viewport.transform, item.transform);
+        const fontSize = Math.hypot(tx[2], tx[3]);
+        const baseline = tx[5];
+
+        return {
+          pageNumber,
+          text: item.str,
+          x: this.round(tx[4]),
+          y: this.round(baseline - fontSize),
+          width: this.round(item.width * viewport.scale),
+          height: this.round(fontSize),
+          fontName: item.fontName,
+          fontFamily: styles[item.fontName] ? styles[item.fontName].fontFamily : null,
+          fontSize: this.round(fontSize)
+        };
+      });
+  }
+
+  /**
+   * Group runs that share a baseline into lines, left to right
+   * @param {Array} runs - Text runs from buildRuns
+   * @returns {Array} [{y, height, x, width, runs, text}]
+   */
+  groupLines(runs) {
+    const sorted = [...runs].sort((a, b) => (a.y + a.height) - (b.y + b.height) || a.x - b.x);
+    const lines = [];
+
+    for (const run of sorted) {
+      const baseline = run.y + run.height;
+      const line = lines.find(candidate => {
+        const tolerance = Math.min(candidate.height, run.height) * 0.5;
+        return Math.abs(candidate.baseline - baseline) <= tolerance;
+      });
+
+      if (line) {
+        line.runs.push(run);
+        line.height = Math.max(line.height, run.height);
+      } else {
+        lines.push({ baseline, height: run.height, runs: [run] });
+      }
+    }
+
+    return lines
+      .map(line => {
+        line.runs.sort((a, b) => a.x - b.x);
+        const left = line.runs[0].x;
+        const right = Math.max(...line.runs.map(run => run.x + run.width));
+        return {
+          y: this.round(line.baseline - line.height),
+          height: line.height,
+          x: left,
+          width: this.round(right - left),
+          runs: line.runs,
+          text: this.joinRuns(line.runs)
+        };
+      })
+      .sort((a, b) => a.y - b.y);
+  }
+
+  /**
+   * Join runs on one line, inserting spaces where the gap is wider than a space glyph
+   * @param {Array} runs - Runs sorted left to right
+   * @returns {string} Line text
+   */
+  joinRuns(runs) {
+    let text = '';
+    let previous = null;
+
+    for (const run of runs) {
+      if (previous) {
+        const gap = run.x - (previous.x + previous.width);
+        const alreadySpaced = /\s$/.test(previous.text) || /^\s/.test(run.text);
+        if (!alreadySpaced && gap > run.fontSize * 0.15) {
+          text += ' ';
+        }
+      }
+      text += run.text;
+      previous = run;
+    }
+
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Split runs into reading-order blocks with a recursive XY-cut
+   * A vertical cut (columns) is only taken when both sides are wide and hold several lines,
+   * so label/value pairs on forms stay on the same line.
+   * @param {Array} runs - Text runs of one page
+   * @returns {Array<Array>} Blocks of runs in reading order
+   */
+  segment(runs) {
+    if (runs.length <= 1) {
+      return runs.length ? [runs] : [];
+    }
+
+    const columnCut = this.findColumnCut(runs);
+    if (columnCut !== null) {
+      const left = runs.filter(run => run.x + run.width <= columnCut);
+      const right = runs.filter(run => run.x + run.width > columnCut);
+      return [...this.segment(left), ...this.segment(right)];
+    }
+
+    const blockCuts = this.findBlockCuts(runs);
+    if (blockCuts.length > 0) {
+      const bands = [];
+      let remaining = runs;
+      for (const cut of blockCuts) {
+        bands.push(remaining.filter(run => run.y + run.height <= cut));
+        remaining = remaining.filter(run => run.y + run.height > cut);
+      }
+      bands.push(remaining);
+      return bands.filter(band => band.length > 0).flatMap(band => this.segment(band));
+    }
+
+    return [runs];
+  }
+
+  /**
+   * Find the widest vertical gutter that separates two real columns
+   * @param {Array} runs - Text runs
+   * @returns {number|null} X coordinate of the cut or null
+   */
+  findColumnCut(runs) {
+    const intervals = this.mergeIntervals(runs.map(run => [run.x, run.x + run.width]));
+    if (intervals.length < 2) return null;
+
+    const blockLeft = intervals[0][0];
+    const blockRight = intervals[intervals.length - 1][1];
+    const blockWidth = blockRight - blockLeft;
+    let best = null;
+
+    for (let i = 1; i < intervals.length; i++) {
+      const gapStart = intervals[i - 1][1];
+      const gapEnd = intervals[i][0];
+      const gap = gapEnd - gapStart;
+      if (gap < this.options.minColumnGap) continue;
+
+      const leftWidth = gapStart - blockLeft;
+      const rightWidth = blockRight - gapEnd;
+      if (leftWidth < blockWidth * this.options.minColumnWidthRatio ||
+          rightWidth < blockWidth * this.options.minColumnWidthRatio) {
+        continue;
+      }
+
+      const cut = gapStart + gap / 2;
+      const leftLines = this.groupLines(runs.filter(run => run.x + run.width <= cut));
+      const rightLines = this.groupLines(runs.filter(run => run.x + run.width > cut));
+      if (leftLines.length < this.options.minColumnLines || rightLines.length < this.options.minColumnLines) {
+        continue;
+      }
+
+      // Rows that continue across the gutter look like label/value pairs, not columns,
+      // unless both sides are wide enough to be real columns
+      const alignedRows = leftLines.filter(left =>
+        rightLines.some(right => Math.abs((left.y + left.height) - (right.y + right.height)) <= Math.min(left.height, right.height) * 0.5)
+      ).length;
+      if (alignedRows / leftLines.length >= 0.5 &&
+          (leftWidth < blockWidth * this.options.alignedColumnWidthRatio ||
+           rightWidth < blockWidth * this.options.alignedColumnWidthRatio)) {
+        continue;
+      }
+
+      if (!best || gap > best.gap) {
+        best = { cut, gap };
+      }
+    }
+
+    return best ? best.cut : null;
+  }
+
+  /**
+   * Find horizontal gaps wide enough to start a new block
+   * @param {Array} runs - Text runs
+   * @returns {Array<number>} Y coordinates of the cuts, top to bottom
+   */
+  findBlockCuts(runs) {
+    const intervals = this.mergeIntervals(runs.map(run => [run.y, run.y + run.height]));
+    const heights = runs.map(run => run.height).sort((a, b) => a - b);
+    const medianHeight = heights[Math.floor(heights.length / 2)] || 0;
+    const minGap = medianHeight * this.options.blockGapFactor;
+    const cuts = [];
+
+    for (let i = 1; i < intervals.length; i++) {
+      const gap = intervals[i][0] - intervals[i - 1][1];
+      if (gap >= minGap) {
+        cuts.push(intervals[i - 1][1] + gap / 2);
+      }
+    }
+
+    return cuts;
+  }
+
+  /**
+   * Analyze one page: runs, lines, blocks and reading-order text
+   * @param {Array} runs - Text runs from buildRuns
+   * @returns {Object} {lines, blocks, text}
+   */
+  analyzePage(runs) {
+    const blocks = this.segment(runs).map(blockRuns => {
+      const lines = this.groupLines(blockRuns);
+      return {
+        x: Math.min(...blockRuns.map(run => run.x)),
+        y: Math.min(...blockRuns.map(run => run.y)),
+        width: this.round(Math.max(...blockRuns.map(run => run.x + run.width)) - Math.min(...blockRuns.map(run => run.x))),
+        height: this.round(Math.max(...blockRuns.map(run => run.y + run.height)) - Math.min(...blockRuns.map(run => run.y))),
+        text: lines.map(line => line.text).join('\n')
+      };
+    });
+
+    return {
+      lines: this.groupLines(runs).map(line => ({
+        text: line.text,
+        x: line.x,
+        y: line.y,
+        width: line.width,
+        height: line.height
+      })),
+      blocks,
+      text: blocks.map(block => block.text).join('\n\n')
+    };
+  }
+
+  /**
+   * Find the value printed next to (or below) a form label such as "Nama Karyawan"
+   * @param {Array} runs - Text runs of one page
+   * @param {string|RegExp} label - Label text or pattern
+   * @returns {Object|null} {label, value, x, y, width, height, position} or null
+   */
+  findLabelValue(runs, label) {
+    const lines = this.groupLines(runs);
+    const matcher = label instanceof RegExp ? label : new RegExp(this.escapeRegExp(label).replace(/\s+/g, '\\s*'), 'i');
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const match = line.text.match(matcher);
+      if (!match) continue;
+
+      // Value on the same line, after the label and an optional ":" separator
+      const rest = line.text.slice(match.index + match[0].length).replace(/^[\s:.\-=]+/, '').trim();
+      if (rest) {
+        const labelEnd = this.labelEndX(line.runs, match[0]);
+        const valueRuns = line.runs.filter(run => run.x >= labelEnd - 0.5 && run.text.replace(/[\s:]/g, '').length > 0);
+        return this.labelValueResult(match[0], rest, valueRuns.length ? valueRuns : line.runs, 'right');
+      }
+
+      // Otherwise the closest line below that starts near the label
+      const below = lines.slice(i + 1).find(candidate =>
+        candidate.y - (line.y + line.height) < line.height * 2 &&
+        candidate.x + candidate.width > line.x
+      );
+      if (below) {
+        return this.labelValueResult(match[0], below.text.replace(/^[\s:]+/, ''), below.runs, 'below');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * X coordinate where the label text ends on its line
+   * @param {Array} lineRuns - Runs of the line, left to right
+   * @param {string} labelText - Matched label text
+   * @returns {number} X coordinate
+   */
+  labelEndX(lineRuns, labelText) {
+    let consumed = '';
+    const target = labelText.replace(/\s+/g, '').toLowerCase();
+    for (const run of lineRuns) {
+      consumed += run.text.replace(/\s+/g, '').toLowerCase();
+      if (consumed.length >= target.length) {
+        return run.x + run.width;
+      }
+    }
+    return lineRuns[0].x;
+  }
+
+  /**
+   * Build a label lookup result with the bounding box of the value runs
+   * @param {string} label - Matched label
+   * @param {string} value - Value text
+   * @param {Array} runs - Runs holding the value
+   * @param {string} position - 'right' or 'below'
+   * @returns {Object} Label lookup result
+   */
+  labelValueResult(label, value, runs, position) {
+    const left = Math.min(...runs.map(run => run.x));
+    const top = Math.min(...runs.map(run => run.y));
+    return {
+      label,
+      value,
+      x: left,
+      y: top,
+      width: this.round(Math.max(...runs.map(run => run.x + run.width)) - left),
+      height: this.round(Math.max(...runs.map(run => run.y + run.height)) - top),
+      position
+    };
+  }
+
+  /**
+   * Merge overlapping [start, end] intervals
+   * @param {Array} intervals - Intervals to merge
+   * @returns {Array} Sorted, non-overlapping intervals
+   */
+  mergeIntervals(intervals) {
+    const sorted = intervals.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [start, end] of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Multiply two PDF transformation matrices
+   * @param {Array} m1 - Outer matrix [a, b, c, d, e, f]
+   * @param {Array} m2 - Inner matrix [a, b, c, d, e, f]
+   * @returns {Array} Combined matrix
+   */
+  multiplyTransform(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[2] * m2[1],
+      m1[1] * m2[0] + m1[3] * m2[1],
+      m1[0] * m2[2] + m1[2] * m2[3],
+      m1[1] * m2[2] + m1[3] * m2[3],
+      m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+      m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} value - Raw string
+   * @returns {string} Escaped string
+   */
+  escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Round to two decimals to keep coordinates readable
+   * @param {number} value - Number to round
+   * @returns {number} Rounded number
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = LayoutAnalyzer;
@@ -0,0 +1,226 @@
+const { OpenAI, AzureOpenAI } = require('openai');
+
+/**
+ * LLM provider contract used by DocumentClassifier:
+ *   name            - registry key, also reported as result.provider
+ *   supportsPdfInput - true when generate() accepts the PDF itself; otherwise the
+ *                      classifier sends extracted text instead
+ *   supportsStructuredOutput - true when generate() honours request.responseSchema
+ *   supportsResponseSchema(model) - optional; false for models that reject a response schema
+ *   isAvailable()   - true when the provider is configured
+ *   generate(request) - request is {prompt, system?, pdf?: {buffer, filename}, model?,
+ *                       temperature?, maxTokens?, responseSchema?: {name, schema}} and
+ *                       resolves to {text, model}; with responseSchema, text is JSON
+ */
+
+// gpt-4, gpt-4-turbo and gpt-3.5-turbo reject json_schema response formats (gpt-4o and later accept them)
+const LEGACY_MODEL = /^gpt-(3\.5-turbo|4(-turbo|-\d{4}|-32k)?)(-|$)/;
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.supportsPdfInput = options.supportsPdfInput !== undefined ? options.supportsPdfInput : true;
+    this.supportsStructuredOutput = options.supportsStructuredOutput !== undefined ? options.supportsStructuredOutput : true;
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL;
+    this.models = {
+      pdf: options.pdfModel || process.env.LLM_PDF_MODEL || 'gpt-4.1',
+      text: options.textModel || process.env.LLM_TEXT_MODEL || 'gpt-4.1'
+    };
+    this.client = null;
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Check whether a model accepts a JSON response schema
+   * @param {string} model - Model (or Azure deployment) name
+   * @returns {boolean} False for legacy models, which then get the line format
+   */
+  supportsResponseSchema(model) {
+    return !LEGACY_MODEL.test(String(model || ''));
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey, ...(this.baseURL ? { baseURL: this.baseURL } : {}) });
+    }
+    return this.client;
+  }
+
+  /**
+   * Generate a completion: PDF requests use the Responses API, text requests use chat completions
+   * @param {Object} request - Generation request
+   * @returns {Promise<Object>} {text, model}
+   */
+  async generate(request) {
+    if (!this.isAvailable()) {
+      throw new Error(`LLM provider "${this.name}" is not configured`);
+    }
+    return request.pdf ? this.generateFromPdf(request) : this.generateFromText(request);
+  }
+
+  /**
+   * Send the PDF and prompt through the Responses API
+   * @param {Object} request - Generation request with pdf
+   * @returns {Promise<Object>} {text, model}
+   */
+  async generateFromPdf(request) {
+    const model = request.model || this.models.pdf;
+    const response = await this.getClient().responses.create({
+      model,
+      input: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'input_file',
+              filename: request.pdf.filename || 'document.pdf',
+              file_data: `data:application/pdf;base64,${request.pdf.buffer.toString('base64')}`,
+            },
+            {
+              type: 'input_text',
+              text: request.prompt,
+            },
+          ],
+        },
+      ],
+      ...(request.system ? { instructions: request.system } : {}),
+      ...(request.responseSchema ? {
+        text: { format: { type: 'json_schema', name: request.responseSchema.name, schema: request.responseSchema.schema, strict: true } }
+      } : {}),
+      ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+      ...(request.maxTokens ? { max_output_tokens: Math.max(16, request.maxTokens) } : {})
+    });
+
+    return { text: response.output_text || '', model };
+  }
+
+  /**
+   * Send a text prompt through chat completions
+   * @param {Object} request - Generation request
+   * @returns {Promise<Object>} {text, model}
+   */
+  async generateFromText(request) {
+    const model = request.model || this.models.text;
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+      ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+      ...(request.responseSchema ? {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: request.responseSchema.name, schema: request.responseSchema.schema, strict: true }
+        }
+      } : {})
+    });
+
+    return { text: response.choices[0].message.content || '', model };
+  }
+}
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'azure',
+      // The Responses API is only available on recent Azure API versions
+      supportsPdfInput: options.supportsPdfInput !== undefined
+        ? options.supportsPdfInput
+        : process.env.AZURE_OPENAI_PDF_INPUT === 'true',
+      apiKey: options.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      // Azure addresses models by deployment name
+      pdfModel: options.pdfModel || process.env.AZURE_OPENAI_PDF_DEPLOYMENT || process.env.AZURE_OPENAI_DEPLOYMENT,
+      textModel: options.textModel || process.env.AZURE_OPENAI_DEPLOYMENT
+    });
+    this.endpoint = options.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+    this.apiVersion = options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2025-03-01-preview';
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey && this.endpoint && this.models.text);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new AzureOpenAI({
+        apiKey: this.apiKey,
+        endpoint: this.endpoint,
+        // Without a fixed deployment the SDK routes each request by its model (deployment) name
+        apiVersion: this.apiVersion
+      });
+    }
+    return this.client;
+  }
+}
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const model = options.model || process.env.OPENAI_COMPATIBLE_MODEL;
+    super({
+      name: 'openai-compatible',
+      // Ollama and vLLM only implement chat completions, so PDFs are sent as extracted text
+      supportsPdfInput: false,
+      // Recent vLLM and Ollama releases accept response_format json_schema; older servers reject it
+      supportsStructuredOutput: options.supportsStructuredOutput !== undefined
+        ? options.supportsStructuredOutput
+        : process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUT === 'true',
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: options.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+      baseURL: options.baseURL || process.env.OPENAI_COMPATIBLE_BASE_URL,
+      pdfModel: model,
+      textModel: model
+    });
+  }
+
+  isAvailable() {
+    return Boolean(this.baseURL && this.models.text);
+  }
+}
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.supportsPdfInput = true;
+    this.supportsStructuredOutput = true;
+    // A string, or a function (request) => string, returned for every request
+    this.response = options.response || process.env.MOCK_LLM_RESPONSE || (request => (request.responseSchema
+      ? JSON.stringify({ category: 'OOPR', requester: 'N/A', confidence: 0.5, reasoning: 'Mock response', fields: [] })
+      : 'KATEGORI: OOPR\nREQUESTER: N/A\nCONFIDENCE: 0.5'));
+    // Requests carry whole PDFs, so they are only kept when a test asks for them
+    this.recordCalls = Boolean(options.recordCalls);
+    this.calls = [];
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Return the configured response, recording the request when recordCalls is set
+   * @param {Object} request - Generation request
+   * @returns {Promise<Object>} {text, model}
+   */
+  async generate(request) {
+    if (this.recordCalls) {
+      this.calls.push(request);
+    }
+    const text = typeof this.response === 'function' ? await this.response(request) : this.response;
+    return { text, model: request.model || 'mock' };
+  }
+}
+
+module.exports = {
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+};
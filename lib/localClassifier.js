@@ -0,0 +1,323 @@
+const fs = require('fs-extra');
+const path = require('path');
+const PDFParser = require('./pdfParser');
+const { TaxonomyRegistry } = require('./taxonomy');
+
+const STOPWORDS = new Set([
+  // Indonesian
+  'dan', 'yang', 'di', 'ke', 'dari', 'untuk', 'dengan', 'pada', 'ini', 'itu', 'atau', 'dalam', 'oleh',
+  'akan', 'telah', 'sudah', 'sebagai', 'adalah', 'tersebut', 'kami', 'saya', 'tidak', 'ada', 'bahwa',
+  // English
+  'the', 'and', 'of', 'to', 'in', 'for', 'on', 'with', 'is', 'are', 'by', 'as', 'at', 'be', 'this', 'that'
+]);
+
+class LocalClassifier {
+  constructor(options = {}) {
+    // Keyword seeds and the model file come from the taxonomy (the default taxonomy unless one is given)
+    const taxonomy = options.taxonomy || new TaxonomyRegistry().get();
+    this.taxonomy = taxonomy.id;
+    this.modelPath = options.modelPath ||
+      (!options.taxonomy && process.env.LOCAL_MODEL_PATH) ||
+      taxonomy.localModelPath ||
+      path.join(__dirname, '..', 'data', `local-model-${taxonomy.id}.json`);
+    this.model = null;
+
+    // Softmax sharpness applied to cosine similarities when turning them into confidences
+    this.temperature = options.temperature || 12;
+
+    // Title phrases seeded into each category so it can be recognized before it has training examples
+    this.keywords = options.keywords || taxonomy.getKeywords();
+  }
+
+  /**
+   * Split text into lowercase word and word-bigram tokens
+   * @param {string} text - Document text
+   * @returns {Array<string>} Tokens
+   */
+  tokenize(text) {
+    const words = (text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= 2 && !/^\d+$/.test(word) && !STOPWORDS.has(word));
+
+    const bigrams = [];
+    for (let i = 1; i < words.length; i++) {
+      bigrams.push(`${words[i - 1]}_${words[i]}`);
+    }
+    return words.concat(bigrams);
+  }
+
+  /**
+   * Train a TF-IDF nearest-centroid model
+   * @param {Array} documents - Array of {text, label} objects
+   * @returns {Object} Trained model
+   */
+  train(documents) {
+    const labelled = documents.filter(doc => doc.label && doc.text && doc.text.trim().length > 0);
+    const seeds = Object.entries(this.keywords).map(([label, phrases]) => ({ label, text: phrases.join('. '), seed: true }));
+    const corpus = labelled.concat(seeds).map(doc => ({ label: doc.label, seed: Boolean(doc.seed), tokens: this.tokenize(doc.text) }));
+
+    // Inverse document frequency (smoothed)
+    const documentFrequency = {};
+    corpus.forEach(doc => {
+      new Set(doc.tokens).forEach(token => {
+        documentFrequency[token] = (documentFrequency[token] || 0) + 1;
+      });
+    });
+    const idf = {};
+    Object.entries(documentFrequency).forEach(([token, count]) => {
+      idf[token] = this.round(Math.log((1 + corpus.length) / (1 + count)) + 1);
+    });
+
+    // Category centroid = normalized mean of normalized document vectors
+    const sums = {};
+    const documentCounts = {};
+    corpus.forEach(doc => {
+      const vector = this.vectorize(doc.tokens, idf);
+      sums[doc.label] = sums[doc.label] || {};
+      Object.entries(vector).forEach(([token, weight]) => {
+        sums[doc.label][token] = (sums[doc.label][token] || 0) + weight;
+      });
+      if (!doc.seed) {
+        documentCounts[doc.label] = (documentCounts[doc.label] || 0) + 1;
+      }
+    });
+
+    const centroids = {};
+    Object.entries(sums).forEach(([label, vector]) => {
+      centroids[label] = this.normalize(vector);
+    });
+
+    this.model = {
+      version: 1,
+      type: 'tfidf-centroid',
+      taxonomy: this.taxonomy,
+      trainedAt: new Date().toISOString(),
+      documents: labelled.length,
+      documentCounts,
+      categories: Object.keys(centroids),
+      idf,
+      centroids
+    };
+
+    return this.model;
+  }
+
+  /**
+   * Predict the category of a document text
+   * @param {string} text - Document text
+   * @returns {Object} {category, confidence, scores} where scores are per-category probabilities
+   */
+  predict(text) {
+    const model = this.ensureModel();
+    const vector = this.vectorize(this.tokenize(text), model.idf);
+
+    if (Object.keys(vector).length === 0) {
+      return { category: null, confidence: 0, scores: {} };
+    }
+
+    const similarities = {};
+    model.categories.forEach(category => {
+      const centroid = model.centroids[category];
+      similarities[category] = Object.entries(vector)
+        .reduce((sum, [token, weight]) => sum + weight * (centroid[token] || 0), 0);
+    });
+
+    // Softmax over cosine similarities
+    const max = Math.max(...Object.values(similarities));
+    const exps = {};
+    let total = 0;
+    Object.entries(similarities).forEach(([category, similarity]) => {
+      exps[category] = Math.exp((similarity - max) * this.temperature);
+      total += exps[category];
+    });
+
+    const scores = {};
+    Object.entries(exps).forEach(([category, value]) => {
+      scores[category] = this.round(value / total);
+    });
+
+    const category = Object.keys(scores).reduce((best, candidate) => scores[candidate] > scores[best] ? candidate : best);
+    return { category, confidence: scores[category], scores };
+  }
+
+  /**
+   * Read a labels CSV with "filename,label" columns
+   * @param {string} labelsPath - CSV path
+   * @returns {Array} Array of {filename, label}
+   */
+  readLabels(labelsPath) {
+    const lines = fs.readFileSync(labelsPath, 'utf8').split(/\r?\n/).filter(line => line.trim().length > 0);
+    const header = lines.shift().split(',').map(column => column.trim().toLowerCase());
+    const filenameIndex = header.indexOf('filename');
+    const labelIndex = header.indexOf('label');
+
+    if (filenameIndex === -1 || labelIndex === -1) {
+      throw new Error(`Labels file must have "filename" and "label" columns: ${labelsPath}`);
+    }
+
+    return lines.map(line => {
+      const columns = line.split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+      return { filename: columns[filenameIndex], label: columns[labelIndex] };
+    });
+  }
+
+  /**
+   * Train from a labels CSV and a folder of PDFs, then save the model
+   * @param {string} labelsPath - CSV with filename,label
+   * @param {string} pdfDir - Directory containing the labelled PDFs
+   * @param {Object} options - {pdfParser, ocrMethod, save}
+   * @returns {Promise<Object>} {success, documents, documentCounts, skipped, modelPath}
+   */
+  async trainFromLabels(labelsPath, pdfDir, options = {}) {
+    try {
+      const pdfParser = options.pdfParser || new PDFParser();
+      const labels = this.readLabels(labelsPath);
+      const documents = [];
+      const skipped = [];
+
+      for (const { filename, label } of labels) {
+        const filePath = path.join(pdfDir, filename);
+        if (!this.keywords[label]) {
+          skipped.push({ filename, reason: `Category ${label} is not in taxonomy ${this.taxonomy}` });
+          continue;
+        }
+        if (!fs.existsSync(filePath)) {
+          skipped.push({ filename, reason: 'File not found' });
+          continue;
+        }
+
+        try {
+          const extraction = await pdfParser.extractText(fs.readFileSync(filePath), { ocrMethod: options.ocrMethod });
+          if (!extraction.text || extraction.text.trim().length === 0) {
+            skipped.push({ filename, reason: 'No text (scanned page without OCR)' });
+            continue;
+          }
+          documents.push({ filename, label, text: extraction.text });
+          console.log(`📚 [LOCAL] ${filename} -> ${label}`);
+        } catch (error) {
+          skipped.push({ filename, reason: error.message });
+        }
+      }
+
+      if (documents.length === 0) {
+        throw new Error('No labelled document had usable text');
+      }
+
+      const model = this.train(documents);
+      if (options.save !== false) {
+        await this.save();
+      }
+
+      return {
+        success: true,
+        documents: documents.length,
+        documentCounts: model.documentCounts,
+        skipped,
+        modelPath: this.modelPath
+      };
+
+    } catch (error) {
+      console.error('❌ [LOCAL] Training failed:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Save the trained model as JSON
+   * @param {string} modelPath - Target path (defaults to this.modelPath)
+   * @returns {Promise<string>} Saved path
+   */
+  async save(modelPath = this.modelPath) {
+    if (!this.model) {
+      throw new Error('No trained model to save');
+    }
+    await fs.ensureDir(path.dirname(modelPath));
+    await fs.writeJson(modelPath, this.model);
+    console.log(`💾 [LOCAL] Model saved to ${modelPath}`);
+    return modelPath;
+  }
+
+  /**
+   * Load a model saved with save()
+   * @param {string} modelPath - Model path (defaults to this.modelPath)
+   * @returns {Object} Loaded model
+   */
+  load(modelPath = this.modelPath) {
+    if (!fs.existsSync(modelPath)) {
+      throw new Error(`Local model not found: ${modelPath}. Train it with "node index.js train"`);
+    }
+    this.model = fs.readJsonSync(modelPath);
+    return this.model;
+  }
+
+  /**
+   * Check whether a model is loaded or saved on disk
+   * @returns {boolean} True if predict() can run
+   */
+  isAvailable() {
+    return Boolean(this.model) || fs.existsSync(this.modelPath);
+  }
+
+  /**
+   * Return the loaded model, loading it from disk on first use
+   * @returns {Object} Model
+   */
+  ensureModel() {
+    return this.model || this.load();
+  }
+
+  /**
+   * Build an L2-normalized TF-IDF vector
+   * @param {Array<string>} tokens - Document tokens
+   * @param {Object} idf - Token to IDF weight
+   * @returns {Object} Sparse vector (unknown tokens are dropped)
+   */
+  vectorize(tokens, idf) {
+    const counts = {};
+    tokens.forEach(token => {
+      if (idf[token]) counts[token] = (counts[token] || 0) + 1;
+    });
+
+    const vector = {};
+    Object.entries(counts).forEach(([token, count]) => {
+      // Sublinear term frequency so repeated boilerplate does not dominate
+      vector[token] = (1 + Math.log(count)) * idf[token];
+    });
+    return this.normalize(vector);
+  }
+
+  /**
+   * Scale a sparse vector to unit length
+   * @param {Object} vector - Sparse vector
+   * @returns {Object} Normalized vector
+   */
+  normalize(vector) {
+    const length = Math.sqrt(Object.values(vector).reduce((sum, weight) => sum + weight * weight, 0));
+    if (length === 0) return {};
+
+    const normalized = {};
+    Object.entries(vector).forEach(([token, weight]) => {
+      normalized[token] = this.round(weight / length, 6);
+    });
+    return normalized;
+  }
+
+  /**
+   * Round a number to keep the saved model compact
+   * @param {number} value - Number
+   * @param {number} digits - Decimal places
+   * @returns {number} Rounded number
+   */
+  round(value, digits = 4) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = LocalClassifier;
@@ -0,0 +1,297 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const FORMATS = ['csv', 'json', 'xlsx'];
+
+// Columns of the CSV and XLSX manifests, in order
+const COLUMNS = [
+  ['status', 'Status'],
+  ['originalName', 'Original Name'],
+  ['newName', 'New Name'],
+  ['folder', 'Folder'],
+  ['path', 'Path'],
+  ['category', 'Category'],
+  ['categoryName', 'Category Name'],
+  ['requester', 'Requester'],
+  ['confidence', 'Confidence'],
+  ['documentNumber', 'Document Number'],
+  ['sha256', 'SHA-256'],
+  ['size', 'Size (bytes)'],
+  ['duplicate', 'Duplicate'],
+  ['duplicateOf', 'Duplicate Of'],
+  ['error', 'Error'],
+  ['taxonomy', 'Taxonomy'],
+  ['jobId', 'Job ID'],
+  ['organizedAt', 'Organized At']
+];
+
+class ManifestWriter {
+  /**
+   * Writes the manifest of an organization run next to the organized folders
+   * @param {Object} options - {format} 'csv', 'json' or 'xlsx' (MANIFEST_FORMAT, default 'csv')
+   */
+  constructor(options = {}) {
+    this.format = this.getFormat(options.format || process.env.MANIFEST_FORMAT || 'csv');
+  }
+
+  /**
+   * Validate a manifest format
+   * @param {string} format - Format name (case-insensitive)
+   * @returns {string} Lowercase format
+   */
+  getFormat(format) {
+    const value = String(format).toLowerCase();
+    if (!FORMATS.includes(value)) {
+      throw new Error(`Invalid manifest format "${format}". Use ${FORMATS.join(', ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * Write the manifest of an organization run into its output directory
+   * @param {string} outputDir - Output directory of the run (the ZIP root for downloads)
+   * @param {Object} organization - {organized, failed, skipped} from the file organizer
+   * @param {Object} options - {format}, {sources} {filename: path} to hash failed files, {taxonomy}, {jobId}
+   * @returns {Promise<Object>} {success, filename, path, format, documents} or {success: false, error}
+   */
+  async write(outputDir, organization, options = {}) {
+    try {
+      const format = this.getFormat(options.format || this.format);
+      const documents = await this.buildEntries(outputDir, organization, options);
+      // Runs into the same output directory each keep their own manifest
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      let filename = `manifest_${timestamp}.${format}`;
+      for (let counter = 1; await fs.pathExists(path.join(outputDir, filename)); counter++) {
+        filename = `manifest_${timestamp}_${counter}.${format}`;
+      }
+      const manifestPath = path.join(outputDir, filename);
+
+      await fs.ensureDir(outputDir);
+      if (format === 'json') {
+        await fs.writeJson(manifestPath, {
+          generatedAt: new Date().toISOString(),
+          taxonomy: options.taxonomy || null,
+          jobId: options.jobId || null,
+          summary: {
+            organized: documents.filter(entry => entry.status === 'organized').length,
+            failed: documents.filter(entry => entry.status === 'failed').length,
+            skipped: documents.filter(entry => entry.status === 'skipped').length
+          },
+          documents
+        }, { spaces: 2 });
+      } else if (format === 'xlsx') {
+        await this.writeXlsx(manifestPath, documents);
+      } else {
+        await fs.writeFile(manifestPath, this.toCsv(documents));
+      }
+
+      console.log(`🧾 [MANIFEST] Wrote ${filename} (${documents.length} document(s))`);
+      return { success: true, filename, path: manifestPath, format, documents: documents.length };
+
+    } catch (error) {
+      console.error('❌ [MANIFEST] Could not write manifest:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * One manifest entry per organized, failed or skipped document
+   * @param {string} outputDir - Output directory of the run
+   * @param {Object} organization - {organized, failed, skipped}
+   * @param {Object} options - {sources}, {taxonomy}, {jobId}
+   * @returns {Promise<Array>} Entries with the COLUMNS keys (JSON entries also carry the extracted fields)
+   */
+  async buildEntries(outputDir, organization, options = {}) {
+    const sources = options.sources || {};
+    const organizedAt = new Date().toISOString();
+    const entries = [];
+
+    for (const file of organization.organized || []) {
+      const hash = await this.hashFile(file.targetPath);
+      entries.push({
+        status: 'organized',
+        originalName: file.originalName || file.filename,
+        newName: path.basename(file.targetPath),
+        folder: file.targetFolder,
+        path: path.relative(outputDir, file.targetPath).split(path.sep).join('/'),
+        category: file.category,
+        categoryName: file.categoryName || null,
+        requester: file.requester || null,
+        confidence: typeof file.confidence === 'number' ? file.confidence : null,
+        documentNumber: file.documentNumber || null,
+        ...hash,
+        ...this.describeDuplicate(file.duplicate),
+        error: null,
+        taxonomy: options.taxonomy || null,
+        jobId: options.jobId || null,
+        organizedAt,
+        fields: file.fields || {}
+      });
+    }
+
+    for (const file of organization.failed || []) {
+      const hash = await this.hashFile(sources[file.filename]);
+      entries.push({
+        status: 'failed',
+        originalName: file.filename,
+        newName: null,
+        folder: null,
+        path: null,
+        category: file.category || null,
+        categoryName: null,
+        requester: null,
+        confidence: null,
+        documentNumber: null,
+        ...hash,
+        duplicate: null,
+        duplicateOf: null,
+        error: file.error || null,
+        taxonomy: options.taxonomy || null,
+        jobId: options.jobId || null,
+        organizedAt: null,
+        fields: {}
+      });
+    }
+
+    for (const file of organization.skipped || []) {
+      const hash = await this.hashFile(sources[file.filename]);
+      entries.push({
+        status: 'skipped',
+        originalName: file.filename,
+        newName: null,
+        folder: null,
+        path: null,
+        category: file.category || null,
+        categoryName: null,
+        requester: null,
+        confidence: null,
+        documentNumber: null,
+        ...hash,
+        ...this.describeDuplicate(file.duplicate),
+        error: file.reason === 'replaced' ? `Replaced by ${file.replacedBy}` : 'Duplicate',
+        taxonomy: options.taxonomy || null,
+        jobId: options.jobId || null,
+        organizedAt: null,
+        fields: {}
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Duplicate columns of an entry
+   * @param {Object} duplicate - {type, matches} from the duplicate detector, or null
+   * @returns {Object} {duplicate: 'exact'|'near'|null, duplicateOf: "filename (job id)" of the closest match or null}
+   */
+  describeDuplicate(duplicate) {
+    if (!duplicate || !duplicate.matches || duplicate.matches.length === 0) {
+      return { duplicate: null, duplicateOf: null };
+    }
+    const match = duplicate.matches[0];
+    return {
+      duplicate: duplicate.type,
+      duplicateOf: match.jobId && !match.inBatch ? `${match.filename} (${match.jobId})` : match.filename
+    };
+  }
+
+  /**
+   * SHA-256 and size of a file
+   * @param {string} filePath - File path (may be missing)
+   * @returns {Promise<Object>} {sha256, size}, null values when the file is not available
+   */
+  async hashFile(filePath) {
+    if (!filePath || !(await fs.pathExists(filePath))) {
+      return { sha256: null, size: null };
+    }
+    const buffer = await fs.readFile(filePath);
+    return {
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      size: buffer.length
+    };
+  }
+
+  /**
+   * CSV manifest with a header row
+   * The UTF-8 byte order mark makes Excel read accented requester names correctly.
+   * @param {Array} entries - Manifest entries
+   * @returns {string} CSV text
+   */
+  toCsv(entries) {
+    const escape = value => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      // Keep spreadsheet programs from evaluating names such as "=HYPERLINK(...)" taken from scanned documents
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [COLUMNS.map(([, label]) => label)]
+      .concat(entries.map(entry => COLUMNS.map(([key]) => entry[key])));
+    return '\ufeff' + rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Minimal single-sheet XLSX workbook (inline strings, no styles)
+   * @param {string} filePath - Output path
+   * @param {Array} entries - Manifest entries
+   * @returns {Promise<void>}
+   */
+  async writeXlsx(filePath, entries) {
+    const archiver = require('archiver');
+    const xml = value => String(value)
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const column = index => (index >= 26 ? String.fromCharCode(64 + Math.floor(index / 26)) : '') + String.fromCharCode(65 + (index % 26));
+    const cell = (value, ref) => {
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(value)}</t></is></c>`;
+    };
+
+    const rows = [COLUMNS.map(([, label]) => label)]
+      .concat(entries.map(entry => COLUMNS.map(([key]) => entry[key])))
+      .map((row, rowIndex) => `<row r="${rowIndex + 1}">${row.map((value, index) => cell(value, `${column(index)}${rowIndex + 1}`)).join('')}</row>`);
+
+    const files = {
+      '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+      '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+      'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Manifest" sheetId="1" r:id="rId1"/></sheets>' +
+        '</workbook>',
+      'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>',
+      'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${rows.join('')}</sheetData>` +
+        '</worksheet>'
+    };
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.pipe(output);
+      Object.entries(files).forEach(([name, content]) => archive.append(content, { name }));
+      archive.finalize();
+    });
+  }
+}
+
+module.exports = ManifestWriter;
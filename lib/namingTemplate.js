@@ -0,0 +1,195 @@
+const Calendar = require('./calendar');
+
+// Defaults reproduce the names and folders used before templates existed
+const DEFAULT_TEMPLATES = {
+  filename: '{prefix}{seq:03} - {requester}',
+  folder: '{folder}'
+};
+
+// Extracted fields are available as {fields.<name>} on top of these
+const VARIABLES = ['prefix', 'seq', 'requester', 'category', 'categoryName', 'folder', 'taxonomy', 'original', 'date', 'year', 'month', 'day'];
+
+const FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  title: value => value.toLowerCase().replace(/(^|[\s\-_(])(\S)/g, (match, separator, letter) => separator + letter.toUpperCase()),
+  slug: value => value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+};
+
+// Characters Windows, macOS or Linux refuse in a file or folder name
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f]/g;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+// Leaves room for the extension and a _dupN suffix within the usual 255 byte limit
+const MAX_SEGMENT_LENGTH = 150;
+
+class NamingTemplate {
+  /**
+   * Output file name or folder template, e.g. "{prefix}{seq:04} - {requester|title} - {date:YYYY-MM-DD}"
+   * Placeholders are {variable[:format][|filter...]}; seq takes a width, date a YYYY/MM/DD/HH/mm/ss pattern.
+   * @param {string} template - Template text (default FILENAME_TEMPLATE / FOLDER_TEMPLATE, then the built-in default)
+   * @param {Object} options - {type} 'filename' or 'folder'; "/" separates folder levels in folder templates,
+   *                           {calendar} time zone for the date variables (default SEQUENCE_TIMEZONE or the local zone)
+   */
+  constructor(template, options = {}) {
+    this.type = options.type || 'filename';
+    if (!DEFAULT_TEMPLATES[this.type]) {
+      throw new Error(`Invalid template type "${this.type}". Use filename or folder`);
+    }
+    const envName = this.type === 'folder' ? 'FOLDER_TEMPLATE' : 'FILENAME_TEMPLATE';
+    this.template = template || process.env[envName] || DEFAULT_TEMPLATES[this.type];
+    this.parts = this.parse(this.template);
+    this.calendar = options.calendar || new Calendar();
+  }
+
+  /**
+   * Split a template into literal text and placeholders
+   * @param {string} template - Template text
+   * @returns {Array} [string | {name, format, filters}]
+   */
+  parse(template) {
+    if (typeof template !== 'string') {
+      throw new Error('Template must be a string');
+    }
+
+    const parts = [];
+    const pattern = /\{([^{}]*)\}/g;
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(template)) !== null) {
+      if (match.index > last) parts.push(template.slice(last, match.index));
+      parts.push(this.parsePlaceholder(match[1]));
+      last = pattern.lastIndex;
+    }
+    if (last < template.length) parts.push(template.slice(last));
+
+    if (parts.some(part => typeof part === 'string' && /[{}]/.test(part))) {
+      throw new Error(`Unbalanced braces in template "${template}"`);
+    }
+    if (!parts.some(part => typeof part !== 'string')) {
+      throw new Error(`Template "${template}" has no placeholders`);
+    }
+    return parts;
+  }
+
+  /**
+   * Parse the inside of one placeholder, e.g. "seq:04" or "requester|title"
+   * @param {string} text - Placeholder text without braces
+   * @returns {Object} {name, format, filters}
+   */
+  parsePlaceholder(text) {
+    const [spec, ...filters] = text.split('|').map(item => item.trim());
+    const separator = spec.indexOf(':');
+    const name = separator === -1 ? spec : spec.slice(0, separator);
+    const format = separator === -1 ? null : spec.slice(separator + 1);
+
+    if (!VARIABLES.includes(name) && !/^fields\.[\w-]+$/.test(name)) {
+      throw new Error(`Unknown template variable {${name}}. Use ${VARIABLES.join(', ')} or fields.<name>`);
+    }
+    if (format !== null && name === 'seq' && !/^\d{1,2}$/.test(format)) {
+      throw new Error(`Invalid width "${format}" for {seq}, e.g. {seq:04}`);
+    }
+    if (format !== null && !['seq', 'date'].includes(name)) {
+      throw new Error(`{${name}} takes no format; only seq and date do`);
+    }
+    const unknown = filters.find(filter => !FILTERS[filter]);
+    if (unknown !== undefined) {
+      throw new Error(`Unknown template filter "${unknown}". Use ${Object.keys(FILTERS).join(', ')}`);
+    }
+
+    return { name, format, filters };
+  }
+
+  /**
+   * Whether this is the built-in template (flat category folders are then created up front)
+   * @returns {boolean}
+   */
+  isDefault() {
+    return this.template === DEFAULT_TEMPLATES[this.type];
+  }
+
+  /**
+   * Format a document number with the template's {seq} width (3 digits without one)
+   * @param {number} number - Document number
+   * @returns {string} Padded number
+   */
+  formatNumber(number) {
+    const seq = this.parts.find(part => part.name === 'seq' && part.format);
+    return String(number).padStart(seq ? parseInt(seq.format, 10) : 3, '0');
+  }
+
+  /**
+   * Render the template
+   * @param {Object} values - {prefix, number, requester, category, categoryName, folder, taxonomy, original, date, fields}
+   * @returns {string} File name without extension, or a relative folder path with "/" separators
+   */
+  render(values) {
+    const text = this.parts.map(part => {
+      if (typeof part === 'string') return part;
+      // A value must never add a folder level, so "/" is replaced here, before folder separators are read
+      const value = this.getValue(part, values).replace(ILLEGAL_CHARACTERS, '_');
+      return part.filters.reduce((result, filter) => FILTERS[filter](result), value);
+    }).join('');
+
+    if (this.type === 'filename') {
+      return this.sanitize(text) || this.sanitize(values.original || '') || 'document';
+    }
+
+    const segments = text.split('/').map(segment => this.sanitize(segment)).filter(segment => segment);
+    return segments.length > 0 ? segments.join('/') : this.sanitize(values.folder || '');
+  }
+
+  /**
+   * Text of one placeholder
+   * @param {Object} part - Parsed placeholder
+   * @param {Object} values - Render values
+   * @returns {string} Value, empty when missing
+   */
+  getValue(part, values) {
+    const date = values.date || new Date();
+    switch (part.name) {
+      case 'seq':
+        return values.number === undefined || values.number === null ? '' : this.formatNumber(values.number);
+      case 'date':
+        return this.formatDate(date, part.format || 'YYYY-MM-DD');
+      case 'year':
+        return this.formatDate(date, 'YYYY');
+      case 'month':
+        return this.formatDate(date, 'MM');
+      case 'day':
+        return this.formatDate(date, 'DD');
+    }
+
+    const value = part.name.startsWith('fields.')
+      ? (values.fields || {})[part.name.slice('fields.'.length)]
+      : values[part.name];
+    if (value === null || value === undefined) return '';
+    // Line items and other structured values have no sensible text form
+    if (typeof value === 'object') {
+      return Array.isArray(value) ? value.filter(item => typeof item !== 'object').join(', ') : '';
+    }
+    return String(value);
+  }
+
+  /**
+   * Format a date in the calendar document number sequences use for their periods
+   * @param {Date} date - Date
+   * @param {string} format - Pattern with YYYY, YY, MM, DD, HH, mm, ss
+   * @returns {string} Formatted date
+   */
+  formatDate(date, format) {
+    return this.calendar.format(date, format);
+  }
+
+  /**
+   * Make text safe as a single file or folder name
+   * @param {string} text - Name
+   * @returns {string} Name without illegal characters, repeated whitespace or trailing dots
+   */
+  sanitize(text) {
+    let name = text.replace(ILLEGAL_CHARACTERS, '_').replace(/\s+/g, ' ').trim();
+    name = name.slice(0, MAX_SEGMENT_LENGTH).replace(/[. ]+$/, '');
+    return RESERVED_NAMES.test(name) ? `_${name}` : name;
+  }
+}
+
+module.exports = NamingTemplate;
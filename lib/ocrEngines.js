@@ -0,0 +1,193 @@
+const OpenAI = require('openai');
+
+const OCR_PROMPT = 'Transcribe all text visible on this scanned document page exactly as written. ' +
+  'Preserve line breaks and the reading order of the form. Do not summarise, translate or add commentary. ' +
+  'If the page contains no text, respond with an empty string.';
+
+/**
+ * OCR engine contract used by PDFParser:
+ *   name          - registry key, also reported as metadata.ocrEngine
+ *   isAvailable() - true when the engine can run in this environment
+ *   recognize(page, worker) - page is {pageNumber, image: {data, mimeType}|null, pdfBuffer}
+ *                     and resolves to {text, confidence}
+ *   createWorker()  - optional; resolves to a worker that PDFParser reuses for every page
+ *                     of one extraction and terminates once at the end
+ */
+
+class TesseractEngine {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.language = options.language || process.env.TESSERACT_LANG || 'eng';
+    this.langPath = options.langPath || process.env.TESSERACT_LANG_PATH;
+  }
+
+  isAvailable() {
+    try {
+      require.resolve('tesseract.js');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Start a Tesseract.js worker with the configured language loaded
+   * @returns {Promise<Object>} Worker with recognize() and terminate()
+   */
+  async createWorker() {
+    const Tesseract = require('tesseract.js');
+    const workerOptions = {
+      // Without a handler tesseract.js rethrows worker errors outside the promise chain
+      errorHandler: (error) => console.warn('[OCR] Tesseract worker error:', error)
+    };
+    if (this.langPath) {
+      workerOptions.langPath = this.langPath;
+      workerOptions.gzip = false;
+    }
+
+    // Languages are loaded after creation: a failed download during createWorker never
+    // settles, whereas reinitialize() rejects and lets us terminate the worker
+    const worker = await Tesseract.createWorker([], 1, workerOptions);
+
+    try {
+      await worker.reinitialize(this.language);
+    } catch (error) {
+      await worker.terminate();
+      throw error;
+    }
+    return worker;
+  }
+
+  /**
+   * Recognize text from the page raster with Tesseract.js
+   * @param {Object} page - Page context
+   * @param {Object} worker - Worker from createWorker(); a temporary one is started when omitted
+   * @returns {Promise<Object>} {text, confidence}
+   */
+  async recognize(page, worker = null) {
+    if (!page.image) {
+      throw new Error('No raster image could be extracted from this page');
+    }
+
+    const activeWorker = worker || await this.createWorker();
+
+    try {
+      const { data } = await activeWorker.recognize(page.image.data);
+      return {
+        text: data.text || '',
+        confidence: typeof data.confidence === 'number' ? data.confidence / 100 : null
+      };
+    } finally {
+      if (!worker) {
+        await activeWorker.terminate();
+      }
+    }
+  }
+}
+
+class OpenAIVisionEngine {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.OPENAI_OCR_MODEL || 'gpt-4o';
+    this.client = null;
+  }
+
+  isAvailable() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+
+  /**
+   * Recognize text by sending the page raster to a vision-capable chat model
+   * @param {Object} page - Page context
+   * @returns {Promise<Object>} {text, confidence}
+   */
+  async recognize(page) {
+    if (!page.image) {
+      throw new Error('No raster image could be extracted from this page');
+    }
+
+    const dataUrl = `data:${page.image.mimeType};base64,${page.image.data.toString('base64')}`;
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: OCR_PROMPT },
+            { type: 'image_url', image_url: { url: dataUrl } }
+          ]
+        }
+      ],
+      temperature: 0
+    });
+
+    return {
+      text: response.choices[0].message.content || '',
+      confidence: null
+    };
+  }
+}
+
+class OpenAIResponsesEngine {
+  constructor(options = {}) {
+    this.name = 'openai-responses';
+    this.model = options.model || process.env.OPENAI_OCR_PDF_MODEL || 'gpt-4.1';
+    this.client = null;
+  }
+
+  isAvailable() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+
+  /**
+   * Recognize text by sending the single-page PDF to the Responses API
+   * @param {Object} page - Page context
+   * @returns {Promise<Object>} {text, confidence}
+   */
+  async recognize(page) {
+    const response = await this.getClient().responses.create({
+      model: this.model,
+      input: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'input_file',
+              filename: `page-${page.pageNumber}.pdf`,
+              file_data: `data:application/pdf;base64,${page.pdfBuffer.toString('base64')}`
+            },
+            {
+              type: 'input_text',
+              text: OCR_PROMPT
+            }
+          ]
+        }
+      ]
+    });
+
+    return {
+      text: response.output_text || '',
+      confidence: null
+    };
+  }
+}
+
+module.exports = {
+  TesseractEngine,
+  OpenAIVisionEngine,
+  OpenAIResponsesEngine
+};
@@ -0,0 +1,358 @@
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFDict, PDFRawStream, PDFArray } = require('pdf-lib');
+
+class PageImageExtractor {
+  constructor() {
+    // Color spaces we can turn into PNG without a full colour management pipeline
+    this.pngColorTypes = {
+      'DeviceGray': { colorType: 0, channels: 1 },
+      'DeviceRGB': { colorType: 2, channels: 3 }
+    };
+  }
+
+  /**
+   * Load a PDF buffer with pdf-lib so pages can be inspected or copied
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @returns {Promise<PDFDocument>} Loaded document
+   */
+  async loadDocument(pdfBuffer) {
+    return PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+  }
+
+  /**
+   * List the image XObjects drawn on a page
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Array} Array of {name, stream, width, height, filter}
+   */
+  listPageImages(pdfDoc, pageIndex) {
+    const page = pdfDoc.getPage(pageIndex);
+    const resources = page.node.Resources();
+    if (!resources) return [];
+
+    const xObjects = resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) return [];
+
+    const images = [];
+    for (const [name, ref] of xObjects.entries()) {
+      const stream = pdfDoc.context.lookup(ref);
+      if (!(stream instanceof PDFRawStream)) continue;
+
+      const subtype = stream.dict.get(PDFName.of('Subtype'));
+      if (subtype !== PDFName.of('Image')) continue;
+
+      images.push({
+        name: name.asString(),
+        stream: stream,
+        width: this.numberValue(stream.dict.lookup(PDFName.of('Width'))),
+        height: this.numberValue(stream.dict.lookup(PDFName.of('Height'))),
+        filter: this.filterName(stream.dict.lookup(PDFName.of('Filter')))
+      });
+    }
+
+    return images;
+  }
+
+  /**
+   * Check whether a page draws at least one raster image
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {boolean} True if the page has image XObjects
+   */
+  hasImages(pdfDoc, pageIndex) {
+    return this.listPageImages(pdfDoc, pageIndex).length > 0;
+  }
+
+  /**
+   * Extract the largest raster image on a page as an encoded JPEG or PNG
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Object|null} {data, mimeType, width, height} or null when no usable image exists
+   */
+  extractPageImage(pdfDoc, pageIndex) {
+    const images = this.listPageImages(pdfDoc, pageIndex)
+      .sort((a, b) => (b.width * b.height) - (a.width * a.height));
+
+    for (const image of images) {
+      try {
+        if (image.filter === 'DCTDecode') {
+          // Scanner output is usually a baseline JPEG that can be used as-is
+          return {
+            data: Buffer.from(image.stream.contents),
+            mimeType: 'image/jpeg',
+            width: image.width,
+            height: image.height
+          };
+        }
+
+        if (image.filter === 'FlateDecode') {
+          const png = this.flateImageToPng(image);
+          if (png) {
+            return {
+              data: png,
+              mimeType: 'image/png',
+              width: image.width,
+              height: image.height
+            };
+          }
+        }
+      } catch (error) {
+        console.warn(`[PageImageExtractor] Could not decode image ${image.name} on page ${pageIndex + 1}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode the largest raster image on a page to RGBA pixels
+   * Used for pixel checks (blank pages, QR codes); bilevel CCITT/JBIG2 scans are not decoded.
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {number} pageIndex - Zero-based page index
+   * @param {number} maxDimension - Larger images are downscaled to this width/height (0 keeps the size)
+   * @returns {Object|null} {data: Uint8ClampedArray RGBA, width, height} or null when no image could be decoded
+   */
+  extractPageRaster(pdfDoc, pageIndex, maxDimension = 0) {
+    const images = this.listPageImages(pdfDoc, pageIndex)
+      .sort((a, b) => (b.width * b.height) - (a.width * a.height));
+
+    for (const image of images) {
+      try {
+        let raster = null;
+        if (image.filter === 'DCTDecode') {
+          const jpeg = require('jpeg-js');
+          const decoded = jpeg.decode(Buffer.from(image.stream.contents), { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+          raster = { data: new Uint8ClampedArray(decoded.data.buffer), width: decoded.width, height: decoded.height };
+        } else if (image.filter === 'FlateDecode') {
+          raster = this.flateImageToRgba(image);
+        }
+
+        if (raster) {
+          return maxDimension > 0 ? this.downscaleRaster(raster, maxDimension) : raster;
+        }
+      } catch (error) {
+        console.warn(`[PageImageExtractor] Could not decode pixels of ${image.name} on page ${pageIndex + 1}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode an 8-bit gray or RGB Flate image stream to RGBA
+   * @param {Object} image - Image entry from listPageImages
+   * @returns {Object|null} {data, width, height} or null when the format is not supported
+   */
+  flateImageToRgba(image) {
+    const dict = image.stream.dict;
+    const bitsPerComponent = this.numberValue(dict.lookup(PDFName.of('BitsPerComponent')));
+    const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+    const colorSpaceName = colorSpace instanceof PDFName ? colorSpace.asString().replace('/', '') : null;
+    const pngFormat = this.pngColorTypes[colorSpaceName];
+
+    if (bitsPerComponent !== 8 || !pngFormat) {
+      return null;
+    }
+
+    const raw = zlib.inflateSync(Buffer.from(image.stream.contents));
+    const channels = pngFormat.channels;
+    const rowLength = image.width * channels;
+    const decodeParms = dict.lookup(PDFName.of('DecodeParms'));
+    const predictor = decodeParms instanceof PDFDict
+      ? this.numberValue(decodeParms.lookup(PDFName.of('Predictor')))
+      : 1;
+    const pixels = predictor >= 10 ? this.unfilterPngRows(raw, rowLength, channels, image.height) : raw;
+
+    const data = new Uint8ClampedArray(image.width * image.height * 4);
+    for (let i = 0, j = 0; i < image.width * image.height; i++, j += channels) {
+      data[i * 4] = pixels[j];
+      data[i * 4 + 1] = pixels[channels === 1 ? j : j + 1];
+      data[i * 4 + 2] = pixels[channels === 1 ? j : j + 2];
+      data[i * 4 + 3] = 255;
+    }
+
+    return { data, width: image.width, height: image.height };
+  }
+
+  /**
+   * Undo PNG predictor filters (each row starts with a filter type byte)
+   * @param {Buffer} raw - Inflated stream data
+   * @param {number} rowLength - Bytes per row without the filter byte
+   * @param {number} bytesPerPixel - Bytes per pixel
+   * @param {number} height - Number of rows
+   * @returns {Buffer} Unfiltered pixel rows
+   */
+  unfilterPngRows(raw, rowLength, bytesPerPixel, height) {
+    const output = Buffer.alloc(rowLength * height);
+
+    for (let row = 0; row < height; row++) {
+      const filter = raw[row * (rowLength + 1)];
+      const input = row * (rowLength + 1) + 1;
+      const offset = row * rowLength;
+
+      for (let i = 0; i < rowLength; i++) {
+        const left = i >= bytesPerPixel ? output[offset + i - bytesPerPixel] : 0;
+        const up = row > 0 ? output[offset - rowLength + i] : 0;
+        const upLeft = row > 0 && i >= bytesPerPixel ? output[offset - rowLength + i - bytesPerPixel] : 0;
+        let predicted = 0;
+
+        if (filter === 1) predicted = left;
+        else if (filter === 2) predicted = up;
+        else if (filter === 3) predicted = Math.floor((left + up) / 2);
+        else if (filter === 4) {
+          const estimate = left + up - upLeft;
+          const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+          predicted = distances[0] <= distances[1] && distances[0] <= distances[2] ? left : (distances[1] <= distances[2] ? up : upLeft);
+        }
+
+        output[offset + i] = (raw[input + i] + predicted) & 0xff;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Shrink a raster by nearest-neighbour sampling so its larger side is at most maxDimension
+   * @param {Object} raster - {data, width, height}
+   * @param {number} maxDimension - Maximum width/height
+   * @returns {Object} {data, width, height}
+   */
+  downscaleRaster(raster, maxDimension) {
+    const scale = maxDimension / Math.max(raster.width, raster.height);
+    if (scale >= 1) return raster;
+
+    const width = Math.max(1, Math.round(raster.width * scale));
+    const height = Math.max(1, Math.round(raster.height * scale));
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      const sourceRow = Math.min(raster.height - 1, Math.floor(y / scale)) * raster.width;
+      for (let x = 0; x < width; x++) {
+        const source = (sourceRow + Math.min(raster.width - 1, Math.floor(x / scale))) * 4;
+        data.set(raster.data.subarray(source, source + 4), (y * width + x) * 4);
+      }
+    }
+
+    return { data, width, height };
+  }
+
+  /**
+   * Copy a single page into a standalone PDF
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {number} pageIndex - Zero-based page index
+   * @returns {Promise<Buffer>} Single-page PDF buffer
+   */
+  async extractPagePdf(pdfDoc, pageIndex) {
+    const singlePageDoc = await PDFDocument.create();
+    const [copiedPage] = await singlePageDoc.copyPages(pdfDoc, [pageIndex]);
+    singlePageDoc.addPage(copiedPage);
+    return Buffer.from(await singlePageDoc.save());
+  }
+
+  /**
+   * Re-encode an 8-bit Flate image stream as PNG
+   * @param {Object} image - Image entry from listPageImages
+   * @returns {Buffer|null} PNG buffer or null when the format is not supported
+   */
+  flateImageToPng(image) {
+    const dict = image.stream.dict;
+    const bitsPerComponent = this.numberValue(dict.lookup(PDFName.of('BitsPerComponent')));
+    const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+    const colorSpaceName = colorSpace instanceof PDFName ? colorSpace.asString().replace('/', '') : null;
+    const pngFormat = this.pngColorTypes[colorSpaceName];
+
+    if (bitsPerComponent !== 8 || !pngFormat) {
+      return null;
+    }
+
+    const raw = zlib.inflateSync(Buffer.from(image.stream.contents));
+    const rowLength = image.width * pngFormat.channels;
+    const decodeParms = dict.lookup(PDFName.of('DecodeParms'));
+    const predictor = decodeParms instanceof PDFDict
+      ? this.numberValue(decodeParms.lookup(PDFName.of('Predictor')))
+      : 1;
+
+    let scanlines;
+    if (predictor >= 10) {
+      // PNG predictors already prefix every row with a filter byte
+      scanlines = raw;
+    } else {
+      scanlines = Buffer.alloc((rowLength + 1) * image.height);
+      for (let row = 0; row < image.height; row++) {
+        raw.copy(scanlines, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+      }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8;
+    header[9] = pngFormat.colorType;
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      this.pngChunk('IHDR', header),
+      this.pngChunk('IDAT', zlib.deflateSync(scanlines)),
+      this.pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  /**
+   * Build a PNG chunk with length and CRC
+   * @param {string} type - Four-letter chunk type
+   * @param {Buffer} data - Chunk payload
+   * @returns {Buffer} Encoded chunk
+   */
+  pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(this.crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+  }
+
+  /**
+   * CRC-32 as used by PNG chunks
+   * @param {Buffer} buffer - Data to checksum
+   * @returns {number} Unsigned CRC value
+   */
+  crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+      crc ^= buffer[i];
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Read a numeric PDF object
+   * @param {PDFObject} pdfObject - PDFNumber or undefined
+   * @returns {number} Numeric value (0 when missing)
+   */
+  numberValue(pdfObject) {
+    return pdfObject && typeof pdfObject.asNumber === 'function' ? pdfObject.asNumber() : 0;
+  }
+
+  /**
+   * Resolve the stream filter name
+   * @param {PDFObject} pdfObject - Filter entry (name or array)
+   * @returns {string|null} Filter name without the leading slash
+   */
+  filterName(pdfObject) {
+    if (pdfObject instanceof PDFName) {
+      return pdfObject.asString().replace('/', '');
+    }
+    // Only single-filter arrays are handled; chained filters are left to the PDF engines
+    if (pdfObject instanceof PDFArray && pdfObject.size() === 1) {
+      return this.filterName(pdfObject.lookup(0));
+    }
+    return null;
+  }
+}
+
+module.exports = PageImageExtractor;
@@ -1,10 +1,59 @@
 const fs = require('fs-extra');
 const path = require('path');
 const pdf = require('pdf-parse');
+const PageImageExtractor = require('./pageImageExtractor');
+const LayoutAnalyzer = require('./layoutAnalyzer');
+const TableExtractor = require('./tableExtractor');
+const { TesseractEngine, OpenAIVisionEngine, OpenAIResponsesEngine } = require('./ocrEngines');
 
 class PDFParser {
   constructor() {
     this.supportedFormats = ['.pdf'];
+    this.pageImageExtractor = new PageImageExtractor();
+    this.layoutAnalyzer = new LayoutAnalyzer();
+    this.tableExtractor = new TableExtractor({ layoutAnalyzer: this.layoutAnalyzer });
+
+    // A page's text layer is trusted only if it clears all three thresholds
+    this.textLayerThresholds = {
+      minCharacters: 20,      // non-whitespace characters
+      maxGarbageRatio: 0.4,   // share of tokens that are mostly symbols/unmapped glyphs
+      minGlyphCoverage: 0.9   // share of characters that map to real Unicode
+    };
+
+    // OCR engine registry - registration order is the fallback order
+    this.ocrEngines = {};
+    this.registerOcrEngine(new TesseractEngine());
+    this.registerOcrEngine(new OpenAIVisionEngine());
+    this.registerOcrEngine(new OpenAIResponsesEngine());
+  }
+
+  /**
+   * Register an OCR engine (replaces an engine with the same name)
+   * @param {Object} engine - Engine with name, isAvailable() and recognize(page)
+   */
+  registerOcrEngine(engine) {
+    if (!engine || !engine.name || typeof engine.recognize !== 'function') {
+      throw new Error('OCR engine must have a name and a recognize(page) method');
+    }
+    this.ocrEngines[engine.name] = engine;
+  }
+
+  /**
+   * Get registered OCR engine names
+   * @returns {Array<string>} Engine names in fallback order
+   */
+  getOcrEngineNames() {
+    return Object.keys(this.ocrEngines);
+  }
+
+  /**
+   * Build the engine order for a requested OCR method
+   * @param {string} ocrMethod - Preferred engine name
+   * @returns {Array<string>} Preferred engine first, then the remaining engines
+   */
+  getOcrFallbackChain(ocrMethod) {
+    const others = this.getOcrEngineNames().filter(name => name !== ocrMethod);
+    return this.ocrEngines[ocrMethod] ? [ocrMethod, ...others] : others;
   }
 
   /**
@@ -31,24 +80,27 @@ class PDFParser {
       // Read the PDF file
       const dataBuffer = fs.readFileSync(filePath);
       
-      // Parse the PDF using pdf-parse
-      const data = await pdf(dataBuffer, options);
+      // Extract the text layer and OCR image-only pages if requested
+      const extraction = await this.extractText(dataBuffer, options);
 
-      console.log(`✅ Successfully extracted ${data.text.length} characters from PDF`);
+      console.log(`✅ Successfully extracted ${extraction.text.length} characters from PDF`);
       return {
         success: true,
-        text: data.text || '',
-        method: 'pdf-parse',
+        text: extraction.text,
+        method: extraction.method || 'pdf-parse',
         metadata: {
-          pages: data.numpages,
-          info: data.info,
-          version: data.version,
+          pages: extraction.data.numpages,
+          info: extraction.data.info,
+          version: extraction.data.version,
           fileSize: fs.statSync(filePath).size,
           fileName: path.basename(filePath),
           filePath: filePath,
-          extractedAt: new Date().toISOString()
+          extractedAt: new Date().toISOString(),
+          ...extraction.ocrMetadata
         },
-        stats: this.getTextStats(data.text || '')
+        pages: this.summarizePages(extraction.pages),
+        ...(extraction.layout ? { layout: extraction.layout } : {}),
+        stats: this.getTextStats(extraction.text, extraction.pages)
       };
 
     } catch (error) {
@@ -76,20 +128,23 @@ class PDFParser {
    */
   async parseBuffer(buffer, options = {}) {
     try {
-      const data = await pdf(buffer, options);
+      const extraction = await this.extractText(buffer, options);
 
       return {
         success: true,
-        text: data.text || '',
-        method: 'text-extraction',
+        text: extraction.text,
+        method: extraction.method || 'text-extraction',
         metadata: {
-          pages: data.numpages,
-          info: data.info,
-          version: data.version,
+          pages: extraction.data.numpages,
+          info: extraction.data.info,
+          version: extraction.data.version,
           fileSize: buffer.length,
-          extractedAt: new Date().toISOString()
+          extractedAt: new Date().toISOString(),
+          ...extraction.ocrMetadata
         },
-        stats: this.getTextStats(data.text || '')
+        pages: this.summarizePages(extraction.pages),
+        ...(extraction.layout ? { layout: extraction.layout } : {}),
+        stats: this.getTextStats(extraction.text, extraction.pages)
       };
 
     } catch (error) {
@@ -107,6 +162,398 @@ class PDFParser {
     }
   }
 
+  /**
+   * Extract text page by page and OCR image-only pages with the selected engine
+   * @param {Buffer} buffer - PDF buffer
+   * @param {Object} options - {ocrMethod, textLayerThresholds, mode}; ocrMethod 'none' or undefined disables OCR
+   * @returns {Promise<Object>} {data, pages, text, method, ocrMetadata, layout}; pages carry source and quality
+   */
+  async extractText(buffer, options = {}) {
+    const layoutMode = options.mode === 'layout';
+    const { data, pages } = await this.extractPages(buffer, { positions: layoutMode });
+    const thresholds = { ...this.textLayerThresholds, ...(options.textLayerThresholds || {}) };
+    const ocrMethod = options.ocrMethod;
+
+    pages.forEach(page => {
+      page.source = 'text';
+      page.quality = this.scoreTextLayer(page.text, thresholds);
+    });
+    let method = null;
+    let ocrMetadata = {};
+
+    if (ocrMethod && ocrMethod !== 'none') {
+      if (!this.ocrEngines[ocrMethod]) {
+        throw new Error(`Unknown OCR method: ${ocrMethod}. Available: ${this.getOcrEngineNames().join(', ')}`);
+      }
+
+      const ocr = await this.applyOcr(buffer, pages, ocrMethod);
+
+      if (ocr.recognizedPages.length > 0) {
+        method = 'ocr';
+        ocrMetadata = {
+          ocrEngine: [...new Set(ocr.recognizedPages.map(p => p.engine))].join(', '),
+          ocrRequested: ocrMethod,
+          ocrPages: ocr.recognizedPages.map(p => p.pageNumber)
+        };
+      } else if (ocr.candidatePages.length > 0 && ocr.failures.length === 0) {
+        method = 'ocr-unavailable';
+        ocrMetadata = {
+          note: `Pages ${ocr.candidatePages.join(', ')} contain only images and no OCR engine is available`,
+          suggestion: 'Install tesseract.js or set OPENAI_API_KEY to enable OCR'
+        };
+      } else if (ocr.unreadPages.length > 0) {
+        method = 'ocr-failed';
+        ocrMetadata = {
+          note: ocr.failures.map(a => `Page ${a.pageNumber} (${a.engine}): ${a.error}`).join('; ')
+        };
+      }
+
+      // Failures on pages whose text layer was kept are reported without failing the result
+      if (method !== 'ocr-failed' && ocr.failures.length > 0) {
+        ocrMetadata.ocrErrors = ocr.failures;
+      }
+    }
+
+    if (layoutMode) {
+      const layout = this.buildLayout(pages);
+      return { data, pages, text: layout.text, method, ocrMetadata, layout };
+    }
+
+    // Same page separator pdf-parse uses, so text-only PDFs are unchanged
+    const text = pages.map(page => `\n\n${page.text}`).join('');
+
+    return { data, pages, text, method, ocrMetadata };
+  }
+
+  /**
+   * Build the layout result from pages extracted with positions
+   * OCR'd pages have no positions; their OCR text is used as the page's reading-order text.
+   * @param {Array} pages - Pages from extractPages({positions: true})
+   * @returns {Object} {pages: [{pageNumber, width, height, rotation, source, runs, lines, blocks, text}], text}
+   */
+  buildLayout(pages) {
+    const layoutPages = pages.map(page => {
+      const runs = page.source === 'ocr' ? [] : (page.runs || []);
+      const analysis = runs.length > 0
+        ? this.layoutAnalyzer.analyzePage(runs)
+        : { lines: [], blocks: [], text: page.source === 'ocr' ? page.text : '' };
+
+      return {
+        pageNumber: page.pageNumber,
+        width: page.width,
+        height: page.height,
+        rotation: page.rotation,
+        source: page.source,
+        runs,
+        lines: analysis.lines,
+        blocks: analysis.blocks,
+        text: analysis.text
+      };
+    });
+
+    return {
+      pages: layoutPages,
+      text: layoutPages.map(page => page.text).join('\n\n')
+    };
+  }
+
+  /**
+   * Extract text runs with positions, fonts and reading-order text
+   * @param {Buffer} buffer - PDF buffer
+   * @param {Object} options - Same options as parseBuffer
+   * @returns {Promise<Object>} Parse result with a layout field
+   */
+  async parseLayout(buffer, options = {}) {
+    return this.parseBuffer(buffer, { ...options, mode: 'layout' });
+  }
+
+  /**
+   * Detect ruled and whitespace-aligned tables on every page
+   * @param {Buffer} buffer - PDF buffer
+   * @param {Object} options - {pages} limits extraction to the given one-based page numbers
+   * @returns {Promise<Object>} {success, tables, metadata} where tables is [{pageNumber, type, rows, ...}]
+   */
+  async extractTables(buffer, options = {}) {
+    try {
+      const { data, pages } = await this.extractPages(buffer, { positions: true, graphics: true });
+      const tables = pages
+        .filter(page => !options.pages || options.pages.includes(page.pageNumber))
+        .flatMap(page => this.tableExtractor.extractTables(page.runs || [], page.rules, page.pageNumber));
+
+      console.log(`📊 Found ${tables.length} table(s) in ${data.numpages} page(s)`);
+      return {
+        success: true,
+        tables,
+        metadata: {
+          pages: data.numpages,
+          tableCount: tables.length,
+          extractedAt: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      console.error('❌ Table extraction failed:', error.message);
+      return {
+        success: false,
+        error: `Table extraction failed: ${error.message}`,
+        tables: []
+      };
+    }
+  }
+
+  /**
+   * Run pdf-parse while keeping each page's text separately
+   * @param {Buffer} buffer - PDF buffer
+   * @param {Object} options - {positions} also collects positioned runs and page size,
+   *                            {graphics} also collects ruled lines from the operator list
+   * @returns {Promise<Object>} {data, pages} where pages is [{pageNumber, text, runs?, rules?}]
+   */
+  async extractPages(buffer, options = {}) {
+    const pages = [];
+
+    // pdf.js reads the Buffer's underlying ArrayBuffer from offset 0, which breaks small Buffers
+    // that Node allocates inside a shared pool; a plain Uint8Array copy owns its memory
+    const data = await pdf(new Uint8Array(buffer), {
+      pagerender: (pageData) => {
+        return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+          .then(textContent => {
+            const pageNumber = pageData.pageIndex + 1;
+            const text = this.renderPageText(textContent);
+            const page = { pageNumber, text };
+
+            if (options.positions) {
+              const viewport = pageData.getViewport(1);
+              page.width = viewport.width;
+              page.height = viewport.height;
+              page.rotation = pageData.rotate || 0;
+              page.runs = this.layoutAnalyzer.buildRuns(textContent, viewport, pageNumber);
+            }
+
+            if (!options.graphics) {
+              pages.push(page);
+              return text;
+            }
+
+            // A page whose drawing cannot be read keeps its text and is treated as having no rules
+            return pageData.getOperatorList()
+              .then(operatorList => this.tableExtractor.collectRules(operatorList, pageData.getViewport(1)))
+              .catch(error => {
+                console.warn(`[PDFParser] Could not read drawing operators on page ${pageNumber}:`, error.message);
+                return { horizontal: [], vertical: [] };
+              })
+              .then(rules => {
+                page.rules = rules;
+                pages.push(page);
+                return text;
+              });
+          });
+      }
+    });
+
+    // pdf-parse swallows per-page render errors, so fill any gaps with empty pages
+    for (let pageNumber = 1; pageNumber <= data.numpages; pageNumber++) {
+      if (!pages.find(page => page.pageNumber === pageNumber)) {
+        pages.push({ pageNumber, text: '' });
+      }
+    }
+    pages.sort((a, b) => a.pageNumber - b.pageNumber);
+
+    return { data, pages };
+  }
+
+  /**
+   * Join text items the way pdf-parse does by default (new line on baseline change)
+   * @param {Object} textContent - pdf.js text content
+   * @returns {string} Page text
+   */
+  renderPageText(textContent) {
+    let lastY;
+    let text = '';
+
+    for (const item of textContent.items) {
+      if (lastY == item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    return text;
+  }
+
+  /**
+   * Score how trustworthy a page's text layer is
+   * @param {string} text - Page text from the PDF text layer
+   * @param {Object} thresholds - Overrides for textLayerThresholds
+   * @returns {Object} {characters, garbageRatio, glyphCoverage, score, readable, passed}
+   */
+  scoreTextLayer(text, thresholds = this.textLayerThresholds) {
+    const limits = { ...this.textLayerThresholds, ...thresholds };
+    const characters = (text || '').replace(/\s/g, '');
+    const tokens = (text || '').split(/\s+/).filter(token => token.length > 0);
+
+    // U+FFFD, private use area and control characters mean the font had no usable ToUnicode map
+    const unmapped = (characters.match(/[\uFFFD\uE000-\uF8FF\u0000-\u001F]/g) || []).length;
+    const glyphCoverage = characters.length > 0 ? (characters.length - unmapped) / characters.length : 0;
+
+    const garbageTokens = tokens.filter(token => {
+      const readable = (token.match(/[\p{L}\p{N}]/gu) || []).length;
+      return readable < token.length / 2;
+    }).length;
+    const garbageRatio = tokens.length > 0 ? garbageTokens / tokens.length : 0;
+
+    const lengthFactor = Math.min(1, characters.length / limits.minCharacters);
+    const score = Math.round(glyphCoverage * (1 - garbageRatio) * lengthFactor * 100) / 100;
+    // Readable text is real Unicode, it may just be too short to vouch for the whole page
+    const readable = characters.length > 0 &&
+      garbageRatio <= limits.maxGarbageRatio &&
+      glyphCoverage >= limits.minGlyphCoverage;
+
+    return {
+      characters: characters.length,
+      garbageRatio: Math.round(garbageRatio * 100) / 100,
+      glyphCoverage: Math.round(glyphCoverage * 100) / 100,
+      score,
+      readable,
+      passed: readable && characters.length >= limits.minCharacters
+    };
+  }
+
+  /**
+   * Decide whether a page has to go through OCR
+   * @param {Object} page - {pageNumber, text, quality, hasImages}
+   * @returns {boolean} True when the text layer fails the thresholds and there is something to read
+   */
+  needsOcr(page) {
+    if (page.quality && page.quality.passed) {
+      return false;
+    }
+    if (page.hasImages) {
+      return true;
+    }
+    // Without a raster only garbled vector text is worth sending on; a short clean text layer
+    // (a "Lampiran" cover page) is the page's real content
+    return Boolean(page.quality && page.quality.characters > 0 && !page.quality.readable);
+  }
+
+  /**
+   * OCR the image-only pages in place
+   * @param {Buffer} buffer - PDF buffer
+   * @param {Array} pages - Pages from extractPages (text is replaced for OCR'd pages)
+   * @param {string} ocrMethod - Preferred engine name
+   * @returns {Promise<Object>} {candidatePages, recognizedPages, unreadPages, failures}; unreadPages
+   *   failed OCR and have no readable text layer to fall back on
+   */
+  async applyOcr(buffer, pages, ocrMethod) {
+    const result = {
+      candidatePages: [],
+      recognizedPages: [],
+      unreadPages: [],
+      failures: []
+    };
+
+    let pdfDoc;
+    try {
+      pdfDoc = await this.pageImageExtractor.loadDocument(buffer);
+    } catch (error) {
+      console.warn('⚠️ OCR skipped, PDF could not be loaded for page inspection:', error.message);
+      return result;
+    }
+
+    // Engines with workers (Tesseract) load their language model once per extraction
+    const workers = {};
+    try {
+      for (const page of pages) {
+        page.hasImages = this.pageImageExtractor.hasImages(pdfDoc, page.pageNumber - 1);
+
+        if (!this.needsOcr(page)) continue;
+        result.candidatePages.push(page.pageNumber);
+
+        const pageContext = {
+          pageNumber: page.pageNumber,
+          image: this.pageImageExtractor.extractPageImage(pdfDoc, page.pageNumber - 1),
+          pdfBuffer: await this.pageImageExtractor.extractPagePdf(pdfDoc, page.pageNumber - 1)
+        };
+
+        const recognized = await this.recognizePage(pageContext, ocrMethod, workers);
+        result.failures.push(...recognized.errors);
+
+        if (recognized.engine) {
+          page.textLayer = page.text;
+          page.text = recognized.text;
+          page.source = 'ocr';
+          page.ocrEngine = recognized.engine;
+          page.ocrConfidence = recognized.confidence;
+          result.recognizedPages.push({ pageNumber: page.pageNumber, engine: recognized.engine });
+        } else if (recognized.errors.length > 0 && !(page.quality && page.quality.readable)) {
+          result.unreadPages.push(page.pageNumber);
+        }
+      }
+    } finally {
+      await this.releaseOcrWorkers(workers);
+    }
+
+    return result;
+  }
+
+  /**
+   * Terminate the workers started during one extraction
+   * @param {Object} workers - Engine name to worker promise
+   */
+  async releaseOcrWorkers(workers) {
+    for (const [engineName, pending] of Object.entries(workers)) {
+      let worker;
+      try {
+        worker = await pending;
+      } catch (error) {
+        continue; // Startup failures were already reported per page
+      }
+
+      try {
+        await worker.terminate();
+      } catch (error) {
+        console.warn(`⚠️ Could not stop the ${engineName} OCR worker:`, error.message || String(error));
+      }
+    }
+  }
+
+  /**
+   * Recognize one page, falling back to the next engine on failure
+   * @param {Object} pageContext - {pageNumber, image, pdfBuffer}
+   * @param {string} ocrMethod - Preferred engine name
+   * @param {Object} workers - Engine name to worker promise, shared across the pages of one extraction
+   * @returns {Promise<Object>} {engine, text, confidence, errors}
+   */
+  async recognizePage(pageContext, ocrMethod, workers = null) {
+    const errors = [];
+
+    for (const engineName of this.getOcrFallbackChain(ocrMethod)) {
+      const engine = this.ocrEngines[engineName];
+      if (typeof engine.isAvailable === 'function' && !engine.isAvailable()) {
+        continue;
+      }
+
+      try {
+        console.log(`🔍 OCR page ${pageContext.pageNumber} with ${engineName}...`);
+        let worker = null;
+        if (workers && typeof engine.createWorker === 'function') {
+          // A failed start is kept so later pages fall back without retrying the download
+          workers[engineName] = workers[engineName] || engine.createWorker();
+          worker = await workers[engineName];
+        }
+        const { text, confidence } = await engine.recognize(pageContext, worker);
+        return { engine: engineName, text: (text || '').trim(), confidence, errors };
+      } catch (error) {
+        // Some engines reject with plain strings rather than Error objects
+        const message = error && error.message ? error.message : String(error);
+        console.warn(`⚠️ OCR engine ${engineName} failed on page ${pageContext.pageNumber}:`, message);
+        errors.push({ pageNumber: pageContext.pageNumber, engine: engineName, error: message });
+      }
+    }
+
+    return { engine: null, text: '', confidence: null, errors };
+  }
+
   /**
    * Parse multiple PDF files
    * @param {Array<string>} filePaths - Array of file paths
@@ -125,35 +572,32 @@ class PDFParser {
   }
 
   /**
-   * Extract text with page separation
+   * Extract text with page separation, OCR-ing only the pages whose text layer fails the thresholds
    * @param {string} filePath - Path to the PDF file
-   * @returns {Promise<Object>} - Result with pages array
+   * @param {Object} options - Same options as parseFile (ocrMethod, textLayerThresholds)
+   * @returns {Promise<Object>} - Result with pages array of {pageNumber, text, source, quality}
    */
-  async parseWithPages(filePath) {
+  async parseWithPages(filePath, options = {}) {
     try {
       const dataBuffer = fs.readFileSync(filePath);
-      
-      // Parse with page render function to separate pages
-      const data = await pdf(dataBuffer, {
-        pagerender: (pageData) => {
-          return pageData.getTextContent().then(textContent => {
-            return textContent.items.map(item => item.str).join(' ');
-          });
-        }
-      });
+      const extraction = await this.extractText(dataBuffer, options);
+      const pages = this.summarizePages(extraction.pages);
 
       return {
         success: true,
-        text: data.text,
-        pages: data.text.split('\f'), // Form feed character separates pages
+        text: pages.map(page => page.text).join('\f'), // Form feed character separates pages
+        pages: pages,
+        method: extraction.method || 'pdf-parse',
         metadata: {
-          pages: data.numpages,
-          info: data.info,
-          version: data.version,
+          pages: extraction.data.numpages,
+          info: extraction.data.info,
+          version: extraction.data.version,
           fileSize: fs.statSync(filePath).size,
           fileName: path.basename(filePath),
-          extractedAt: new Date().toISOString()
-        }
+          extractedAt: new Date().toISOString(),
+          ...extraction.ocrMetadata
+        },
+        stats: this.getTextStats(extraction.text, extraction.pages)
       };
 
     } catch (error) {
@@ -167,6 +611,21 @@ class PDFParser {
     }
   }
 
+  /**
+   * Reduce internal page records to the per-page fields returned to callers
+   * @param {Array} pages - Pages from extractText
+   * @returns {Array} [{pageNumber, text, source, quality, ocrEngine}]
+   */
+  summarizePages(pages) {
+    return pages.map(page => ({
+      pageNumber: page.pageNumber,
+      text: page.text,
+      source: page.source || 'text',
+      quality: page.quality,
+      ...(page.ocrEngine ? { ocrEngine: page.ocrEngine, ocrConfidence: page.ocrConfidence } : {})
+    }));
+  }
+
   /**
    * Clean and format extracted text
    * @param {string} text - Raw extracted text
@@ -184,9 +643,31 @@ class PDFParser {
   /**
    * Get text statistics
    * @param {string} text - Text to analyze
+   * @param {Array} pages - Optional per-page results, adds the text/OCR page mix
+   * @returns {Object} - Text statistics
+   */
+  getTextStats(text, pages = null) {
+    const stats = this.getBaseTextStats(text);
+
+    if (Array.isArray(pages) && pages.length > 0) {
+      stats.pageSources = {
+        text: pages.filter(page => page.source !== 'ocr').length,
+        ocr: pages.filter(page => page.source === 'ocr').length
+      };
+      stats.lowQualityPages = pages
+        .filter(page => page.quality && !page.quality.passed)
+        .map(page => page.pageNumber);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Character, word, sentence and paragraph counts
+   * @param {string} text - Text to analyze
    * @returns {Object} - Text statistics
    */
-  getTextStats(text) {
+  getBaseTextStats(text) {
     if (!text || typeof text !== 'string') {
       return {
         characters: 0,
@@ -0,0 +1,313 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { TaxonomyRegistry } = require('./taxonomy');
+const JsonFileLock = require('./jsonFileLock');
+
+class ReviewQueue {
+  /**
+   * @param {Object} options - {dir} queue directory (REVIEW_DIR, default data/review), {threshold} confidence below
+   *                           which results are held (REVIEW_CONFIDENCE_THRESHOLD, default 0.8), {taxonomies}
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.REVIEW_DIR || path.join(__dirname, '..', 'data', 'review');
+    this.filesDir = path.join(this.dir, 'files');
+    this.queuePath = path.join(this.dir, 'queue.json');
+    this.threshold = options.threshold !== undefined
+      ? options.threshold
+      : parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD || '0.8');
+    // REVIEW_QUEUE=false files every result automatically, as before
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.REVIEW_QUEUE !== 'false';
+    this.taxonomies = options.taxonomies || new TaxonomyRegistry();
+    this.fileLock = new JsonFileLock(this.queuePath, { read: () => this.read(), tag: 'REVIEW', spaces: 2 });
+  }
+
+  /**
+   * Load the queue items; read from disk every time so items held by other processes show up
+   * @returns {Array} Queue items (empty when the file does not exist yet or cannot be read)
+   */
+  load() {
+    try {
+      return this.read().items;
+    } catch (error) {
+      console.warn(`⚠️ [REVIEW] Could not read ${this.queuePath}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read the queue file
+   * @returns {Object} {items}
+   */
+  read() {
+    if (!fs.existsSync(this.queuePath)) return { items: [] };
+    const state = fs.readJsonSync(this.queuePath);
+    return { ...state, items: state.items || [] };
+  }
+
+  /**
+   * Change the queue under the lock and write it back atomically
+   * @param {Function} change - (state) => value; the state is saved after it returns
+   * @returns {Promise<*>} Value returned by change
+   */
+  update(change) {
+    return this.fileLock.update(change);
+  }
+
+  /**
+   * Decide whether a result has to be reviewed before it is filed
+   * @param {Object} result - Classification result
+   * @returns {string|null} 'failed', 'invalid-response', 'low-confidence' or null when it can be filed
+   */
+  getReviewReason(result) {
+    if (!this.enabled || !result || result.reviewed) return null;
+    if (!result.success) return result.validationErrors ? 'invalid-response' : 'failed';
+    if (typeof result.confidence !== 'number' || result.confidence < this.threshold) return 'low-confidence';
+    return null;
+  }
+
+  /**
+   * Hold the results that need review and return the ones that can be organized now
+   * @param {Array} results - Classification results
+   * @param {Object} sources - {filename: Buffer|path} source PDFs
+   * @param {Object} context - Stored with each item (e.g. {taxonomy, outputDir, source})
+   * @returns {Promise<Object>} {accepted: [results], held: [items]}
+   */
+  async holdForReview(results, sources, context = {}) {
+    const accepted = [];
+    const held = [];
+
+    for (const result of results) {
+      const reason = this.getReviewReason(result);
+      const source = result ? sources[result.filename] : null;
+      if (!reason || !source) {
+        accepted.push(result);
+        continue;
+      }
+
+      const pdfBuffer = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+      held.push(await this.add(result, pdfBuffer, reason, context));
+    }
+
+    if (held.length > 0) {
+      console.log(`🕵️ [REVIEW] Held ${held.length} of ${results.length} result(s) for review (threshold ${this.threshold})`);
+    }
+    return { accepted, held };
+  }
+
+  /**
+   * Add a result to the queue and keep a copy of its PDF
+   * @param {Object} result - Classification result
+   * @param {Buffer} pdfBuffer - PDF buffer
+   * @param {string} reason - Review reason
+   * @param {Object} context - Extra data kept with the item
+   * @returns {Promise<Object>} Queue item
+   */
+  async add(result, pdfBuffer, reason, context = {}) {
+    const id = `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Commas would break the labels CSV
+    const storedFilename = `${id}_${path.basename(result.filename).replace(/,/g, '_')}`;
+    await fs.ensureDir(this.filesDir);
+    await fs.writeFile(path.join(this.filesDir, storedFilename), pdfBuffer);
+
+    const item = {
+      id,
+      filename: result.filename,
+      storedFilename,
+      status: 'pending',
+      reason,
+      taxonomy: context.taxonomy || result.taxonomy || this.taxonomies.defaultName,
+      suggestion: {
+        category: result.category,
+        categoryName: result.categoryName,
+        requester: result.requester || 'N/A',
+        confidence: result.confidence,
+        ...(result.error ? { error: result.error } : {}),
+        ...(result.validationErrors ? { validationErrors: result.validationErrors } : {}),
+        ...(result.reasoning ? { reasoning: result.reasoning } : {})
+      },
+      result,
+      context,
+      createdAt: new Date().toISOString(),
+      review: null
+    };
+    await this.update(state => {
+      state.items.push(item);
+    });
+    return item;
+  }
+
+  /**
+   * List queue items, newest first
+   * @param {Object} filter - {status} 'pending', 'approved' or 'organized'
+   * @returns {Array} Items without the stored classification result
+   */
+  list(filter = {}) {
+    return this.load()
+      .filter(item => !filter.status || item.status === filter.status)
+      .map(({ result, ...item }) => item)
+      .reverse();
+  }
+
+  /**
+   * Get a queue item
+   * @param {string} id - Item id
+   * @returns {Object|null} Item or null
+   */
+  get(id) {
+    return this.load().find(item => item.id === id) || null;
+  }
+
+  /**
+   * Path of the stored PDF
+   * @param {Object} item - Queue item
+   * @returns {string} File path
+   */
+  getFilePath(item) {
+    return path.join(this.filesDir, item.storedFilename);
+  }
+
+  /**
+   * Count items by status
+   * @returns {Object} {pending, approved, organized, corrected, threshold}
+   */
+  getStats() {
+    const items = this.load();
+    const count = status => items.filter(item => item.status === status).length;
+    return {
+      pending: count('pending'),
+      approved: count('approved'),
+      organized: count('organized'),
+      corrected: items.filter(item => item.review && item.review.corrected).length,
+      threshold: this.threshold
+    };
+  }
+
+  /**
+   * Approve an item with the reviewer's category and requester
+   * @param {string} id - Item id
+   * @param {Object} decision - {category, requester, reviewer} (defaults to the suggestion)
+   * @returns {Promise<Object>} {success, item} or {success: false, error}
+   */
+  async approve(id, decision = {}) {
+    try {
+      // Validated against the stored item so a decision made in another process is not overwritten blindly
+      const item = await this.update(state => {
+        const stored = state.items.find(entry => entry.id === id);
+        if (!stored) {
+          throw new Error(`Review item not found: ${id}`);
+        }
+        if (stored.status === 'organized') {
+          throw new Error(`${stored.filename} has already been organized`);
+        }
+
+        const category = decision.category || stored.suggestion.category;
+        const taxonomyCategory = this.taxonomies.get(stored.taxonomy).getCategory(category);
+        if (!taxonomyCategory) {
+          throw new Error(`Category ${category} is not in taxonomy ${stored.taxonomy}`);
+        }
+        const requester = decision.requester !== undefined && String(decision.requester).trim() !== ''
+          ? String(decision.requester).trim()
+          : stored.suggestion.requester;
+
+        stored.status = 'approved';
+        stored.review = {
+          category,
+          categoryName: taxonomyCategory.name,
+          requester,
+          // A failed classification has no real suggestion, so any decision counts as a correction
+          corrected: !stored.result.success || category !== stored.suggestion.category || requester !== stored.suggestion.requester,
+          reviewer: decision.reviewer || null,
+          reviewedAt: new Date().toISOString()
+        };
+        return stored;
+      });
+
+      console.log(`✅ [REVIEW] ${item.filename} approved as ${item.review.category}${item.review.corrected ? ' (corrected)' : ''}`);
+      return { success: true, item };
+
+    } catch (error) {
+      console.error('❌ [REVIEW] Approval failed:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove an item and its stored PDF
+   * @param {string} id - Item id
+   * @returns {Promise<Object>} {success} or {success: false, error}
+   */
+  async remove(id) {
+    const item = await this.update(state => {
+      const stored = state.items.find(entry => entry.id === id);
+      state.items = state.items.filter(entry => entry.id !== id);
+      return stored;
+    });
+    if (!item) {
+      return { success: false, error: `Review item not found: ${id}` };
+    }
+
+    await fs.remove(this.getFilePath(item));
+    return { success: true };
+  }
+
+  /**
+   * Build the classification result an approved item is organized with
+   * @param {Object} item - Approved queue item
+   * @returns {Object} Classification result with the reviewer's category and requester
+   */
+  toClassificationResult(item) {
+    const { error, validationErrors, rawResponse, ...result } = item.result;
+    return {
+      ...result,
+      success: true,
+      filename: item.filename,
+      category: item.review.category,
+      categoryName: item.review.categoryName,
+      requester: item.review.requester,
+      // Fields extracted for another category do not describe the approved one
+      ...(item.review.category !== item.suggestion.category ? { fields: undefined, missingFields: undefined } : {}),
+      taxonomy: item.taxonomy,
+      reviewed: true,
+      reviewId: item.id
+    };
+  }
+
+  /**
+   * Mark items as organized
+   * @param {Array<string>} ids - Item ids
+   * @param {Object} organization - Where they went (e.g. {outputDir} or {zipId})
+   * @returns {Promise<void>}
+   */
+  async markOrganized(ids, organization = {}) {
+    const organizedAt = new Date().toISOString();
+    await this.update(state => {
+      state.items
+        .filter(item => ids.includes(item.id))
+        .forEach(item => {
+          item.status = 'organized';
+          item.organization = { ...organization, organizedAt };
+        });
+    });
+  }
+
+  /**
+   * Reviewed items as labelled training data (same format as data/labels.csv)
+   * Filenames refer to the stored copies, so train with: node index.js train <labels.csv> data/review/files
+   * @param {Object} options - {correctedOnly} limits the export to corrected items, {taxonomy} to one taxonomy
+   * @returns {string} CSV with filename,label columns
+   */
+  exportLabels(options = {}) {
+    const rows = this.load()
+      .filter(item => item.review)
+      .filter(item => !options.correctedOnly || item.review.corrected)
+      .filter(item => !options.taxonomy || item.taxonomy === options.taxonomy)
+      .map(item => `${item.storedFilename},${item.review.category}`);
+
+    return ['filename,label'].concat(rows).join('\n') + '\n';
+  }
+}
+
+module.exports = ReviewQueue;
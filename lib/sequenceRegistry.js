@@ -0,0 +1,200 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JsonFileLock = require('./jsonFileLock');
+const Calendar = require('./calendar');
+
+class SequenceRegistry {
+  /**
+   * Document number sequences per filename prefix, shared by every organize run
+   * @param {Object} options - {path} state file (SEQUENCES_PATH, default data/sequences.json),
+   *                           {period} 'none', 'year' or 'month' restarts numbering each period (SEQUENCE_PERIOD, default 'none'),
+   *                           {timeZone} calendar the periods follow (SEQUENCE_TIMEZONE, default the server's local zone)
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.SEQUENCES_PATH || path.join(__dirname, '..', 'data', 'sequences.json');
+    this.period = options.period || process.env.SEQUENCE_PERIOD || 'none';
+    if (!['none', 'year', 'month'].includes(this.period)) {
+      throw new Error(`Invalid sequence period "${this.period}". Use none, year or month`);
+    }
+    this.calendar = new Calendar({ timeZone: options.timeZone });
+    this.fileLock = new JsonFileLock(this.path, { read: () => this.read(), tag: 'SEQUENCES', spaces: 2 });
+  }
+
+  /**
+   * Sequence key for a prefix, e.g. "ICTCOF" or "ICTCOF@2026-10"
+   * @param {string} prefix - Filename prefix
+   * @param {Date} date - Date the number is taken on (default now)
+   * @returns {Object} {key, prefix, period}
+   */
+  getKey(prefix, date = new Date()) {
+    const period = this.period === 'year' ? this.calendar.format(date, 'YYYY')
+      : (this.period === 'month' ? this.calendar.format(date, 'YYYY-MM') : null);
+    return { key: period ? `${prefix}@${period}` : prefix, prefix, period };
+  }
+
+  /**
+   * Reserve the next number of a prefix; a reserved number is never handed out again
+   * @param {string} prefix - Filename prefix (e.g. ICTCOF)
+   * @param {Object} document - {filename, category, requester, jobId} recorded with the number
+   * @param {Object} options - {date} period to number in, {minimum} move the sequence forward to at least this number
+   * @returns {Promise<Object>} {key, prefix, period, number}
+   */
+  async reserve(prefix, document = {}, options = {}) {
+    const { key, period } = this.getKey(prefix, options.date);
+    return this.update(state => {
+      const sequence = state.sequences[key] || (state.sequences[key] = {
+        prefix, period, next: 1, reservations: [], resets: [], createdAt: new Date().toISOString()
+      });
+
+      const minimum = parseInt(options.minimum);
+      if (minimum > sequence.next) {
+        sequence.next = minimum;
+      }
+      const number = sequence.next++;
+      sequence.updatedAt = new Date().toISOString();
+      sequence.reservations.push({
+        number,
+        status: 'reserved',
+        filename: document.filename || null,
+        category: document.category || null,
+        requester: document.requester || null,
+        jobId: document.jobId || null,
+        reservedAt: sequence.updatedAt
+      });
+
+      return { key, prefix, period, number };
+    });
+  }
+
+  /**
+   * Record the name a reserved number ended up in
+   * @param {Object} reservation - Result of reserve()
+   * @param {Object} details - {newName, folder}
+   * @returns {Promise<void>}
+   */
+  async complete(reservation, details = {}) {
+    await this.update(state => {
+      const sequence = state.sequences[reservation.key];
+      // After a forced reset a number can appear twice; the latest reservation is the one being completed
+      const entry = sequence && sequence.reservations.filter(item => item.number === reservation.number).pop();
+      if (entry) {
+        entry.status = 'assigned';
+        entry.newName = details.newName || null;
+        entry.folder = details.folder || null;
+        entry.assignedAt = new Date().toISOString();
+      }
+    });
+  }
+
+  /**
+   * Next number of each prefix without reserving it
+   * @param {Array<string>} prefixes - Filename prefixes
+   * @param {Date} date - Period to look at (default now)
+   * @returns {Object} {prefix: next number}
+   */
+  peek(prefixes, date = new Date()) {
+    const state = this.read();
+    return Object.fromEntries(prefixes.map(prefix => {
+      const sequence = state.sequences[this.getKey(prefix, date).key];
+      return [prefix, sequence ? sequence.next : 1];
+    }));
+  }
+
+  /**
+   * All sequences without their reservations
+   * @returns {Array} [{key, prefix, period, next, lastNumber, reserved, updatedAt}]
+   */
+  list() {
+    const state = this.read();
+    return Object.entries(state.sequences).map(([key, sequence]) => ({
+      key,
+      prefix: sequence.prefix,
+      period: sequence.period,
+      next: sequence.next,
+      lastNumber: this.getLastNumber(sequence),
+      reserved: sequence.reservations.length,
+      updatedAt: sequence.updatedAt || sequence.createdAt
+    })).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * One sequence with its reservations and resets
+   * @param {string} key - Sequence key
+   * @returns {Object|null} Sequence or null
+   */
+  get(key) {
+    const sequence = this.read().sequences[key];
+    return sequence ? { key, ...sequence, lastNumber: this.getLastNumber(sequence) } : null;
+  }
+
+  /**
+   * Set the next number of a sequence (admin)
+   * Numbers at or below the highest reserved one would be handed out twice, so that needs force.
+   * @param {string} key - Sequence key
+   * @param {number} next - Next number to hand out
+   * @param {Object} options - {force} allow reusing numbers, {by} who reset it
+   * @returns {Promise<Object>} {success, sequence} or {success: false, error}
+   */
+  async reset(key, next, options = {}) {
+    try {
+      const value = parseInt(next);
+      if (!(value >= 1)) {
+        throw new Error('The next number must be a positive integer');
+      }
+
+      await this.update(state => {
+        const sequence = state.sequences[key];
+        if (!sequence) {
+          throw new Error(`Sequence not found: ${key}`);
+        }
+        const lastNumber = this.getLastNumber(sequence);
+        if (value <= lastNumber && !options.force) {
+          throw new Error(`${key} has already reserved up to ${lastNumber}; use force to hand out numbers again`);
+        }
+
+        sequence.resets.push({ from: sequence.next, to: value, by: options.by || null, forced: value <= lastNumber, at: new Date().toISOString() });
+        sequence.next = value;
+        sequence.updatedAt = new Date().toISOString();
+      });
+
+      console.log(`🔢 [SEQUENCES] ${key} reset to ${value}`);
+      return { success: true, sequence: this.get(key) };
+
+    } catch (error) {
+      console.error('❌ [SEQUENCES] Reset failed:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Highest number a sequence has handed out
+   * @param {Object} sequence - Stored sequence
+   * @returns {number} Number, 0 when none was reserved
+   */
+  getLastNumber(sequence) {
+    return sequence.reservations.reduce((max, item) => Math.max(max, item.number), 0);
+  }
+
+  /**
+   * Read the state file
+   * @returns {Object} {sequences}
+   */
+  read() {
+    if (!fs.existsSync(this.path)) return { sequences: {} };
+    return fs.readJsonSync(this.path);
+  }
+
+  /**
+   * Change the state under the lock and write it back atomically
+   * @param {Function} change - (state) => value; the state is saved after it returns
+   * @returns {Promise<*>} Value returned by change
+   */
+  update(change) {
+    return this.fileLock.update(change);
+  }
+}
+
+module.exports = SequenceRegistry;
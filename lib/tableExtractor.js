@@ -0,0 +1,501 @@
+const LayoutAnalyzer = require('./layoutAnalyzer');
+
+// pdf.js operator codes (stable since pdf.js 1.x)
+const OPS = {
+  save: 10,
+  restore: 11,
+  transform: 12,
+  moveTo: 13,
+  lineTo: 14,
+  curveTo: 15,
+  curveTo2: 16,
+  curveTo3: 17,
+  closePath: 18,
+  rectangle: 19,
+  stroke: 20,
+  closeStroke: 21,
+  fill: 22,
+  eoFill: 23,
+  fillStroke: 24,
+  eoFillStroke: 25,
+  closeFillStroke: 26,
+  closeEOFillStroke: 27,
+  endPath: 28,
+  paintFormXObjectBegin: 74,
+  paintFormXObjectEnd: 75,
+  constructPath: 91
+};
+
+const PAINT_OPS = [
+  OPS.stroke, OPS.closeStroke, OPS.fill, OPS.eoFill, OPS.fillStroke,
+  OPS.eoFillStroke, OPS.closeFillStroke, OPS.closeEOFillStroke
+];
+
+class TableExtractor {
+  constructor(options = {}) {
+    this.layoutAnalyzer = options.layoutAnalyzer || new LayoutAnalyzer();
+    this.options = {
+      ruleTolerance: 2,       // points two rules may be apart and still meet
+      maxRuleThickness: 3,    // filled rectangles thinner than this are treated as rules
+      minRuledColumns: 2,
+      minWhitespaceColumns: 3, // two columns is usually a label/value form, not a table
+      minRows: 3,
+      cellGapFactor: 1.5,     // gap (x font size) that starts a new cell on a line
+      rowGapFactor: 2.5,      // line spacing (x line height) that ends a whitespace table
+      ...options
+    };
+  }
+
+  /**
+   * Collect horizontal and vertical rules from a pdf.js operator list
+   * @param {Object} operatorList - Result of pageData.getOperatorList()
+   * @param {Object} viewport - Result of pageData.getViewport(1)
+   * @returns {Object} {horizontal: [{y, x0, x1}], vertical: [{x, y0, y1}]} in top-left page coordinates
+   */
+  collectRules(operatorList, viewport) {
+    const horizontal = [];
+    const vertical = [];
+    const stack = [];
+    let ctm = viewport.transform.slice();
+    let pending = [];
+
+    const toPage = (x, y) => [ctm[0] * x + ctm[2] * y + ctm[4], ctm[1] * x + ctm[3] * y + ctm[5]];
+    const addSegment = (p1, p2) => {
+      if (Math.abs(p1[1] - p2[1]) <= 0.5) {
+        horizontal.push({ y: p1[1], x0: Math.min(p1[0], p2[0]), x1: Math.max(p1[0], p2[0]) });
+      } else if (Math.abs(p1[0] - p2[0]) <= 0.5) {
+        vertical.push({ x: p1[0], y0: Math.min(p1[1], p2[1]), y1: Math.max(p1[1], p2[1]) });
+      }
+    };
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+      const fn = operatorList.fnArray[i];
+      const args = operatorList.argsArray[i];
+
+      if (fn === OPS.save) {
+        stack.push(ctm);
+      } else if (fn === OPS.restore) {
+        ctm = stack.pop() || ctm;
+      } else if (fn === OPS.transform) {
+        ctm = this.layoutAnalyzer.multiplyTransform(ctm, args);
+      } else if (fn === OPS.paintFormXObjectBegin) {
+        stack.push(ctm);
+        if (Array.isArray(args[0])) {
+          ctm = this.layoutAnalyzer.multiplyTransform(ctm, args[0]);
+        }
+      } else if (fn === OPS.paintFormXObjectEnd) {
+        ctm = stack.pop() || ctm;
+      } else if (fn === OPS.constructPath) {
+        pending = pending.concat(this.pathSegments(args[0], args[1], toPage));
+      } else if (PAINT_OPS.includes(fn)) {
+        pending.forEach(segment => {
+          if (segment.type === 'line') {
+            addSegment(segment.from, segment.to);
+          } else if (segment.thickness <= this.options.maxRuleThickness || fn !== OPS.fill) {
+            // Thin filled rectangles are rules; stroked rectangles contribute all four edges
+            segment.edges.forEach(([from, to]) => addSegment(from, to));
+          }
+        });
+        pending = [];
+      } else if (fn === OPS.endPath) {
+        pending = [];
+      }
+    }
+
+    return { horizontal, vertical };
+  }
+
+  /**
+   * Turn a constructPath operation into line segments and rectangles
+   * @param {Array} ops - Path operator codes
+   * @param {Array} coords - Flattened path coordinates
+   * @param {Function} toPage - Maps user space to page coordinates
+   * @returns {Array} Segments ({type: 'line'}) and rectangles ({type: 'rect'})
+   */
+  pathSegments(ops, coords, toPage) {
+    const segments = [];
+    let j = 0;
+    let current = null;
+    let start = null;
+
+    for (const op of ops) {
+      switch (op) {
+        case OPS.rectangle: {
+          const [x, y, w, h] = coords.slice(j, j + 4);
+          j += 4;
+          const corners = [toPage(x, y), toPage(x + w, y), toPage(x + w, y + h), toPage(x, y + h)];
+          const width = Math.abs(corners[1][0] - corners[0][0]) + Math.abs(corners[1][1] - corners[0][1]);
+          const height = Math.abs(corners[3][0] - corners[0][0]) + Math.abs(corners[3][1] - corners[0][1]);
+
+          if (Math.min(width, height) <= this.options.maxRuleThickness) {
+            // A thin rectangle is one rule through its middle
+            const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+            const edges = width >= height
+              ? [[mid(corners[0], corners[3]), mid(corners[1], corners[2])]]
+              : [[mid(corners[0], corners[1]), mid(corners[3], corners[2])]];
+            segments.push({ type: 'rect', thickness: Math.min(width, height), edges });
+          } else {
+            segments.push({
+              type: 'rect',
+              thickness: Math.min(width, height),
+              edges: [[corners[0], corners[1]], [corners[1], corners[2]], [corners[2], corners[3]], [corners[3], corners[0]]]
+            });
+          }
+          current = corners[0];
+          start = current;
+          break;
+        }
+        case OPS.moveTo:
+          current = toPage(coords[j], coords[j + 1]);
+          start = current;
+          j += 2;
+          break;
+        case OPS.lineTo: {
+          const point = toPage(coords[j], coords[j + 1]);
+          j += 2;
+          if (current) segments.push({ type: 'line', from: current, to: point });
+          current = point;
+          break;
+        }
+        case OPS.curveTo:
+          current = toPage(coords[j + 4], coords[j + 5]);
+          j += 6;
+          break;
+        case OPS.curveTo2:
+        case OPS.curveTo3:
+          current = toPage(coords[j + 2], coords[j + 3]);
+          j += 4;
+          break;
+        case OPS.closePath:
+          if (current && start) segments.push({ type: 'line', from: current, to: start });
+          current = start;
+          break;
+        default:
+          break;
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Detect ruled and whitespace-aligned tables on one page
+   * @param {Array} runs - Positioned text runs from LayoutAnalyzer.buildRuns
+   * @param {Object} rules - {horizontal, vertical} from collectRules
+   * @param {number} pageNumber - One-based page number
+   * @returns {Array} [{pageNumber, type, x, y, width, height, columns, rows}]
+   */
+  extractTables(runs, rules = { horizontal: [], vertical: [] }, pageNumber = 1) {
+    const ruledTables = this.findRuledTables(runs, rules, pageNumber);
+    const remainingRuns = runs.filter(run => !ruledTables.some(table => this.containsRun(table, run)));
+    const whitespaceTables = this.findWhitespaceTables(remainingRuns, pageNumber);
+
+    return [...ruledTables, ...whitespaceTables].sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
+  /**
+   * Build grids from connected horizontal/vertical rules and fill cells with runs
+   * @param {Array} runs - Text runs
+   * @param {Object} rules - {horizontal, vertical}
+   * @param {number} pageNumber - One-based page number
+   * @returns {Array} Ruled tables
+   */
+  findRuledTables(runs, rules, pageNumber) {
+    const tolerance = this.options.ruleTolerance;
+    const horizontal = this.mergeRules(rules.horizontal, 'y', 'x0', 'x1');
+    const vertical = this.mergeRules(rules.vertical, 'x', 'y0', 'y1');
+    const tables = [];
+
+    // Connected components of rules that touch each other form one grid
+    const nodes = [
+      ...horizontal.map(rule => ({ kind: 'h', rule })),
+      ...vertical.map(rule => ({ kind: 'v', rule }))
+    ];
+    const touches = (h, v) =>
+      v.x >= h.x0 - tolerance && v.x <= h.x1 + tolerance &&
+      h.y >= v.y0 - tolerance && h.y <= v.y1 + tolerance;
+    const visited = new Set();
+
+    for (let i = 0; i < nodes.length; i++) {
+      if (visited.has(i)) continue;
+      const component = [];
+      const queue = [i];
+      visited.add(i);
+
+      while (queue.length > 0) {
+        const index = queue.shift();
+        component.push(nodes[index]);
+        nodes.forEach((other, otherIndex) => {
+          if (visited.has(otherIndex) || other.kind === nodes[index].kind) return;
+          const [h, v] = nodes[index].kind === 'h' ? [nodes[index].rule, other.rule] : [other.rule, nodes[index].rule];
+          if (touches(h, v)) {
+            visited.add(otherIndex);
+            queue.push(otherIndex);
+          }
+        });
+      }
+
+      const rowEdges = this.uniqueSorted(component.filter(n => n.kind === 'h').map(n => n.rule.y), tolerance);
+      const columnEdges = this.uniqueSorted(component.filter(n => n.kind === 'v').map(n => n.rule.x), tolerance);
+      if (rowEdges.length < 2 || columnEdges.length < this.options.minRuledColumns + 1) continue;
+
+      const grid = rowEdges.slice(0, -1).map(() => columnEdges.slice(0, -1).map(() => []));
+      const bounds = {
+        x: columnEdges[0],
+        y: rowEdges[0],
+        width: columnEdges[columnEdges.length - 1] - columnEdges[0],
+        height: rowEdges[rowEdges.length - 1] - rowEdges[0]
+      };
+
+      runs.forEach(run => {
+        const cx = run.x + run.width / 2;
+        const cy = run.y + run.height / 2;
+        const row = this.edgeIndex(rowEdges, cy);
+        const column = this.edgeIndex(columnEdges, cx);
+        if (row !== -1 && column !== -1) {
+          grid[row][column].push(run);
+        }
+      });
+
+      const rows = grid
+        .map(cells => cells.map(cellRuns => this.cellText(cellRuns)))
+        .filter(cells => cells.some(cell => cell.length > 0));
+      if (rows.length === 0) continue;
+
+      tables.push(this.tableResult('ruled', pageNumber, bounds, rows));
+    }
+
+    return tables;
+  }
+
+  /**
+   * Find runs of consecutive lines whose cells line up in at least minWhitespaceColumns columns
+   * @param {Array} runs - Text runs not already inside a ruled table
+   * @param {number} pageNumber - One-based page number
+   * @returns {Array} Whitespace tables
+   */
+  findWhitespaceTables(runs, pageNumber) {
+    const lines = this.layoutAnalyzer.groupLines(runs).map(line => ({ ...line, cells: this.splitCells(line.runs) }));
+    const tables = [];
+    let candidate = [];
+
+    const flush = () => {
+      // Trailing single-cell lines are text after the table, not wrapped cells
+      while (candidate.length && candidate[candidate.length - 1].cells.length < 2) candidate.pop();
+      const table = this.buildWhitespaceTable(candidate, pageNumber);
+      if (table) tables.push(table);
+      candidate = [];
+    };
+
+    for (const line of lines) {
+      const previous = candidate[candidate.length - 1];
+      const closeEnough = previous && (line.y - (previous.y + previous.height)) <= previous.height * this.options.rowGapFactor;
+
+      if (line.cells.length >= 2 && (!previous || closeEnough)) {
+        candidate.push(line);
+      } else if (line.cells.length === 1 && previous && closeEnough) {
+        // May be a wrapped cell; kept only if the table continues after it
+        candidate.push(line);
+      } else {
+        flush();
+        if (line.cells.length >= 2) candidate.push(line);
+      }
+    }
+    flush();
+
+    return tables;
+  }
+
+  /**
+   * Turn a candidate block of lines into a table if its columns line up
+   * @param {Array} lines - Lines with cells
+   * @param {number} pageNumber - One-based page number
+   * @returns {Object|null} Whitespace table or null
+   */
+  buildWhitespaceTable(lines, pageNumber) {
+    if (lines.length < this.options.minRows) return null;
+
+    const columns = this.layoutAnalyzer.mergeIntervals(
+      lines.flatMap(line => line.cells.map(cell => [cell.x0, cell.x1]))
+    );
+    if (columns.length < this.options.minWhitespaceColumns) return null;
+
+    const rows = [];
+    for (const line of lines) {
+      const cells = columns.map(() => '');
+      line.cells.forEach(cell => {
+        const center = (cell.x0 + cell.x1) / 2;
+        const column = columns.findIndex(([start, end]) => center >= start && center <= end);
+        if (column !== -1) {
+          cells[column] = cells[column] ? `${cells[column]} ${cell.text}` : cell.text;
+        }
+      });
+
+      // A line without a first-column value continues the previous row (wrapped cell text)
+      if (!cells[0] && rows.length > 0) {
+        const previous = rows[rows.length - 1];
+        cells.forEach((text, index) => {
+          if (text) previous[index] = previous[index] ? `${previous[index]} ${text}` : text;
+        });
+      } else {
+        rows.push(cells);
+      }
+    }
+    if (rows.length < this.options.minRows) return null;
+
+    const x = columns[0][0];
+    const y = lines[0].y;
+    const last = lines[lines.length - 1];
+    return this.tableResult('whitespace', pageNumber, {
+      x,
+      y,
+      width: columns[columns.length - 1][1] - x,
+      height: last.y + last.height - y
+    }, rows);
+  }
+
+  /**
+   * Split a line's runs into cells wherever the horizontal gap is large
+   * @param {Array} runs - Runs of one line, left to right
+   * @returns {Array} [{x0, x1, text}]
+   */
+  splitCells(runs) {
+    const cells = [];
+    let current = null;
+
+    for (const run of runs) {
+      const gap = current ? run.x - current.x1 : Infinity;
+      if (current && gap <= run.fontSize * this.options.cellGapFactor) {
+        current.runs.push(run);
+        current.x1 = Math.max(current.x1, run.x + run.width);
+      } else {
+        current = { x0: run.x, x1: run.x + run.width, runs: [run] };
+        cells.push(current);
+      }
+    }
+
+    return cells.map(cell => ({ x0: cell.x0, x1: cell.x1, text: this.layoutAnalyzer.joinRuns(cell.runs) }));
+  }
+
+  /**
+   * Convert table rows to CSV (RFC 4180 quoting)
+   * @param {Array<Array<string>>} rows - Table rows
+   * @returns {string} CSV text
+   */
+  toCsv(rows) {
+    return rows
+      .map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      }).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Convert a table to an array of objects keyed by the header row
+   * @param {Object} table - Table result
+   * @returns {Array<Object>} Row objects
+   */
+  toObjects(table) {
+    const [header, ...body] = table.rows;
+    const keys = header.map((name, index) => name || `column${index + 1}`);
+    return body.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index] || ''])));
+  }
+
+  /**
+   * Build the public table object
+   * @param {string} type - 'ruled' or 'whitespace'
+   * @param {number} pageNumber - One-based page number
+   * @param {Object} bounds - {x, y, width, height}
+   * @param {Array<Array<string>>} rows - Cell text by row
+   * @returns {Object} Table result
+   */
+  tableResult(type, pageNumber, bounds, rows) {
+    const round = value => this.layoutAnalyzer.round(value);
+    return {
+      pageNumber,
+      type,
+      x: round(bounds.x),
+      y: round(bounds.y),
+      width: round(bounds.width),
+      height: round(bounds.height),
+      columns: rows[0].length,
+      rows
+    };
+  }
+
+  /**
+   * Join the runs of one cell, wrapped lines separated by a space
+   * @param {Array} runs - Runs inside the cell
+   * @returns {string} Cell text
+   */
+  cellText(runs) {
+    return this.layoutAnalyzer.groupLines(runs).map(line => line.text).join(' ').trim();
+  }
+
+  /**
+   * Check whether a run's center lies inside a table
+   * @param {Object} table - Table result
+   * @param {Object} run - Text run
+   * @returns {boolean} True if the run belongs to the table area
+   */
+  containsRun(table, run) {
+    const cx = run.x + run.width / 2;
+    const cy = run.y + run.height / 2;
+    return cx >= table.x && cx <= table.x + table.width && cy >= table.y && cy <= table.y + table.height;
+  }
+
+  /**
+   * Find the grid slot between two consecutive edges that holds a value
+   * @param {Array<number>} edges - Sorted edge positions
+   * @param {number} value - Position to look up
+   * @returns {number} Slot index or -1 when outside the grid
+   */
+  edgeIndex(edges, value) {
+    for (let i = 0; i < edges.length - 1; i++) {
+      if (value >= edges[i] && value <= edges[i + 1]) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Sort positions and drop near-duplicates
+   * @param {Array<number>} values - Positions
+   * @param {number} tolerance - Distance under which two positions are the same
+   * @returns {Array<number>} Distinct sorted positions
+   */
+  uniqueSorted(values, tolerance) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.filter((value, index) => index === 0 || value - sorted[index - 1] > tolerance);
+  }
+
+  /**
+   * Join collinear rule segments that touch or overlap (tables are often drawn cell by cell)
+   * @param {Array} rules - Horizontal or vertical rules
+   * @param {string} positionKey - 'y' for horizontal, 'x' for vertical rules
+   * @param {string} startKey - Start coordinate key
+   * @param {string} endKey - End coordinate key
+   * @returns {Array} Merged rules
+   */
+  mergeRules(rules, positionKey, startKey, endKey) {
+    const tolerance = this.options.ruleTolerance;
+    const sorted = [...rules].sort((a, b) => a[positionKey] - b[positionKey] || a[startKey] - b[startKey]);
+    const merged = [];
+
+    for (const rule of sorted) {
+      const match = merged.find(existing =>
+        Math.abs(existing[positionKey] - rule[positionKey]) <= tolerance &&
+        rule[startKey] <= existing[endKey] + tolerance
+      );
+      if (match) {
+        match[endKey] = Math.max(match[endKey], rule[endKey]);
+      } else {
+        merged.push({ ...rule });
+      }
+    }
+
+    return merged;
+  }
+}
+
+module.exports = TableExtractor;
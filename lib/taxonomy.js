@@ -0,0 +1,231 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+class Taxonomy {
+  /**
+   * @param {string} id - Taxonomy name (key in the taxonomy file)
+   * @param {Object} definition - {name, description, fallbackCategory, unknownPrefix, filenameTemplate, folderTemplate, fieldSchemas, requesterHints, categories}
+   * @param {string} baseDir - Directory that relative fieldSchemas/localModel paths are resolved against
+   */
+  constructor(id, definition, baseDir = __dirname) {
+    if (!definition || !Array.isArray(definition.categories) || definition.categories.length === 0) {
+      throw new Error(`Taxonomy "${id}" must define at least one category`);
+    }
+
+    this.id = id;
+    this.name = definition.name || id;
+    this.description = definition.description || '';
+    this.requesterHints = definition.requesterHints || ['Nama', 'Pemohon', 'Requester'];
+    this.categories = definition.categories.map(category => {
+      ['code', 'name', 'folder', 'prefix'].forEach(key => {
+        if (!category[key]) {
+          throw new Error(`Taxonomy "${id}": category ${category.code || '(no code)'} is missing "${key}"`);
+        }
+      });
+      return {
+        code: category.code,
+        name: category.name,
+        description: category.description || category.name,
+        folder: category.folder,
+        prefix: category.prefix,
+        promptHints: category.promptHints || '',
+        keywords: category.keywords || []
+      };
+    });
+
+    // Documents that match no category (or an unknown model answer) land here
+    this.fallbackCategory = definition.fallbackCategory || this.categories[this.categories.length - 1].code;
+    if (!this.getCategory(this.fallbackCategory)) {
+      throw new Error(`Taxonomy "${id}": fallback category ${this.fallbackCategory} is not defined`);
+    }
+    this.unknownPrefix = definition.unknownPrefix || 'UNK';
+    // Output naming for this taxonomy; null falls back to FILENAME_TEMPLATE / FOLDER_TEMPLATE (see lib/namingTemplate.js)
+    this.filenameTemplate = definition.filenameTemplate || null;
+    this.folderTemplate = definition.folderTemplate || null;
+
+    this.fieldSchemas = this.loadFieldSchemas(definition.fieldSchemas, baseDir);
+    this.localModelPath = definition.localModel ? path.resolve(baseDir, definition.localModel) : null;
+  }
+
+  /**
+   * Resolve the field schemas: an inline object, a JSON path relative to the taxonomy file, or none
+   * @param {Object|string} fieldSchemas - Schemas or path
+   * @param {string} baseDir - Base directory for relative paths
+   * @returns {Object} Schemas keyed by category code
+   */
+  loadFieldSchemas(fieldSchemas, baseDir) {
+    if (!fieldSchemas) return {};
+    if (typeof fieldSchemas === 'object') return fieldSchemas;
+    return fs.readJsonSync(path.resolve(baseDir, fieldSchemas));
+  }
+
+  /**
+   * Get a category definition
+   * @param {string} code - Category code
+   * @returns {Object|null} {code, name, description, folder, prefix, promptHints, keywords}
+   */
+  getCategory(code) {
+    return this.categories.find(category => category.code === code) || null;
+  }
+
+  /**
+   * Get category codes in definition order
+   * @returns {Array<string>} Codes
+   */
+  getCodes() {
+    return this.categories.map(category => category.code);
+  }
+
+  /**
+   * Build a {code: value} map from one category property
+   * @param {string} key - Category property
+   * @returns {Object} Map keyed by code
+   */
+  mapCategories(key) {
+    return Object.fromEntries(this.categories.map(category => [category.code, category[key]]));
+  }
+
+  /**
+   * Get category display names
+   * @returns {Object} {code: display name}
+   */
+  getCategoryNames() {
+    return this.mapCategories('name');
+  }
+
+  /**
+   * Get category descriptions
+   * @returns {Object} {code: description}
+   */
+  getDescriptions() {
+    return this.mapCategories('description');
+  }
+
+  /**
+   * Get the folder of each category
+   * @returns {Object} {code: folder name}
+   */
+  getFolderMapping() {
+    return this.mapCategories('folder');
+  }
+
+  /**
+   * Get the filename prefix of each category
+   * @returns {Object} {code: filename prefix}
+   */
+  getPrefixes() {
+    return this.mapCategories('prefix');
+  }
+
+  /**
+   * Get the keyword phrases of each category
+   * @returns {Object} {code: [keyword phrases]} used to seed the local classifier
+   */
+  getKeywords() {
+    return this.mapCategories('keywords');
+  }
+
+  /**
+   * Summary for API responses and the web interface
+   * @returns {Object} Taxonomy without field schemas and keywords
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      fallbackCategory: this.fallbackCategory,
+      unknownPrefix: this.unknownPrefix,
+      filenameTemplate: this.filenameTemplate,
+      folderTemplate: this.folderTemplate,
+      categories: this.categories.map(({ code, name, description, folder, prefix }) => ({ code, name, description, folder, prefix }))
+    };
+  }
+}
+
+class TaxonomyRegistry {
+  /**
+   * @param {Object} options - {path} taxonomy file (TAXONOMY_PATH, default lib/taxonomies.json), {defaultName} (TAXONOMY)
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.TAXONOMY_PATH || path.join(__dirname, 'taxonomies.json');
+    this.taxonomies = {};
+    this.load(this.path);
+    this.defaultName = options.defaultName || process.env.TAXONOMY || this.defaultName;
+
+    if (!this.taxonomies[this.defaultName]) {
+      throw new Error(`Default taxonomy "${this.defaultName}" is not defined in ${this.path}`);
+    }
+  }
+
+  /**
+   * Load a taxonomy file: {default, taxonomies: {name: definition}}
+   * @param {string} filePath - JSON file path
+   */
+  load(filePath) {
+    const file = fs.readJsonSync(filePath);
+    const definitions = file.taxonomies || {};
+    const baseDir = path.dirname(path.resolve(filePath));
+
+    Object.entries(definitions).forEach(([id, definition]) => {
+      this.taxonomies[id] = new Taxonomy(id, definition, baseDir);
+    });
+    this.defaultName = file.default || Object.keys(definitions)[0];
+    console.log(`🗂️ [TAXONOMY] Loaded ${Object.keys(definitions).join(', ')} from ${filePath}`);
+  }
+
+  /**
+   * Register a taxonomy at runtime (replaces one with the same id)
+   * @param {Taxonomy} taxonomy - Taxonomy instance
+   */
+  register(taxonomy) {
+    this.taxonomies[taxonomy.id] = taxonomy;
+  }
+
+  /**
+   * Check whether a taxonomy is defined
+   * @param {string} name - Taxonomy name
+   * @returns {boolean} True if the taxonomy exists
+   */
+  has(name) {
+    return Boolean(this.taxonomies[name]);
+  }
+
+  /**
+   * Get a taxonomy by name
+   * @param {string} name - Taxonomy name (defaults to the default taxonomy)
+   * @returns {Taxonomy} Taxonomy
+   */
+  get(name) {
+    const taxonomyName = name || this.defaultName;
+    const taxonomy = this.taxonomies[taxonomyName];
+    if (!taxonomy) {
+      throw new Error(`Unknown taxonomy "${taxonomyName}". Available: ${this.getNames().join(', ')}`);
+    }
+    return taxonomy;
+  }
+
+  /**
+   * Get taxonomy names
+   * @returns {Array<string>} Taxonomy names
+   */
+  getNames() {
+    return Object.keys(this.taxonomies);
+  }
+
+  /**
+   * Summaries of every taxonomy
+   * @returns {Object} {default, taxonomies: [...]}
+   */
+  list() {
+    return {
+      default: this.defaultName,
+      taxonomies: Object.values(this.taxonomies).map(taxonomy => taxonomy.toJSON())
+    };
+  }
+}
+
+module.exports = {
+  Taxonomy,
+  TaxonomyRegistry
+};
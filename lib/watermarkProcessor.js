@@ -1,8 +1,37 @@
-const { PDFDocument, rgb, degrees } = require('pdf-lib');
+const { PDFDocument, rgb, degrees, StandardFonts, StandardFontEmbedder } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
 const fs = require('fs-extra');
+const path = require('path');
+const Calendar = require('./calendar');
+
+// SVG images are rasterised to this width in pixels before they are embedded
+const SVG_RASTER_WIDTH = 1200;
+// Saved preset names are also their image file names
+const PRESET_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+// Placeholders in watermark text, e.g. "COPY {documentNumber} - page {page} of {pageCount}"
+const TEXT_VARIABLES = ['filename', 'page', 'pageCount', 'date', 'user', 'documentNumber', 'category', 'requester'];
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+// single: one watermark at positionX/positionY; tile: a repeating pattern over the page; header/footer: a band at the top or bottom
+const LAYOUTS = ['single', 'tile', 'header', 'footer'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+// Points between repeated watermarks in the tile layout
+const DEFAULT_SPACING = 60;
+// Distance between the baselines of multi-line text, relative to the font size
+const LINE_HEIGHT = 1.2;
+// Helvetica-Bold needs no embedding but only encodes Western European characters (WinAnsi);
+// text it cannot encode falls back to the Unicode font shipped in fonts/
+const STANDARD_FONT = StandardFonts.HelveticaBold;
+const UNICODE_FONT = 'DejaVuSans-Bold';
+const BUNDLED_FONTS_DIR = path.join(__dirname, '..', 'fonts');
+// Saved font names are also their file names
+const FONT_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,59}$/;
 
 class WatermarkProcessor {
-  constructor() {
+  /**
+   * @param {Object} options - {presetsPath} saved presets (WATERMARK_PRESETS_PATH, default data/watermark-presets.json);
+   *                           their images are kept in a watermark-images folder and saved fonts in a watermark-fonts folder next to it
+   */
+  constructor(options = {}) {
     // Predefined watermark presets
     this.presets = {
       'confidential': {
@@ -48,19 +77,384 @@ class WatermarkProcessor {
         rotation: -30
       }
     };
+    this.builtInPresets = Object.keys(this.presets);
+
+    // Presets saved through the API (e.g. a logo stamp) are added to the built-in ones
+    this.presetsPath = options.presetsPath || process.env.WATERMARK_PRESETS_PATH || path.join(__dirname, '..', 'data', 'watermark-presets.json');
+    this.imagesDir = path.join(path.dirname(this.presetsPath), 'watermark-images');
+    this.fontsDir = path.join(path.dirname(this.presetsPath), 'watermark-fonts');
+    // Parsed font files by path, for glyph checks
+    this.fontCache = new Map();
+    // {date} follows the same calendar as document numbers and date folders
+    this.calendar = new Calendar();
+    Object.assign(this.presets, this.loadSavedPresets());
+  }
+
+  /**
+   * Read the saved presets
+   * @returns {Object} {name: preset}
+   */
+  loadSavedPresets() {
+    if (!fs.existsSync(this.presetsPath)) return {};
+    try {
+      return fs.readJsonSync(this.presetsPath).presets || {};
+    } catch (error) {
+      console.warn(`⚠️ [WATERMARK] Could not read ${this.presetsPath}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Save a named preset, e.g. the company logo stamp; a saved preset of the same name is replaced
+   * @param {string} name - Preset name (lowercase letters, digits, - and _)
+   * @param {Object} options - Same options as addWatermark() (customText, opacity, fontSize, color, rotation, positionX, positionY,
+   *                           imageScale, layout, align, spacing, font)
+   * @param {Buffer} image - PNG, JPEG or SVG image for an image preset
+   * @returns {Promise<Object>} {success, name, preset} or {success: false, error}
+   */
+  async savePreset(name, options = {}, image = null) {
+    try {
+      const key = String(name || '').trim().toLowerCase();
+      if (!PRESET_NAME.test(key)) {
+        throw new Error('Preset names use up to 40 lowercase letters, digits, - and _');
+      }
+      if (this.builtInPresets.includes(key)) {
+        throw new Error(`${key} is a built-in preset and cannot be replaced`);
+      }
+      const validation = this.validateOptions({ ...options, image });
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join('; '));
+      }
+      if (!image && !(options.customText && options.customText.trim())) {
+        throw new Error('A preset needs an image or a text');
+      }
+
+      const preset = {
+        text: options.customText && options.customText.trim() ? options.customText.trim() : null,
+        opacity: options.opacity !== undefined ? parseFloat(options.opacity) : 0.3,
+        fontSize: options.fontSize !== undefined ? parseInt(options.fontSize) : 36,
+        color: this.parseColor(options.color),
+        rotation: options.rotation !== undefined ? parseInt(options.rotation) : 0,
+        ...(options.positionX !== undefined ? { positionX: parseInt(options.positionX) } : {}),
+        ...(options.positionY !== undefined ? { positionY: parseInt(options.positionY) } : {}),
+        ...(options.layout ? { layout: options.layout } : {}),
+        ...(options.align ? { align: options.align } : {}),
+        ...(options.spacing !== undefined ? { spacing: parseFloat(options.spacing) } : {}),
+        ...(options.font ? { font: options.font } : {}),
+        custom: true,
+        createdAt: new Date().toISOString()
+      };
+
+      const previous = this.presets[key];
+      if (image) {
+        const type = this.getImageType(image);
+        preset.image = { filename: `${key}.${type}`, type };
+        preset.imageScale = options.imageScale !== undefined ? parseFloat(options.imageScale) : 0.25;
+        await fs.ensureDir(this.imagesDir);
+        await fs.writeFile(path.join(this.imagesDir, preset.image.filename), image);
+      }
+      if (previous && previous.image && (!preset.image || previous.image.filename !== preset.image.filename)) {
+        await fs.remove(path.join(this.imagesDir, previous.image.filename));
+      }
+
+      this.presets[key] = preset;
+      await this.writeSavedPresets();
+      console.log(`💾 [WATERMARK] Saved preset ${key}${preset.image ? ` with ${preset.image.type} image` : ''}`);
+      return { success: true, name: key, preset };
+
+    } catch (error) {
+      console.error('❌ [WATERMARK] Could not save preset:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a saved preset and its image
+   * @param {string} name - Preset name
+   * @returns {Promise<Object>} {success} or {success: false, error}
+   */
+  async deletePreset(name) {
+    const preset = this.presets[name];
+    if (!preset || !preset.custom) {
+      return {
+        success: false,
+        error: this.builtInPresets.includes(name) ? `${name} is a built-in preset and cannot be deleted` : `Preset not found: ${name}`
+      };
+    }
+    delete this.presets[name];
+    if (preset.image) {
+      await fs.remove(path.join(this.imagesDir, preset.image.filename));
+    }
+    await this.writeSavedPresets();
+    console.log(`🗑️ [WATERMARK] Deleted preset ${name}`);
+    return { success: true };
+  }
+
+  /**
+   * Write the saved presets file
+   * @returns {Promise<void>}
+   */
+  async writeSavedPresets() {
+    const saved = Object.fromEntries(Object.entries(this.presets).filter(([, preset]) => preset.custom));
+    await fs.ensureDir(path.dirname(this.presetsPath));
+    await fs.writeJson(this.presetsPath, { presets: saved }, { spaces: 2 });
+  }
+
+  /**
+   * Image file of a saved image preset
+   * @param {string} name - Preset name
+   * @returns {Object|null} {path, type} or null
+   */
+  getPresetImage(name) {
+    const preset = this.presets[name];
+    if (!preset || !preset.image) return null;
+    const imagePath = path.join(this.imagesDir, preset.image.filename);
+    return fs.existsSync(imagePath) ? { path: imagePath, type: preset.image.type } : null;
+  }
+
+  /**
+   * Detect the type of an image from its first bytes
+   * @param {Buffer} buffer - Image data
+   * @returns {string|null} 'png', 'jpg', 'svg' or null
+   */
+  getImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+    if (buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+    const head = buffer.slice(0, 1024).toString('utf8').replace(/^\ufeff/, '').trimStart();
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'svg';
+    return null;
+  }
+
+  /**
+   * Embed a watermark image in a PDF (SVG is rasterised first)
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {Buffer} buffer - PNG, JPEG or SVG image
+   * @returns {Promise<PDFImage>} Embedded image
+   */
+  async embedImage(pdfDoc, buffer) {
+    const type = this.getImageType(buffer);
+    if (type === 'png') return pdfDoc.embedPng(buffer);
+    if (type === 'jpg') return pdfDoc.embedJpg(buffer);
+    if (type === 'svg') {
+      const { Resvg } = require('@resvg/resvg-js');
+      const rendered = new Resvg(buffer, { fitTo: { mode: 'width', value: SVG_RASTER_WIDTH } }).render();
+      return pdfDoc.embedPng(rendered.asPng());
+    }
+    throw new Error('Unsupported image type. Use PNG, JPEG or SVG');
+  }
+
+  /**
+   * Fonts available for watermark text
+   * @returns {Array} [{name, builtIn}]: Helvetica-Bold, the bundled fonts, then the saved ones
+   */
+  getFonts() {
+    return [
+      { name: STANDARD_FONT, builtIn: true },
+      ...this.listFontFiles(BUNDLED_FONTS_DIR).map(file => ({ name: file.name, builtIn: true })),
+      ...this.listFontFiles(this.fontsDir).map(file => ({ name: file.name, builtIn: false }))
+    ];
+  }
+
+  /**
+   * TTF and OTF files in a folder
+   * @param {string} dir - Folder
+   * @returns {Array} [{name, path}] named after the file without its extension
+   */
+  listFontFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(file => /\.(ttf|otf)$/i.test(file))
+      .sort()
+      .map(file => ({ name: path.parse(file).name, path: path.join(dir, file) }));
+  }
+
+  /**
+   * File of a bundled or saved font
+   * @param {string} name - Font name
+   * @returns {string|null} Font path, or null for Helvetica-Bold and unknown names
+   */
+  getFontPath(name) {
+    const file = this.listFontFiles(BUNDLED_FONTS_DIR).concat(this.listFontFiles(this.fontsDir)).find(font => font.name === name);
+    return file ? file.path : null;
+  }
+
+  /**
+   * Detect the type of a font file from its first bytes
+   * @param {Buffer} buffer - Font data
+   * @returns {string|null} 'ttf', 'otf' or null (collections and web fonts are not supported)
+   */
+  getFontType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    const tag = buffer.readUInt32BE(0);
+    if (tag === 0x00010000 || buffer.toString('latin1', 0, 4) === 'true') return 'ttf';
+    if (buffer.toString('latin1', 0, 4) === 'OTTO') return 'otf';
+    return null;
+  }
+
+  /**
+   * Save a TTF or OTF font so presets and requests can choose it by name; a saved font of the same name is replaced
+   * @param {string} name - Font name (letters, digits, - and _)
+   * @param {Buffer} buffer - Font file
+   * @returns {Promise<Object>} {success, name, type} or {success: false, error}
+   */
+  async saveFont(name, buffer) {
+    try {
+      const key = String(name || '').trim();
+      if (!FONT_NAME.test(key)) {
+        throw new Error('Font names use up to 60 letters, digits, - and _');
+      }
+      if (this.getFonts().some(font => font.builtIn && font.name === key)) {
+        throw new Error(`${key} is a built-in font and cannot be replaced`);
+      }
+      const type = this.getFontType(buffer);
+      if (!type) {
+        throw new Error('Font must be a TrueType (.ttf) or OpenType (.otf) file');
+      }
+      // Fails on damaged files before they are stored
+      fontkit.create(buffer);
+
+      await fs.ensureDir(this.fontsDir);
+      for (const extension of ['ttf', 'otf']) {
+        const previous = path.join(this.fontsDir, `${key}.${extension}`);
+        this.fontCache.delete(previous);
+        await fs.remove(previous);
+      }
+      await fs.writeFile(path.join(this.fontsDir, `${key}.${type}`), buffer);
+      console.log(`💾 [WATERMARK] Saved font ${key} (${type})`);
+      return { success: true, name: key, type };
+
+    } catch (error) {
+      console.error('❌ [WATERMARK] Could not save font:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a saved font that no saved preset uses
+   * @param {string} name - Font name
+   * @returns {Promise<Object>} {success} or {success: false, error}
+   */
+  async deleteFont(name) {
+    const font = this.getFonts().find(entry => entry.name === name);
+    if (!font || font.builtIn) {
+      return {
+        success: false,
+        error: font ? `${name} is a built-in font and cannot be deleted` : `Font not found: ${name}`
+      };
+    }
+    const users = Object.keys(this.presets).filter(key => this.presets[key].font === name);
+    if (users.length > 0) {
+      return { success: false, error: `Font ${name} is used by preset(s) ${users.join(', ')}` };
+    }
+    const fontPath = this.getFontPath(name);
+    this.fontCache.delete(fontPath);
+    await fs.remove(fontPath);
+    console.log(`🗑️ [WATERMARK] Deleted font ${name}`);
+    return { success: true };
+  }
+
+  /**
+   * Parsed font for glyph checks
+   * @param {string|Buffer} font - Font name or TTF/OTF data
+   * @returns {Object|null} fontkit font, or null for Helvetica-Bold
+   */
+  loadFont(font) {
+    if (Buffer.isBuffer(font)) return fontkit.create(font);
+    if (font === STANDARD_FONT) return null;
+    const fontPath = this.getFontPath(font);
+    if (!fontPath) {
+      throw new Error(`Font not found: ${font}`);
+    }
+    if (!this.fontCache.has(fontPath)) {
+      this.fontCache.set(fontPath, fontkit.create(fs.readFileSync(fontPath)));
+    }
+    return this.fontCache.get(fontPath);
+  }
+
+  /**
+   * Characters of a text that a font cannot draw
+   * @param {string} text - Text (whitespace is ignored)
+   * @param {string|Buffer} font - Font name or TTF/OTF data
+   * @returns {Array} Missing characters, each listed once
+   */
+  getMissingCharacters(text, font) {
+    const parsed = this.loadFont(font);
+    if (!parsed && !this.standardEncoding) {
+      this.standardEncoding = StandardFontEmbedder.for(STANDARD_FONT).encoding;
+    }
+    const missing = new Set();
+    for (const char of String(text || '').replace(/\s/g, '')) {
+      const codePoint = char.codePointAt(0);
+      const drawable = parsed ? parsed.hasGlyphForCodePoint(codePoint) : this.standardEncoding.canEncodeUnicodeCodePoint(codePoint);
+      if (!drawable) missing.add(char);
+    }
+    return [...missing];
+  }
+
+  /**
+   * Font to draw the watermark text with
+   * Without a chosen font, Helvetica-Bold is used while it can encode the text, else the bundled Unicode font.
+   * @param {Array} texts - Texts to draw, e.g. the rendered text of every page
+   * @param {string|Buffer} font - Chosen font name or TTF/OTF data, or undefined
+   * @returns {string|Buffer} Font name or data to embed
+   */
+  selectFont(texts, font) {
+    const text = texts.join('');
+    if (!font) {
+      if (this.getMissingCharacters(text, STANDARD_FONT).length === 0) return STANDARD_FONT;
+      font = UNICODE_FONT;
+    }
+    const missing = this.getMissingCharacters(text, font);
+    if (missing.length > 0) {
+      const label = Buffer.isBuffer(font) ? 'The font file' : `Font ${font}`;
+      throw new Error(`${label} cannot encode ${missing.map(char => `"${char}"`).join(', ')} in the watermark text. Choose a font that has these characters`);
+    }
+    return font;
+  }
+
+  /**
+   * Embed the watermark font in a PDF
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {string|Buffer} font - Font name or TTF/OTF data from selectFont()
+   * @returns {Promise<PDFFont>} Embedded font
+   */
+  async embedTextFont(pdfDoc, font) {
+    if (font === STANDARD_FONT) return pdfDoc.embedFont(STANDARD_FONT);
+    pdfDoc.registerFontkit(fontkit);
+    const bytes = Buffer.isBuffer(font) ? font : await fs.readFile(this.getFontPath(font));
+    // Only the glyphs the watermark uses are embedded, which keeps large Unicode fonts small
+    return pdfDoc.embedFont(bytes, { subset: true });
   }
 
   /**
    * Add watermark to PDF
    * @param {Buffer} pdfBuffer - Original PDF buffer
-   * @param {Object} options - Watermark options
-   * @returns {Promise<Object>} - Result with watermarked PDF buffer
+   * @param {Object} options - Watermark options; {image} PNG, JPEG or SVG buffer stamped instead of the text,
+   *                           {imageScale} image width as a share of the page width (default 0.25),
+   *                           {variables} values for the text placeholders: {filename, date, user, documentNumber, category, requester},
+   *                           {layout} single, tile, header or footer, {align} left, center or right for lines and bands,
+   *                           {spacing} points between repeated watermarks (tile); line breaks in the text start new lines,
+   *                           {font} font name (see getFonts()) or {fontFile} TTF/OTF buffer for the text,
+   *                           {pages} page selection (see parsePages(), default all), {firstPagePreset} preset for page 1 instead
+   * @returns {Promise<Object>} - Result with watermarked PDF buffer and {stampedPages} 1-based page numbers
    */
   async addWatermark(pdfBuffer, options = {}) {
     try {
       console.log('🔖 [WATERMARK] Starting watermark process...');
       console.log('📊 [WATERMARK] PDF buffer size:', pdfBuffer.length, 'bytes');
-      console.log('⚙️ [WATERMARK] Options:', JSON.stringify(options, null, 2));
+      const { image: uploadedImage, fontFile, ...loggedOptions } = options;
+      console.log('⚙️ [WATERMARK] Options:', JSON.stringify({
+        ...loggedOptions,
+        ...(uploadedImage ? { image: `${uploadedImage.length} bytes` } : {}),
+        ...(fontFile ? { fontFile: `${fontFile.length} bytes` } : {})
+      }, null, 2));
 
       // Load the existing PDF
       const pdfDoc = await PDFDocument.load(pdfBuffer);
@@ -68,98 +462,30 @@ class WatermarkProcessor {
       
       console.log('📄 [WATERMARK] PDF loaded successfully. Pages:', pages.length);
 
-      // Determine watermark settings
-      let watermarkSettings;
-      if (options.preset && this.presets[options.preset]) {
-        // Start with preset as base
-        watermarkSettings = { ...this.presets[options.preset] };
-        console.log('🎨 [WATERMARK] Using preset as base:', options.preset);
-        
-        // Override with custom options if provided
-        if (options.customText && options.customText.trim()) {
-          watermarkSettings.text = options.customText;
-        }
-        if (options.opacity !== undefined) {
-          watermarkSettings.opacity = parseFloat(options.opacity);
-        }
-        if (options.fontSize !== undefined) {
-          watermarkSettings.fontSize = parseInt(options.fontSize);
-        }
-        if (options.color) {
-          watermarkSettings.color = this.parseColor(options.color);
-        }
-        if (options.rotation !== undefined) {
-          watermarkSettings.rotation = parseInt(options.rotation);
-        }
-        
-        console.log('🎨 [WATERMARK] Preset customized with user options');
-      } else {
-        // Pure custom watermark settings
-        watermarkSettings = {
-          text: options.customText || 'WATERMARK',
-          opacity: options.opacity ? parseFloat(options.opacity) : 0.3,
-          fontSize: options.fontSize ? parseInt(options.fontSize) : 36,
-          color: this.parseColor(options.color) || { r: 0.5, g: 0.5, b: 0.5 },
-          rotation: options.rotation ? parseInt(options.rotation) : 45
-        };
-        console.log('🎨 [WATERMARK] Using pure custom settings');
+      const selected = this.parsePages(options.pages, pages.length);
+      if (options.pages) {
+        console.log(`📑 [WATERMARK] Pages "${options.pages}": ${selected.length > 0 ? selected.map(index => index + 1).join(', ') : 'none'} of ${pages.length}`);
       }
-      
-      // Add position settings (default to center: 50%, 50%)
-      watermarkSettings.positionX = options.positionX !== undefined ? parseInt(options.positionX) : 50;
-      watermarkSettings.positionY = options.positionY !== undefined ? parseInt(options.positionY) : 50;
 
+      const watermarkSettings = this.getWatermarkSettings(options);
       console.log('🔧 [WATERMARK] Final settings:', JSON.stringify(watermarkSettings, null, 2));
 
-      // Apply watermark to each page
-      for (let i = 0; i < pages.length; i++) {
-        const page = pages[i];
-        const { width, height } = page.getSize();
-        
-        console.log(`📝 [WATERMARK] Processing page ${i + 1}/${pages.length} (${width}x${height})`);
-
-        // Get font for text width calculation
-        const font = await pdfDoc.embedFont('Helvetica-Bold');
-        
-        // Calculate text dimensions
-        const textWidth = font.widthOfTextAtSize(watermarkSettings.text, watermarkSettings.fontSize);
-        const textHeight = font.heightAtSize(watermarkSettings.fontSize);
-        
-        console.log(`📏 [WATERMARK] Text dimensions: ${textWidth}x${textHeight}`);
-
-        // Calculate position based on percentage sliders with proper centering
-        // Use simple interpolation: 0% = left/bottom edge, 50% = center, 100% = right/top edge
-        const x = (watermarkSettings.positionX / 100) * (width - textWidth);
-        const y = (watermarkSettings.positionY / 100) * (height - textHeight);
-        
-        console.log(`📐 [WATERMARK] Page dimensions: ${width}x${height}`);
-        console.log(`📐 [WATERMARK] Text size: ${textWidth}x${textHeight}`);
-        console.log(`📐 [WATERMARK] Position percentages: X=${watermarkSettings.positionX}%, Y=${watermarkSettings.positionY}%`);
-        console.log(`📍 [WATERMARK] Final position: (${x.toFixed(2)}, ${y.toFixed(2)})`);
-        
-        // Calculate what the center position should be for verification
-        const centerX = (width - textWidth) / 2;
-        const centerY = (height - textHeight) / 2;
-        console.log(`🎯 [WATERMARK] True center would be: (${centerX.toFixed(2)}, ${centerY.toFixed(2)})`);
-        console.log(`📏 [WATERMARK] At 100% X should be: ${(width - textWidth).toFixed(2)}, currently: ${x.toFixed(2)}`);
-
-        // Draw watermark text
-        page.drawText(watermarkSettings.text, {
-          x: x,
-          y: y,
-          size: watermarkSettings.fontSize,
-          font: font,
-          color: rgb(
-            watermarkSettings.color.r,
-            watermarkSettings.color.g,
-            watermarkSettings.color.b
-          ),
-          opacity: watermarkSettings.opacity,
-          rotate: degrees(watermarkSettings.rotation)
-        });
+      // A first page preset stamps page 1 (when selected) and the main watermark the other selected pages
+      const firstPagePreset = options.firstPagePreset && selected.includes(0) ? options.firstPagePreset : null;
+      if (firstPagePreset) {
+        await this.stampPages(pdfDoc, pages, [0], {
+          settings: this.getWatermarkSettings({ preset: firstPagePreset }),
+          preset: firstPagePreset
+        }, options.variables);
       }
+      const stamped = await this.stampPages(pdfDoc, pages, firstPagePreset ? selected.filter(index => index > 0) : selected, {
+        settings: watermarkSettings,
+        preset: options.preset,
+        image: uploadedImage,
+        fontFile
+      }, options.variables);
 
-      console.log('✅ [WATERMARK] Watermark applied to all pages');
+      console.log(`✅ [WATERMARK] Watermark applied to ${selected.length} of ${pages.length} page(s)`);
 
       // Save the watermarked PDF
       const watermarkedPdfBytes = await pdfDoc.save();
@@ -172,7 +498,11 @@ class WatermarkProcessor {
         originalSize: pdfBuffer.length,
         watermarkedSize: watermarkedPdfBytes.length,
         pages: pages.length,
-        watermarkText: watermarkSettings.text,
+        stampedPages: selected.map(index => index + 1),
+        watermarkText: stamped.image ? null : watermarkSettings.text || null,
+        ...(stamped.image ? { watermarkImage: stamped.image } : {}),
+        ...(stamped.font ? { font: stamped.font } : {}),
+        ...(firstPagePreset ? { firstPagePreset } : {}),
         processedAt: new Date().toISOString()
       };
 
@@ -186,6 +516,417 @@ class WatermarkProcessor {
     }
   }
 
+  /**
+   * Watermark settings from a preset with the request's overrides, or from the request alone
+   * @param {Object} options - addWatermark() options
+   * @returns {Object} {text, opacity, fontSize, color, rotation, imageScale, layout, align, spacing, font, positionX, positionY}
+   *                   plus {image} for image presets
+   */
+  getWatermarkSettings(options) {
+    // Determine watermark settings
+    let watermarkSettings;
+    if (options.preset && this.presets[options.preset]) {
+      // Start with preset as base
+      watermarkSettings = { ...this.presets[options.preset] };
+      console.log('🎨 [WATERMARK] Using preset as base:', options.preset);
+      
+      // Override with custom options if provided
+      if (options.customText && options.customText.trim()) {
+        watermarkSettings.text = options.customText;
+      }
+      if (options.opacity !== undefined) {
+        watermarkSettings.opacity = parseFloat(options.opacity);
+      }
+      if (options.fontSize !== undefined) {
+        watermarkSettings.fontSize = parseInt(options.fontSize);
+      }
+      if (options.color) {
+        watermarkSettings.color = this.parseColor(options.color);
+      }
+      if (options.rotation !== undefined) {
+        watermarkSettings.rotation = parseInt(options.rotation);
+      }
+      if (options.imageScale !== undefined) {
+        watermarkSettings.imageScale = parseFloat(options.imageScale);
+      }
+      if (options.layout) {
+        watermarkSettings.layout = options.layout;
+      }
+      if (options.align) {
+        watermarkSettings.align = options.align;
+      }
+      if (options.spacing !== undefined) {
+        watermarkSettings.spacing = parseFloat(options.spacing);
+      }
+      if (options.font) {
+        watermarkSettings.font = options.font;
+      }
+      
+      console.log('🎨 [WATERMARK] Preset customized with user options');
+    } else {
+      // Pure custom watermark settings
+      watermarkSettings = {
+        text: options.customText || 'WATERMARK',
+        opacity: options.opacity ? parseFloat(options.opacity) : 0.3,
+        fontSize: options.fontSize ? parseInt(options.fontSize) : 36,
+        color: this.parseColor(options.color) || { r: 0.5, g: 0.5, b: 0.5 },
+        rotation: options.rotation ? parseInt(options.rotation) : 45,
+        imageScale: options.imageScale !== undefined ? parseFloat(options.imageScale) : 0.25,
+        layout: options.layout,
+        align: options.align,
+        spacing: options.spacing !== undefined ? parseFloat(options.spacing) : undefined,
+        font: options.font
+      };
+      console.log('🎨 [WATERMARK] Using pure custom settings');
+    }
+    
+    // Add position settings (default to the preset's position, else center: 50%, 50%)
+    watermarkSettings.positionX = options.positionX !== undefined ? parseInt(options.positionX) : (watermarkSettings.positionX !== undefined ? watermarkSettings.positionX : 50);
+    watermarkSettings.positionY = options.positionY !== undefined ? parseInt(options.positionY) : (watermarkSettings.positionY !== undefined ? watermarkSettings.positionY : 50);
+    watermarkSettings.layout = watermarkSettings.layout || 'single';
+    watermarkSettings.align = watermarkSettings.align || 'center';
+    watermarkSettings.spacing = watermarkSettings.spacing !== undefined && !isNaN(watermarkSettings.spacing) ? watermarkSettings.spacing : DEFAULT_SPACING;
+
+    return watermarkSettings;
+  }
+
+  /**
+   * Draw a watermark on some pages of a PDF
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {Array} pages - All pages of the document (for {page} and {pageCount})
+   * @param {Array} indices - 0-based indices of the pages to stamp
+   * @param {Object} stamp - {settings} from getWatermarkSettings(), {preset} name whose stored image to use,
+   *                         {image} uploaded image replacing the text, {fontFile} TTF/OTF data
+   * @param {Object} variables - Values for the text placeholders
+   * @returns {Promise<Object>} {image: {width, height, scale}} for image watermarks, {font} for text, {} when no page is stamped
+   */
+  async stampPages(pdfDoc, pages, indices, stamp, variables = {}) {
+    if (indices.length === 0) return {};
+    const settings = stamp.settings;
+
+    // An uploaded image replaces the text; an image preset brings its stored image
+    let imageBuffer = stamp.image || null;
+    if (!imageBuffer && stamp.preset && settings.image) {
+      const stored = this.getPresetImage(stamp.preset);
+      if (!stored) {
+        throw new Error(`Image of preset ${stamp.preset} is missing`);
+      }
+      imageBuffer = await fs.readFile(stored.path);
+    }
+    if (imageBuffer) {
+      const embedded = await this.embedImage(pdfDoc, imageBuffer);
+      const imageScale = settings.imageScale || 0.25;
+      indices.forEach(index => {
+        const drawn = this.drawImageWatermark(pages[index], embedded, { ...settings, imageScale });
+        console.log(`🖼️ [WATERMARK] Image stamped ${drawn} time(s) on page ${index + 1}/${pages.length}`);
+      });
+      return { image: { width: embedded.width, height: embedded.height, scale: imageScale } };
+    }
+    if (!settings.text) {
+      settings.text = 'WATERMARK';
+    }
+
+    // Variables such as {page} differ per page, so the text is rendered for each one
+    const texts = indices.map(index => this.renderText(settings.text, { ...variables, page: index + 1, pageCount: pages.length }));
+    // The font has to draw the filled-in variables too, e.g. a requester name with accents
+    const selectedFont = this.selectFont(texts, stamp.fontFile || settings.font);
+    const fontName = Buffer.isBuffer(selectedFont) ? 'font file' : selectedFont;
+    const font = await this.embedTextFont(pdfDoc, selectedFont);
+    console.log(`🔤 [WATERMARK] Using ${Buffer.isBuffer(selectedFont) ? 'the given font file' : `font ${fontName}`}`);
+
+    indices.forEach((index, i) => {
+      const frame = this.getPageFrame(pages[index]);
+      console.log(`📝 [WATERMARK] Processing page ${index + 1}/${pages.length} (${frame.width}x${frame.height}, rotated ${frame.rotation}°, ${settings.layout} layout)`);
+      const drawn = this.drawTextWatermark(pages[index], frame, font, texts[i], settings);
+      console.log(`📍 [WATERMARK] Drew the text ${drawn} time(s) on page ${index + 1}`);
+    });
+    return { font: fontName };
+  }
+
+  /**
+   * Pages chosen by a page selection
+   * @param {string} spec - Comma-separated page numbers and ranges (1, 1-3,7, 4-last) and keywords first, last, odd, even, all;
+   *                        "all except <selection>" inverts a selection, e.g. "all except first". Empty selects every page
+   * @param {number} pageCount - Pages in the document; numbers beyond it are left out
+   * @returns {Array} Sorted 0-based page indices
+   */
+  parsePages(spec, pageCount) {
+    const all = [...Array(pageCount).keys()];
+    const text = spec === undefined || spec === null ? '' : String(spec).trim().toLowerCase();
+    if (!text) return all;
+
+    const except = text.match(/^all\s+except\s+(.+)$/);
+    if (except) {
+      const excluded = this.parsePages(except[1], pageCount);
+      return all.filter(index => !excluded.includes(index));
+    }
+
+    const selected = new Set();
+    for (const term of text.split(',').map(part => part.trim())) {
+      const range = term.match(/^(\d+)(?:\s*-\s*(\d+|last))?$/);
+      if (term === 'all') {
+        all.forEach(index => selected.add(index));
+      } else if (term === 'first' || term === 'last') {
+        if (pageCount > 0) selected.add(term === 'first' ? 0 : pageCount - 1);
+      } else if (term === 'odd' || term === 'even') {
+        // Page numbers count from 1, so odd pages have even indices
+        all.filter(index => index % 2 === (term === 'odd' ? 0 : 1)).forEach(index => selected.add(index));
+      } else if (range) {
+        const first = parseInt(range[1]);
+        const last = range[2] === undefined ? first : range[2] === 'last' ? pageCount : parseInt(range[2]);
+        if (first < 1 || (range[2] !== 'last' && last < first)) {
+          throw new Error(`Invalid page range "${term}"`);
+        }
+        for (let page = first; page <= Math.min(last, pageCount); page++) {
+          selected.add(page - 1);
+        }
+      } else {
+        throw new Error(`Invalid page selection "${term}". Use page numbers and ranges (1-3,7), first, last, odd, even or "all except first"`);
+      }
+    }
+    return [...selected].sort((a, b) => a - b);
+  }
+
+  /**
+   * Watermark the first page of a PDF, or a blank A4 page, to preview a layout before applying it
+   * @param {Buffer|null} pdfBuffer - PDF whose first page is used, or null
+   * @param {Object} options - Same options as addWatermark()
+   * @returns {Promise<Object>} addWatermark() result with a one-page PDF
+   */
+  async createPreview(pdfBuffer, options = {}) {
+    try {
+      const preview = await PDFDocument.create();
+      if (pdfBuffer) {
+        const source = await PDFDocument.load(pdfBuffer);
+        const [firstPage] = await preview.copyPages(source, [0]);
+        preview.addPage(firstPage);
+      } else {
+        preview.addPage([595.28, 841.89]);
+      }
+      return this.addWatermark(Buffer.from(await preview.save()), options);
+    } catch (error) {
+      console.error('❌ [WATERMARK] Could not create preview:', error.message);
+      return {
+        success: false,
+        error: `Preview failed: ${error.message}`,
+        buffer: null
+      };
+    }
+  }
+
+  /**
+   * Replace the variables in a watermark text
+   * @param {string} text - Text with placeholders such as {documentNumber} or {page}
+   * @param {Object} variables - {filename, page, pageCount, date, user, documentNumber, category, requester}; missing ones render empty
+   * @returns {string} Text to draw, lines separated by line breaks
+   */
+  renderText(text, variables = {}) {
+    return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      if (!TEXT_VARIABLES.includes(name)) return placeholder;
+      if (name === 'date') {
+        const date = variables.date || new Date();
+        return date instanceof Date ? this.calendar.format(date, 'YYYY-MM-DD') : String(date);
+      }
+      const value = variables[name];
+      return value === null || value === undefined ? '' : String(value);
+    }).split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).join('\n').trim();
+  }
+
+  /**
+   * Names of the variables a watermark text uses
+   * @param {string} text - Watermark text
+   * @returns {Array} Variable names, e.g. ['documentNumber', 'page']
+   */
+  getTextVariables(text) {
+    return [...String(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  }
+
+  /**
+   * Visible area of a page as the reader sees it
+   * Layouts are worked out in this frame and mapped back with toPageSpace(), so a header stays on top of a rotated page.
+   * @param {PDFPage} page - Page
+   * @returns {Object} {box} crop box, {rotation} 0, 90, 180 or 270, {width, height} as displayed
+   */
+  getPageFrame(page) {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const turned = rotation === 90 || rotation === 270;
+    return {
+      box,
+      rotation,
+      width: turned ? box.height : box.width,
+      height: turned ? box.width : box.height
+    };
+  }
+
+  /**
+   * Map a point of the displayed page to PDF user space
+   * @param {Object} frame - From getPageFrame()
+   * @param {number} x - Points from the left edge as displayed
+   * @param {number} y - Points from the bottom edge as displayed
+   * @returns {Object} {x, y} in user space
+   */
+  toPageSpace(frame, x, y) {
+    const { box } = frame;
+    switch (frame.rotation) {
+      case 90:
+        return { x: box.x + box.width - y, y: box.y + x };
+      case 180:
+        return { x: box.x + box.width - x, y: box.y + box.height - y };
+      case 270:
+        return { x: box.x + y, y: box.y + box.height - x };
+      default:
+        return { x: box.x + x, y: box.y + y };
+    }
+  }
+
+  /**
+   * Where a watermark goes on a displayed page
+   * @param {Object} frame - From getPageFrame()
+   * @param {number} width - Width of the watermark (text block or image)
+   * @param {number} height - Height of the watermark
+   * @param {Object} settings - {layout, align, rotation, spacing, positionX, positionY}
+   * @param {string} pivot - 'origin' (text, turned around its lower-left corner) or 'center' (images) for the single layout
+   * @param {number} margin - Distance from the page edge in the header and footer layouts
+   * @returns {Array} [{x, y, rotation}] lower-left corners as displayed, rotation in degrees around that corner
+   */
+  getPlacements(frame, width, height, settings, pivot, margin) {
+    const rotation = settings.rotation || 0;
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Lower-left corner of a watermark turned around its center
+    const aroundCenter = (centerX, centerY) => ({
+      x: centerX - (width / 2 * cos - height / 2 * sin),
+      y: centerY - (width / 2 * sin + height / 2 * cos),
+      rotation
+    });
+
+    if (settings.layout === 'header' || settings.layout === 'footer') {
+      const x = settings.align === 'left' ? margin : settings.align === 'right' ? frame.width - width - margin : (frame.width - width) / 2;
+      return [{ x, y: settings.layout === 'header' ? frame.height - height - margin : margin, rotation: 0 }];
+    }
+
+    if (settings.layout === 'tile') {
+      // A grid turned by the rotation around the page center, large enough to cover the corners
+      const stepX = width + settings.spacing;
+      const stepY = height + settings.spacing;
+      const reach = Math.hypot(frame.width, frame.height) / 2 + Math.hypot(width, height);
+      const radius = Math.hypot(width, height) / 2;
+      const rows = Math.ceil(reach / stepY);
+      const columns = Math.ceil(reach / stepX) + 1;
+      const placements = [];
+      for (let row = -rows; row <= rows; row++) {
+        // Every other row is shifted by half a step, like brickwork
+        const shift = row % 2 === 0 ? 0 : stepX / 2;
+        for (let column = -columns; column <= columns; column++) {
+          const u = column * stepX + shift;
+          const v = row * stepY;
+          const centerX = frame.width / 2 + u * cos - v * sin;
+          const centerY = frame.height / 2 + u * sin + v * cos;
+          if (centerX < -radius || centerX > frame.width + radius || centerY < -radius || centerY > frame.height + radius) continue;
+          placements.push(aroundCenter(centerX, centerY));
+        }
+      }
+      return placements;
+    }
+
+    // Simple interpolation: 0% = left/bottom edge, 50% = center, 100% = right/top edge
+    const x = (settings.positionX / 100) * (frame.width - width);
+    const y = (settings.positionY / 100) * (frame.height - height);
+    return pivot === 'center' ? [aroundCenter(x + width / 2, y + height / 2)] : [{ x, y, rotation }];
+  }
+
+  /**
+   * Draw watermark text on a page in the chosen layout
+   * Lines are split at line breaks and aligned within the text block; header and footer layouts get a light band behind the text.
+   * @param {PDFPage} page - Page
+   * @param {Object} frame - From getPageFrame()
+   * @param {PDFFont} font - Embedded font
+   * @param {string} text - Rendered text
+   * @param {Object} settings - {fontSize, color, opacity, rotation, layout, align, spacing, positionX, positionY}
+   * @returns {number} How many times the text was drawn
+   */
+  drawTextWatermark(page, frame, font, text, settings) {
+    const size = settings.fontSize;
+    const lines = text.split('\n').map(line => ({ text: line, width: font.widthOfTextAtSize(line, size) }));
+    const blockWidth = Math.max(...lines.map(line => line.width));
+    if (blockWidth === 0) return 0;
+
+    const lineGap = size * LINE_HEIGHT;
+    const textHeight = font.heightAtSize(size);
+    const descent = textHeight - font.heightAtSize(size, { descender: false });
+    const blockHeight = textHeight + (lines.length - 1) * lineGap;
+    const banded = settings.layout === 'header' || settings.layout === 'footer';
+    const padding = size * 0.5;
+    const color = rgb(settings.color.r, settings.color.g, settings.color.b);
+
+    if (banded) {
+      const bandHeight = blockHeight + 2 * padding;
+      const corner = this.toPageSpace(frame, 0, settings.layout === 'header' ? frame.height - bandHeight : 0);
+      page.drawRectangle({
+        x: corner.x,
+        y: corner.y,
+        width: frame.width,
+        height: bandHeight,
+        color,
+        opacity: settings.opacity * 0.25,
+        rotate: degrees(frame.rotation)
+      });
+    }
+
+    const placements = this.getPlacements(frame, blockWidth, blockHeight, settings, 'origin', padding);
+    placements.forEach(placement => {
+      const angle = placement.rotation * Math.PI / 180;
+      lines.forEach((line, index) => {
+        const dx = (blockWidth - line.width) * (settings.align === 'left' ? 0 : settings.align === 'right' ? 1 : 0.5);
+        // The first line is on top; in a band the descenders stay inside the padding
+        const dy = (lines.length - 1 - index) * lineGap + (banded ? descent : 0);
+        const point = this.toPageSpace(frame, placement.x + dx * Math.cos(angle) - dy * Math.sin(angle), placement.y + dx * Math.sin(angle) + dy * Math.cos(angle));
+        page.drawText(line.text, {
+          x: point.x,
+          y: point.y,
+          size,
+          font,
+          color,
+          opacity: settings.opacity,
+          rotate: degrees(placement.rotation + frame.rotation)
+        });
+      });
+    });
+    return placements.length;
+  }
+
+  /**
+   * Draw an embedded image on a page in the chosen layout
+   * The percentage position places the image like the text (0% = left/bottom edge, 100% = right/top edge);
+   * rotation turns it around its center so it stays at that spot.
+   * @param {PDFPage} page - Page
+   * @param {PDFImage} image - Embedded image
+   * @param {Object} settings - {imageScale, opacity, rotation, layout, align, spacing, positionX, positionY}
+   * @returns {number} How many times the image was drawn
+   */
+  drawImageWatermark(page, image, settings) {
+    const frame = this.getPageFrame(page);
+    const w = frame.width * settings.imageScale;
+    const h = w * image.height / image.width;
+    const margin = Math.min(frame.width, frame.height) * 0.03;
+
+    const placements = this.getPlacements(frame, w, h, settings, 'center', margin);
+    placements.forEach(placement => {
+      const point = this.toPageSpace(frame, placement.x, placement.y);
+      page.drawImage(image, {
+        x: point.x,
+        y: point.y,
+        width: w,
+        height: h,
+        opacity: settings.opacity,
+        rotate: degrees(placement.rotation + frame.rotation)
+      });
+    });
+    return placements.length;
+  }
+
   /**
    * Parse color string to RGB object
    * @param {string} colorString - Color name or hex
@@ -278,6 +1019,19 @@ class WatermarkProcessor {
       errors.push(`Invalid preset: ${options.preset}`);
     }
 
+    if (options.firstPagePreset && !this.presets[options.firstPagePreset]) {
+      errors.push(`Invalid first page preset: ${options.firstPagePreset}`);
+    }
+
+    if (options.pages !== undefined) {
+      try {
+        // Numbers beyond a document's length are left out, so only the syntax can be checked here
+        this.parsePages(options.pages, 1);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
     if (options.opacity !== undefined) {
       const opacity = parseFloat(options.opacity);
       if (isNaN(opacity) || opacity < 0 || opacity > 1) {
@@ -299,6 +1053,52 @@ class WatermarkProcessor {
       }
     }
 
+    const unknown = this.getTextVariables(options.customText).filter(name => !TEXT_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+      errors.push(`Unknown watermark variable {${unknown[0]}}. Use ${TEXT_VARIABLES.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    if (options.layout && !LAYOUTS.includes(options.layout)) {
+      errors.push(`Invalid layout: ${options.layout}. Use ${LAYOUTS.join(', ')}`);
+    }
+
+    if (options.align && !ALIGNMENTS.includes(options.align)) {
+      errors.push(`Invalid alignment: ${options.align}. Use ${ALIGNMENTS.join(', ')}`);
+    }
+
+    if (options.spacing !== undefined) {
+      const spacing = parseFloat(options.spacing);
+      if (isNaN(spacing) || spacing < 0 || spacing > 1000) {
+        errors.push('Spacing must be a number of points between 0 and 1000');
+      }
+    }
+
+    if (options.font && !this.getFonts().some(font => font.name === options.font)) {
+      errors.push(`Unknown font: ${options.font}. Use ${this.getFonts().map(font => font.name).join(', ')}`);
+    } else if (options.fontFile && !this.getFontType(options.fontFile)) {
+      errors.push('Font must be a TrueType (.ttf) or OpenType (.otf) file');
+    } else if (!options.image) {
+      // Variables are filled in when the watermark is drawn, so only the fixed part of the text is checked here
+      const preset = options.preset ? this.presets[options.preset] : null;
+      const text = options.customText && options.customText.trim() ? options.customText : (preset && preset.text) || '';
+      try {
+        this.selectFont([text.replace(VARIABLE_PATTERN, '')], options.fontFile || options.font || (preset && preset.font));
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    if (options.image && !this.getImageType(options.image)) {
+      errors.push('Image must be a PNG, JPEG or SVG file');
+    }
+
+    if (options.imageScale !== undefined) {
+      const imageScale = parseFloat(options.imageScale);
+      if (isNaN(imageScale) || imageScale < 0.01 || imageScale > 1) {
+        errors.push('Image scale must be a number between 0.01 and 1');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors: errors
@@ -6,16 +6,33 @@ const fs = require('fs');
 const PDFParser = require('./lib/pdfParser');
 const DocumentClassifier = require('./lib/classifier');
 const FileOrganizer = require('./lib/fileOrganizer');
+const DocumentSplitter = require('./lib/documentSplitter');
+const ReviewQueue = require('./lib/reviewQueue');
+const JobStore = require('./lib/jobStore');
+const JobRunner = require('./lib/jobRunner');
+const SequenceRegistry = require('./lib/sequenceRegistry');
+const DuplicateDetector = require('./lib/duplicateDetector');
+const NamingTemplate = require('./lib/namingTemplate');
 const WatermarkProcessor = require('./lib/watermarkProcessor');
+const { TaxonomyRegistry } = require('./lib/taxonomy');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 // Initialize modules
 const pdfParser = new PDFParser();
-const classifier = new DocumentClassifier();
-const fileOrganizer = new FileOrganizer();
+const taxonomies = new TaxonomyRegistry();
+const classifier = new DocumentClassifier({ taxonomies });
+// DOCUMENT_NUMBERING=batch restores numbering from each request's start numbers
+const sequences = process.env.DOCUMENT_NUMBERING === 'batch' ? null : new SequenceRegistry();
+// Uploads are fingerprinted and checked against earlier batches and jobs (DUPLICATE_DETECTION=false turns this off)
+const duplicates = new DuplicateDetector({ pdfParser });
 const watermarkProcessor = new WatermarkProcessor();
+const fileOrganizer = new FileOrganizer({ taxonomies, sequences, duplicates, watermarkProcessor });
+const documentSplitter = new DocumentSplitter({ classifier });
+const reviewQueue = new ReviewQueue({ taxonomies });
+const jobStore = new JobStore({ taxonomies });
+const jobRunner = new JobRunner();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -46,6 +63,567 @@ const upload = multer({
   }
 });
 
+// Watermark requests carry PDFs plus an optional image (logo) in the 'image' field; fonts are uploaded in the 'font' field
+const WATERMARK_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+// Browsers send fonts with differing MIME types, so they are recognised by their extension
+const WATERMARK_FONT_FILE = /\.(ttf|otf)$/i;
+const watermarkUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'font') {
+      return WATERMARK_FONT_FILE.test(file.originalname) ? cb(null, true) : cb(new Error('Watermark fonts must be TTF or OTF files!'), false);
+    }
+    if (file.fieldname === 'image' ? WATERMARK_IMAGE_TYPES.includes(file.mimetype) : file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error(file.fieldname === 'image' ? 'Watermark images must be PNG, JPEG or SVG files!' : 'Only PDF files are allowed!'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+/**
+ * Per-request classifier settings from the body or query string
+ * provider: openai, azure, openai-compatible, mock or local (offline model)
+ * @param {Object} req - Express request
+ * @returns {Object} {taxonomy, provider, model, temperature, maxTokens}
+ */
+function getClassifierOptions(req) {
+  const value = name => (req.body && req.body[name] !== undefined ? req.body[name] : req.query[name]);
+  return {
+    taxonomy: value('taxonomy'),
+    provider: value('provider'),
+    model: value('model'),
+    temperature: value('temperature'),
+    maxTokens: value('maxTokens')
+  };
+}
+
+/**
+ * Output options from the request (body or query)
+ * @param {Object} req - Express request
+ * @returns {Object} {filenameTemplate, folderTemplate, manifestFormat, duplicateAction, watermarkPreset, watermarkText, user};
+ *                   unset ones fall back to the taxonomy and environment
+ */
+function getOutputOptions(req) {
+  const value = name => (req.body && req.body[name] ? req.body[name] : req.query[name]) || undefined;
+  return {
+    filenameTemplate: value('filenameTemplate'),
+    folderTemplate: value('folderTemplate'),
+    manifestFormat: value('manifestFormat'),
+    duplicateAction: value('duplicateAction'),
+    // Stamp every organized copy, e.g. "COPY {documentNumber} - {requester}"
+    watermarkPreset: value('watermarkPreset'),
+    watermarkText: value('watermarkText'),
+    user: value('user')
+  };
+}
+
+/**
+ * Watermark options from a watermark form (POST /api/watermark and its preview)
+ * @param {Object} body - Request body
+ * @param {Object} imageFile - Uploaded image (multer file) or null
+ * @returns {Object} Options for WatermarkProcessor.addWatermark()
+ */
+function getWatermarkOptions(body, imageFile) {
+  const { preset, customText, opacity, fontSize, color, rotation, positionX, positionY, imageScale, layout, align, spacing, font, pages, firstPagePreset } = body;
+  return {
+    preset: preset,
+    customText: customText,
+    opacity: opacity ? parseFloat(opacity) : undefined,
+    fontSize: fontSize ? parseInt(fontSize) : undefined,
+    color: color,
+    rotation: rotation ? parseInt(rotation) : undefined,
+    positionX: positionX ? parseInt(positionX) : undefined,
+    positionY: positionY ? parseInt(positionY) : undefined,
+    imageScale: imageScale ? parseFloat(imageScale) : undefined,
+    layout: layout || undefined,
+    align: align || undefined,
+    spacing: spacing ? parseFloat(spacing) : undefined,
+    font: font || undefined,
+    pages: pages || undefined,
+    firstPagePreset: firstPagePreset || undefined,
+    image: imageFile ? fs.readFileSync(imageFile.path) : undefined
+  };
+}
+
+/**
+ * Reject requests with a filename or folder template that does not parse, an unknown manifest format, duplicate action
+ * or watermark preset, or a watermark text with unknown variables (runs after the upload parser)
+ */
+function validateOutputOptions(req, res, next) {
+  const output = getOutputOptions(req);
+  try {
+    if (output.filenameTemplate) new NamingTemplate(output.filenameTemplate, { type: 'filename' });
+    if (output.folderTemplate) new NamingTemplate(output.folderTemplate, { type: 'folder' });
+    if (output.manifestFormat) fileOrganizer.manifestWriter.getFormat(output.manifestFormat);
+    if (output.duplicateAction) fileOrganizer.getDuplicateAction(output.duplicateAction);
+    if (output.watermarkPreset || output.watermarkText) {
+      const validation = watermarkProcessor.validateOptions({ preset: output.watermarkPreset, customText: output.watermarkText });
+      if (!validation.isValid) throw new Error(validation.errors.join('; '));
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  next();
+}
+
+/**
+ * Reject requests naming a taxonomy that is not defined (runs after the upload parser)
+ */
+function validateTaxonomy(req, res, next) {
+  const taxonomy = getClassifierOptions(req).taxonomy;
+  if (taxonomy && !taxonomies.has(taxonomy)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown taxonomy "${taxonomy}". Available: ${taxonomies.getNames().join(', ')}`
+    });
+  }
+  next();
+}
+
+/**
+ * Require the X-Admin-Token header when ADMIN_TOKEN is set (admin endpoints)
+ */
+function requireAdmin(req, res, next) {
+  if (process.env.ADMIN_TOKEN && req.get('X-Admin-Token') !== process.env.ADMIN_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin token required'
+    });
+  }
+  next();
+}
+
+/**
+ * Review summary for organize responses
+ * @param {Array} held - Items held by reviewQueue.holdForReview
+ * @returns {Object} {threshold, held: [{id, filename, reason, category, confidence}]}
+ */
+function summarizeHeld(held) {
+  return {
+    threshold: reviewQueue.threshold,
+    held: held.map(item => ({
+      id: item.id,
+      filename: item.filename,
+      reason: item.reason,
+      category: item.suggestion.category,
+      confidence: item.suggestion.confidence
+    }))
+  };
+}
+
+/**
+ * Organize a stored job from its own files and results, without upload or classification
+ * Results held for review earlier are filed with the reviewer's decision once approved; pending ones stay held.
+ * @param {Object} job - Job from the job store
+ * @param {Object} options - {download}, {outputDir}, {numberingConfig}, {output} from getOutputOptions(), {source}
+ * @returns {Promise<Object>} {organization, review, download, run}
+ */
+async function organizeJob(job, options = {}) {
+  const taxonomy = job.options.taxonomy;
+  const fileMapping = jobStore.getFileMapping(job);
+  const decided = [];
+  const pending = [];
+  const toCheck = [];
+
+  jobStore.getEffectiveResults(job).forEach(result => {
+    const reviewId = job.reviewItems[result.filename];
+    if (!reviewId || result.reviewed) {
+      toCheck.push(result);
+      return;
+    }
+    const item = reviewQueue.get(reviewId);
+    if (item && item.review) {
+      decided.push(item);
+    } else if (item) {
+      pending.push(item);
+    } else {
+      console.log(`[JOBS] ${result.filename} was removed from the review queue, skipping`);
+    }
+  });
+
+  const { accepted, held } = await reviewQueue.holdForReview(toCheck, fileMapping, {
+    taxonomy,
+    outputDir: options.download ? undefined : options.outputDir,
+    source: options.source || 'job',
+    jobId: job.id
+  });
+  const results = decided.map(item => reviewQueue.toClassificationResult(item)).concat(accepted);
+
+  const tempDir = path.join(__dirname, 'temp', 'organize', `${job.id}_${Date.now()}`);
+  const organizeOptions = { taxonomy, jobId: job.id, ...options.output };
+  try {
+    let organization;
+    let zipResult = null;
+    if (options.download) {
+      organization = await fileOrganizer.organizeFilesForDownload(results, fileMapping, tempDir, organizeOptions);
+      if (organization.success) {
+        zipResult = await fileOrganizer.createZipFromOrganizedFiles(organization.tempDir);
+        if (!zipResult.success) {
+          throw new Error(zipResult.error);
+        }
+      }
+    } else {
+      organization = await fileOrganizer.organizeFilesWithNumbering(
+        results,
+        jobStore.getFilesDir(job),
+        options.outputDir,
+        options.numberingConfig || {},
+        organizeOptions
+      );
+    }
+    if (!organization.success) {
+      throw new Error(organization.error);
+    }
+
+    const target = zipResult ? { zipId: zipResult.zipId, filename: zipResult.filename } : { outputDir: options.outputDir };
+    const organizedNames = organization.organized.map(file => file.originalName);
+    await reviewQueue.markOrganized(decided.filter(item => organizedNames.includes(item.filename)).map(item => item.id), target);
+
+    const run = await jobStore.addRun(job, {
+      source: options.source || 'job',
+      target,
+      numbering: options.download ? {} : options.numberingConfig,
+      output: options.output,
+      organization,
+      held: held.concat(pending),
+      zipPath: zipResult ? zipResult.zipPath : null
+    });
+
+    return {
+      organization,
+      review: summarizeHeld(held.concat(pending)),
+      download: zipResult ? {
+        zipId: zipResult.zipId,
+        filename: zipResult.filename,
+        summary: organization.summary,
+        skipped: organization.skipped,
+        manifest: organization.manifest.success ? organization.manifest.filename : null
+      } : null,
+      run
+    };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Organize a stored job for an API request and send the response
+ * @param {Object} res - Express response
+ * @param {string} jobId - Job id
+ * @param {Object} options - {results} submitted results carrying the user's corrections, plus organizeJob() options
+ */
+async function sendJobOrganization(res, jobId, options) {
+  const job = jobStore.get(jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${jobId}`
+    });
+  }
+
+  if (['created', 'processing'].includes(job.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job ${jobId} is still being processed`
+    });
+  }
+
+  if (options.results) {
+    const overrides = await jobStore.recordOverrides(job, options.results);
+    if (!overrides.success) {
+      return res.status(400).json(overrides);
+    }
+  }
+
+  console.log(`[JOBS] Organizing ${job.id} ${options.download ? 'for download' : `into ${options.outputDir}`}...`);
+  const result = await organizeJob(job, options);
+  res.json({
+    success: true,
+    jobId: job.id,
+    runId: result.run.id,
+    classification: {
+      success: true,
+      results: jobStore.getEffectiveResults(job)
+    },
+    organization: result.organization,
+    review: result.review,
+    ...(result.download ? { download: result.download } : {})
+  });
+}
+
+/**
+ * Statistics returned with batch classification results
+ * @param {Array} results - Classification results
+ * @param {string} processingTime - e.g. "12.3s"
+ * @returns {Object} {totalDocuments, successfulClassifications, failedClassifications, processingTime, categoryBreakdown}
+ */
+function getBatchStatistics(results, processingTime) {
+  const statistics = {
+    totalDocuments: results.length,
+    successfulClassifications: results.filter(r => r.success).length,
+    failedClassifications: results.filter(r => !r.success).length,
+    processingTime: processingTime,
+    categoryBreakdown: {}
+  };
+
+  results.filter(r => r.success).forEach(result => {
+    statistics.categoryBreakdown[result.category] = (statistics.categoryBreakdown[result.category] || 0) + 1;
+  });
+  return statistics;
+}
+
+/**
+ * Progress of a background job
+ * Jobs the runner no longer remembers (finished long ago, or before a restart) are described from the job store.
+ * @param {string} id - Job id
+ * @returns {Object|null} Runner state, or null when the job is unknown
+ */
+function getJobProgress(id) {
+  const state = jobRunner.getState(id);
+  if (state) return state;
+
+  const job = jobStore.get(id);
+  if (!job) return null;
+  // A job stored as created or processing was cut off by a restart
+  const status = job.status === 'failed' ? 'failed' : (['created', 'processing'].includes(job.status) ? 'interrupted' : 'completed');
+  return {
+    id: job.id,
+    type: job.type,
+    status,
+    phase: null,
+    total: job.files.length,
+    completed: job.results.filter(result => result.success).length,
+    failed: job.results.filter(result => !result.success).length,
+    items: job.results.map(result => ({
+      filename: result.filename,
+      status: result.success ? 'done' : 'failed',
+      category: result.category,
+      confidence: result.confidence,
+      ...(result.error ? { error: result.error } : {})
+    })),
+    result: null,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: null,
+    finishedAt: status === 'interrupted' ? null : job.updatedAt,
+    position: 0
+  };
+}
+
+/**
+ * Queue a batch on the job runner and answer 202 with its job id, or with its result when wait=true
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - Job type ('classify' or 'organize')
+ * @param {Array} documents - [{pdfBuffer, filename}], stored with the job
+ * @param {Function} work - async (job, progress) => response body; job is null when the job store is disabled
+ */
+async function runBatch(req, res, type, documents, work) {
+  const job = await jobStore.create({ type, options: getClassifierOptions(req), documents });
+  const state = jobRunner.submit({
+    id: job ? job.id : undefined,
+    type,
+    filenames: documents.map(doc => doc.filename),
+    run: async progress => {
+      try {
+        if (job) await jobStore.setStatus(job, 'processing');
+        return await work(job, progress);
+      } catch (error) {
+        if (job) await jobStore.setStatus(job, 'failed', error.message);
+        throw error;
+      }
+    }
+  });
+
+  const wait = [req.body && req.body.wait, req.query.wait].some(value => value === true || value === 'true');
+  if (wait) {
+    const final = await jobRunner.wait(state.id);
+    if (final.status === 'failed') {
+      throw new Error(final.error);
+    }
+    return res.json(final.result);
+  }
+
+  res.status(202).json({
+    success: true,
+    jobId: state.id,
+    status: state.status,
+    position: state.position,
+    total: state.total,
+    progressUrl: `/api/jobs/${state.id}/progress`,
+    eventsUrl: `/api/jobs/${state.id}/events`
+  });
+}
+
+/**
+ * Classify a batch in a background job
+ * @param {Object} job - Stored job or null
+ * @param {Array} documents - [{pdfBuffer, filename}]
+ * @param {Object} options - Classifier options
+ * @param {Object} progress - Progress reporter from the job runner
+ * @returns {Promise<Object>} {success, jobId, results, statistics}
+ */
+async function classifyBatchJob(job, documents, options, progress) {
+  const startTime = Date.now();
+  progress.setPhase('classifying');
+  const results = await classifier.classifyBatchFromBuffers(documents, {
+    ...options,
+    concurrency: progress.concurrency,
+    onProgress: progress.update
+  });
+
+  progress.setPhase('duplicates');
+  await duplicates.flag(documents, results, { jobId: job ? job.id : undefined });
+
+  const processingTime = `${(Date.now() - startTime) / 1000}s`;
+  console.log(`[SERVER] Batch classification completed in ${processingTime}`);
+  console.log(`[SERVER] Results summary:`, results.map(r => ({ 
+    filename: r.filename, 
+    success: r.success, 
+    category: r.category 
+  })));
+
+  if (job) {
+    await jobStore.setResults(job, results);
+  }
+
+  return {
+    success: true,
+    ...(job ? { jobId: job.id } : {}),
+    results: results,
+    statistics: getBatchStatistics(results, processingTime)
+  };
+}
+
+/**
+ * Split (optionally), classify and organize uploaded documents in a background job
+ * @param {Object} job - Stored job or null
+ * @param {Array} documents - [{pdfBuffer, filename}]
+ * @param {Object} settings - {outputDir, split, options, output} where options are the classifier options and output the output options
+ * @param {Object} progress - Progress reporter from the job runner
+ * @returns {Promise<Object>} Same body /api/organize used to answer with
+ */
+async function organizeUploadsJob(job, documents, settings, progress) {
+  const { outputDir, options } = settings;
+
+  // Scanner batches can hold several forms back-to-back; split them before classification
+  let splitReports = null;
+  if (settings.split) {
+    console.log('[ORGANIZE] Splitting multi-document PDFs...');
+    progress.setPhase('splitting');
+    const splitResult = await documentSplitter.splitBatch(documents, options);
+    documents = splitResult.documents;
+    splitReports = splitResult.reports;
+    progress.setItems(documents.map(doc => doc.filename));
+    if (job) {
+      await jobStore.addFiles(job, documents);
+    }
+  }
+
+  console.log('[ORGANIZE] Starting classification...');
+  progress.setPhase('classifying');
+  const classificationResults = await classifier.classifyBatchFromBuffers(documents, {
+    ...options,
+    concurrency: progress.concurrency,
+    onProgress: progress.update
+  });
+  
+  if (!Array.isArray(classificationResults) || classificationResults.length === 0) {
+    throw new Error('Classification failed: Invalid or empty results');
+  }
+
+  progress.setPhase('duplicates');
+  await duplicates.flag(documents, classificationResults, { jobId: job ? job.id : undefined });
+
+  // Check if any classification failed
+  const failedClassifications = classificationResults.filter(result => !result.success);
+  if (failedClassifications.length > 0) {
+    console.log('[ORGANIZE] Some classifications failed:', failedClassifications.map(f => f.filename));
+  }
+
+  // Log classification results
+  console.log('[ORGANIZE] Classification details:');
+  classificationResults.forEach((result, index) => {
+    console.log(`[ORGANIZE] File ${index + 1}: ${result.filename} -> ${result.success ? result.category : 'FAILED'} (${result.success ? Math.round(result.confidence * 100) + '%' : result.error})`);
+  });
+
+  // Then organize the files
+  console.log('[ORGANIZE] Starting file organization...');
+  progress.setPhase('organizing');
+  
+  // Low-confidence and failed results wait in the review queue instead of being filed
+  const sources = Object.fromEntries(documents.map(doc => [doc.filename, doc.pdfBuffer]));
+  const { accepted, held } = await reviewQueue.holdForReview(classificationResults, sources, {
+    taxonomy: options.taxonomy,
+    outputDir,
+    source: 'organize'
+  });
+
+  console.log('[ORGANIZE] Documents:', documents.map(doc => doc.filename));
+  console.log('[ORGANIZE] Target directory:', outputDir);
+  
+  // Write the documents (split parts or the uploads) to a temporary directory under their names for organization
+  const tempOrgDir = path.join(__dirname, 'temp', 'organize', `upload_${Date.now()}`);
+  fs.mkdirSync(tempOrgDir, { recursive: true });
+  
+  let organizationResult;
+  try {
+    for (const doc of documents) {
+      fs.writeFileSync(path.join(tempOrgDir, doc.filename), doc.pdfBuffer);
+    }
+    
+    organizationResult = await fileOrganizer.organizeFiles(
+      accepted,
+      tempOrgDir,  // Source directory (temp directory with original names)
+      outputDir,   // Target directory (where organized files should go)
+      {
+        taxonomy: options.taxonomy,
+        folderTemplate: settings.output.folderTemplate,
+        manifestFormat: settings.output.manifestFormat,
+        duplicateAction: settings.output.duplicateAction,
+        watermarkPreset: settings.output.watermarkPreset,
+        watermarkText: settings.output.watermarkText,
+        user: settings.output.user,
+        jobId: job ? job.id : undefined
+      }
+    );
+  } finally {
+    // Clean up temporary organization directory
+    fs.rmSync(tempOrgDir, { recursive: true, force: true });
+  }
+
+  if (job) {
+    await jobStore.setResults(job, classificationResults);
+    await jobStore.addRun(job, { source: 'organize', target: { outputDir }, organization: organizationResult, held });
+  }
+
+  console.log('[ORGANIZE] Organization result:', {
+    success: organizationResult.success,
+    organized: organizationResult.organized ? organizationResult.organized.length : 0,
+    summary: organizationResult.summary
+  });
+
+  console.log('[ORGANIZE] Process completed successfully');
+  return {
+    success: true,
+    ...(job ? { jobId: job.id } : {}),
+    classification: {
+      success: true,
+      results: classificationResults
+    },
+    organization: organizationResult,
+    review: summarizeHeld(held),
+    ...(splitReports ? { split: splitReports } : {})
+  };
+}
+
 // Middleware
 app.use(express.json({ limit: '50mb' })); // Increased limit for base64 PDF files
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
@@ -211,6 +789,32 @@ app.get('/landing', (req, res) => {
             margin: 0 auto 10px;
         }
         
+        .progress-bar {
+            background: #e9ecef;
+            border-radius: 10px;
+            height: 20px;
+            max-width: 500px;
+            margin: 0 auto 10px;
+            overflow: hidden;
+        }
+        
+        .progress-fill {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            height: 100%;
+            width: 0;
+            transition: width 0.3s;
+        }
+        
+        .progress-items {
+            max-width: 500px;
+            max-height: 150px;
+            margin: 0 auto;
+            overflow-y: auto;
+            text-align: left;
+            font-size: 0.85em;
+            color: #666;
+        }
+        
         @keyframes spin {
             0% { transform: rotate(0deg); }
             100% { transform: rotate(360deg); }
@@ -308,6 +912,9 @@ app.get('/landing', (req, res) => {
             <button class="tab-btn" onclick="showTab('classify')" id="classifyTab">
                 Classify Documents
             </button>
+            <button class="tab-btn" onclick="showTab('review')" id="reviewTab">
+                Review Queue <span id="reviewCount"></span>
+            </button>
             <button class="tab-btn" onclick="showTab('watermark')" id="watermarkTab">
                 Watermark Tool
             </button>
@@ -361,6 +968,14 @@ app.get('/landing', (req, res) => {
                     <input type="file" id="classifyFileInput" name="pdfs" accept=".pdf" multiple required>
                 </div>
                 
+                <div id="classifyTaxonomyGroup" style="margin: 20px 0; text-align: center; display: none;">
+                    <label for="classifyTaxonomy" style="display: block; margin-bottom: 10px; color: #333; font-weight: bold;">
+                        Category Set:
+                    </label>
+                    <select id="classifyTaxonomy" name="taxonomy" style="padding: 10px; border: 2px solid #667eea; border-radius: 8px; font-size: 1em; background: white; min-width: 200px;">
+                    </select>
+                </div>
+                
                 <div style="text-align: center;">
                     <button type="submit" class="btn">Classify Documents</button>
                     <button type="button" class="btn" onclick="clearClassifyResult()">Clear</button>
@@ -368,13 +983,27 @@ app.get('/landing', (req, res) => {
             </form>
             
             <div class="loading" id="classifyLoading">
-                <div class="spinner"></div>
-                <p>Classifying documents...</p>
+                <div class="progress-bar"><div class="progress-fill" id="classifyProgressFill"></div></div>
+                <p id="classifyProgressText">Uploading documents...</p>
+                <div class="progress-items" id="classifyProgressItems"></div>
             </div>
             
             <div class="result" id="classifyResult"></div>
         </div>
         
+        <!-- Review Queue Tab -->
+        <div id="reviewContent" class="tab-content">
+            <div style="text-align: center; margin-bottom: 20px;">
+                <p id="reviewSummary" style="color: #666;">Documents below the confidence threshold wait here until they are approved or corrected.</p>
+                <button type="button" class="btn" onclick="loadReviewQueue()">Refresh</button>
+                <button type="button" class="btn" onclick="organizeApprovedReviews()">Download Approved (ZIP)</button>
+                <a href="/api/review/labels.csv" class="btn" style="text-decoration: none; display: inline-block;">Export Labels CSV</a>
+            </div>
+
+            <div class="result" id="reviewResult"></div>
+            <div id="reviewItems"></div>
+        </div>
+        
         <!-- Watermark Tool Tab -->
         <div id="watermarkContent" class="tab-content">
             <form id="watermarkForm" enctype="multipart/form-data">
@@ -400,7 +1029,18 @@ app.get('/landing', (req, res) => {
                     
                     <div style="margin-bottom: 15px;">
                         <label for="customText" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Text:</label>
-                        <input type="text" id="customText" placeholder="Enter watermark text or use preset" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                        <textarea id="customText" rows="2" placeholder="Enter watermark text or use preset (each line is a line of the watermark)" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; resize: vertical;"></textarea>
+                        <p style="margin: 5px 0 0 0; color: #666; font-size: 0.85em;">Variables: {filename} {page} {pageCount} {date} {user}, e.g. "COPY - page {page} of {pageCount}". Organized copies also have {documentNumber} {category} {requester}.</p>
+                    </div>
+                    
+                    <div style="margin-bottom: 15px;">
+                        <label for="watermarkImage" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Image / Logo (PNG, JPEG or SVG - stamped instead of the text):</label>
+                        <input type="file" id="watermarkImage" accept=".png,.jpg,.jpeg,.svg,image/png,image/jpeg,image/svg+xml" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; background: white;">
+                    </div>
+                    
+                    <div style="margin-bottom: 15px;">
+                        <label for="imageScale" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Image Width: <span id="imageScaleValue">25</span>% of the page</label>
+                        <input type="range" id="imageScale" min="5" max="100" step="5" value="25" style="width: 100%;">
                     </div>
                     
                     <div style="margin-bottom: 15px;">
@@ -413,6 +1053,13 @@ app.get('/landing', (req, res) => {
                         <input type="number" id="fontSize" value="48" min="12" max="200" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
                     </div>
                     
+                    <div style="margin-bottom: 15px;">
+                        <label for="watermarkFont" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Font:</label>
+                        <select id="watermarkFont" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            <option value="">Automatic (Helvetica, Unicode font when needed)</option>
+                        </select>
+                    </div>
+                    
                     <div style="margin-bottom: 15px;">
                         <label for="color" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Color:</label>
                         <input type="color" id="color" value="#ff0000" style="width: 100%; height: 40px; border: 1px solid #ddd; border-radius: 4px;">
@@ -446,10 +1093,49 @@ app.get('/landing', (req, res) => {
                         <label for="rotation" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Rotation (degrees):</label>
                         <input type="number" id="rotation" value="45" min="-180" max="180" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
                     </div>
+                    
+                    <div style="display: flex; gap: 10px; margin-bottom: 15px;">
+                        <div style="flex: 1;">
+                            <label for="watermarkLayout" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Layout:</label>
+                            <select id="watermarkLayout" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                                <option value="single">Single (at the position above)</option>
+                                <option value="tile">Tiled pattern</option>
+                                <option value="header">Header band</option>
+                                <option value="footer">Footer band</option>
+                            </select>
+                        </div>
+                        <div style="flex: 1;">
+                            <label for="watermarkAlign" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Alignment:</label>
+                            <select id="watermarkAlign" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                                <option value="left">Left</option>
+                                <option value="center" selected>Center</option>
+                                <option value="right">Right</option>
+                            </select>
+                        </div>
+                        <div style="flex: 1;">
+                            <label for="watermarkSpacing" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Tile Spacing (pt):</label>
+                            <input type="number" id="watermarkSpacing" value="60" min="0" max="1000" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                        </div>
+                    </div>
+                    
+                    <div style="display: flex; gap: 10px; margin-bottom: 15px;">
+                        <div style="flex: 1;">
+                            <label for="watermarkPages" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">Pages:</label>
+                            <input type="text" id="watermarkPages" placeholder="All pages, or e.g. 1-3,7 / first / last / odd / even / all except first" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                        </div>
+                        <div style="flex: 1;">
+                            <label for="firstPagePreset" style="display: block; margin-bottom: 5px; color: #333; font-weight: bold;">First Page Preset:</label>
+                            <select id="firstPagePreset" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                                <option value="">Same as the other pages</option>
+                            </select>
+                        </div>
+                    </div>
                 </div>
                 
                 <div style="text-align: center;">
                     <button type="submit" class="btn">Add Watermark</button>
+                    <button type="button" class="btn" onclick="previewWatermark()">Preview</button>
+                    <button type="button" class="btn" onclick="saveWatermarkPreset()">Save as Preset</button>
                     <button type="button" class="btn" onclick="clearWatermarkResult()">Clear</button>
                 </div>
             </form>
@@ -460,6 +1146,11 @@ app.get('/landing', (req, res) => {
             </div>
             
             <div class="result" id="watermarkResult"></div>
+            
+            <div id="watermarkPreview" style="display: none; margin-top: 20px;">
+                <h3 style="color: #333;">Preview (first page)</h3>
+                <iframe id="watermarkPreviewFrame" title="Watermark preview" style="width: 100%; height: 600px; border: 1px solid #ddd; border-radius: 8px;"></iframe>
+            </div>
         </div>
     </div>
 
@@ -468,17 +1159,21 @@ app.get('/landing', (req, res) => {
         function showTab(tabName) {
             const extractTab = document.getElementById('extractTab');
             const classifyTab = document.getElementById('classifyTab');
+            const reviewTab = document.getElementById('reviewTab');
             const watermarkTab = document.getElementById('watermarkTab');
             const extractContent = document.getElementById('extractContent');
             const classifyContent = document.getElementById('classifyContent');
+            const reviewContent = document.getElementById('reviewContent');
             const watermarkContent = document.getElementById('watermarkContent');
             
             // Remove active class from all tabs and content
             extractTab.classList.remove('active');
             classifyTab.classList.remove('active');
+            reviewTab.classList.remove('active');
             watermarkTab.classList.remove('active');
             extractContent.classList.remove('active');
             classifyContent.classList.remove('active');
+            reviewContent.classList.remove('active');
             watermarkContent.classList.remove('active');
             
             // Add active class to selected tab and content
@@ -488,10 +1183,16 @@ app.get('/landing', (req, res) => {
             } else if (tabName === 'classify') {
                 classifyTab.classList.add('active');
                 classifyContent.classList.add('active');
+                loadTaxonomies(); // Load category sets when classify tab is shown
+            } else if (tabName === 'review') {
+                reviewTab.classList.add('active');
+                reviewContent.classList.add('active');
+                loadTaxonomies().then(loadReviewQueue); // Category dropdowns need the taxonomies
             } else if (tabName === 'watermark') {
                 watermarkTab.classList.add('active');
                 watermarkContent.classList.add('active');
                 loadWatermarkPresets(); // Load presets when watermark tab is shown
+                loadWatermarkFonts();
             }
         }
         
@@ -683,6 +1384,11 @@ app.get('/landing', (req, res) => {
                             '<span>Paragraphs:</span>' +
                             '<span>' + stats.paragraphs.toLocaleString() + '</span>' +
                         '</div>' +
+                        (stats.pageSources ?
+                            '<div class="metadata-item">' +
+                                '<span>Page Sources:</span>' +
+                                '<span>' + stats.pageSources.text + ' text layer, ' + stats.pageSources.ocr + ' OCR</span>' +
+                            '</div>' : '') +
                     '</div>' +
                     '<div class="text-preview">' +
                         '<h4>Text Preview (first 1000 characters):</h4>' +
@@ -773,6 +1479,7 @@ app.get('/landing', (req, res) => {
             
             classifyLoading.style.display = 'block';
             classifyResult.style.display = 'none';
+            updateClassifyProgress(null);
             
             try {
                 // Convert files to base64
@@ -798,14 +1505,26 @@ app.get('/landing', (req, res) => {
                     headers: {
                         'Content-Type': 'application/json'
                     },
-                    body: JSON.stringify({ documents })
+                    body: JSON.stringify({ documents, taxonomy: document.getElementById('classifyTaxonomy').value || undefined })
                 });
                 
-                const data = await response.json();
+                let data = await response.json();
+                let succeeded = response.ok && data.success;
+                
+                if (succeeded && response.status === 202) {
+                    // Classification runs as a background job on the server; follow its progress
+                    console.log('[FRONTEND] Classification queued as job ' + data.jobId);
+                    const state = await followJobProgress(data.jobId, updateClassifyProgress);
+                    succeeded = state.status === 'completed' && state.result && state.result.success;
+                    data = succeeded ? state.result : { error: state.error || 'Classification job ' + state.status };
+                }
                 
-                if (response.ok && data.success) {
+                if (succeeded) {
                     console.log('[FRONTEND] Classification successful');
+                    await loadTaxonomies();
                     showClassifyResult(formatClassificationResult(data), 'success');
+                    loadNextNumbers(data.results);
+                    loadCopyWatermarkPresets();
                 } else {
                     console.error('[FRONTEND] Classification failed:', data.error);
                     
@@ -837,6 +1556,74 @@ app.get('/landing', (req, res) => {
             }
         });
 
+        // Follow a background job over Server-Sent Events, falling back to polling
+        function followJobProgress(jobId, onUpdate) {
+            return new Promise(resolve => {
+                let settled = false;
+                const finish = state => {
+                    if (settled) return;
+                    settled = true;
+                    onUpdate(state);
+                    resolve(state);
+                };
+                if (!window.EventSource) {
+                    pollJobProgress(jobId, onUpdate).then(finish);
+                    return;
+                }
+
+                const source = new EventSource('/api/jobs/' + jobId + '/events');
+                source.addEventListener('progress', event => onUpdate(JSON.parse(event.data)));
+                source.addEventListener('done', event => {
+                    source.close();
+                    finish(JSON.parse(event.data));
+                });
+                source.onerror = () => {
+                    source.close();
+                    if (!settled) pollJobProgress(jobId, onUpdate).then(finish);
+                };
+            });
+        }
+
+        async function pollJobProgress(jobId, onUpdate) {
+            while (true) {
+                const response = await fetch('/api/jobs/' + jobId + '/progress');
+                const data = await response.json();
+                if (!data.success) return { status: 'failed', error: data.error };
+
+                onUpdate(data.progress);
+                if (data.progress.status !== 'queued' && data.progress.status !== 'running') return data.progress;
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+
+        // Progress bar of the classify tab (null resets it)
+        function updateClassifyProgress(state) {
+            const fill = document.getElementById('classifyProgressFill');
+            const text = document.getElementById('classifyProgressText');
+            const items = document.getElementById('classifyProgressItems');
+            if (!state) {
+                fill.style.width = '0';
+                text.textContent = 'Uploading documents...';
+                items.innerHTML = '';
+                return;
+            }
+
+            const processed = state.completed + state.failed;
+            const percent = state.total > 0 ? Math.round(processed / state.total * 100) : 0;
+            const phases = { splitting: 'Splitting', classifying: 'Classifying', duplicates: 'Checking for duplicate', organizing: 'Organizing' };
+            fill.style.width = percent + '%';
+            text.textContent = state.status === 'queued'
+                ? 'Waiting for other jobs to finish (position ' + state.position + ')...'
+                : (phases[state.phase] || 'Classifying') + ' documents: ' + processed + ' of ' + state.total + ' (' + percent + '%)';
+
+            const icons = { queued: '⏳', processing: '🔄', done: '✅', failed: '❌' };
+            items.innerHTML = state.items.map(item => {
+                const confidence = typeof item.confidence === 'number' ? ' (' + Math.round(item.confidence * 100) + '%)' : '';
+                return '<div>' + (icons[item.status] || '') + ' ' + escapeHtml(item.filename) +
+                    (item.category ? ': ' + escapeHtml(item.category) + confidence : '') + '</div>';
+            }).join('');
+        }
+
         // Helper function to convert file to base64
         function fileToBase64(file) {
             return new Promise((resolve, reject) => {
@@ -863,6 +1650,185 @@ app.get('/landing', (req, res) => {
             document.querySelector('#classifyContent .upload-text').textContent = 'Click to select PDF files for classification';
         }
 
+        // Notice for results the server held in the review queue
+        function formatHeldForReview(review) {
+            if (!review || !review.held || review.held.length === 0) return '';
+            let html = '<div class="metadata" style="border-left: 4px solid #ffc107;"><h4>⏸️ Held for Review (' + review.held.length + ')</h4>' +
+                '<p style="margin: 5px 0; color: #856404;">Below ' + Math.round(review.threshold * 100) + '% confidence or not classified. ' +
+                'Approve or correct them in the <a href="#" onclick="showTab(&quot;review&quot;); return false;">Review Queue</a> tab.</p>';
+            review.held.forEach(item => {
+                const confidence = typeof item.confidence === 'number' ? Math.round(item.confidence * 100) + '%' : 'N/A';
+                html += '<div class="metadata-item"><span>📄 ' + escapeHtml(item.filename) + '</span><span>' + item.category + ' (' + confidence + ', ' + item.reason + ')</span></div>';
+            });
+            return html + '</div>';
+        }
+
+        function escapeHtml(value) {
+            return String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+
+        // Review queue (/api/review)
+        async function loadReviewQueue() {
+            const container = document.getElementById('reviewItems');
+            try {
+                const response = await fetch('/api/review?status=pending');
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'Could not load the review queue');
+
+                const stats = data.stats;
+                document.getElementById('reviewCount').textContent = stats.pending > 0 ? '(' + stats.pending + ')' : '';
+                document.getElementById('reviewSummary').textContent = stats.pending + ' pending, ' + stats.approved + ' approved (not yet organized), ' +
+                    stats.organized + ' organized, ' + stats.corrected + ' corrected. Threshold: ' + Math.round(stats.threshold * 100) + '% confidence.';
+
+                if (data.items.length === 0) {
+                    container.innerHTML = '<p style="text-align: center; color: #28a745;">✅ Nothing to review.</p>';
+                    return;
+                }
+                container.innerHTML = data.items.map(formatReviewItem).join('');
+            } catch (error) {
+                console.error('[FRONTEND] Error loading review queue:', error);
+                container.innerHTML = '<p style="color: #dc3545;">' + escapeHtml(error.message) + '</p>';
+            }
+        }
+
+        function formatReviewItem(item) {
+            const suggestion = item.suggestion;
+            const confidence = typeof suggestion.confidence === 'number' ? Math.round(suggestion.confidence * 100) + '%' : 'N/A';
+            const reasons = { 'low-confidence': 'Low confidence', 'failed': 'Classification failed', 'invalid-response': 'Invalid model answer' };
+            const categories = getResultCategories([{ taxonomy: item.taxonomy }]);
+            const options = categories.map(category =>
+                '<option value="' + category.code + '"' + (category.code === suggestion.category ? ' selected' : '') + '>' +
+                category.code + ' - ' + escapeHtml(category.name) + '</option>'
+            ).join('');
+
+            let details = '<div class="metadata-item"><span>Suggested:</span><span>' + escapeHtml(suggestion.category) + ' (' + confidence + ')</span></div>' +
+                '<div class="metadata-item"><span>Reason:</span><span>' + (reasons[item.reason] || item.reason) + '</span></div>';
+            if (suggestion.reasoning) {
+                details += '<div class="metadata-item"><span>Model reasoning:</span><span>' + escapeHtml(suggestion.reasoning) + '</span></div>';
+            }
+            if (suggestion.error) {
+                details += '<div class="metadata-item"><span>Error:</span><span style="color: #dc3545;">' + escapeHtml(suggestion.error) + '</span></div>';
+            }
+
+            return '<div class="metadata" id="review_' + item.id + '" style="display: flex; gap: 20px; flex-wrap: wrap;">' +
+                '<iframe src="/api/review/' + item.id + '/pdf" style="flex: 1 1 400px; height: 520px; border: 1px solid #dee2e6; border-radius: 8px;"></iframe>' +
+                '<div style="flex: 1 1 300px;">' +
+                    '<h4>📄 ' + escapeHtml(item.filename) + '</h4>' +
+                    details +
+                    '<label style="display: block; margin-top: 15px; font-weight: bold;">Category</label>' +
+                    '<select id="reviewCategory_' + item.id + '" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">' + options + '</select>' +
+                    '<label style="display: block; margin-top: 10px; font-weight: bold;">Requester</label>' +
+                    '<input type="text" id="reviewRequester_' + item.id + '" value="' + escapeHtml(suggestion.requester) + '" ' +
+                        'style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;">' +
+                    '<div style="margin-top: 15px;">' +
+                        '<button type="button" class="btn" onclick="approveReview(&quot;' + item.id + '&quot;)">Approve</button>' +
+                        '<button type="button" class="btn" style="background: #dc3545;" onclick="removeReview(&quot;' + item.id + '&quot;)">Remove</button>' +
+                    '</div>' +
+                '</div>' +
+            '</div>';
+        }
+
+        function showReviewResult(content, type) {
+            const reviewResult = document.getElementById('reviewResult');
+            reviewResult.innerHTML = content;
+            reviewResult.className = 'result ' + type;
+            reviewResult.style.display = 'block';
+        }
+
+        async function approveReview(id) {
+            try {
+                const response = await fetch('/api/review/' + id + '/approve', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        category: document.getElementById('reviewCategory_' + id).value,
+                        requester: document.getElementById('reviewRequester_' + id).value
+                    })
+                });
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error);
+
+                const review = data.item.review;
+                showReviewResult('✅ ' + escapeHtml(data.item.filename) + ' approved as ' + review.category + (review.corrected ? ' (correction saved)' : ''), 'success');
+                loadReviewQueue();
+            } catch (error) {
+                showReviewResult('Error approving document: ' + escapeHtml(error.message), 'error');
+            }
+        }
+
+        async function removeReview(id) {
+            if (!confirm('Remove this document from the review queue? It will not be organized.')) return;
+            let response = await fetch('/api/review/' + id, { method: 'DELETE' });
+            if (response.status === 403) {
+                const token = prompt('Admin token:');
+                if (!token) return;
+                response = await fetch('/api/review/' + id, { method: 'DELETE', headers: { 'X-Admin-Token': token } });
+            }
+            const data = await response.json();
+            showReviewResult(data.success ? 'Document removed from the review queue.' : 'Error: ' + escapeHtml(data.error), data.success ? 'success' : 'error');
+            loadReviewQueue();
+        }
+
+        async function organizeApprovedReviews() {
+            try {
+                showReviewResult('Organizing approved documents...', 'info');
+                const response = await fetch('/api/review/organize', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ download: true })
+                });
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error);
+
+                const summary = data.download.summary;
+                showReviewResult('<h3>📦 Approved Documents Ready</h3>' +
+                    '<p>' + summary.successful + ' organized, ' + summary.failed + ' failed.</p>' +
+                    '<a href="/api/download/' + data.download.zipId + '" download="' + data.download.filename + '" class="btn" ' +
+                    'style="background: #28a745; color: white; text-decoration: none; display: inline-block;">⬇️ Download ZIP File</a>', 'success');
+                loadReviewQueue();
+            } catch (error) {
+                showReviewResult('Error organizing approved documents: ' + escapeHtml(error.message), 'error');
+            }
+        }
+
+        // Category taxonomies from /api/taxonomies
+        window.taxonomyData = null;
+
+        async function loadTaxonomies() {
+            if (window.taxonomyData) return;
+            try {
+                const response = await fetch('/api/taxonomies');
+                const data = await response.json();
+                if (!data.success) return;
+
+                window.taxonomyData = data;
+                const select = document.getElementById('classifyTaxonomy');
+                select.innerHTML = '';
+                data.taxonomies.forEach(taxonomy => {
+                    const option = document.createElement('option');
+                    option.value = taxonomy.id;
+                    option.textContent = taxonomy.name;
+                    option.selected = taxonomy.id === data.default;
+                    select.appendChild(option);
+                });
+                // Only offer a choice when more than one category set is configured
+                document.getElementById('classifyTaxonomyGroup').style.display = data.taxonomies.length > 1 ? 'block' : 'none';
+            } catch (error) {
+                console.error('[FRONTEND] Error loading taxonomies:', error);
+            }
+        }
+
+        // Categories of the taxonomy the results were classified with: [{code, name, prefix, ...}]
+        function getResultCategories(results) {
+            const data = window.taxonomyData;
+            if (!data) return [];
+            const tagged = (results || []).find(result => result.taxonomy);
+            const id = tagged ? tagged.taxonomy : data.default;
+            const taxonomy = data.taxonomies.find(item => item.id === id) || data.taxonomies[0];
+            return taxonomy ? taxonomy.categories : [];
+        }
+
         function formatClassificationResult(data) {
             const results = data.results;
             const stats = data.statistics;
@@ -905,21 +1871,15 @@ app.get('/landing', (req, res) => {
                             '<tbody>';
             
             // Get available categories for dropdown
-            const categories = {
-                'BA_HALO': 'Kartu Halo',
-                'BA_KKB': 'Berita Kehilangan',
-                'BASTB': 'Serah Terima Barang',
-                'CHR': 'Checklist Reimbursement HP',
-                'COF': 'COF Scan',
-                'LOF': 'ICT Loan Form',
-                'OOPR': 'Out of Policy Request',
-                'SRF': 'SRF Scan',
-                'DO': 'Skip'
-            };
+            const taxonomyCategories = getResultCategories(results);
+            const categories = {};
+            taxonomyCategories.forEach(item => { categories[item.code] = item.name; });
             
             results.forEach((result, index) => {
-                const statusIcon = result.success ? '✅' : '❌';
-                const category = result.success ? result.category : 'OOPR';
+                // Unusable model answers are flagged separately from provider or file errors
+                const statusIcon = result.success ? '✅' : (result.validationErrors ? '⚠️' : '❌');
+                const statusTitle = result.success ? '' : (result.error || '').replace(/"/g, '&quot;');
+                const category = result.category;
                 const confidence = result.success ? Math.round(result.confidence * 100) + '%' : 'N/A';
                 const requester = result.success && result.requester ? result.requester.replace(/"/g, '&quot;') : 'N/A';
                 const rowColor = index % 2 === 0 ? '#ffffff' : '#f8f9fa';
@@ -930,11 +1890,16 @@ app.get('/landing', (req, res) => {
                     const selected = code === category ? 'selected' : '';
                     categoryOptions += '<option value="' + code + '" ' + selected + '>' + code + ' - ' + name + '</option>';
                 });
+                if (!categories[category]) {
+                    categoryOptions = '<option value="' + category + '" selected>' + category + '</option>' + categoryOptions;
+                }
                 
                 resultHtml += '<tr style="background-color: ' + rowColor + '; border-bottom: 1px solid #dee2e6;">' +
                     '<td style="padding: 10px 8px; border: 1px solid #dee2e6;">' +
-                        '<span style="margin-right: 8px;">' + statusIcon + '</span>' +
+                        '<span style="margin-right: 8px;" title="' + statusTitle + '">' + statusIcon + '</span>' +
                         '<span style="font-weight: 500;">' + result.filename + '</span>' +
+                        formatExtractedFields(result) +
+                        formatDuplicate(result.duplicate) +
                     '</td>' +
                     '<td style="padding: 10px 8px; border: 1px solid #dee2e6;">' +
                         '<input type="text" id="requester_' + index + '" value="' + requester + '" ' +
@@ -975,17 +1940,8 @@ app.get('/landing', (req, res) => {
                     '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; margin-bottom: 15px;">';
                 
                 // Create numbering inputs for each category
-                const categoryPrefixes = {
-                    'BA_HALO': 'ICTBAK',
-                    'BA_KKB': 'ICTBKK',
-                    'BASTB': 'ICTSTB',
-                    'CHR': 'ICTCRH',
-                    'COF': 'ICTCOF',
-                    'LOF': 'ICTLOA',
-                    'OOPR': 'ICTOOP',
-                    'SRF': 'ICTSRF',
-                    'DO': 'ICTSKP'
-                };
+                const categoryPrefixes = {};
+                taxonomyCategories.forEach(item => { categoryPrefixes[item.code] = item.prefix; });
                 
                 Object.entries(categoryPrefixes).forEach(([category, prefix]) => {
                     resultHtml += '<div style="display: flex; flex-direction: column; padding: 10px; border: 1px solid #dee2e6; border-radius: 4px; background-color: #f8f9fa;">' +
@@ -996,6 +1952,56 @@ app.get('/landing', (req, res) => {
                 });
                 
                 resultHtml += '</div></div>';
+
+                // Empty inputs use the taxonomy's templates or the server defaults
+                resultHtml += '<div class="metadata" style="margin-top: 20px;">' +
+                    '<h4>File Naming and Manifest</h4>' +
+                    '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 10px;">' +
+                        '<label style="display: flex; flex-direction: column; font-weight: 600; color: #495057;">File name template' +
+                            '<input type="text" id="filenameTemplate" placeholder="{prefix}{seq:03} - {requester}" ' +
+                            'style="margin-top: 5px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; font-weight: normal;">' +
+                        '</label>' +
+                        '<label style="display: flex; flex-direction: column; font-weight: 600; color: #495057;">Folder template' +
+                            '<input type="text" id="folderTemplate" placeholder="{folder}" ' +
+                            'style="margin-top: 5px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; font-weight: normal;">' +
+                        '</label>' +
+                        '<label style="display: flex; flex-direction: column; font-weight: 600; color: #495057;">Manifest format' +
+                            '<select id="manifestFormat" ' +
+                            'style="margin-top: 5px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; font-weight: normal;">' +
+                                '<option value="">Server default</option>' +
+                                '<option value="csv">CSV</option>' +
+                                '<option value="json">JSON</option>' +
+                                '<option value="xlsx">Excel (XLSX)</option>' +
+                            '</select>' +
+                        '</label>' +
+                        '<label style="display: flex; flex-direction: column; font-weight: 600; color: #495057;">Duplicates' +
+                            '<select id="duplicateAction" ' +
+                            'style="margin-top: 5px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; font-weight: normal;">' +
+                                '<option value="">Server default</option>' +
+                                '<option value="keep">Keep both</option>' +
+                                '<option value="skip">Skip duplicates</option>' +
+                                '<option value="replace">Replace the earlier copy</option>' +
+                            '</select>' +
+                        '</label>' +
+                        '<label style="display: flex; flex-direction: column; font-weight: 600; color: #495057;">Watermark copies' +
+                            '<select id="copyWatermarkPreset" ' +
+                            'style="margin-top: 5px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; font-weight: normal;">' +
+                                '<option value="">No watermark</option>' +
+                            '</select>' +
+                        '</label>' +
+                        '<label style="display: flex; flex-direction: column; font-weight: 600; color: #495057;">Watermark text' +
+                            '<input type="text" id="copyWatermarkText" placeholder="COPY {documentNumber} - {requester}" ' +
+                            'style="margin-top: 5px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; font-weight: normal;">' +
+                        '</label>' +
+                    '</div>' +
+                    '<p style="font-size: 12px; color: #6c757d; margin: 8px 0 0;">' +
+                        'Variables: {prefix} {seq:04} {requester} {category} {categoryName} {folder} {taxonomy} {original} {date:YYYY-MM-DD} {year} {month} {day} {fields.name}. ' +
+                        'Filters: {requester|title}, |upper, |lower, |slug. Use / in the folder template for subfolders, e.g. {categoryName}/{year}/{month}.' +
+                    '</p>' +
+                    '<p style="font-size: 12px; color: #6c757d; margin: 4px 0 0;">' +
+                        'Watermark text variables: {documentNumber} {requester} {category} {filename} {page} {pageCount} {date} {user}. The text replaces the preset text.' +
+                    '</p>' +
+                '</div>';
                 
                 resultHtml += '<div style="text-align: center; margin-top: 20px;">' +
                     '<button onclick="organizeClassifiedFiles()" class="btn" style="background: #28a745; margin-right: 10px;">📁 Organize Files to Folders</button>' +
@@ -1007,47 +2013,139 @@ app.get('/landing', (req, res) => {
             return resultHtml;
         }
 
-        // Function to update classification data when user edits fields
-        function updateClassificationData(index, field, value) {
-            if (window.lastClassificationData && window.lastClassificationData.results[index]) {
-                window.lastClassificationData.results[index][field] = value;
-                console.log('[FRONTEND] Updated classification data:', window.lastClassificationData.results[index]);
-            }
+        // Start number per category from the numbering inputs
+        function getNumberingConfig(results) {
+            const numberingConfig = {};
+            getResultCategories(results).map(item => item.code).forEach(category => {
+                const startElement = document.getElementById('start_' + category);
+                if (startElement) {
+                    numberingConfig[category] = parseInt(startElement.value) || 1;
+                }
+            });
+            return numberingConfig;
         }
 
-        // Function to organize classified files
-        async function organizeClassifiedFiles() {
-            console.log('[FRONTEND] Starting organize files process...');
-            
-            if (!window.lastClassificationData) {
-                console.error('[FRONTEND] No classification data available');
-                alert('No classification data available. Please classify files first.');
-                return;
+        // File name and folder templates, manifest format and duplicate action from the output inputs (only the filled in ones)
+        function getOutputOptions() {
+            const output = {};
+            ['filenameTemplate', 'folderTemplate', 'manifestFormat', 'duplicateAction'].forEach(name => {
+                const input = document.getElementById(name);
+                if (input && input.value.trim()) {
+                    output[name] = input.value.trim();
+                }
+            });
+            // The watermark tab already uses the watermarkPreset id
+            const copyPreset = document.getElementById('copyWatermarkPreset');
+            const copyText = document.getElementById('copyWatermarkText');
+            if (copyPreset && copyPreset.value) {
+                output.watermarkPreset = copyPreset.value;
             }
+            if (copyText && copyText.value.trim()) {
+                output.watermarkText = copyText.value.trim();
+            }
+            return output;
+        }
 
-            console.log('[FRONTEND] Using cached classification data:', window.lastClassificationData);
-
+        // Watermark presets for stamping organized copies
+        async function loadCopyWatermarkPresets() {
+            const select = document.getElementById('copyWatermarkPreset');
+            if (!select) return;
             try {
-                // Collect document numbering configuration
-                const categoryPrefixes = {
-                    'BA_HALO': 'ICTBAK',
-                    'BA_KKB': 'ICTBKK',
-                    'BASTB': 'ICTSTB',
-                    'CHR': 'ICTCRH',
-                    'COF': 'ICTCOF',
-                    'LOF': 'ICTLOA',
-                    'OOPR': 'ICTOOP',
-                    'SRF': 'ICTSRF',
-                    'DO': 'ICTSKP'
-                };
+                const response = await fetch('/api/watermark/presets');
+                const data = await response.json();
+                if (!data.success) return;
+
+                Object.entries(data.presets).forEach(([key, preset]) => {
+                    const option = document.createElement('option');
+                    option.value = key;
+                    option.textContent = key.toUpperCase() + (preset.text ? ' - ' + preset.text : '');
+                    select.appendChild(option);
+                });
+            } catch (error) {
+                console.error('[FRONTEND] Error loading watermark presets:', error);
+            }
+        }
 
-                const numberingConfig = {};
-                Object.keys(categoryPrefixes).forEach(category => {
-                    const startElement = document.getElementById('start_' + category);
-                    if (startElement) {
-                        numberingConfig[category] = parseInt(startElement.value) || 1;
+        // Fill the start numbers with the next free numbers of the server's sequences
+        async function loadNextNumbers(results) {
+            try {
+                const tagged = (results || []).find(result => result.taxonomy);
+                const response = await fetch('/api/sequences/next' + (tagged ? '?taxonomy=' + encodeURIComponent(tagged.taxonomy) : ''));
+                const data = await response.json();
+                if (!data.success || !data.enabled) return;
+
+                Object.entries(data.next).forEach(([category, next]) => {
+                    const input = document.getElementById('start_' + category);
+                    if (input) {
+                        input.value = next;
+                        input.min = next;
+                        input.title = 'Next free number. Numbers already given out are never reused; a higher value skips ahead.';
                     }
                 });
+            } catch (error) {
+                console.error('[FRONTEND] Error loading next document numbers:', error);
+            }
+        }
+
+        // Compact list of extracted schema fields shown under the file name
+        function formatExtractedFields(result) {
+            if (!result.success || !result.fields) return '';
+
+            const parts = Object.entries(result.fields)
+                .filter(([name, field]) => field && field.value !== null && !Array.isArray(field.value))
+                .map(([name, field]) => {
+                    const value = String(field.value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+                    const color = field.valid ? '#495057' : '#dc3545';
+                    return '<span style="color: ' + color + ';" title="' + Math.round(field.confidence * 100) + '% (' + field.source + ')">' +
+                        name + ': ' + value + '</span>';
+                });
+            Object.entries(result.fields)
+                .filter(([name, field]) => field && Array.isArray(field.value))
+                .forEach(([name, field]) => parts.push('<span>' + name + ': ' + field.value.length + ' item(s)</span>'));
+
+            let html = parts.length ? '<div style="font-size: 12px; margin-top: 4px;">' + parts.join(' · ') + '</div>' : '';
+            if (result.missingFields && result.missingFields.length > 0) {
+                html += '<div style="font-size: 12px; color: #856404;">⚠️ Missing: ' + result.missingFields.join(', ') + '</div>';
+            }
+            return html;
+        }
+
+        // Notice under a file that was uploaded before (in this batch or an earlier job)
+        function formatDuplicate(duplicate) {
+            if (!duplicate || !duplicate.matches || duplicate.matches.length === 0) return '';
+
+            const match = duplicate.matches[0];
+            const label = duplicate.type === 'exact' ? 'Exact duplicate' : 'Near duplicate (' + Math.round(match.similarity * 100) + '% ' + match.method + ')';
+            const where = match.inBatch ? 'in this batch' : (match.jobId ? 'job ' + match.jobId : 'an earlier upload');
+            const others = duplicate.matches.length > 1 ? ' and ' + (duplicate.matches.length - 1) + ' more' : '';
+            return '<div style="font-size: 12px; color: #856404;">🪞 ' + label + ' of ' + escapeHtml(match.filename) + ' (' + escapeHtml(where) + ')' + others + '</div>';
+        }
+
+        // Function to update classification data when user edits fields
+        function updateClassificationData(index, field, value) {
+            if (window.lastClassificationData && window.lastClassificationData.results[index]) {
+                window.lastClassificationData.results[index][field] = value;
+                // A corrected row has been reviewed by hand, so it is not held in the review queue
+                window.lastClassificationData.results[index].reviewed = true;
+                console.log('[FRONTEND] Updated classification data:', window.lastClassificationData.results[index]);
+            }
+        }
+
+        // Function to organize classified files
+        async function organizeClassifiedFiles() {
+            console.log('[FRONTEND] Starting organize files process...');
+            
+            if (!window.lastClassificationData) {
+                console.error('[FRONTEND] No classification data available');
+                alert('No classification data available. Please classify files first.');
+                return;
+            }
+
+            console.log('[FRONTEND] Using cached classification data:', window.lastClassificationData);
+
+            try {
+                // Collect document numbering configuration
+                const numberingConfig = getNumberingConfig(window.lastClassificationData.results);
 
                 console.log('[FRONTEND] Document numbering config:', numberingConfig);
 
@@ -1068,14 +2166,21 @@ app.get('/landing', (req, res) => {
                 showClassifyResult('Organizing files to folders using cached classification results...', 'info');
 
                 const formData = new FormData();
-                for (let i = 0; i < files.length; i++) {
-                    console.log('[FRONTEND] Adding file ' + (i + 1) + ': ' + files[i].name);
-                    formData.append('pdfs', files[i]);
+                const jobId = window.lastClassificationData.jobId;
+                if (jobId) {
+                    // The server kept the files when classifying; only the corrections are sent
+                    formData.append('jobId', jobId);
+                } else {
+                    for (let i = 0; i < files.length; i++) {
+                        console.log('[FRONTEND] Adding file ' + (i + 1) + ': ' + files[i].name);
+                        formData.append('pdfs', files[i]);
+                    }
                 }
 
                 // Add cached classification results and numbering config to the form data
                 formData.append('classificationResults', JSON.stringify(window.lastClassificationData.results));
                 formData.append('numberingConfig', JSON.stringify(numberingConfig));
+                Object.entries(getOutputOptions()).forEach(([name, template]) => formData.append(name, template));
 
                 console.log('[FRONTEND] Sending organize request with cached results to /api/organize-cached...');
                 const response = await fetch('/api/organize-cached', {
@@ -1115,6 +2220,8 @@ app.get('/landing', (req, res) => {
                         resultHtml += '</div>';
                     }
 
+                    resultHtml += formatHeldForReview(data.review);
+
                     if (data.organization && data.organization.summary) {
                         const summary = data.organization.summary;
                         console.log('[FRONTEND] Organization summary:', summary);
@@ -1122,6 +2229,10 @@ app.get('/landing', (req, res) => {
                             '<div class="metadata-item"><span>Total Files:</span><span>' + summary.total + '</span></div>' +
                             '<div class="metadata-item"><span>Successfully Organized:</span><span>' + summary.successful + '</span></div>' +
                             '<div class="metadata-item"><span>Failed:</span><span>' + summary.failed + '</span></div>' +
+                            (summary.skipped ? '<div class="metadata-item"><span>Duplicates Left Out:</span><span>' + summary.skipped + '</span></div>' : '') +
+                            (data.organization.manifest && data.organization.manifest.success
+                                ? '<div class="metadata-item"><span>Manifest:</span><span>' + escapeHtml(data.organization.manifest.filename) + '</span></div>'
+                                : '') +
                         '</div>';
                     }
 
@@ -1182,7 +2293,9 @@ app.get('/landing', (req, res) => {
                     },
                     body: JSON.stringify({
                         classificationResults: window.lastClassificationData.results,
-                        outputDir: './organized_documents'
+                        numberingConfig: getNumberingConfig(window.lastClassificationData.results),
+                        outputDir: './organized_documents',
+                        ...getOutputOptions()
                     })
                 });
 
@@ -1206,16 +2319,19 @@ app.get('/landing', (req, res) => {
                     let resultHtml = '<h3>👁️ Organization Preview</h3>';
                     resultHtml += '<p style="color: #17a2b8; font-weight: bold;">📋 Using cached classification results - no re-classification needed!</p>';
                     
-                    if (data.preview && data.preview.folders) {
-                        console.log('[FRONTEND] Preview folders:', data.preview.folders);
+                    if (data.preview && data.preview.folderStructure) {
+                        console.log('[FRONTEND] Preview folders:', data.preview.folderStructure);
                         resultHtml += '<div class="metadata"><h4>Folder Structure Preview</h4>';
                         
-                        Object.entries(data.preview.folders).forEach(([folder, files]) => {
+                        Object.entries(data.preview.folderStructure).filter(([folder, entry]) => entry.count > 0).forEach(([folder, entry]) => {
                             resultHtml += '<div class="metadata-item" style="flex-direction: column; align-items: flex-start;">' +
-                                '<span style="font-weight: bold; color: #007bff;">📁 ' + folder + '</span>';
+                                '<span style="font-weight: bold; color: #007bff;">📁 ' + escapeHtml(folder) + '</span>';
                             
-                            files.forEach(file => {
-                                resultHtml += '<span style="margin-left: 20px; color: #666;">📄 ' + file + '</span>';
+                            entry.files.forEach(file => {
+                                const duplicateNote = file.action === 'replace' ? ' <small style="color: #856404;">🪞 replaces the earlier copy</small>'
+                                    : (file.duplicate ? ' <small style="color: #856404;">🪞 ' + file.duplicate.type + ' duplicate, kept</small>' : '');
+                                resultHtml += '<span style="margin-left: 20px; color: #666;">📄 ' + escapeHtml(file.newName) +
+                                    ' <small>(' + escapeHtml(file.filename) + ')</small>' + duplicateNote + '</span>';
                             });
                             
                             resultHtml += '</div>';
@@ -1224,13 +2340,25 @@ app.get('/landing', (req, res) => {
                         resultHtml += '</div>';
                     }
 
+                    if (data.preview && data.preview.skipped && data.preview.skipped.length > 0) {
+                        resultHtml += '<div class="metadata"><h4>🪞 Duplicates Left Out</h4>';
+                        data.preview.skipped.forEach(file => {
+                            resultHtml += '<div class="metadata-item"><span>' + escapeHtml(file.filename) + '</span><span>' +
+                                (file.reason === 'replaced' ? 'replaced by ' + escapeHtml(file.replacedBy) : 'skipped') + '</span></div>';
+                        });
+                        resultHtml += '</div>';
+                    }
+
                     if (data.preview && data.preview.summary) {
                         const summary = data.preview.summary;
                         console.log('[FRONTEND] Preview summary:', summary);
                         resultHtml += '<div class="metadata"><h4>Preview Summary</h4>' +
-                            '<div class="metadata-item"><span>Total Files:</span><span>' + summary.totalFiles + '</span></div>' +
-                            '<div class="metadata-item"><span>Folders to Create:</span><span>' + summary.foldersToCreate + '</span></div>' +
+                            '<div class="metadata-item"><span>Total Files:</span><span>' + summary.total + '</span></div>' +
+                            '<div class="metadata-item"><span>Folders to Create:</span><span>' + Object.keys(data.preview.fileDistribution || {}).length + '</span></div>' +
+                            '<div class="metadata-item"><span>Not Organized:</span><span>' + summary.failed + '</span></div>' +
+                            '<div class="metadata-item"><span>Duplicates Left Out:</span><span>' + (summary.skipped || 0) + '</span></div>' +
                         '</div>';
+                        resultHtml += '<p style="font-size: 12px; color: #6c757d;">Document numbers are taken when the files are organized; another run in between moves them on.</p>';
                     }
 
                     showClassifyResult(resultHtml, 'success');
@@ -1289,9 +2417,10 @@ app.get('/landing', (req, res) => {
                 // Show loading
                 showClassifyResult('Creating downloadable ZIP file with organized documents...', 'info');
 
-                // Convert files to base64 for cached download
+                // Convert files to base64 for cached download, unless the server kept them with the job
+                const jobId = window.lastClassificationData.jobId;
                 const sourceFiles = [];
-                for (let i = 0; i < files.length; i++) {
+                for (let i = 0; !jobId && i < files.length; i++) {
                     const file = files[i];
                     const base64Data = await fileToBase64(file);
                     sourceFiles.push({
@@ -1308,7 +2437,9 @@ app.get('/landing', (req, res) => {
                     },
                     body: JSON.stringify({
                         classificationResults: window.lastClassificationData.results,
-                        sourceFiles: sourceFiles
+                        sourceFiles: sourceFiles,
+                        jobId: jobId,
+                        ...getOutputOptions()
                     })
                 });
 
@@ -1337,9 +2468,14 @@ app.get('/landing', (req, res) => {
                             '<div class="metadata-item"><span>Total Files:</span><span>' + summary.total + '</span></div>' +
                             '<div class="metadata-item"><span>Successfully Organized:</span><span>' + summary.successful + '</span></div>' +
                             '<div class="metadata-item"><span>Failed:</span><span>' + summary.failed + '</span></div>' +
+                            (summary.skipped ? '<div class="metadata-item"><span>Duplicates Left Out:</span><span>' + summary.skipped + '</span></div>' : '') +
+                            (data.download.manifest
+                                ? '<div class="metadata-item"><span>Manifest:</span><span>' + escapeHtml(data.download.manifest) + '</span></div>'
+                                : '') +
                         '</div>';
                     }
 
+                    resultHtml += formatHeldForReview(data.review);
                     resultHtml += '<p style="color: #666; font-size: 0.9em; margin-top: 15px;">💡 The ZIP file will be automatically deleted after download for security.</p>';
 
                     showClassifyResult(resultHtml, 'success');
@@ -1377,6 +2513,13 @@ app.get('/landing', (req, res) => {
             opacityValue.textContent = this.value;
         });
         
+        // Update image width display
+        const imageScaleSlider = document.getElementById('imageScale');
+        const watermarkImageInput = document.getElementById('watermarkImage');
+        imageScaleSlider.addEventListener('input', function() {
+            document.getElementById('imageScaleValue').textContent = this.value;
+        });
+        
         // Position slider controls
         const positionXSlider = document.getElementById('positionX');
         const positionYSlider = document.getElementById('positionY');
@@ -1408,13 +2551,18 @@ app.get('/landing', (req, res) => {
                 
                 if (data.success && data.presets) {
                     watermarkPreset.innerHTML = '<option value="">Custom Watermark</option>';
+                    const firstPageSelect = document.getElementById('firstPagePreset');
+                    const firstPageChoice = firstPageSelect.value;
+                    firstPageSelect.innerHTML = '<option value="">Same as the other pages</option>';
                     
                     Object.entries(data.presets).forEach(([key, preset]) => {
                         const option = document.createElement('option');
                         option.value = key;
-                        option.textContent = key.toUpperCase() + ' - ' + preset.text;
+                        option.textContent = key.toUpperCase() + ' - ' + (preset.image ? 'Image' + (preset.text ? ' / ' + preset.text : '') : preset.text);
                         watermarkPreset.appendChild(option);
+                        firstPageSelect.appendChild(option.cloneNode(true));
                     });
+                    firstPageSelect.value = firstPageChoice;
                 } else {
                     watermarkPreset.innerHTML = '<option value="">Error loading presets</option>';
                 }
@@ -1424,6 +2572,28 @@ app.get('/landing', (req, res) => {
             }
         }
         
+        // Fonts for the watermark text, keeping the current choice
+        async function loadWatermarkFonts() {
+            const fontSelect = document.getElementById('watermarkFont');
+            try {
+                const response = await fetch('/api/watermark/fonts');
+                const data = await response.json();
+                if (!data.success) return;
+                
+                const selected = fontSelect.value;
+                fontSelect.innerHTML = '<option value="">Automatic (Helvetica, Unicode font when needed)</option>';
+                data.fonts.forEach(font => {
+                    const option = document.createElement('option');
+                    option.value = font.name;
+                    option.textContent = font.name + (font.builtIn ? '' : ' (uploaded)');
+                    fontSelect.appendChild(option);
+                });
+                fontSelect.value = selected;
+            } catch (error) {
+                console.error('Error loading watermark fonts:', error);
+            }
+        }
+        
         // Handle preset selection
         watermarkPreset.addEventListener('change', async function() {
             const customOptions = document.getElementById('customWatermarkOptions');
@@ -1440,7 +2610,7 @@ app.get('/landing', (req, res) => {
                         const preset = data.presets[this.value];
                         
                         // Populate form fields with preset values
-                        document.getElementById('customText').value = preset.text;
+                        document.getElementById('customText').value = preset.text || '';
                         document.getElementById('opacity').value = preset.opacity;
                         document.getElementById('opacityValue').textContent = preset.opacity;
                         document.getElementById('fontSize').value = preset.fontSize;
@@ -1453,11 +2623,14 @@ app.get('/landing', (req, res) => {
                             Math.round(preset.color.b * 255).toString(16).padStart(2, '0');
                         document.getElementById('color').value = hexColor;
                         
-                        // Set position sliders to center (default)
-                        document.getElementById('positionX').value = '50';
-                        document.getElementById('positionY').value = '50';
-                        document.getElementById('positionXValue').textContent = '50%';
-                        document.getElementById('positionYValue').textContent = '50%';
+                        // Saved presets may keep a position, others start at the center
+                        setQuickPosition(preset.positionX !== undefined ? preset.positionX : 50, preset.positionY !== undefined ? preset.positionY : 50);
+                        if (preset.imageScale) {
+                            imageScaleSlider.value = Math.round(preset.imageScale * 100);
+                            document.getElementById('imageScaleValue').textContent = imageScaleSlider.value;
+                        }
+                        setWatermarkLayout(preset.layout || 'single', preset.align || 'center', preset.spacing !== undefined ? preset.spacing : 60);
+                        document.getElementById('watermarkFont').value = preset.font || '';
                     }
                 } catch (error) {
                     console.error('Error loading preset details:', error);
@@ -1474,9 +2647,73 @@ app.get('/landing', (req, res) => {
                 document.getElementById('positionXValue').textContent = '50%';
                 document.getElementById('positionYValue').textContent = '50%';
                 document.getElementById('rotation').value = '45';
+                setWatermarkLayout('single', 'center', 60);
+                document.getElementById('watermarkFont').value = '';
             }
         });
         
+        function setWatermarkLayout(layout, align, spacing) {
+            document.getElementById('watermarkLayout').value = layout;
+            document.getElementById('watermarkAlign').value = align;
+            document.getElementById('watermarkSpacing').value = spacing;
+        }
+        
+        // Appearance fields shared by the watermark request, its preview and saved presets
+        function appendWatermarkOptions(formData) {
+            formData.append('customText', document.getElementById('customText').value);
+            formData.append('opacity', document.getElementById('opacity').value);
+            formData.append('fontSize', document.getElementById('fontSize').value);
+            formData.append('color', document.getElementById('color').value);
+            formData.append('positionX', document.getElementById('positionX').value);
+            formData.append('positionY', document.getElementById('positionY').value);
+            formData.append('rotation', document.getElementById('rotation').value);
+            formData.append('layout', document.getElementById('watermarkLayout').value);
+            formData.append('align', document.getElementById('watermarkAlign').value);
+            formData.append('spacing', document.getElementById('watermarkSpacing').value);
+            formData.append('imageScale', imageScaleSlider.value / 100);
+            if (document.getElementById('watermarkFont').value) {
+                formData.append('font', document.getElementById('watermarkFont').value);
+            }
+            if (document.getElementById('watermarkPages').value.trim()) {
+                formData.append('pages', document.getElementById('watermarkPages').value.trim());
+            }
+            if (document.getElementById('firstPagePreset').value) {
+                formData.append('firstPagePreset', document.getElementById('firstPagePreset').value);
+            }
+            if (watermarkImageInput.files.length > 0) {
+                formData.append('image', watermarkImageInput.files[0]);
+            }
+        }
+        
+        // Show the watermark on the first page of the first selected PDF (a blank page without one)
+        async function previewWatermark() {
+            const formData = new FormData();
+            if (watermarkFileInput.files.length > 0) {
+                formData.append('pdfs', watermarkFileInput.files[0]);
+            }
+            if (watermarkPreset.value) {
+                formData.append('preset', watermarkPreset.value);
+            }
+            appendWatermarkOptions(formData);
+            
+            try {
+                const response = await fetch('/api/watermark/preview', { method: 'POST', body: formData });
+                if (!response.ok) {
+                    const data = await response.json();
+                    showWatermarkResult('Error: ' + escapeHtml(data.details ? data.details.join('; ') : (data.error || 'Preview failed')), 'error');
+                    return;
+                }
+                const frame = document.getElementById('watermarkPreviewFrame');
+                if (frame.src) {
+                    window.URL.revokeObjectURL(frame.src);
+                }
+                frame.src = window.URL.createObjectURL(await response.blob());
+                document.getElementById('watermarkPreview').style.display = 'block';
+            } catch (error) {
+                showWatermarkResult('Error: ' + escapeHtml(error.message), 'error');
+            }
+        }
+        
         // Watermark form submission
         watermarkForm.addEventListener('submit', async (e) => {
             e.preventDefault();
@@ -1501,9 +2738,9 @@ app.get('/landing', (req, res) => {
                 const preset = watermarkPreset.value;
                 const customText = document.getElementById('customText').value;
                 
-                // Validate that we have either a preset or custom text
-                if (!preset && !customText.trim()) {
-                    showWatermarkResult('Please enter watermark text or select a preset', 'error');
+                // Validate that we have a preset, custom text or an image
+                if (!preset && !customText.trim() && watermarkImageInput.files.length === 0) {
+                    showWatermarkResult('Please enter watermark text, choose an image or select a preset', 'error');
                     watermarkLoading.style.display = 'none';
                     return;
                 }
@@ -1514,13 +2751,7 @@ app.get('/landing', (req, res) => {
                 }
                 
                 // Always send custom options (they will override preset values if provided)
-                formData.append('customText', customText);
-                formData.append('opacity', document.getElementById('opacity').value);
-                formData.append('fontSize', document.getElementById('fontSize').value);
-                formData.append('color', document.getElementById('color').value);
-                formData.append('positionX', document.getElementById('positionX').value);
-                formData.append('positionY', document.getElementById('positionY').value);
-                formData.append('rotation', document.getElementById('rotation').value);
+                appendWatermarkOptions(formData);
                 
                 const response = await fetch('/api/watermark', {
                     method: 'POST',
@@ -1542,7 +2773,9 @@ app.get('/landing', (req, res) => {
                         document.body.removeChild(a);
                         window.URL.revokeObjectURL(url);
                         
-                        showWatermarkResult('✅ Watermark added successfully! File downloaded.', 'success');
+                        const stampedPages = response.headers.get('X-Stamped-Pages');
+                        showWatermarkResult('✅ Watermark added to ' + (stampedPages ? 'page(s) ' + escapeHtml(stampedPages) : 'no pages') +
+                            ' of ' + escapeHtml(response.headers.get('X-Page-Count') || '?') + '. File downloaded.', 'success');
                     } else {
                         // Multiple files - handle ZIP download response
                         const data = await response.json();
@@ -1550,6 +2783,14 @@ app.get('/landing', (req, res) => {
                         if (data.success && data.download) {
                              let resultHtml = '<h3>✅ Watermark Processing Complete!</h3>';
                              resultHtml += '<p><strong>Successfully processed:</strong> ' + data.successfulFiles + ' out of ' + data.totalFiles + ' files</p>';
+                             if (data.files) {
+                                 resultHtml += '<ul>';
+                                 data.files.forEach(function(file) {
+                                     resultHtml += '<li>' + escapeHtml(file.originalName) + ': ' +
+                                         (file.stampedPages.length > 0 ? 'page(s) ' + file.stampedPages.join(', ') : 'no pages') + ' of ' + file.pages + '</li>';
+                                 });
+                                 resultHtml += '</ul>';
+                             }
                              
                              if (data.failedFiles > 0) {
                                  resultHtml += '<p style="color: #e74c3c;"><strong>Failed:</strong> ' + data.failedFiles + ' files</p>';
@@ -1588,6 +2829,35 @@ app.get('/landing', (req, res) => {
             }
         });
         
+        // Save the current settings (and image) as a named preset
+        async function saveWatermarkPreset() {
+            const name = prompt('Preset name (lowercase letters, digits, - and _):');
+            if (!name) return;
+            
+            const formData = new FormData();
+            formData.append('name', name.trim().toLowerCase());
+            appendWatermarkOptions(formData);
+            
+            try {
+                let response = await fetch('/api/watermark/presets', { method: 'POST', body: formData });
+                if (response.status === 403) {
+                    const token = prompt('Admin token:');
+                    if (!token) return;
+                    response = await fetch('/api/watermark/presets', { method: 'POST', body: formData, headers: { 'X-Admin-Token': token } });
+                }
+                const data = await response.json();
+                if (data.success) {
+                    await loadWatermarkPresets();
+                    watermarkPreset.value = data.name;
+                    showWatermarkResult('✅ Preset ' + escapeHtml(data.name) + ' saved.', 'success');
+                } else {
+                    showWatermarkResult('Error: ' + escapeHtml(data.error || 'Failed to save preset'), 'error');
+                }
+            } catch (error) {
+                showWatermarkResult('Error: ' + escapeHtml(error.message), 'error');
+            }
+        }
+        
         function showWatermarkResult(content, type) {
             watermarkResult.innerHTML = content;
             watermarkResult.className = 'result ' + type;
@@ -1604,6 +2874,14 @@ app.get('/landing', (req, res) => {
             document.getElementById('fontSize').value = '48';
             document.getElementById('color').value = '#ff0000';
             document.getElementById('rotation').value = '45';
+            watermarkImageInput.value = '';
+            imageScaleSlider.value = '25';
+            document.getElementById('imageScaleValue').textContent = '25';
+            setWatermarkLayout('single', 'center', 60);
+            document.getElementById('watermarkFont').value = '';
+            document.getElementById('watermarkPages').value = '';
+            document.getElementById('firstPagePreset').value = '';
+            document.getElementById('watermarkPreview').style.display = 'none';
             document.getElementById('customWatermarkOptions').style.display = 'block';
             document.querySelector('#watermarkContent .upload-text').textContent = 'Click to select PDF file for watermarking';
         }
@@ -1686,13 +2964,14 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
     });
 
     if (result.success) {
-      const stats = pdfParser.getTextStats(result.text);
+      const stats = pdfParser.getTextStats(result.text, result.pages);
       
       const response = {
         success: true,
         text: result.text,
         method: result.method || 'text-extraction',
         metadata: result.metadata,
+        pages: result.pages,
         stats: stats
       };
       
@@ -1740,15 +3019,42 @@ app.post('/api/parse', upload.single('pdf'), async (req, res) => {
     }
 
     const ocrMethod = req.body.ocrMethod || 'tesseract'; // Default to tesseract
-    const result = await pdfParser.parseBuffer(req.file.buffer, { ocrMethod });
+    const mode = req.query.mode || req.body.mode; // 'layout' adds positioned text runs
+    const format = req.query.format || req.body.format; // 'tables' returns detected tables only
+    // Uploads go to disk storage, so read the buffer from the saved file
+    const pdfBuffer = fs.readFileSync(req.file.path);
+    const result = format === 'tables'
+      ? await pdfParser.extractTables(pdfBuffer)
+      : await pdfParser.parseBuffer(pdfBuffer, { ocrMethod, mode });
+
+    fs.unlink(req.file.path, (err) => {
+      if (err) console.error('Error deleting file:', err);
+    });
+
+    if (format === 'tables') {
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      return res.json({
+        success: true,
+        format: 'tables',
+        tables: result.tables.map(table => ({
+          ...table,
+          csv: pdfParser.tableExtractor.toCsv(table.rows)
+        })),
+        metadata: result.metadata
+      });
+    }
     
     if (result.success) {
-      const stats = pdfParser.getTextStats(result.text);
+      const stats = pdfParser.getTextStats(result.text, result.pages);
       res.json({
         success: true,
         text: result.text,
         method: result.method || 'text-extraction',
         metadata: result.metadata,
+        pages: result.pages,
+        layout: result.layout,
         stats: stats
       });
     } else {
@@ -1765,7 +3071,7 @@ app.post('/api/parse', upload.single('pdf'), async (req, res) => {
 });
 
 // Classification endpoints
-app.post('/api/classify', upload.single('pdf'), async (req, res) => {
+app.post('/api/classify', upload.single('pdf'), validateTaxonomy, async (req, res) => {
   try {
     console.log('[SERVER] Classification request received');
         console.log(`[SERVER] File info:`, req.file ? {
@@ -1789,7 +3095,9 @@ app.post('/api/classify', upload.single('pdf'), async (req, res) => {
     console.log(`[SERVER] File buffer read successfully. Size: ${pdfBuffer.length} bytes`);
     
     console.log('[SERVER] Calling classifier.classifyDocumentFromBuffer...');
-    const result = await classifier.classifyDocumentFromBuffer(pdfBuffer, req.file.originalname);
+    const result = await classifier.classifyDocumentFromBuffer(pdfBuffer, req.file.originalname, getClassifierOptions(req));
+    // Checked against earlier jobs only; a single upload has no job to be remembered with
+    await duplicates.flag([{ pdfBuffer, filename: req.file.originalname }], [result]);
     console.log(`[SERVER] Classification result received:`, JSON.stringify(result, null, 2));
     
     if (result.success) {
@@ -1824,7 +3132,8 @@ app.post('/api/classify', upload.single('pdf'), async (req, res) => {
 });
 
 // Pure Base64 Batch classification endpoint (no file uploads)
-app.post('/api/classify-batch-base64', express.json({ limit: '50mb' }), async (req, res) => {
+// Runs as a background job: answers 202 with the job id, or with the results when wait=true
+app.post('/api/classify-batch-base64', express.json({ limit: '50mb' }), validateTaxonomy, async (req, res) => {
   try {
     console.log('[SERVER] Base64 batch classification request received');
     console.log(`[SERVER] Request body type:`, typeof req.body);
@@ -1853,8 +3162,6 @@ app.post('/api/classify-batch-base64', express.json({ limit: '50mb' }), async (r
       });
     }
 
-    const startTime = Date.now();
-
     // Convert base64 data to buffers
     const documentsWithBuffers = documents.map((doc, index) => {
       console.log(`[SERVER] Processing document ${index + 1}: ${doc.filename}`);
@@ -1879,45 +3186,10 @@ app.post('/api/classify-batch-base64', express.json({ limit: '50mb' }), async (r
       }
     });
 
-    console.log('[SERVER] Starting base64 batch classification...');
-    const results = await classifier.classifyBatchFromBuffers(documentsWithBuffers);
-    
-    const endTime = Date.now();
-    const processingTime = `${(endTime - startTime) / 1000}s`;
-    
-    console.log(`[SERVER] Base64 batch classification completed in ${processingTime}`);
-    console.log(`[SERVER] Results summary:`, results.map(r => ({ 
-      filename: r.filename, 
-      success: r.success, 
-      category: r.category 
-    })));
-
-    // Calculate statistics
-    const statistics = {
-      totalDocuments: results.length,
-      successfulClassifications: results.filter(r => r.success).length,
-      failedClassifications: results.filter(r => !r.success).length,
-      processingTime: processingTime,
-      categoryBreakdown: {}
-    };
-
-    // Calculate category breakdown
-    results.filter(r => r.success).forEach(result => {
-      const category = result.category;
-      statistics.categoryBreakdown[category] = (statistics.categoryBreakdown[category] || 0) + 1;
-    });
-
-    console.log('[SERVER] Statistics calculated:', statistics);
-    console.log('[SERVER] No file cleanup needed - pure base64 processing!');
-
-    const response = {
-      success: true,
-      results: results,
-      statistics: statistics
-    };
-
-    console.log('[SERVER] Sending base64 batch classification response');
-    res.json(response);
+    console.log('[SERVER] Queueing base64 batch classification...');
+    const options = getClassifierOptions(req);
+    await runBatch(req, res, 'classify', documentsWithBuffers,
+      (job, progress) => classifyBatchJob(job, documentsWithBuffers, options, progress));
 
   } catch (error) {
     console.error('[SERVER] Base64 batch classification error:');
@@ -1940,7 +3212,8 @@ app.post('/api/classify-batch-base64', express.json({ limit: '50mb' }), async (r
 });
 
 // Legacy Batch classification endpoint (with file uploads) - kept for backward compatibility
-app.post('/api/classify-batch', upload.array('pdfs', 50), async (req, res) => {
+// Runs as a background job: answers 202 with the job id, or with the results when wait=true
+app.post('/api/classify-batch', upload.array('pdfs', 50), validateTaxonomy, async (req, res) => {
   try {
     console.log('[SERVER] Legacy batch classification request received');
     console.log(`[SERVER] Number of files: ${req.files ? req.files.length : 0}`);
@@ -1953,8 +3226,6 @@ app.post('/api/classify-batch', upload.array('pdfs', 50), async (req, res) => {
       });
     }
 
-    const startTime = Date.now();
-
     // Read file buffers directly instead of using file paths
     const documents = req.files.map(file => {
       console.log(`[SERVER] Processing file: ${file.originalname} (${file.size} bytes)`);
@@ -1964,37 +3235,7 @@ app.post('/api/classify-batch', upload.array('pdfs', 50), async (req, res) => {
       };
     });
 
-    console.log('[SERVER] Starting legacy batch classification...');
-    const results = await classifier.classifyBatchFromBuffers(documents);
-    
-    const endTime = Date.now();
-    const processingTime = `${(endTime - startTime) / 1000}s`;
-    
-    console.log(`[SERVER] Legacy batch classification completed in ${processingTime}`);
-    console.log(`[SERVER] Results summary:`, results.map(r => ({ 
-      filename: r.filename, 
-      success: r.success, 
-      category: r.category 
-    })));
-
-    // Calculate statistics
-    const statistics = {
-      totalDocuments: results.length,
-      successfulClassifications: results.filter(r => r.success).length,
-      failedClassifications: results.filter(r => !r.success).length,
-      processingTime: processingTime,
-      categoryBreakdown: {}
-    };
-
-    // Calculate category breakdown
-    results.filter(r => r.success).forEach(result => {
-      const category = result.category;
-      statistics.categoryBreakdown[category] = (statistics.categoryBreakdown[category] || 0) + 1;
-    });
-
-    console.log('[SERVER] Statistics calculated:', statistics);
-    
-    // Clean up uploaded files
+    // The buffers are in memory, so the uploads can go before the job runs
     console.log('[SERVER] Cleaning up uploaded files...');
     req.files.forEach(file => {
       fs.unlink(file.path, (err) => {
@@ -2006,14 +3247,10 @@ app.post('/api/classify-batch', upload.array('pdfs', 50), async (req, res) => {
       });
     });
 
-    const response = {
-      success: true,
-      results: results,
-      statistics: statistics
-    };
-
-    console.log('[SERVER] Sending legacy batch classification response');
-    res.json(response);
+    console.log('[SERVER] Queueing legacy batch classification...');
+    const options = getClassifierOptions(req);
+    await runBatch(req, res, 'classify', documents,
+      (job, progress) => classifyBatchJob(job, documents, options, progress));
 
   } catch (error) {
     console.error('[SERVER] Legacy batch classification error:');
@@ -2028,7 +3265,8 @@ app.post('/api/classify-batch', upload.array('pdfs', 50), async (req, res) => {
 });
 
 // Organization endpoints
-app.post('/api/organize', upload.array('pdfs', 50), async (req, res) => {
+// Runs as a background job: answers 202 with the job id, or with the organization result when wait=true
+app.post('/api/organize', upload.array('pdfs', 50), validateTaxonomy, validateOutputOptions, async (req, res) => {
   console.log('[ORGANIZE] Starting file organization process...');
   console.log('[ORGANIZE] Request body:', req.body);
   console.log('[ORGANIZE] Files received:', req.files ? req.files.length : 0);
@@ -2049,12 +3287,15 @@ app.post('/api/organize', upload.array('pdfs', 50), async (req, res) => {
       path: f.path
     })));
 
-    const outputDir = req.body.outputDir || './organized_documents';
-    const createZip = req.body.createZip === 'true';
+    const settings = {
+      outputDir: req.body.outputDir || './organized_documents',
+      split: req.body.split === 'true' || req.body.split === true,
+      options: getClassifierOptions(req),
+      output: getOutputOptions(req)
+    };
 
-    console.log('[ORGANIZE] Configuration:', { outputDir, createZip });
+    console.log('[ORGANIZE] Configuration:', { outputDir: settings.outputDir, split: settings.split });
 
-    // First classify all documents using buffer-based method
     console.log('[ORGANIZE] Reading file buffers...');
     const documents = req.files.map(file => {
       try {
@@ -2070,75 +3311,7 @@ app.post('/api/organize', upload.array('pdfs', 50), async (req, res) => {
       }
     });
 
-    console.log('[ORGANIZE] Starting classification...');
-    const classificationResults = await classifier.classifyBatchFromBuffers(documents);
-    console.log('[ORGANIZE] Classification result:', {
-      success: Array.isArray(classificationResults),
-      resultsCount: classificationResults ? classificationResults.length : 0,
-      error: Array.isArray(classificationResults) ? null : 'Invalid result format'
-    });
-    
-    if (!Array.isArray(classificationResults) || classificationResults.length === 0) {
-      console.log('[ORGANIZE] Classification failed: Invalid or empty results');
-      return res.status(400).json({
-        success: false,
-        error: 'Classification failed: Invalid or empty results',
-        details: classificationResults
-      });
-    }
-
-    // Check if any classification failed
-    const failedClassifications = classificationResults.filter(result => !result.success);
-    if (failedClassifications.length > 0) {
-      console.log('[ORGANIZE] Some classifications failed:', failedClassifications.map(f => f.filename));
-    }
-
-    // Log classification results
-    console.log('[ORGANIZE] Classification details:');
-    classificationResults.forEach((result, index) => {
-      console.log(`[ORGANIZE] File ${index + 1}: ${result.filename} -> ${result.success ? result.category : 'FAILED'} (${result.success ? Math.round(result.confidence * 100) + '%' : result.error})`);
-    });
-
-    // Then organize the files
-    console.log('[ORGANIZE] Starting file organization...');
-    
-    // Create a mapping of original filenames to their temporary file paths
-    const fileMapping = {};
-    req.files.forEach(file => {
-      fileMapping[file.originalname] = file.path;
-    });
-    
-    console.log('[ORGANIZE] File mapping:', fileMapping);
-    console.log('[ORGANIZE] Target directory:', outputDir);
-    
-    // Copy files to a temporary directory with their original names for organization
-    const tempOrgDir = './temp_organize';
-    if (!fs.existsSync(tempOrgDir)) {
-      fs.mkdirSync(tempOrgDir, { recursive: true });
-    }
-    
-    // Copy files with original names
-    for (const [originalName, tempPath] of Object.entries(fileMapping)) {
-      const targetPath = path.join(tempOrgDir, originalName);
-      fs.copyFileSync(tempPath, targetPath);
-    }
-    
-    const organizationResult = await fileOrganizer.organizeFiles(
-      classificationResults,
-      tempOrgDir,  // Source directory (temp directory with original names)
-      outputDir    // Target directory (where organized files should go)
-    );
-    
-    // Clean up temporary organization directory
-    fs.rmSync(tempOrgDir, { recursive: true, force: true });
-
-    console.log('[ORGANIZE] Organization result:', {
-      success: organizationResult.success,
-      organized: organizationResult.organized ? organizationResult.organized.length : 0,
-      summary: organizationResult.summary
-    });
-
-    // Clean up uploaded files
+    // The buffers are in memory, so the uploads can go before the job runs
     console.log('[ORGANIZE] Cleaning up temporary files...');
     req.files.forEach(file => {
       fs.unlink(file.path, (err) => {
@@ -2150,15 +3323,8 @@ app.post('/api/organize', upload.array('pdfs', 50), async (req, res) => {
       });
     });
 
-    console.log('[ORGANIZE] Process completed successfully');
-    res.json({
-      success: true,
-      classification: {
-        success: true,
-        results: classificationResults
-      },
-      organization: organizationResult
-    });
+    await runBatch(req, res, 'organize', documents,
+      (job, progress) => organizeUploadsJob(job, documents, settings, progress));
 
   } catch (error) {
     console.error('[ORGANIZE] CRITICAL ERROR:');
@@ -2174,7 +3340,7 @@ app.post('/api/organize', upload.array('pdfs', 50), async (req, res) => {
     if (req.files) {
       req.files.forEach(file => {
         fs.unlink(file.path, (err) => {
-          if (err) console.error(`[ORGANIZE] Error cleaning up file ${file.originalname}:`, err);
+          if (err && err.code !== 'ENOENT') console.error(`[ORGANIZE] Error cleaning up file ${file.originalname}:`, err);
         });
       });
     }
@@ -2189,9 +3355,21 @@ app.post('/api/organize', upload.array('pdfs', 50), async (req, res) => {
 });
 
 // New endpoint for organizing with cached classification results
-app.post('/api/organize-cached', upload.array('pdfs', 50), async (req, res) => {
+app.post('/api/organize-cached', upload.array('pdfs', 50), validateTaxonomy, validateOutputOptions, async (req, res) => {
   try {
     console.log('[ORGANIZE-CACHED] Starting organization with cached results...');
+
+    // A stored job is organized from its own files; the submitted results only carry the user's corrections
+    if (req.body.jobId) {
+      (req.files || []).forEach(file => fs.unlink(file.path, () => {}));
+      return await sendJobOrganization(res, req.body.jobId, {
+        results: req.body.classificationResults ? JSON.parse(req.body.classificationResults) : null,
+        numberingConfig: req.body.numberingConfig ? JSON.parse(req.body.numberingConfig) : {},
+        output: getOutputOptions(req),
+        outputDir: req.body.outputDir || './organized_documents',
+        source: 'organize-cached'
+      });
+    }
     
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -2259,12 +3437,20 @@ app.post('/api/organize-cached', upload.array('pdfs', 50), async (req, res) => {
       fs.copyFileSync(tempPath, targetPath);
     }
     
+    // Results the user did not correct in the table are held when below the review threshold
+    const { accepted, held } = await reviewQueue.holdForReview(cachedResults, fileMapping, {
+      taxonomy: getClassifierOptions(req).taxonomy,
+      outputDir,
+      source: 'organize-cached'
+    });
+
     console.log('[ORGANIZE-CACHED] Starting file organization with cached results and custom naming...');
     const organizationResult = await fileOrganizer.organizeFilesWithNumbering(
-      cachedResults,   // Use cached classification results
+      accepted,        // Cached classification results that need no review
       tempOrgDir,      // Source directory (temp directory with original names)
       outputDir,       // Target directory (where organized files should go)
-      numberingConfig  // Document numbering configuration
+      numberingConfig, // Document numbering configuration
+      { taxonomy: getClassifierOptions(req).taxonomy, ...getOutputOptions(req) }
     );
     
     // Clean up temporary organization directory
@@ -2295,7 +3481,8 @@ app.post('/api/organize-cached', upload.array('pdfs', 50), async (req, res) => {
         success: true,
         results: cachedResults
       },
-      organization: organizationResult
+      organization: organizationResult,
+      review: summarizeHeld(held)
     });
 
   } catch (error) {
@@ -2323,7 +3510,7 @@ app.post('/api/organize-cached', upload.array('pdfs', 50), async (req, res) => {
 });
 
 // Preview organization endpoint
-app.post('/api/organize-preview', upload.array('pdfs', 50), async (req, res) => {
+app.post('/api/organize-preview', upload.array('pdfs', 50), validateTaxonomy, validateOutputOptions, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -2340,7 +3527,7 @@ app.post('/api/organize-preview', upload.array('pdfs', 50), async (req, res) =>
       filename: file.originalname
     }));
 
-    const classificationResults = await classifier.classifyBatchFromBuffers(documents);
+    const classificationResults = await classifier.classifyBatchFromBuffers(documents, getClassifierOptions(req));
     
     if (!Array.isArray(classificationResults) || classificationResults.length === 0) {
       return res.status(400).json({
@@ -2348,11 +3535,13 @@ app.post('/api/organize-preview', upload.array('pdfs', 50), async (req, res) =>
         error: 'Classification failed: Invalid or empty results'
       });
     }
+    await duplicates.flag(documents, classificationResults);
 
     // Preview organization without moving files
     const preview = await fileOrganizer.previewOrganization(
       classificationResults,
-      outputDir
+      outputDir,
+      { taxonomy: getClassifierOptions(req).taxonomy, ...getOutputOptions(req) }
     );
 
     // Clean up uploaded files
@@ -2381,11 +3570,11 @@ app.post('/api/organize-preview', upload.array('pdfs', 50), async (req, res) =>
 });
 
 // Preview organization with cached results endpoint
-app.post('/api/organize-preview-cached', express.json(), async (req, res) => {
+app.post('/api/organize-preview-cached', express.json(), validateTaxonomy, validateOutputOptions, async (req, res) => {
   try {
     console.log('[PREVIEW-CACHED] Starting preview with cached results...');
     
-    const { classificationResults, outputDir = './organized_documents' } = req.body;
+    const { classificationResults, numberingConfig, outputDir = './organized_documents' } = req.body;
 
     if (!Array.isArray(classificationResults) || classificationResults.length === 0) {
       return res.status(400).json({
@@ -2399,7 +3588,8 @@ app.post('/api/organize-preview-cached', express.json(), async (req, res) => {
     // Preview organization without moving files
     const preview = await fileOrganizer.previewOrganization(
       classificationResults,
-      outputDir
+      outputDir,
+      { taxonomy: getClassifierOptions(req).taxonomy, numberingConfig, ...getOutputOptions(req) }
     );
 
     console.log('[PREVIEW-CACHED] Preview generated successfully');
@@ -2421,8 +3611,41 @@ app.post('/api/organize-preview-cached', express.json(), async (req, res) => {
   }
 });
 
-// Create downloadable ZIP of organized documents
-app.post('/api/organize-download', upload.array('pdfs', 50), async (req, res) => {
+// Render output names and folders for classification results (or a stored job) without writing files or taking numbers
+app.post('/api/naming/preview', express.json(), validateTaxonomy, validateOutputOptions, (req, res) => {
+  let results = req.body.classificationResults;
+  let taxonomy = getClassifierOptions(req).taxonomy;
+  if (req.body.jobId) {
+    const job = jobStore.get(req.body.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Job not found: ${req.body.jobId}`
+      });
+    }
+    results = jobStore.getEffectiveResults(job);
+    taxonomy = taxonomy || job.options.taxonomy;
+  }
+
+  if (!Array.isArray(results) || results.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'classificationResults or jobId is required'
+    });
+  }
+
+  const preview = fileOrganizer.previewNames(results, {
+    taxonomy,
+    numberingConfig: req.body.numberingConfig || {},
+    outputDir: req.body.outputDir,
+    ...getOutputOptions(req)
+  });
+  res.status(preview.success ? 200 : 400).json(preview);
+});
+
+// Classify uploads and create a downloadable ZIP of the organized documents
+// Filed like /api/organize-download-cached: review hold, duplicate check, job record and manifest
+app.post('/api/organize-download', upload.array('pdfs', 50), validateTaxonomy, validateOutputOptions, async (req, res) => {
   try {
     console.log('[ORGANIZE-DOWNLOAD] Starting organization for download...');
     
@@ -2438,83 +3661,108 @@ app.post('/api/organize-download', upload.array('pdfs', 50), async (req, res) =>
       pdfBuffer: fs.readFileSync(file.path),
       filename: file.originalname
     }));
+    const options = getClassifierOptions(req);
+    const job = await jobStore.create({ type: 'organize', options, documents });
+    if (job) await jobStore.setStatus(job, 'processing');
 
     console.log('[ORGANIZE-DOWNLOAD] Classifying', documents.length, 'documents...');
-    const classificationResults = await classifier.classifyBatchFromBuffers(documents);
+    const classificationResults = await classifier.classifyBatchFromBuffers(documents, options);
     
     if (!Array.isArray(classificationResults) || classificationResults.length === 0) {
-      // Clean up uploaded files on error
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('[ORGANIZE-DOWNLOAD] Error cleaning up file:', err);
-        });
-      });
-      
+      if (job) await jobStore.setStatus(job, 'failed', 'Invalid or empty classification results');
       return res.status(400).json({
         success: false,
         error: 'Classification failed: Invalid or empty results'
       });
     }
 
-    console.log('[ORGANIZE-DOWNLOAD] Creating downloadable ZIP...');
-    
-    // Create downloadable ZIP with organized files
-    const zipResult = await fileOrganizer.createDownloadableZip(
-      classificationResults,
-      req.files.map(file => file.path) // source file paths
-    );
+    await duplicates.flag(documents, classificationResults, { jobId: job ? job.id : undefined });
 
-    // Clean up uploaded files
-    console.log('[ORGANIZE-DOWNLOAD] Cleaning up uploaded files...');
-    req.files.forEach(file => {
-      fs.unlink(file.path, (err) => {
-        if (err) {
-          console.error(`[ORGANIZE-DOWNLOAD] Error deleting temp file ${file.originalname}:`, err);
-        } else {
-          console.log(`[ORGANIZE-DOWNLOAD] Deleted temp file: ${file.originalname}`);
-        }
+    // A stored job is zipped from its own files like any other job run
+    if (job) {
+      await jobStore.setResults(job, classificationResults);
+      return await sendJobOrganization(res, job.id, {
+        download: true,
+        output: getOutputOptions(req),
+        source: 'organize-download'
       });
+    }
+
+    const fileMapping = Object.fromEntries(req.files.map(file => [file.originalname, file.path]));
+    const { accepted, held } = await reviewQueue.holdForReview(classificationResults, fileMapping, {
+      taxonomy: options.taxonomy,
+      source: 'organize-download'
     });
 
-    console.log('[ORGANIZE-DOWNLOAD] ZIP created successfully:', zipResult.zipPath);
-    res.json({
-      success: true,
-      classification: {
-        success: true,
-        results: classificationResults
-      },
-      download: {
-        zipId: zipResult.zipId,
-        filename: zipResult.filename,
-        summary: zipResult.summary
+    console.log('[ORGANIZE-DOWNLOAD] Creating downloadable ZIP...');
+    const tempDir = path.join(__dirname, 'temp', 'organize', `download_${Date.now()}`);
+    try {
+      const organization = await fileOrganizer.organizeFilesForDownload(accepted, fileMapping, tempDir, {
+        taxonomy: options.taxonomy,
+        ...getOutputOptions(req)
+      });
+      if (!organization.success) {
+        throw new Error(organization.error);
+      }
+      const zipResult = await fileOrganizer.createZipFromOrganizedFiles(organization.tempDir);
+      if (!zipResult.success) {
+        throw new Error(zipResult.error);
       }
-    });
 
-  } catch (error) {
-    console.error('[ORGANIZE-DOWNLOAD] Error:', error);
-    
-    // Clean up files on error
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error(`[ORGANIZE-DOWNLOAD] Error cleaning up file ${file.originalname}:`, err);
-        });
+      console.log('[ORGANIZE-DOWNLOAD] ZIP created successfully:', zipResult.zipPath);
+      res.json({
+        success: true,
+        classification: {
+          success: true,
+          results: classificationResults
+        },
+        organization,
+        review: summarizeHeld(held),
+        download: {
+          zipId: zipResult.zipId,
+          filename: zipResult.filename,
+          summary: organization.summary,
+          skipped: organization.skipped,
+          manifest: organization.manifest.success ? organization.manifest.filename : null
+        }
       });
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
     }
-    
+
+  } catch (error) {
+    console.error('[ORGANIZE-DOWNLOAD] Error:', error);
     res.status(500).json({
       success: false,
       error: `Organization failed: ${error.message}`
     });
+  } finally {
+    // Clean up uploaded files; the job keeps its own copies
+    console.log('[ORGANIZE-DOWNLOAD] Cleaning up uploaded files...');
+    (req.files || []).forEach(file => {
+      fs.unlink(file.path, (err) => {
+        if (err) console.error(`[ORGANIZE-DOWNLOAD] Error deleting temp file ${file.originalname}:`, err);
+      });
+    });
   }
 });
 
 // Create downloadable ZIP with cached classification results
-app.post('/api/organize-download-cached', express.json(), async (req, res) => {
+app.post('/api/organize-download-cached', express.json(), validateTaxonomy, validateOutputOptions, async (req, res) => {
   try {
     console.log('[ORGANIZE-DOWNLOAD-CACHED] Starting organization for download with cached results...');
     
-    const { classificationResults, sourceFiles } = req.body;
+    const { classificationResults, sourceFiles, jobId } = req.body;
+
+    // A stored job is zipped from its own files, so sourceFiles can be left out
+    if (jobId) {
+      return await sendJobOrganization(res, jobId, {
+        results: classificationResults,
+        download: true,
+        output: getOutputOptions(req),
+        source: 'organize-download-cached'
+      });
+    }
 
     if (!Array.isArray(classificationResults) || classificationResults.length === 0) {
       return res.status(400).json({
@@ -2530,12 +3778,24 @@ app.post('/api/organize-download-cached', express.json(), async (req, res) => {
       });
     }
 
+    const sources = {};
+    sourceFiles.forEach(file => {
+      if (file && file.filename && file.base64Data) {
+        sources[file.filename] = Buffer.from(file.base64Data, 'base64');
+      }
+    });
+    const { accepted, held } = await reviewQueue.holdForReview(classificationResults, sources, {
+      taxonomy: getClassifierOptions(req).taxonomy,
+      source: 'organize-download-cached'
+    });
+
     console.log('[ORGANIZE-DOWNLOAD-CACHED] Creating downloadable ZIP with cached results...');
     
     // Create downloadable ZIP with organized files using cached results
     const zipResult = await fileOrganizer.createDownloadableZipFromCached(
-      classificationResults,
-      sourceFiles
+      accepted,
+      sourceFiles,
+      { taxonomy: getClassifierOptions(req).taxonomy, ...getOutputOptions(req) }
     );
 
     console.log('[ORGANIZE-DOWNLOAD-CACHED] ZIP created successfully:', zipResult.zipPath);
@@ -2548,8 +3808,11 @@ app.post('/api/organize-download-cached', express.json(), async (req, res) => {
       download: {
         zipId: zipResult.zipId,
         filename: zipResult.filename,
-        summary: zipResult.summary
-      }
+        summary: zipResult.summary,
+        skipped: zipResult.skipped,
+        manifest: zipResult.manifest && zipResult.manifest.success ? zipResult.manifest.filename : null
+      },
+      review: summarizeHeld(held)
     });
 
   } catch (error) {
@@ -2631,6 +3894,326 @@ app.get('/api/download/:zipId', async (req, res) => {
 // Watermark API endpoints
 
 // Get watermark presets
+// Category taxonomies (codes, names, folders and filename prefixes)
+app.get('/api/taxonomies', (req, res) => {
+  res.json({
+    success: true,
+    ...taxonomies.list()
+  });
+});
+
+// Review queue: results held below the confidence threshold or after a failed classification
+app.get('/api/review', (req, res) => {
+  res.json({
+    success: true,
+    stats: reviewQueue.getStats(),
+    items: reviewQueue.list({ status: req.query.status })
+  });
+});
+
+// Reviewed items as labelled training data (data/labels.csv format)
+app.get('/api/review/labels.csv', (req, res) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="review-labels.csv"');
+  res.send(reviewQueue.exportLabels({
+    correctedOnly: req.query.correctedOnly === 'true',
+    taxonomy: req.query.taxonomy
+  }));
+});
+
+// Organize approved items into outputDir, or into a ZIP with download=true
+app.post('/api/review/organize', express.json(), validateOutputOptions, async (req, res) => {
+  const tempDir = path.join(__dirname, 'temp', 'organize', `review_${Date.now()}`);
+  try {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids : null;
+    const items = reviewQueue.list({ status: 'approved' })
+      .filter(item => !ids || ids.includes(item.id))
+      .map(item => reviewQueue.get(item.id));
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No approved review items to organize'
+      });
+    }
+
+    const download = req.body.download === true || req.body.download === 'true';
+    const outputDir = req.body.outputDir || './organized_documents';
+    const byTaxonomy = {};
+    items.forEach(item => {
+      (byTaxonomy[item.taxonomy] = byTaxonomy[item.taxonomy] || []).push(item);
+    });
+
+    console.log(`[REVIEW] Organizing ${items.length} approved item(s) ${download ? 'for download' : `into ${outputDir}`}...`);
+    const organization = { organized: [], failed: [], skipped: [] };
+    for (const [taxonomy, taxonomyItems] of Object.entries(byTaxonomy)) {
+      const results = taxonomyItems.map(item => reviewQueue.toClassificationResult(item));
+      const fileMapping = Object.fromEntries(taxonomyItems.map(item => [item.filename, reviewQueue.getFilePath(item)]));
+
+      let result;
+      if (download) {
+        result = await fileOrganizer.organizeFilesForDownload(results, fileMapping, tempDir, { taxonomy, ...getOutputOptions(req) });
+      } else {
+        // Copy the stored PDFs under their original names, as the other organize endpoints do
+        const sourceDir = path.join(tempDir, taxonomy);
+        fs.mkdirSync(sourceDir, { recursive: true });
+        taxonomyItems.forEach(item => fs.copyFileSync(reviewQueue.getFilePath(item), path.join(sourceDir, item.filename)));
+        result = await fileOrganizer.organizeFilesWithNumbering(results, sourceDir, outputDir, {}, { taxonomy, ...getOutputOptions(req) });
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      organization.organized.push(...result.organized);
+      organization.failed.push(...result.failed);
+      organization.skipped.push(...result.skipped);
+    }
+    organization.summary = fileOrganizer.generateSummary(organization.organized, organization.failed, organization.skipped);
+
+    const organizedNames = organization.organized.map(file => file.originalName);
+    const organizedIds = items.filter(item => organizedNames.includes(item.filename)).map(item => item.id);
+
+    let zipResult = null;
+    if (download) {
+      zipResult = await fileOrganizer.createZipFromOrganizedFiles(path.join(tempDir, 'organized'));
+      if (!zipResult.success) {
+        throw new Error(zipResult.error);
+      }
+    }
+    await reviewQueue.markOrganized(organizedIds, download ? { zipId: zipResult.zipId } : { outputDir });
+
+    res.json({
+      success: true,
+      organization,
+      ...(zipResult ? {
+        download: {
+          zipId: zipResult.zipId,
+          filename: zipResult.filename,
+          summary: organization.summary
+        }
+      } : {})
+    });
+
+  } catch (error) {
+    console.error('[REVIEW] Organization failed:', error);
+    res.status(500).json({
+      success: false,
+      error: `Organization failed: ${error.message}`
+    });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+// Stored PDF of a review item (shown next to the suggestion)
+app.get('/api/review/:id/pdf', (req, res) => {
+  const item = reviewQueue.get(req.params.id);
+  if (!item || !fs.existsSync(reviewQueue.getFilePath(item))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Review item not found'
+    });
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(item.filename)}"`);
+  fs.createReadStream(reviewQueue.getFilePath(item)).pipe(res);
+});
+
+// Approve a review item, optionally with a corrected category and requester
+app.post('/api/review/:id/approve', express.json(), async (req, res) => {
+  const result = await reviewQueue.approve(req.params.id, {
+    category: req.body.category,
+    requester: req.body.requester,
+    reviewer: req.body.reviewer
+  });
+
+  if (!result.success) {
+    return res.status(reviewQueue.get(req.params.id) ? 400 : 404).json(result);
+  }
+  const { result: classification, ...item } = result.item;
+  res.json({ success: true, item });
+});
+
+// Remove a review item and its stored PDF (admin; the PDF is the only stored copy)
+app.delete('/api/review/:id', requireAdmin, async (req, res) => {
+  const result = await reviewQueue.remove(req.params.id);
+  res.status(result.success ? 200 : 404).json(result);
+});
+
+// Stored classification and organization runs
+app.get('/api/jobs', (req, res) => {
+  res.json({
+    success: true,
+    jobs: jobStore.list({ type: req.query.type, status: req.query.status, limit: req.query.limit })
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    job: {
+      ...job,
+      effectiveResults: jobStore.getEffectiveResults(job)
+    }
+  });
+});
+
+// Progress of a background job (poll this, or use /events)
+app.get('/api/jobs/:id/progress', (req, res) => {
+  const progress = getJobProgress(req.params.id);
+  if (!progress) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+  res.json({ success: true, progress });
+});
+
+// Progress as Server-Sent Events: "progress" while the job runs, then one "done" event with the result
+app.get('/api/jobs/:id/events', (req, res) => {
+  const id = req.params.id;
+  const progress = getJobProgress(id);
+  if (!progress) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${id}`
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = state => res.write(`event: ${state.status === 'queued' || state.status === 'running' ? 'progress' : 'done'}\ndata: ${JSON.stringify(state)}\n\n`);
+
+  send(progress);
+  if (progress.status !== 'queued' && progress.status !== 'running') {
+    return res.end();
+  }
+
+  const listener = state => {
+    if (state.id !== id) return;
+    send(state);
+    if (state.finishedAt) {
+      jobRunner.off('update', listener);
+      res.end();
+    }
+  };
+  jobRunner.on('update', listener);
+  req.on('close', () => jobRunner.off('update', listener));
+});
+
+// Organize a past job again from its stored files and results, into outputDir or a ZIP with download=true
+app.post('/api/jobs/:id/organize', express.json(), validateOutputOptions, async (req, res) => {
+  try {
+    await sendJobOrganization(res, req.params.id, {
+      results: Array.isArray(req.body.classificationResults) ? req.body.classificationResults : null,
+      download: req.body.download === true || req.body.download === 'true',
+      outputDir: req.body.outputDir || './organized_documents',
+      numberingConfig: req.body.numberingConfig || {},
+      output: getOutputOptions(req),
+      source: 'reorganize'
+    });
+  } catch (error) {
+    console.error('[JOBS] Organization failed:', error);
+    res.status(500).json({
+      success: false,
+      error: `Organization failed: ${error.message}`
+    });
+  }
+});
+
+// ZIP produced by a job run (kept with the job, unlike /api/download)
+app.get('/api/jobs/:id/runs/:runId/zip', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  const zipPath = job ? jobStore.getRunZipPath(job, req.params.runId) : null;
+  if (!zipPath) {
+    return res.status(404).json({
+      success: false,
+      error: 'ZIP file not found'
+    });
+  }
+
+  res.download(zipPath, `${job.id}_${req.params.runId}.zip`);
+});
+
+// Delete a job with its stored inputs and ZIPs (admin)
+app.delete('/api/jobs/:id', requireAdmin, async (req, res) => {
+  const result = await jobStore.remove(req.params.id);
+  if (result.success) {
+    // Later uploads are no longer reported as duplicates of the deleted job's documents
+    await duplicates.forgetJob(req.params.id);
+  }
+  res.status(result.success ? 200 : 404).json(result);
+});
+
+// Document number sequences (one per filename prefix, and per year or month with SEQUENCE_PERIOD)
+app.get('/api/sequences', (req, res) => {
+  if (!sequences) {
+    return res.json({ success: true, enabled: false, sequences: [] });
+  }
+  res.json({
+    success: true,
+    enabled: true,
+    period: sequences.period,
+    sequences: sequences.list()
+  });
+});
+
+// Next number per category of a taxonomy, shown as the start numbers in the classify tab
+app.get('/api/sequences/next', validateTaxonomy, (req, res) => {
+  const taxonomy = taxonomies.get(req.query.taxonomy);
+  const prefixes = taxonomy.getPrefixes();
+  const next = sequences ? sequences.peek(Object.values(prefixes)) : {};
+  res.json({
+    success: true,
+    enabled: Boolean(sequences),
+    taxonomy: taxonomy.id,
+    next: Object.fromEntries(Object.entries(prefixes).map(([category, prefix]) => [category, next[prefix] || 1]))
+  });
+});
+
+// One sequence with the documents its numbers were given to
+app.get('/api/sequences/:key', requireAdmin, (req, res) => {
+  const sequence = sequences ? sequences.get(req.params.key) : null;
+  if (!sequence) {
+    return res.status(404).json({
+      success: false,
+      error: `Sequence not found: ${req.params.key}`
+    });
+  }
+  res.json({ success: true, sequence });
+});
+
+// Set the next number of a sequence; going back to numbers already handed out needs force=true
+app.post('/api/sequences/:key/reset', requireAdmin, express.json(), async (req, res) => {
+  if (!sequences) {
+    return res.status(400).json({
+      success: false,
+      error: 'Document number sequences are disabled (DOCUMENT_NUMBERING=batch)'
+    });
+  }
+
+  const result = await sequences.reset(req.params.key, req.body.next, {
+    force: req.body.force === true || req.body.force === 'true',
+    by: req.body.by
+  });
+  if (!result.success) {
+    return res.status(result.error.startsWith('Sequence not found') ? 404 : 400).json(result);
+  }
+  res.json(result);
+});
+
 app.get('/api/watermark/presets', (req, res) => {
   try {
     console.log('📋 [WATERMARK API] Getting watermark presets');
@@ -2653,40 +4236,139 @@ app.get('/api/watermark/presets', (req, res) => {
   }
 });
 
+// Save a named preset, e.g. the company logo stamp (image in the 'image' field)
+app.post('/api/watermark/presets', requireAdmin, watermarkUpload.single('image'), async (req, res) => {
+  const image = req.file ? fs.readFileSync(req.file.path) : null;
+  if (req.file) {
+    fs.unlink(req.file.path, () => {});
+  }
+
+  const { name, customText, opacity, fontSize, color, rotation, positionX, positionY, imageScale, layout, align, spacing, font } = req.body;
+  const result = await watermarkProcessor.savePreset(name, {
+    customText,
+    opacity: opacity !== undefined && opacity !== '' ? opacity : undefined,
+    fontSize: fontSize !== undefined && fontSize !== '' ? fontSize : undefined,
+    color,
+    rotation: rotation !== undefined && rotation !== '' ? rotation : undefined,
+    positionX: positionX !== undefined && positionX !== '' ? positionX : undefined,
+    positionY: positionY !== undefined && positionY !== '' ? positionY : undefined,
+    imageScale: imageScale !== undefined && imageScale !== '' ? imageScale : undefined,
+    layout: layout || undefined,
+    align: align || undefined,
+    spacing: spacing !== undefined && spacing !== '' ? spacing : undefined,
+    font: font || undefined
+  }, image);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+app.delete('/api/watermark/presets/:name', requireAdmin, async (req, res) => {
+  const result = await watermarkProcessor.deletePreset(req.params.name);
+  if (!result.success) {
+    return res.status(result.error.startsWith('Preset not found') ? 404 : 400).json(result);
+  }
+  res.json(result);
+});
+
+app.get('/api/watermark/presets/:name/image', (req, res) => {
+  const image = watermarkProcessor.getPresetImage(req.params.name);
+  if (!image) {
+    return res.status(404).json({ success: false, error: `No image for preset ${req.params.name}` });
+  }
+  res.type(image.type === 'svg' ? 'image/svg+xml' : image.type === 'jpg' ? 'image/jpeg' : 'image/png');
+  res.sendFile(path.resolve(image.path));
+});
+
+app.get('/api/watermark/fonts', (req, res) => {
+  res.json({ success: true, fonts: watermarkProcessor.getFonts() });
+});
+
+// Save a TTF or OTF font (file in the 'font' field) that presets and requests can choose by name
+app.post('/api/watermark/fonts', requireAdmin, watermarkUpload.single('font'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No font file uploaded' });
+  }
+  const buffer = fs.readFileSync(req.file.path);
+  fs.unlink(req.file.path, () => {});
+
+  const name = req.body.name || path.parse(req.file.originalname).name;
+  const result = await watermarkProcessor.saveFont(name, buffer);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+app.delete('/api/watermark/fonts/:name', requireAdmin, async (req, res) => {
+  const result = await watermarkProcessor.deleteFont(req.params.name);
+  if (!result.success) {
+    return res.status(result.error.startsWith('Font not found') ? 404 : 400).json(result);
+  }
+  res.json(result);
+});
+
+// Preview a watermark on the first page of an uploaded PDF (or a blank A4 page), returned inline as a one-page PDF
+app.post('/api/watermark/preview', watermarkUpload.fields([{ name: 'pdfs', maxCount: 1 }, { name: 'image', maxCount: 1 }]), async (req, res) => {
+  const pdfFile = req.files && req.files.pdfs ? req.files.pdfs[0] : null;
+  const imageFile = req.files && req.files.image ? req.files.image[0] : null;
+  try {
+    const watermarkOptions = getWatermarkOptions(req.body, imageFile);
+    const validation = watermarkProcessor.validateOptions(watermarkOptions);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid watermark options',
+        details: validation.errors
+      });
+    }
+
+    const result = await watermarkProcessor.createPreview(pdfFile ? fs.readFileSync(pdfFile.path) : null, {
+      ...watermarkOptions,
+      variables: { filename: pdfFile ? pdfFile.originalname : 'preview.pdf', user: req.body.user || process.env.WATERMARK_USER }
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="watermark_preview.pdf"');
+    res.send(result.buffer);
+  } catch (error) {
+    console.error('❌ [WATERMARK API] Preview failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    [pdfFile, imageFile].filter(file => file).forEach(file => fs.unlink(file.path, () => {}));
+  }
+});
+
 // Add watermark to PDF - supports single and multiple files
-app.post('/api/watermark', upload.array('pdfs', 50), async (req, res) => {
+app.post('/api/watermark', watermarkUpload.fields([{ name: 'pdfs', maxCount: 50 }, { name: 'image', maxCount: 1 }]), async (req, res) => {
+  const pdfFiles = (req.files && req.files.pdfs) || [];
+  const imageFile = req.files && req.files.image ? req.files.image[0] : null;
   try {
     console.log('🔖 [WATERMARK API] Starting watermark request');
     
-    if (!req.files || req.files.length === 0) {
+    if (pdfFiles.length === 0) {
+      if (imageFile) {
+        fs.unlink(imageFile.path, () => {});
+      }
       return res.status(400).json({
         success: false,
         error: 'No PDF files provided'
       });
     }
     
-    console.log(`🔖 [WATERMARK API] Processing ${req.files.length} file(s)`);
+    console.log(`🔖 [WATERMARK API] Processing ${pdfFiles.length} file(s)`);
     
-    const { preset, customText, opacity, fontSize, color, rotation, positionX, positionY } = req.body;
+    const { user } = req.body;
     
-    console.log('📄 [WATERMARK API] Files:', req.files.map(f => f.originalname));
-    console.log('⚙️ [WATERMARK API] Options:', { preset, customText, opacity, fontSize, color, rotation, positionX, positionY });
+    console.log('📄 [WATERMARK API] Files:', pdfFiles.map(f => f.originalname));
     
     // Prepare watermark options
-    const watermarkOptions = {
-      preset: preset,
-      customText: customText,
-      opacity: opacity ? parseFloat(opacity) : undefined,
-      fontSize: fontSize ? parseInt(fontSize) : undefined,
-      color: color,
-      rotation: rotation ? parseInt(rotation) : undefined,
-      positionX: positionX ? parseInt(positionX) : undefined,
-      positionY: positionY ? parseInt(positionY) : undefined
-    };
+    const watermarkOptions = getWatermarkOptions(req.body, imageFile);
+    const { image, ...loggedOptions } = watermarkOptions;
+    console.log('⚙️ [WATERMARK API] Options:', { ...loggedOptions, image: imageFile ? imageFile.originalname : undefined });
     
     // Validate options
     const validation = watermarkProcessor.validateOptions(watermarkOptions);
     if (!validation.isValid) {
+      [...pdfFiles, ...(imageFile ? [imageFile] : [])].forEach(file => fs.unlink(file.path, () => {}));
       return res.status(400).json({
         success: false,
         error: 'Invalid watermark options',
@@ -2698,17 +4380,20 @@ app.post('/api/watermark', upload.array('pdfs', 50), async (req, res) => {
     const watermarkedFiles = [];
     const errors = [];
     
-    for (let i = 0; i < req.files.length; i++) {
-      const file = req.files[i];
+    for (let i = 0; i < pdfFiles.length; i++) {
+      const file = pdfFiles[i];
       try {
-        console.log(`📖 [WATERMARK API] Processing file ${i + 1}/${req.files.length}: ${file.originalname}`);
+        console.log(`📖 [WATERMARK API] Processing file ${i + 1}/${pdfFiles.length}: ${file.originalname}`);
         
         // Read file buffer from disk
         const pdfBuffer = fs.readFileSync(file.path);
         console.log(`📊 [WATERMARK API] File buffer read successfully. Size: ${pdfBuffer.length} bytes`);
         
-        // Add watermark
-        const result = await watermarkProcessor.addWatermark(pdfBuffer, watermarkOptions);
+        // Add watermark ({filename} and {user} are known here; document numbers only when organizing)
+        const result = await watermarkProcessor.addWatermark(pdfBuffer, {
+          ...watermarkOptions,
+          variables: { filename: file.originalname, user: user || process.env.WATERMARK_USER }
+        });
         
         if (result.success) {
           console.log(`✅ [WATERMARK API] Watermark added successfully to ${file.originalname}`);
@@ -2724,7 +4409,9 @@ app.post('/api/watermark', upload.array('pdfs', 50), async (req, res) => {
             watermarkedName: watermarkedFilename,
             buffer: result.buffer,
             originalSize: result.originalSize,
-            watermarkedSize: result.watermarkedSize
+            watermarkedSize: result.watermarkedSize,
+            pages: result.pages,
+            stampedPages: result.stampedPages
           });
         } else {
           console.error(`❌ [WATERMARK API] Watermark failed for ${file.originalname}:`, result.error);
@@ -2744,7 +4431,7 @@ app.post('/api/watermark', upload.array('pdfs', 50), async (req, res) => {
     }
     
     // Clean up uploaded files
-    req.files.forEach(file => {
+    [...pdfFiles, ...(imageFile ? [imageFile] : [])].forEach(file => {
       fs.unlink(file.path, (err) => {
         if (err) console.error('Error deleting temp file:', err);
       });
@@ -2766,6 +4453,9 @@ app.post('/api/watermark', upload.array('pdfs', 50), async (req, res) => {
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="${file.watermarkedName}"`);
       res.setHeader('Content-Length', file.buffer.length);
+      // Which pages got the watermark, e.g. "2,3,4" for "all except first"
+      res.setHeader('X-Stamped-Pages', file.stampedPages.join(','));
+      res.setHeader('X-Page-Count', file.pages);
       
       // Send the watermarked PDF
       res.send(file.buffer);
@@ -2813,10 +4503,16 @@ app.post('/api/watermark', upload.array('pdfs', 50), async (req, res) => {
     res.json({
       success: true,
       message: `Successfully watermarked ${watermarkedFiles.length} files`,
-      totalFiles: req.files.length,
+      totalFiles: pdfFiles.length,
       successfulFiles: watermarkedFiles.length,
       failedFiles: errors.length,
       errors: errors.length > 0 ? errors : undefined,
+      files: watermarkedFiles.map(file => ({
+        originalName: file.originalName,
+        watermarkedName: file.watermarkedName,
+        pages: file.pages,
+        stampedPages: file.stampedPages
+      })),
       download: {
         zipId: zipId,
         filename: zipFilename,
@@ -2829,13 +4525,11 @@ app.post('/api/watermark', upload.array('pdfs', 50), async (req, res) => {
     console.error('❌ [WATERMARK API] Unexpected error:', error.message);
     
     // Clean up uploaded files on error
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error cleaning up file:', err);
-        });
+    [...pdfFiles, ...(imageFile ? [imageFile] : [])].forEach(file => {
+      fs.unlink(file.path, (err) => {
+        if (err && err.code !== 'ENOENT') console.error('Error cleaning up file:', err);
       });
-    }
+    });
     
     res.status(500).json({
       success: false,